@@ -0,0 +1,46 @@
+// Requests allowed per window on each limited route, counted per client IP and/or per account
+// (the email in the request body). Override any entry with RATE_LIMIT_<ROUTE>_<SCOPE>=max/window,
+// e.g. RATE_LIMIT_LOGIN_IP=50/15m or RATE_LIMIT_FORGOT_PASSWORD_ACCOUNT=5/1h. Windows take s, m or h.
+const DEFAULT_LIMITS = {
+  api: { ip: '600/15m' },
+  login: { ip: '20/15m', account: '10/15m' },
+  registerAdmin: { ip: '5/1h' },
+  register: { ip: '10/1h' },
+  forgotPassword: { ip: '5/15m', account: '3/1h' },
+  resetPassword: { ip: '10/15m' },
+  verifyEmail: { ip: '20/15m' },
+  resendVerification: { ip: '5/15m', account: '3/1h' },
+  refresh: { ip: '60/15m' },
+  twoFactor: { ip: '20/15m' }
+};
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+const parseLimit = (value, source) => {
+  const match = /^(\d+)\/(\d+)([smh])$/.exec(String(value).trim());
+  if (!match || parseInt(match[1]) < 1 || parseInt(match[2]) < 1) {
+    throw new Error(`Invalid rate limit "${value}" for ${source}; expected e.g. 20/15m`);
+  }
+  return { max: parseInt(match[1]), windowMs: parseInt(match[2]) * UNIT_MS[match[3]] };
+};
+
+const envName = (route, scope) =>
+  `RATE_LIMIT_${route.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}_${scope.toUpperCase()}`;
+
+// { ip: { max, windowMs }, account: { max, windowMs } } with only the scopes the route limits
+const getRouteLimits = (route) => {
+  const defaults = DEFAULT_LIMITS[route];
+  if (!defaults) {
+    throw new Error(`No rate limits configured for "${route}"`);
+  }
+
+  return Object.keys(defaults).reduce((limits, scope) => {
+    const name = envName(route, scope);
+    limits[scope] = parseLimit(process.env[name] || defaults[scope], name);
+    return limits;
+  }, {});
+};
+
+module.exports = {
+  getRouteLimits
+};
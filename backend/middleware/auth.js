@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/db');
+const { touchSession } = require('../services/sessionService');
+const { getUserAccess } = require('../services/permissionService');
+const { accountStatusError } = require('../services/accountStatusService');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
 
 
 if (!process.env.JWT_SECRET) {
@@ -7,98 +11,114 @@ if (!process.env.JWT_SECRET) {
     process.exit(1);
 }
 
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 //auth middleware
-const authenticateToken = async (req, res, next) => {
+const authenticate = async (req, res, next, { allowUnverified = false } = {}) => {
     try {
         const authHeader = req.headers['authorization'];
         const token = authHeader && authHeader.split(' ')[1];
         
         if (!token) {
-            return res.status(401).json({ 
-                error: 'Access token required',
-                message: 'Please provide a valid JWT token'
-            });
+            return next(new AuthenticationError('Please provide a valid JWT token', { code: 'TOKEN_REQUIRED' }));
         }
 
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         
         if (!decoded.id) {
-            return res.status(401).json({ 
-                error: 'Invalid token payload',
-                message: 'Token does not contain valid user information'
-            });
+            return next(new AuthenticationError('Token does not contain valid user information', { code: 'INVALID_TOKEN_PAYLOAD' }));
         }
 
         // Get user from database
         const connection = await pool.getConnection();
         try {
             const [rows] = await connection.query(
-                'SELECT id, name, email, role, created_at FROM users WHERE id = ?', 
+                `SELECT id, name, email, role, email_verified_at, totp_enabled_at, status, status_reason, suspended_until, created_at
+                 FROM users WHERE id = ?`, 
                 [decoded.id]
             );
             
             if (rows.length === 0) {
-                return res.status(401).json({ 
-                    error: 'User not found',
-                    message: 'User associated with token no longer exists'
-                });
+                return next(new AuthenticationError('User associated with token no longer exists', { code: 'USER_NOT_FOUND' }));
+            }
+            
+            // Suspending or banning revokes sessions, but tokens issued a moment before must not slip through
+            const statusError = accountStatusError(rows[0]);
+            if (statusError) {
+                return next(statusError);
+            }
+            
+            // Tokens from before sessions were recorded carry no sid; refreshing issues one that does
+            if (!decoded.sid || !await touchSession(connection, decoded.id, decoded.sid)) {
+                return next(new AuthenticationError('This session has been signed out. Please log in again.', { code: 'SESSION_REVOKED' }));
             }
             
-            req.user = rows[0];
+            // Unverified accounts can look around but not change anything until they confirm their email
+            if (!rows[0].email_verified_at && !allowUnverified && !READ_ONLY_METHODS.includes(req.method)) {
+                return next(new ForbiddenError('Please verify your email address to do this', { code: 'EMAIL_NOT_VERIFIED' }));
+            }
+            
+            req.user = { ...rows[0], ...await getUserAccess(connection, rows[0].id, rows[0].role) };
+            req.sessionId = decoded.sid;
             next();
         } finally {
             connection.release();
         }
         
     } catch (error) {
-        console.error('Auth middleware error:', error);
-        
         if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({ 
-                error: 'Invalid token',
-                message: 'The provided token is malformed or invalid'
-            });
+            return next(new AuthenticationError('The provided token is malformed or invalid', { code: 'INVALID_TOKEN' }));
         }
         
         if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({ 
-                error: 'Token expired',
-                message: 'Please log in again to continue'
-            });
+            return next(new AuthenticationError('Please log in again to continue', { code: 'TOKEN_EXPIRED' }));
         }
         
-        return res.status(500).json({ 
-            error: 'Authentication failed',
-            message: 'An error occurred during authentication'
-        });
+        console.error('Auth middleware error:', error);
+        return next(error);
     }
 };
 
-//role check middleware
-const requireRole = (allowedRoles) => {
+const authenticateToken = (req, res, next) => authenticate(req, res, next);
+
+//for the few writes an unverified account needs, such as correcting a mistyped email address;
+//the route must check req.user.email_verified_at itself for anything else
+const authenticateAllowingUnverified = (req, res, next) => authenticate(req, res, next, { allowUnverified: true });
+
+//optional auth middleware - anonymous callers pass through with req.user = null,
+//but a token that is present must still be valid
+const optionalAuthenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        req.user = null;
+        return next();
+    }
+
+    return authenticateToken(req, res, next);
+};
+
+//permission check middleware - passes when the user holds any one of the given permissions,
+//from their primary role or a granted one (see services/permissionService.js)
+const requirePermission = (permissions) => {
+    const required = Array.isArray(permissions) ? permissions : [permissions];
+    
     return (req, res, next) => {
-        if (!req.user || !req.user.role) {
-            return res.status(401).json({ 
-                error: 'Authentication required',
-                message: 'User must be authenticated to access this resource'
-            });
-        }
-        
-        if (!Array.isArray(allowedRoles)) {
-            allowedRoles = [allowedRoles];
+        if (!req.user || !req.user.permissions) {
+            return next(new AuthenticationError('User must be authenticated to access this resource'));
         }
         
-        if (!allowedRoles.includes(req.user.role)) {
-            return res.status(403).json({ 
-                error: 'Insufficient permissions',
-                message: `Access denied. Required role: ${allowedRoles.join(' or ')}`,
-                userRole: req.user.role
-            });
+        if (!required.some(permission => req.user.permissions.includes(permission))) {
+            return next(new ForbiddenError(`Access denied. Required permission: ${required.join(' or ')}`, {
+                code: 'INSUFFICIENT_PERMISSIONS',
+                details: { required, roles: req.user.roles }
+            }));
         }
         
         next();
     };
 };
 
-module.exports = { authenticateToken, requireRole };
+module.exports = { authenticateToken, authenticateAllowingUnverified, optionalAuthenticateToken, requirePermission };
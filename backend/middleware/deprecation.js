@@ -0,0 +1,31 @@
+const { recordLegacyUse } = require('../services/legacyApiUsage');
+const { NotFoundError } = require('../utils/errors');
+
+// The unversioned /api/* paths still work but are deprecated in favour of /api/v1/*.
+// Headers follow RFC 9745 (Deprecation), RFC 8594 (Sunset) and RFC 8288 (Link).
+const DEPRECATED_AT = new Date(process.env.LEGACY_API_DEPRECATED_AT || '2026-10-19T00:00:00Z');
+const SUNSET_AT = new Date(process.env.LEGACY_API_SUNSET || '2027-04-30T00:00:00Z');
+
+// Mount on /api, ahead of the same routers that /api/v1 uses
+const deprecateLegacyApi = (req, res, next) => {
+    // An unknown /api/v1 path falls through to here; it must not be served as a legacy path
+    if (req.path === '/v1' || req.path.startsWith('/v1/')) {
+        return next(new NotFoundError(`${req.method} ${req.originalUrl} is not available`, { code: 'ROUTE_NOT_FOUND' }));
+    }
+
+    const successor = `/api/v1${req.path}`;
+
+    res.set('Deprecation', `@${Math.floor(DEPRECATED_AT.getTime() / 1000)}`);
+    res.set('Sunset', SUNSET_AT.toUTCString());
+    res.append('Link', `<${successor}>; rel="successor-version"`);
+
+    if (recordLegacyUse(req.method, `/api${req.path}`)) {
+        console.warn(`Deprecated API path in use: ${req.method} /api${req.path} (use ${successor})`);
+    }
+
+    next();
+};
+
+module.exports = {
+    deprecateLegacyApi
+};
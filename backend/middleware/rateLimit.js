@@ -0,0 +1,59 @@
+const { getRouteLimits } = require('../config/rateLimits');
+const { getRateLimitStore } = require('../services/rateLimitStore');
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Who a request counts against in each scope; requests without an email skip the account limit
+const subjects = {
+    ip: (req) => req.ip,
+    account: (req) => (typeof req.body?.email === 'string' ? req.body.email.toLowerCase().trim() : null)
+};
+
+// Limit a route by the entry of the same name in config/rateLimits.js.
+// Answers 429 RATE_LIMITED with Retry-After once any of its scopes is used up.
+const rateLimit = (route) => {
+    const limits = getRouteLimits(route);
+
+    return async (req, res, next) => {
+        try {
+            const store = getRateLimitStore();
+            let tightest = null;
+
+            for (const [scope, { max, windowMs }] of Object.entries(limits)) {
+                const subject = subjects[scope](req);
+                if (!subject) continue;
+
+                const { count, resetAt } = await store.increment(`rate:${route}:${scope}:${subject}`, windowMs);
+                const remaining = max - count;
+
+                if (!tightest || remaining < tightest.remaining) {
+                    tightest = { scope, max, remaining, resetAt };
+                }
+            }
+
+            if (!tightest) {
+                return next();
+            }
+
+            // Overwrites the headers of any broader limiter that ran first, so clients see the one that binds
+            const resetIn = Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+            res.set('RateLimit-Limit', String(tightest.max));
+            res.set('RateLimit-Remaining', String(Math.max(0, tightest.remaining)));
+            res.set('RateLimit-Reset', String(resetIn));
+
+            if (tightest.remaining < 0) {
+                return next(new TooManyRequestsError('Too many requests, please try again later', {
+                    retryAfter: resetIn,
+                    details: { scope: tightest.scope }
+                }));
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+module.exports = {
+    rateLimit
+};
@@ -0,0 +1,37 @@
+const multer = require('multer');
+const { MAX_PHOTO_BYTES, ALLOWED_MIME_TYPES } = require('../services/photoService');
+const { BadRequestError } = require('../utils/errors');
+
+// Photos are kept in memory only long enough to validate and re-encode them
+const photoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_PHOTO_BYTES, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            error.message = `Only ${ALLOWED_MIME_TYPES.join(', ')} images are allowed`;
+            return callback(error);
+        }
+        callback(null, true);
+    }
+});
+
+// Wrap multer so its errors become the usual 400 INVALID_UPLOAD responses
+const uploadSinglePhoto = (fieldName) => (req, res, next) => {
+    photoUpload.single(fieldName)(req, res, (error) => {
+        if (!error) return next();
+
+        if (error instanceof multer.MulterError) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Photo must be at most ${Math.round(MAX_PHOTO_BYTES / 1024 / 1024)} MB`
+                : error.message;
+            return next(new BadRequestError(message, { code: 'INVALID_UPLOAD' }));
+        }
+
+        next(error);
+    });
+};
+
+module.exports = {
+    uploadSinglePhoto
+};
@@ -0,0 +1,17 @@
+const { validate } = require('ratings-app-shared');
+const { ValidationError } = require('../utils/errors');
+
+// Validate req.body against a schema from ratings-app-shared (the same rules the React forms use).
+// Fails with a 400 VALIDATION_FAILED whose `details` holds the per-field messages and whose
+// `message` is the first of them, for clients that show a single line.
+const validateBody = (schema, options = {}) => (req, res, next) => {
+    const result = validate(schema, req.body || {}, options);
+    if (result.valid) return next();
+
+    const [firstField] = Object.keys(result.errors);
+    return next(new ValidationError(result.errors[firstField][0], { details: result.errors }));
+};
+
+module.exports = {
+    validateBody
+};
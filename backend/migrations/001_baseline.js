@@ -0,0 +1,76 @@
+// Baseline: the users/stores/ratings schema the routes actually query.
+// Safe on databases created from the old schema.sql: tables are only created if missing, and the
+// columns that file never had (stores.overall_rating, ratings.comment) are added and backfilled.
+
+module.exports = {
+  up: async (connection, { addColumnIfMissing, createIndexIfMissing }) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(60) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        address VARCHAR(400) NOT NULL,
+        role ENUM('admin', 'user', 'store_owner') NOT NULL DEFAULT 'user',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (LENGTH(name) >= 2 AND LENGTH(name) <= 60),
+        CHECK (LENGTH(address) <= 400)
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS stores (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(60) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        address VARCHAR(400) NOT NULL,
+        owner_id INT,
+        overall_rating DECIMAL(3,2) NOT NULL DEFAULT 0.00,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ratings (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        store_id INT NOT NULL,
+        rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+        comment VARCHAR(500) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_user_store (user_id, store_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Missing from the old schema.sql even though ratingRoutes/userRoutes write to it
+    await addColumnIfMissing('stores', 'overall_rating', 'DECIMAL(3,2) NOT NULL DEFAULT 0.00 AFTER owner_id');
+    await addColumnIfMissing('ratings', 'comment', 'VARCHAR(500) NULL AFTER rating');
+
+    await createIndexIfMissing('users', 'idx_users_name', 'name');
+    await createIndexIfMissing('users', 'idx_users_email', 'email');
+    await createIndexIfMissing('users', 'idx_users_address', 'address');
+    await createIndexIfMissing('users', 'idx_users_role', 'role');
+    await createIndexIfMissing('stores', 'idx_stores_name', 'name');
+    await createIndexIfMissing('stores', 'idx_stores_email', 'email');
+    await createIndexIfMissing('stores', 'idx_stores_address', 'address');
+    await createIndexIfMissing('stores', 'idx_stores_owner', 'owner_id');
+    await createIndexIfMissing('ratings', 'idx_ratings_user', 'user_id');
+    await createIndexIfMissing('ratings', 'idx_ratings_store', 'store_id');
+
+    await connection.query(`
+      UPDATE stores s
+      SET overall_rating = COALESCE((SELECT ROUND(AVG(r.rating), 2) FROM ratings r WHERE r.store_id = s.id), 0)
+    `);
+  },
+
+  // Drops all core data. Only meant for tearing down development databases.
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS ratings');
+    await connection.query('DROP TABLE IF EXISTS stores');
+    await connection.query('DROP TABLE IF EXISTS users');
+  }
+};
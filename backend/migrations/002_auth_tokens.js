@@ -0,0 +1,40 @@
+// Refresh tokens and password reset tokens. Only SHA-256 hashes of the tokens are stored.
+
+module.exports = {
+  up: async (connection, { createIndexIfMissing }) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        family_id CHAR(36) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        replaced_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await createIndexIfMissing('refresh_tokens', 'idx_refresh_tokens_user', 'user_id');
+    await createIndexIfMissing('refresh_tokens', 'idx_refresh_tokens_family', 'family_id');
+    await createIndexIfMissing('password_reset_tokens', 'idx_password_reset_user', 'user_id');
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS password_reset_tokens');
+    await connection.query('DROP TABLE IF EXISTS refresh_tokens');
+  }
+};
@@ -0,0 +1,71 @@
+// Store categories, photos and owner edit requests awaiting admin review
+
+module.exports = {
+  up: async (connection, { createIndexIfMissing }) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(50) NOT NULL UNIQUE,
+        slug VARCHAR(60) NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS store_categories (
+        store_id INT NOT NULL,
+        category_id INT NOT NULL,
+        PRIMARY KEY (store_id, category_id),
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE,
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+      )
+    `);
+
+    // The files themselves live in the storage backend (see services/storage.js)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS store_photos (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        store_id INT NOT NULL,
+        storage_key VARCHAR(255) NOT NULL,
+        thumbnail_key VARCHAR(255) NOT NULL,
+        width INT NOT NULL,
+        height INT NOT NULL,
+        size_bytes INT NOT NULL,
+        uploaded_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE,
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Used when STORE_EDITS_REQUIRE_REVIEW=true
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS store_change_requests (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        store_id INT NOT NULL,
+        requested_by INT NOT NULL,
+        changes JSON NOT NULL,
+        status ENUM('pending', 'approved', 'rejected', 'superseded') NOT NULL DEFAULT 'pending',
+        reviewed_by INT NULL,
+        review_note VARCHAR(500) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reviewed_at DATETIME NULL,
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE,
+        FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    await createIndexIfMissing('store_categories', 'idx_store_categories_category', 'category_id');
+    await createIndexIfMissing('store_photos', 'idx_store_photos_store', 'store_id');
+    await createIndexIfMissing('store_change_requests', 'idx_store_change_requests_store', 'store_id, status');
+  },
+
+  // Photo rows are dropped, but their files stay in storage
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS store_change_requests');
+    await connection.query('DROP TABLE IF EXISTS store_photos');
+    await connection.query('DROP TABLE IF EXISTS store_categories');
+    await connection.query('DROP TABLE IF EXISTS categories');
+  }
+};
@@ -0,0 +1,38 @@
+// Store owner replies to ratings (one per rating) and in-app notifications
+
+module.exports = {
+  up: async (connection, { createIndexIfMissing }) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS rating_replies (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        rating_id INT NOT NULL UNIQUE,
+        owner_id INT NOT NULL,
+        body VARCHAR(1000) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (rating_id) REFERENCES ratings(id) ON DELETE CASCADE,
+        FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        message VARCHAR(255) NOT NULL,
+        data JSON NULL,
+        read_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await createIndexIfMissing('notifications', 'idx_notifications_user', 'user_id, read_at');
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS notifications');
+    await connection.query('DROP TABLE IF EXISTS rating_replies');
+  }
+};
@@ -0,0 +1,46 @@
+// The original users table allowed 2-character names while every validator required 20-60.
+// Replace the CHECK so the database enforces the same limits as ratings-app-shared/validation.js.
+// Values are written out literally: migrations must not change when the shared rules do.
+
+const findNameChecks = async (connection) => {
+  const [rows] = await connection.query(
+    `SELECT tc.CONSTRAINT_NAME AS name
+     FROM information_schema.TABLE_CONSTRAINTS tc
+     JOIN information_schema.CHECK_CONSTRAINTS cc
+       ON cc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND cc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+     WHERE tc.TABLE_SCHEMA = DATABASE() AND tc.TABLE_NAME = 'users' AND tc.CONSTRAINT_TYPE = 'CHECK'
+       AND cc.CHECK_CLAUSE LIKE '%name%'`
+  );
+  return rows.map(row => row.name);
+};
+
+const replaceNameCheck = async (connection, definition) => {
+  for (const name of await findNameChecks(connection)) {
+    await connection.query(`ALTER TABLE users DROP CHECK \`${name}\``);
+  }
+  await connection.query(`ALTER TABLE users ADD CONSTRAINT chk_users_name_length CHECK (${definition})`);
+};
+
+module.exports = {
+  up: async (connection) => {
+    // The CHECK counts surrounding spaces, which every validator trims, so trim stored names too.
+    // Names that are still too long are cut to 60 characters.
+    await connection.query('UPDATE users SET name = TRIM(name) WHERE CHAR_LENGTH(name) <> CHAR_LENGTH(TRIM(name))');
+    await connection.query('UPDATE users SET name = TRIM(LEFT(name, 60)) WHERE CHAR_LENGTH(name) > 60');
+
+    // There is nothing sensible to pad a short name with, so those need renaming by hand first
+    const [short] = await connection.query('SELECT id, name FROM users WHERE CHAR_LENGTH(name) < 20');
+    if (short.length > 0) {
+      const users = short.map(user => `  ${user.id}: "${user.name}"`).join('\n');
+      throw new Error(
+        `Names must be at least 20 characters. Rename these users (UPDATE users SET name = ... WHERE id = ...), then migrate again:\n${users}`
+      );
+    }
+
+    await replaceNameCheck(connection, 'CHAR_LENGTH(name) BETWEEN 20 AND 60');
+  },
+
+  down: async (connection) => {
+    await replaceNameCheck(connection, 'LENGTH(name) >= 2 AND LENGTH(name) <= 60');
+  }
+};
@@ -0,0 +1,26 @@
+// Instance-wide key/value settings. The first is setup_completed_at, which closes first-run setup for good.
+// Deployments that already have an admin are marked as set up.
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS app_settings (
+        setting_key VARCHAR(64) PRIMARY KEY,
+        setting_value VARCHAR(255) NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    const [admins] = await connection.query("SELECT id FROM users WHERE role = 'admin' LIMIT 1");
+    if (admins.length > 0) {
+      await connection.query(
+        'INSERT IGNORE INTO app_settings (setting_key, setting_value) VALUES (?, ?)',
+        ['setup_completed_at', new Date().toISOString()]
+      );
+    }
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS app_settings');
+  }
+};
@@ -0,0 +1,13 @@
+// Self-registered accounts start unverified until the emailed link is followed.
+// Accounts that existed before this migration are treated as verified.
+
+module.exports = {
+  up: async (connection, { addColumnIfMissing }) => {
+    await addColumnIfMissing('users', 'email_verified_at', 'DATETIME NULL');
+    await connection.query('UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL');
+  },
+
+  down: async (connection, { dropColumnIfExists }) => {
+    await dropColumnIfExists('users', 'email_verified_at');
+  }
+};
@@ -0,0 +1,31 @@
+// TOTP two-factor authentication. totp_secret is set during enrolment and only counts once
+// totp_enabled_at is; totp_last_step stops a code being replayed within its 30-second window.
+
+module.exports = {
+  up: async (connection, { addColumnIfMissing, createIndexIfMissing }) => {
+    await addColumnIfMissing('users', 'totp_secret', 'VARCHAR(64) NULL');
+    await addColumnIfMissing('users', 'totp_enabled_at', 'DATETIME NULL');
+    await addColumnIfMissing('users', 'totp_last_step', 'BIGINT NULL');
+
+    // Only SHA-256 hashes of the codes are stored
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL UNIQUE,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await createIndexIfMissing('two_factor_recovery_codes', 'idx_recovery_codes_user', 'user_id');
+  },
+
+  down: async (connection, { dropColumnIfExists }) => {
+    await connection.query('DROP TABLE IF EXISTS two_factor_recovery_codes');
+    await dropColumnIfExists('users', 'totp_last_step');
+    await dropColumnIfExists('users', 'totp_enabled_at');
+    await dropColumnIfExists('users', 'totp_secret');
+  }
+};
@@ -0,0 +1,35 @@
+// One row per login, shared by every refresh token rotated from it (the refresh token family).
+// Access tokens carry the session id, so revoking a session signs that device out straight away.
+
+module.exports = {
+  up: async (connection, { createIndexIfMissing }) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        family_id CHAR(36) NOT NULL UNIQUE,
+        user_agent VARCHAR(255) NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await createIndexIfMissing('user_sessions', 'idx_user_sessions_user', 'user_id');
+
+    // Logins from before sessions were recorded, so they show up and can be revoked
+    await connection.query(`
+      INSERT IGNORE INTO user_sessions (user_id, family_id, created_at, last_seen_at)
+      SELECT user_id, family_id, MIN(created_at), MAX(created_at)
+      FROM refresh_tokens
+      WHERE revoked_at IS NULL AND expires_at > NOW()
+      GROUP BY user_id, family_id
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS user_sessions');
+  }
+};
@@ -0,0 +1,33 @@
+// Audit trail of privileged changes made by admins and store owners.
+// actor_email and actor_role are copied so entries stay readable after the account is deleted.
+// entity_id is text because some targets are not rows (a locked-out email, a setting).
+// changes holds { before, after } for the fields that changed; details holds anything else worth keeping.
+
+module.exports = {
+  up: async (connection, { createIndexIfMissing }) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        actor_id INT NULL,
+        actor_email VARCHAR(100) NULL,
+        actor_role VARCHAR(20) NULL,
+        action VARCHAR(64) NOT NULL,
+        entity_type VARCHAR(32) NOT NULL,
+        entity_id VARCHAR(100) NULL,
+        changes JSON NULL,
+        details JSON NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    await createIndexIfMissing('audit_log', 'idx_audit_log_created', 'created_at');
+    await createIndexIfMissing('audit_log', 'idx_audit_log_actor', 'actor_id, created_at');
+    await createIndexIfMissing('audit_log', 'idx_audit_log_entity', 'entity_type, entity_id');
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS audit_log');
+  }
+};
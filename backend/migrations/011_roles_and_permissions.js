@@ -0,0 +1,83 @@
+// Roles as named bundles of permissions, and roles granted to users on top of their primary role.
+// users.role stays as the primary role; user_roles only lists the extra ones.
+// The built-in roles start with the permissions their hard-coded checks used to imply.
+
+const BUILT_IN_ROLES = [
+  {
+    name: 'admin',
+    label: 'Administrator',
+    description: 'Full access. Always holds every permission.',
+    permissions: [
+      'rating:write', 'store:edit:own', 'rating:reply:own', 'store:manage', 'category:manage',
+      'user:manage', 'role:manage', 'audit:read', 'settings:manage'
+    ]
+  },
+  {
+    name: 'user',
+    label: 'User',
+    description: 'Rates and reviews stores.',
+    permissions: ['rating:write']
+  },
+  {
+    name: 'store_owner',
+    label: 'Store Owner',
+    description: 'Manages their own stores and replies to their ratings.',
+    permissions: ['store:edit:own', 'rating:reply:own']
+  }
+];
+
+module.exports = {
+  up: async (connection, { createIndexIfMissing }) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(32) NOT NULL UNIQUE,
+        label VARCHAR(60) NOT NULL,
+        description VARCHAR(255) NULL,
+        is_system BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INT NOT NULL,
+        permission VARCHAR(64) NOT NULL,
+        PRIMARY KEY (role_id, permission),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_roles (
+        user_id INT NOT NULL,
+        role_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, role_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      )
+    `);
+
+    await createIndexIfMissing('user_roles', 'idx_user_roles_role', 'role_id');
+
+    for (const role of BUILT_IN_ROLES) {
+      await connection.query(
+        'INSERT IGNORE INTO roles (name, label, description, is_system) VALUES (?, ?, ?, TRUE)',
+        [role.name, role.label, role.description]
+      );
+      const [rows] = await connection.query('SELECT id FROM roles WHERE name = ?', [role.name]);
+      await connection.query(
+        'INSERT IGNORE INTO role_permissions (role_id, permission) VALUES ?',
+        [role.permissions.map(permission => [rows[0].id, permission])]
+      );
+    }
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS user_roles');
+    await connection.query('DROP TABLE IF EXISTS role_permissions');
+    await connection.query('DROP TABLE IF EXISTS roles');
+  }
+};
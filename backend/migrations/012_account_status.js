@@ -0,0 +1,23 @@
+// Account states. A suspension carries a reason and an expiry and lapses by itself once
+// suspended_until passes; a ban carries a reason and lasts until an admin lifts it.
+// ratings.hidden_at marks ratings left out of store averages, set when a ban asks for it.
+
+module.exports = {
+  up: async (connection, { addColumnIfMissing, createIndexIfMissing }) => {
+    await addColumnIfMissing('users', 'status', "ENUM('active', 'suspended', 'banned') NOT NULL DEFAULT 'active'");
+    await addColumnIfMissing('users', 'status_reason', 'VARCHAR(255) NULL');
+    await addColumnIfMissing('users', 'suspended_until', 'DATETIME NULL');
+    await addColumnIfMissing('users', 'status_changed_at', 'DATETIME NULL');
+    await addColumnIfMissing('ratings', 'hidden_at', 'DATETIME NULL');
+
+    await createIndexIfMissing('users', 'idx_users_status', 'status');
+  },
+
+  down: async (connection, { dropColumnIfExists }) => {
+    await dropColumnIfExists('ratings', 'hidden_at');
+    await dropColumnIfExists('users', 'status_changed_at');
+    await dropColumnIfExists('users', 'suspended_until');
+    await dropColumnIfExists('users', 'status_reason');
+    await dropColumnIfExists('users', 'status');
+  }
+};
@@ -0,0 +1,12 @@
+// Email changes made through PATCH /users/me wait in pending_email until the new address is
+// confirmed; users.email, which people sign in with, only changes then.
+
+module.exports = {
+  up: async (connection, { addColumnIfMissing }) => {
+    await addColumnIfMissing('users', 'pending_email', 'VARCHAR(255) NULL AFTER email');
+  },
+
+  down: async (connection, { dropColumnIfExists }) => {
+    await dropColumnIfExists('users', 'pending_email');
+  }
+};
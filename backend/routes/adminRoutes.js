@@ -2,32 +2,152 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const pool = require('../config/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ACCOUNT_STATUSES, schemas } = require('ratings-app-shared');
+const { validateBody } = require('../middleware/validate');
+const { emailTakenByOtherStore, applyStoreChanges } = require('../services/storeChangeService');
+const {
+    slugify,
+    parseCategoryFilter,
+    categoryFilterClause,
+    attachCategories,
+    findUnknownCategoryIds,
+    setStoreCategories,
+    parseCategoryIds
+} = require('../services/categoryService');
+const { removeStoredPhoto } = require('../services/photoService');
+const { getLegacyUsage } = require('../services/legacyApiUsage');
+const { listLockouts, clearLockout } = require('../services/loginLockout');
+const { getRequiredRoles, setRequiredRoles } = require('../services/twoFactorService');
+const {
+    ADMIN_ROLE,
+    isKnownPermission,
+    getUserAccess,
+    escalationError,
+    countUsersWithRole,
+    listRoles,
+    findRole,
+    findUnknownRoles,
+    setRolePermissions,
+    getGrantedRoles,
+    setGrantedRoles
+} = require('../services/permissionService');
+const { revokeAllSessions } = require('../services/sessionService');
+const {
+    liftExpiredSuspensions,
+    setAccountStatus,
+    setRatingsHidden,
+    recalculateStoreRatings
+} = require('../services/accountStatusService');
+const { recordAudit, listAuditLog, listAuditFacets } = require('../services/auditLog');
+const { BadRequestError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { sendSuccess } = require('../utils/response');
+const { parseJson } = require('../utils/json');
 
-// validation helpers
-const validateEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email) && email.length <= 255;
+// Verify that a user exists and may own stores, i.e. holds store:edit:own through one of their roles.
+// Returns { owner } on success or { error } holding the ApiError to pass to next().
+const checkStoreOwner = async (connection, ownerId) => {
+    const [ownerCheck] = await connection.query(
+        'SELECT id, name, role FROM users WHERE id = ?', 
+        [ownerId]
+    );
+    
+    if (ownerCheck.length === 0) {
+        return { error: new NotFoundError('The specified owner does not exist', { code: 'OWNER_NOT_FOUND' }) };
+    }
+    
+    const { permissions } = await getUserAccess(connection, ownerId, ownerCheck[0].role);
+    if (!permissions.includes('store:edit:own')) {
+        return {
+            error: new BadRequestError('The specified user cannot own stores', {
+                code: 'INVALID_OWNER_ROLE',
+                details: { userRole: ownerCheck[0].role }
+            })
+        };
+    }
+    
+    return { owner: ownerCheck[0] };
+};
+
+// Detach a store owner's stores before the account stops owning them.
+// 'orphan' leaves the stores unassigned, 'reassign' hands them to another store owner.
+const releaseOwnedStores = async (connection, userId, storeAction, reassignTo) => {
+    if (storeAction === 'reassign') {
+        const newOwnerId = parseInt(reassignTo);
+        
+        if (isNaN(newOwnerId) || newOwnerId <= 0 || newOwnerId === userId) {
+            return {
+                error: new BadRequestError('reassign_to must be the ID of a different store owner', {
+                    code: 'INVALID_REASSIGNMENT_TARGET'
+                })
+            };
+        }
+        
+        const ownerResult = await checkStoreOwner(connection, newOwnerId);
+        if (ownerResult.error) {
+            return ownerResult;
+        }
+        
+        const [result] = await connection.query(
+            'UPDATE stores SET owner_id = ? WHERE owner_id = ?',
+            [newOwnerId, userId]
+        );
+        return { storesAffected: result.affectedRows, reassignedTo: ownerResult.owner };
+    }
+    
+    const [result] = await connection.query(
+        'UPDATE stores SET owner_id = NULL WHERE owner_id = ?',
+        [userId]
+    );
+    return { storesAffected: result.affectedRows, reassignedTo: null };
 };
 
-const validatePassword = (password) => {
-    return /^(?=.*[A-Z])(?=.*[!@#$%^&*()_+\-=\[\]{};':"\\|,./<>?])(?=.{8,16}$)/.test(password);
+// Users holding the admin role, as their primary role or a granted one
+const countAdmins = (connection) => countUsersWithRole(connection, ADMIN_ROLE);
+
+// Admins other than userId who can still sign in. Call liftExpiredSuspensions first.
+const countOtherActiveAdmins = async (connection, userId) => {
+    const [rows] = await connection.query(
+        `SELECT COUNT(*) AS total FROM users u
+         WHERE u.id <> ? AND u.status = 'active'
+           AND (u.role = ? OR EXISTS (
+             SELECT 1 FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+             WHERE ur.user_id = u.id AND r.name = ?
+           ))`,
+        [userId, ADMIN_ROLE, ADMIN_ROLE]
+    );
+    return parseInt(rows[0].total);
 };
 
-const validateName = (name) => {
-    return name && name.trim().length >= 20 && name.trim().length <= 60;
+// Whether a change would take the last admin's admin role away
+const losesLastAdmin = async (connection, accessBefore, accessAfter) => (
+    accessBefore.roles.includes(ADMIN_ROLE) &&
+    !accessAfter.roles.includes(ADMIN_ROLE) &&
+    (await countAdmins(connection)) <= 1
+);
+
+// A list of distinct strings, or null when the value is not one
+const parseNameList = (value) => {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+        return null;
+    }
+    return [...new Set(value.map(item => item.trim()))];
 };
 
-const validateAddress = (address) => {
-    return address && address.trim().length >= 5 && address.trim().length <= 400;
+const parsePermissions = (value) => {
+    const permissions = parseNameList(value);
+    return permissions && permissions.every(isKnownPermission) ? permissions.sort() : null;
 };
 
-// Apply authentication and admin role to ALL admin routes
+const invalidPermissionsError = () => new BadRequestError('permissions must be a list of known permission names', {
+    code: 'INVALID_PERMISSIONS'
+});
+
+// Every admin route needs a signed-in user; each one then names the permission it needs
 router.use(authenticateToken);
-router.use(requireRole(['admin']));
 
 // Enhanced Admin Dashboard Stats
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission(['user:manage', 'store:manage']), async (req, res, next) => {
     let connection;
     try {
         connection = await pool.getConnection();
@@ -37,12 +157,12 @@ router.get('/dashboard', async (req, res) => {
             SELECT 
                 (SELECT COUNT(*) FROM users) as total_users,
                 (SELECT COUNT(*) FROM stores) as total_stores,
-                (SELECT COUNT(*) FROM ratings) as total_ratings,
+                (SELECT COUNT(*) FROM ratings WHERE hidden_at IS NULL) as total_ratings,
                 (SELECT COUNT(*) FROM users WHERE role = 'admin') as total_admins,
                 (SELECT COUNT(*) FROM users WHERE role = 'user') as total_normal_users,
                 (SELECT COUNT(*) FROM users WHERE role = 'store_owner') as total_store_owners,
                 (SELECT COUNT(*) FROM stores WHERE owner_id IS NULL) as unassigned_stores,
-                (SELECT ROUND(AVG(rating), 2) FROM ratings) as overall_average_rating
+                (SELECT ROUND(AVG(rating), 2) FROM ratings WHERE hidden_at IS NULL) as overall_average_rating
         `);
         
         // Get recent activities (last 5 users, stores, ratings)
@@ -66,6 +186,7 @@ router.get('/dashboard', async (req, res) => {
             FROM ratings r
             JOIN users u ON r.user_id = u.id
             JOIN stores s ON r.store_id = s.id
+            WHERE r.hidden_at IS NULL
             ORDER BY r.created_at DESC 
             LIMIT 5
         `);
@@ -74,88 +195,36 @@ router.get('/dashboard', async (req, res) => {
         const [ratingDistribution] = await connection.query(`
             SELECT rating, COUNT(*) as count
             FROM ratings
+            WHERE hidden_at IS NULL
             GROUP BY rating
             ORDER BY rating DESC
         `);
         
         console.log('Admin dashboard stats fetched successfully');
         
-        res.json({
-            success: true,
-            data: {
-                overview: basicStats[0],
-                recentActivity: {
-                    users: recentUsers,
-                    stores: recentStores,
-                    ratings: recentRatings
-                },
-                ratingDistribution: ratingDistribution
-            }
+        sendSuccess(res, {
+            overview: basicStats[0],
+            recentActivity: {
+                users: recentUsers,
+                stores: recentStores,
+                ratings: recentRatings
+            },
+            ratingDistribution: ratingDistribution
         });
         
     } catch (error) {
-        console.error('Dashboard error:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch dashboard data',
-            message: 'An error occurred while loading dashboard statistics'
-        });
+        next(error);
     } finally {
         if (connection) connection.release();
     }
 });
 
 // Enhanced Add User (Admin only)
-router.post('/users', async (req, res) => {
+router.post('/users', requirePermission('user:manage'), validateBody(schemas.user), async (req, res, next) => {
     const { name, email, password, address, role } = req.body;
-    const validRoles = ['user', 'admin', 'store_owner'];
     
     let connection;
     try {
-        // Comprehensive input validation
-        if (!name || !email || !password || !address || !role) {
-            return res.status(400).json({ 
-                error: 'Missing required fields',
-                message: 'All fields are required: name, email, password, address, role',
-                required: ['name', 'email', 'password', 'address', 'role']
-            });
-        }
-        
-        if (!validateName(name)) {
-            return res.status(400).json({ 
-                error: 'Invalid name',
-                message: 'Name must be 20-60 characters long'
-            });
-        }
-        
-        if (!validateEmail(email)) {
-            return res.status(400).json({ 
-                error: 'Invalid email',
-                message: 'Please provide a valid email address'
-            });
-        }
-        
-        if (!validatePassword(password)) {
-            return res.status(400).json({ 
-                error: 'Invalid password',
-                message: 'Password must be 8-16 characters with at least one uppercase letter and one special character'
-            });
-        }
-        
-        if (!validateAddress(address)) {
-            return res.status(400).json({ 
-                error: 'Invalid address',
-                message: 'Address must be 5-400 characters long'
-            });
-        }
-        
-        if (!validRoles.includes(role)) {
-            return res.status(400).json({ 
-                error: 'Invalid role',
-                message: 'Role must be one of: ' + validRoles.join(', '),
-                validRoles: validRoles
-            });
-        }
-        
         connection = await pool.getConnection();
         
         // Check if email already exists
@@ -165,10 +234,13 @@ router.post('/users', async (req, res) => {
         );
         
         if (existing.length > 0) {
-            return res.status(409).json({ 
-                error: 'Email already exists',
-                message: 'A user with this email address already exists'
-            });
+            return next(new ConflictError('A user with this email address already exists', { code: 'EMAIL_ALREADY_EXISTS' }));
+        }
+        
+        // What the new account would hold through its role alone
+        const escalation = escalationError(req.user, await getUserAccess(connection, null, role));
+        if (escalation) {
+            return next(escalation);
         }
         
         // Hash password with high salt rounds
@@ -176,79 +248,53 @@ router.post('/users', async (req, res) => {
         
         // Insert user
         const [result] = await connection.query(
-            'INSERT INTO users (name, email, password, address, role) VALUES (?, ?, ?, ?, ?)',
+            'INSERT INTO users (name, email, password, address, role, email_verified_at) VALUES (?, ?, ?, ?, ?, NOW())',
             [name.trim(), email.toLowerCase().trim(), hashedPassword, address.trim(), role]
         );
         
+        await recordAudit(connection, req, {
+            action: 'user.create',
+            entityType: 'user',
+            entityId: result.insertId,
+            after: { name: name.trim(), email: email.toLowerCase().trim(), address: address.trim(), role }
+        });
+        
         console.log('User created successfully:', { 
             insertId: result.insertId, 
             email: email.toLowerCase().trim(), 
             role 
         });
         
-        res.status(201).json({ 
-            success: true,
-            message: `${role.charAt(0).toUpperCase() + role.slice(1)} user created successfully`,
-            data: {
-                userId: result.insertId,
-                name: name.trim(),
-                email: email.toLowerCase().trim(),
-                role: role
-            }
+        sendSuccess(res, {
+            userId: result.insertId,
+            name: name.trim(),
+            email: email.toLowerCase().trim(),
+            role: role
+        }, {
+            status: 201,
+            message: `${role.charAt(0).toUpperCase() + role.slice(1)} user created successfully`
         });
         
     } catch (error) {
-        console.error('Add user error:', error);
-        res.status(500).json({ 
-            error: 'Failed to create user',
-            message: 'An error occurred while creating the user. Please try again.'
-        });
+        next(error);
     } finally {
         if (connection) connection.release();
     }
 });
 
 // Enhanced Add Store (Admin only)
-router.post('/stores', async (req, res) => {
-    const { name, email, address, owner_id } = req.body;
+router.post('/stores', requirePermission('store:manage'), validateBody(schemas.store), async (req, res, next) => {
+    const { name, email, address, owner_id, category_ids } = req.body;
     
     let connection;
     try {
-        // Input validation
-        if (!name || !email || !address) {
-            return res.status(400).json({ 
-                error: 'Missing required fields',
-                message: 'Name, email, and address are required',
-                required: ['name', 'email', 'address']
-            });
-        }
-        
-        if (!validateName(name)) {
-            return res.status(400).json({ 
-                error: 'Invalid store name',
-                message: 'Store name must be 20-60 characters long'
-            });
-        }
-        
-        if (!validateEmail(email)) {
-            return res.status(400).json({ 
-                error: 'Invalid email',
-                message: 'Please provide a valid email address'
-            });
-        }
-        
-        if (!validateAddress(address)) {
-            return res.status(400).json({ 
-                error: 'Invalid address',
-                message: 'Address must be 5-400 characters long'
-            });
+        if (owner_id && (isNaN(parseInt(owner_id)) || parseInt(owner_id) <= 0)) {
+            return next(new BadRequestError('Owner ID must be a positive integer', { code: 'INVALID_OWNER_ID' }));
         }
         
-        if (owner_id && (isNaN(parseInt(owner_id)) || parseInt(owner_id) <= 0)) {
-            return res.status(400).json({ 
-                error: 'Invalid owner ID',
-                message: 'Owner ID must be a positive integer'
-            });
+        const categoryIds = category_ids === undefined ? [] : parseCategoryIds(category_ids);
+        if (!categoryIds) {
+            return next(new BadRequestError('category_ids must be an array of positive integers', { code: 'INVALID_CATEGORY_IDS' }));
         }
         
         connection = await pool.getConnection();
@@ -261,36 +307,25 @@ router.post('/stores', async (req, res) => {
         );
         
         if (existing.length > 0) {
-            return res.status(409).json({ 
-                error: 'Store email already exists',
-                message: 'A store with this email address already exists'
-            });
+            return next(new ConflictError('A store with this email address already exists', { code: 'STORE_EMAIL_ALREADY_EXISTS' }));
         }
         
         // If owner_id provided, verify the user exists and is a store_owner
         let ownerInfo = null;
         if (owner_id) {
-            const [ownerCheck] = await connection.query(
-                'SELECT id, name, role FROM users WHERE id = ?', 
-                [parseInt(owner_id)]
-            );
-            
-            if (ownerCheck.length === 0) {
-                return res.status(404).json({ 
-                    error: 'Owner not found',
-                    message: 'The specified owner does not exist'
-                });
-            }
+            const ownerResult = await checkStoreOwner(connection, parseInt(owner_id));
             
-            if (ownerCheck[0].role !== 'store_owner') {
-                return res.status(400).json({ 
-                    error: 'Invalid owner role',
-                    message: 'The specified user is not a store owner',
-                    userRole: ownerCheck[0].role
-                });
+            if (ownerResult.error) {
+                return next(ownerResult.error);
             }
             
-            ownerInfo = ownerCheck[0];
+            ownerInfo = ownerResult.owner;
+        }
+        
+        const unknownCategories = await findUnknownCategoryIds(connection, categoryIds);
+        if (unknownCategories.length > 0) {
+            await connection.rollback();
+            return next(new BadRequestError(`No category with ID ${unknownCategories.join(', ')}`, { code: 'UNKNOWN_CATEGORIES' }));
         }
         
         // Insert store
@@ -299,6 +334,21 @@ router.post('/stores', async (req, res) => {
             [name.trim(), email.toLowerCase().trim(), address.trim(), owner_id ? parseInt(owner_id) : null]
         );
         
+        await setStoreCategories(connection, result.insertId, categoryIds);
+        
+        await recordAudit(connection, req, {
+            action: 'store.create',
+            entityType: 'store',
+            entityId: result.insertId,
+            after: {
+                name: name.trim(),
+                email: email.toLowerCase().trim(),
+                address: address.trim(),
+                owner_id: owner_id ? parseInt(owner_id) : null,
+                category_ids: categoryIds
+            }
+        });
+        
         await connection.commit();
         
         console.log('Store created successfully:', { 
@@ -308,33 +358,29 @@ router.post('/stores', async (req, res) => {
             owner: ownerInfo?.name || 'Unassigned'
         });
         
-        res.status(201).json({ 
-            success: true,
-            message: 'Store created successfully',
-            data: {
-                storeId: result.insertId,
-                name: name.trim(),
-                email: email.toLowerCase().trim(),
-                address: address.trim(),
-                owner: ownerInfo || null
-            }
+        sendSuccess(res, {
+            storeId: result.insertId,
+            name: name.trim(),
+            email: email.toLowerCase().trim(),
+            address: address.trim(),
+            owner: ownerInfo || null,
+            category_ids: categoryIds
+        }, {
+            status: 201,
+            message: 'Store created successfully'
         });
         
     } catch (error) {
         if (connection) await connection.rollback();
-        console.error('Add store error:', error);
-        res.status(500).json({ 
-            error: 'Failed to create store',
-            message: 'An error occurred while creating the store. Please try again.'
-        });
+        next(error);
     } finally {
         if (connection) connection.release();
     }
 });
 
 // List Users with enhanced filtering and sorting  
-router.get('/users', async (req, res) => {
-    const { name, email, address, role, sort, limit = 50, offset = 0 } = req.query;
+router.get('/users', requirePermission('user:manage'), async (req, res, next) => {
+    const { name, email, address, role, status, sort, limit = 50, offset = 0 } = req.query;
     
     let connection;
     try {
@@ -343,17 +389,11 @@ router.get('/users', async (req, res) => {
         const offsetNum = parseInt(offset);
         
         if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-            return res.status(400).json({ 
-                error: 'Invalid limit parameter',
-                message: 'Limit must be between 1 and 100'
-            });
+            return next(new BadRequestError('Limit must be between 1 and 100', { code: 'INVALID_LIMIT_PARAMETER' }));
         }
         
         if (isNaN(offsetNum) || offsetNum < 0) {
-            return res.status(400).json({ 
-                error: 'Invalid offset parameter',
-                message: 'Offset must be a non-negative number'
-            });
+            return next(new BadRequestError('Offset must be a non-negative number', { code: 'INVALID_OFFSET_PARAMETER' }));
         }
         
         let whereClause = 'WHERE 1=1';
@@ -372,14 +412,25 @@ router.get('/users', async (req, res) => {
             params.push(`%${address.trim()}%`);
         }
         if (role && role.trim()) {
-            whereClause += ' AND role = ?';
-            params.push(role.trim());
+            // Matches the primary role or a granted one
+            whereClause += ` AND (role = ? OR EXISTS (
+                SELECT 1 FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+                WHERE ur.user_id = users.id AND r.name = ?
+            ))`;
+            params.push(role.trim(), role.trim());
+        }
+        if (status && status.trim()) {
+            if (!ACCOUNT_STATUSES.includes(status.trim())) {
+                return next(new BadRequestError(`Status must be one of: ${ACCOUNT_STATUSES.join(', ')}`, { code: 'INVALID_STATUS_FILTER' }));
+            }
+            whereClause += ' AND status = ?';
+            params.push(status.trim());
         }
         
         let orderBy = 'ORDER BY name ASC';
         if (sort) {
             const [field, dir] = sort.split(':');
-            const validFields = ['name', 'email', 'address', 'role', 'created_at'];
+            const validFields = ['name', 'email', 'address', 'role', 'status', 'created_at'];
             const validDirs = ['asc', 'desc'];
             if (validFields.includes(field) && validDirs.includes(dir?.toLowerCase())) {
                 orderBy = `ORDER BY ${field} ${dir.toUpperCase()}`;
@@ -390,11 +441,18 @@ router.get('/users', async (req, res) => {
         params.push(limitNum, offsetNum);
         
         connection = await pool.getConnection();
+        await liftExpiredSuspensions(connection);
         
         const [rows] = await connection.query(
-            `SELECT id, name, email, address, role, created_at FROM users ${whereClause} ${orderBy} LIMIT ? OFFSET ?`,
+            `SELECT id, name, email, address, role, status, status_reason, suspended_until, created_at,
+                    (SELECT GROUP_CONCAT(r.name ORDER BY r.name) FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+                     WHERE ur.user_id = users.id) as granted_roles
+             FROM users ${whereClause} ${orderBy} LIMIT ? OFFSET ?`,
             params
         );
+        rows.forEach(row => {
+            row.granted_roles = row.granted_roles ? row.granted_roles.split(',') : [];
+        });
         
         // Get total count
         const countParams = params.slice(0, -2);
@@ -406,55 +464,56 @@ router.get('/users', async (req, res) => {
         const totalUsers = countResult[0].total;
         const hasMore = offsetNum + limitNum < totalUsers;
         
-        console.log(`Fetched ${rows.length}/${totalUsers} users with filters:`, { name, email, address, role, sort });
+        console.log(`Fetched ${rows.length}/${totalUsers} users with filters:`, { name, email, address, role, status, sort });
         
-        res.json({
-            success: true,
-            data: rows,
-            pagination: {
-                total: totalUsers,
-                limit: limitNum,
-                offset: offsetNum,
-                hasMore: hasMore
-            },
-            filters: { name, email, address, role, sort }
+        sendSuccess(res, rows, {
+            meta: {
+                pagination: {
+                    total: totalUsers,
+                    limit: limitNum,
+                    offset: offsetNum,
+                    hasMore: hasMore
+                },
+                filters: { name, email, address, role, status, sort }
+            }
         });
         
     } catch (error) {
-        console.error('List users error:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch users',
-            message: 'An error occurred while retrieving users'
-        });
+        next(error);
     } finally {
         if (connection) connection.release();
     }
 });
 
 // Get user by ID with enhanced details
-router.get('/users/:id', async (req, res) => {
+router.get('/users/:id', requirePermission('user:manage'), async (req, res, next) => {
     const userId = parseInt(req.params.id);
     
     if (isNaN(userId) || userId <= 0) {
-        return res.status(400).json({ error: 'Invalid user ID' });
+        return next(new BadRequestError('Invalid user ID', { code: 'INVALID_USER_ID' }));
     }
     
     let connection;
     try {
         connection = await pool.getConnection();
+        await liftExpiredSuspensions(connection);
         const [rows] = await connection.query(
-            'SELECT id, name, email, address, role, created_at FROM users WHERE id = ?',
+            `SELECT id, name, email, address, role, status, status_reason, suspended_until, status_changed_at, created_at, totp_enabled_at
+             FROM users WHERE id = ?`,
             [userId]
         );
         
         if (rows.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
+            return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
         }
         
         const user = rows[0];
+        const access = await getUserAccess(connection, userId, user.role);
+        user.granted_roles = await getGrantedRoles(connection, userId);
+        user.permissions = access.permissions;
         
-        // Get additional data based on role
-        if (user.role === 'store_owner') {
+        // Get additional data based on what the user can do
+        if (access.permissions.includes('store:edit:own')) {
             const [stores] = await connection.query(
                 'SELECT COUNT(*) as store_count FROM stores WHERE owner_id = ?',
                 [userId]
@@ -462,7 +521,7 @@ router.get('/users/:id', async (req, res) => {
             const [avgRating] = await connection.query(
                 `SELECT AVG(r.rating) as avg_rating, COUNT(r.id) as total_ratings 
                  FROM stores s 
-                 LEFT JOIN ratings r ON s.id = r.store_id 
+                 LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
                  WHERE s.owner_id = ?`,
                 [userId]
             );
@@ -470,174 +529,1812 @@ router.get('/users/:id', async (req, res) => {
             user.store_count = stores[0].store_count;
             user.average_rating = avgRating[0].avg_rating || 0;
             user.total_ratings = avgRating[0].total_ratings || 0;
-        } else if (user.role === 'user') {
+        }
+        if (access.permissions.includes('rating:write')) {
             const [userRatings] = await connection.query(
-                'SELECT COUNT(*) as rating_count FROM ratings WHERE user_id = ?',
+                `SELECT COUNT(*) as rating_count, COALESCE(SUM(hidden_at IS NOT NULL), 0) as hidden_rating_count
+                 FROM ratings WHERE user_id = ?`,
                 [userId]
             );
             user.rating_count = userRatings[0].rating_count;
+            user.hidden_rating_count = parseInt(userRatings[0].hidden_rating_count);
         }
         
         console.log('User details fetched:', { userId, role: user.role });
-        res.json({
-            success: true,
-            data: user
-        });
+        sendSuccess(res, user);
     } catch (error) {
-        console.error('Get user error:', error);
-        res.status(500).json({ error: 'Failed to fetch user details' });
+        next(error);
     } finally {
         if (connection) connection.release();
     }
 });
 
-// List stores with enhanced filtering and sorting
-router.get('/stores', async (req, res) => {
-    const { name, email, address, sort, limit = 50, offset = 0 } = req.query;
+// Preview what deleting (or demoting) a user would take with it
+router.get('/users/:id/deletion-impact', requirePermission('user:manage'), async (req, res, next) => {
+    const userId = parseInt(req.params.id);
+    
+    if (isNaN(userId) || userId <= 0) {
+        return next(new BadRequestError('Invalid user ID', { code: 'INVALID_USER_ID' }));
+    }
     
     let connection;
     try {
-        // Validate pagination
-        const limitNum = parseInt(limit);
-        const offsetNum = parseInt(offset);
+        connection = await pool.getConnection();
         
-        if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-            return res.status(400).json({ 
-                error: 'Invalid limit parameter',
-                message: 'Limit must be between 1 and 100'
-            });
+        const [rows] = await connection.query(
+            'SELECT id, name, email, role FROM users WHERE id = ?',
+            [userId]
+        );
+        
+        if (rows.length === 0) {
+            return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
         }
         
-        if (isNaN(offsetNum) || offsetNum < 0) {
-            return res.status(400).json({ 
-                error: 'Invalid offset parameter',
-                message: 'Offset must be a non-negative number'
-            });
+        const user = rows[0];
+        
+        const [ratingCount] = await connection.query(
+            'SELECT COUNT(*) as ratings_count FROM ratings WHERE user_id = ?',
+            [userId]
+        );
+        
+        const [ownedStores] = await connection.query(
+            'SELECT id, name FROM stores WHERE owner_id = ? ORDER BY name ASC',
+            [userId]
+        );
+        
+        const { roles } = await getUserAccess(connection, userId, user.role);
+        const isLastAdmin = roles.includes(ADMIN_ROLE) && (await countAdmins(connection)) <= 1;
+        
+        sendSuccess(res, {
+            user,
+            ratings_count: ratingCount[0].ratings_count,
+            owned_stores: ownedStores,
+            is_last_admin: isLastAdmin,
+            is_self: user.id === req.user.id
+        });
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Update user (Admin only)
+router.put('/users/:id', requirePermission('user:manage'), validateBody(schemas.user, { partial: true }), async (req, res, next) => {
+    const userId = parseInt(req.params.id);
+    const { name, email, address, role, password, store_action = 'orphan', reassign_to } = req.body;
+    
+    if (isNaN(userId) || userId <= 0) {
+        return next(new BadRequestError('Invalid user ID', { code: 'INVALID_USER_ID' }));
+    }
+    
+    if ([name, email, address, role, password].every(value => value === undefined)) {
+        return next(new BadRequestError('Provide at least one of: name, email, address, role, password', {
+            code: 'NO_FIELDS_TO_UPDATE'
+        }));
+    }
+    
+    if (!['orphan', 'reassign'].includes(store_action)) {
+        return next(new BadRequestError('store_action must be either orphan or reassign', { code: 'INVALID_STORE_ACTION' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const [rows] = await connection.query(
+            'SELECT id, name, email, address, role FROM users WHERE id = ? FOR UPDATE',
+            [userId]
+        );
+        
+        if (rows.length === 0) {
+            await connection.rollback();
+            return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
         }
         
-        let whereClause = 'WHERE 1=1';
+        const existingUser = rows[0];
+        const updates = [];
         const params = [];
         
-        if (name && name.trim()) {
-            whereClause += ' AND s.name LIKE ?';
-            params.push(`%${name.trim()}%`);
+        if (email !== undefined && email.toLowerCase().trim() !== existingUser.email) {
+            const [existing] = await connection.query(
+                'SELECT id FROM users WHERE email = ? AND id <> ?',
+                [email.toLowerCase().trim(), userId]
+            );
+            
+            if (existing.length > 0) {
+                await connection.rollback();
+                return next(new ConflictError('A user with this email address already exists', { code: 'EMAIL_ALREADY_EXISTS' }));
+            }
         }
-        if (email && email.trim()) {
-            whereClause += ' AND s.email LIKE ?';
-            params.push(`%${email.trim()}%`);
+        
+        const roleChanging = role !== undefined && role !== existingUser.role;
+        let storeChanges = null;
+        
+        // Granted roles stay, so changing the primary role only matters for what it alone provided
+        const accessBefore = await getUserAccess(connection, userId, existingUser.role);
+        const accessAfter = roleChanging ? await getUserAccess(connection, userId, role) : accessBefore;
+        
+        // Covers password resets too: nobody may take over an account that holds more than they do
+        const escalation = escalationError(req.user, accessBefore) || escalationError(req.user, accessAfter);
+        if (escalation) {
+            await connection.rollback();
+            return next(escalation);
         }
-        if (address && address.trim()) {
-            whereClause += ' AND s.address LIKE ?';
-            params.push(`%${address.trim()}%`);
+        
+        if (await losesLastAdmin(connection, accessBefore, accessAfter)) {
+            await connection.rollback();
+            return next(new ConflictError('The last remaining admin cannot be demoted', { code: 'LAST_ADMIN' }));
         }
         
-        let orderBy = 'ORDER BY s.name ASC';
-        if (sort) {
-            const [field, dir] = sort.split(':');
-            const validFields = ['name', 'email', 'address'];
-            const validDirs = ['asc', 'desc'];
-            if (validFields.includes(field) && validDirs.includes(dir?.toLowerCase())) {
-                orderBy = `ORDER BY s.${field} ${dir.toUpperCase()}`;
-            } else if (field === 'rating') {
-                orderBy = `ORDER BY rating ${dir?.toUpperCase() || 'DESC'}`;
+        if (accessBefore.permissions.includes('store:edit:own') && !accessAfter.permissions.includes('store:edit:own')) {
+            storeChanges = await releaseOwnedStores(connection, userId, store_action, reassign_to);
+            
+            if (storeChanges.error) {
+                await connection.rollback();
+                return next(storeChanges.error);
             }
         }
         
-        // Add pagination
-        params.push(limitNum, offsetNum);
-        
-        connection = await pool.getConnection();
+        if (name !== undefined) {
+            updates.push('name = ?');
+            params.push(name.trim());
+        }
+        if (email !== undefined) {
+            // An address set by an admin replaces any change the user was still confirming
+            updates.push('email = ?', 'pending_email = NULL');
+            params.push(email.toLowerCase().trim());
+        }
+        if (address !== undefined) {
+            updates.push('address = ?');
+            params.push(address.trim());
+        }
+        if (role !== undefined) {
+            updates.push('role = ?');
+            params.push(role);
+        }
+        if (password !== undefined) {
+            updates.push('password = ?');
+            params.push(await bcrypt.hash(password, 12));
+        }
         
-        const [rows] = await connection.query(
-            `SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at,
-             COALESCE(ROUND(AVG(r.rating), 2), 0) as rating,
-             COUNT(r.id) as rating_count,
-             u.name as owner_name
-             FROM stores s 
-             LEFT JOIN ratings r ON s.id = r.store_id 
-             LEFT JOIN users u ON s.owner_id = u.id
-             ${whereClause} 
-             GROUP BY s.id, s.name, s.email, s.address, s.owner_id, s.created_at, u.name
-             ${orderBy}
-             LIMIT ? OFFSET ?`,
+        params.push(userId);
+        await connection.query(
+            `UPDATE users SET ${updates.join(', ')} WHERE id = ?`,
             params
         );
         
-        // Get total count
-        const countParams = params.slice(0, -2);
-        const [countResult] = await connection.query(
-            `SELECT COUNT(DISTINCT s.id) as total
-             FROM stores s 
-             LEFT JOIN ratings r ON s.id = r.store_id 
-             LEFT JOIN users u ON s.owner_id = u.id
-             ${whereClause}`,
-            countParams
-        );
+        // A granted role that becomes the primary role no longer needs its grant
+        if (roleChanging) {
+            await setGrantedRoles(connection, userId, accessBefore.roles.slice(1).filter(name => name !== role));
+        }
         
-        const totalStores = countResult[0].total;
-        const hasMore = offsetNum + limitNum < totalStores;
+        await recordAudit(connection, req, {
+            action: 'user.update',
+            entityType: 'user',
+            entityId: userId,
+            before: existingUser,
+            after: {
+                ...(name !== undefined && { name: name.trim() }),
+                ...(email !== undefined && { email: email.toLowerCase().trim() }),
+                ...(address !== undefined && { address: address.trim() }),
+                ...(role !== undefined && { role }),
+                ...(password !== undefined && { password })
+            },
+            details: storeChanges ? {
+                storeAction: store_action,
+                storesAffected: storeChanges.storesAffected,
+                reassignedTo: storeChanges.reassignedTo?.id || null
+            } : null
+        });
         
-        console.log(`Fetched ${rows.length}/${totalStores} stores with filters:`, { name, email, address, sort });
+        await connection.commit();
         
-        res.json({
-            success: true,
-            data: rows,
-            pagination: {
-                total: totalStores,
-                limit: limitNum,
-                offset: offsetNum,
-                hasMore: hasMore
-            },
-            filters: { name, email, address, sort }
+        const [updated] = await connection.query(
+            'SELECT id, name, email, address, role, created_at FROM users WHERE id = ?',
+            [userId]
+        );
+        
+        console.log('User updated successfully:', { 
+            userId, 
+            roleChange: roleChanging ? `${existingUser.role} -> ${role}` : null,
+            storesAffected: storeChanges?.storesAffected || 0
         });
         
-    } catch (error) {
-        console.error('List stores error:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch stores',
-            message: 'An error occurred while retrieving stores'
+        sendSuccess(res, {
+            user: updated[0],
+            stores: storeChanges ? {
+                action: store_action,
+                affected: storeChanges.storesAffected,
+                reassignedTo: storeChanges.reassignedTo
+            } : null
+        }, {
+            message: 'User updated successfully'
         });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
     } finally {
         if (connection) connection.release();
     }
 });
 
-// Get store by ID.
-router.get('/stores/:id', async (req, res) => {
-    const storeId = parseInt(req.params.id);
+// Delete user (Admin only). Ratings cascade; owned stores are orphaned unless reassigned.
+router.delete('/users/:id', requirePermission('user:manage'), async (req, res, next) => {
+    const userId = parseInt(req.params.id);
+    const { store_action = 'orphan', reassign_to } = req.query;
     
-    if (isNaN(storeId) || storeId <= 0) {
-        return res.status(400).json({ error: 'Invalid store ID' });
+    if (isNaN(userId) || userId <= 0) {
+        return next(new BadRequestError('Invalid user ID', { code: 'INVALID_USER_ID' }));
+    }
+    
+    if (userId === req.user.id) {
+        return next(new BadRequestError('Admins cannot delete their own account', { code: 'CANNOT_DELETE_OWN_ACCOUNT' }));
+    }
+    
+    if (!['orphan', 'reassign'].includes(store_action)) {
+        return next(new BadRequestError('store_action must be either orphan or reassign', { code: 'INVALID_STORE_ACTION' }));
     }
     
     let connection;
     try {
         connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
         const [rows] = await connection.query(
-            `SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at,
-             COALESCE(AVG(r.rating), 0) as average_rating,
-             COUNT(r.id) as total_ratings,
-             u.name as owner_name, u.email as owner_email
-             FROM stores s 
-             LEFT JOIN ratings r ON s.id = r.store_id 
-             LEFT JOIN users u ON s.owner_id = u.id
-             WHERE s.id = ?
-             GROUP BY s.id, s.name, s.email, s.address, s.owner_id, s.created_at, u.name, u.email`,
-            [storeId]
+            'SELECT id, name, email, role FROM users WHERE id = ? FOR UPDATE',
+            [userId]
         );
         
         if (rows.length === 0) {
-            return res.status(404).json({ error: 'Store not found' });
+            await connection.rollback();
+            return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
         }
         
-        console.log('Store details fetched:', { storeId, name: rows[0].name });
-        res.json({
-            success: true,
-            data: rows[0]
+        const user = rows[0];
+        const access = await getUserAccess(connection, userId, user.role);
+        
+        const escalation = escalationError(req.user, access);
+        if (escalation) {
+            await connection.rollback();
+            return next(escalation);
+        }
+        
+        if (access.roles.includes(ADMIN_ROLE) && (await countAdmins(connection)) <= 1) {
+            await connection.rollback();
+            return next(new ConflictError('The last remaining admin cannot be deleted', { code: 'LAST_ADMIN' }));
+        }
+        
+        let storeChanges = { storesAffected: 0, reassignedTo: null };
+        if (access.permissions.includes('store:edit:own')) {
+            storeChanges = await releaseOwnedStores(connection, userId, store_action, reassign_to);
+            
+            if (storeChanges.error) {
+                await connection.rollback();
+                return next(storeChanges.error);
+            }
+        }
+        
+        const [ratingCount] = await connection.query(
+            'SELECT COUNT(*) as ratings_count FROM ratings WHERE user_id = ?',
+            [userId]
+        );
+        
+        // The ratings go with the user (ON DELETE CASCADE), so the stores they rated need new averages
+        const [ratedStores] = await connection.query(
+            'SELECT DISTINCT store_id FROM ratings WHERE user_id = ?',
+            [userId]
+        );
+        
+        await connection.query('DELETE FROM users WHERE id = ?', [userId]);
+        await recalculateStoreRatings(connection, ratedStores.map(row => row.store_id));
+        
+        await recordAudit(connection, req, {
+            action: 'user.delete',
+            entityType: 'user',
+            entityId: userId,
+            before: user,
+            details: {
+                ratingsRemoved: ratingCount[0].ratings_count,
+                storeAction: store_action,
+                storesAffected: storeChanges.storesAffected,
+                reassignedTo: storeChanges.reassignedTo?.id || null
+            }
+        });
+        
+        await connection.commit();
+        
+        console.log('User deleted successfully:', { 
+            userId, 
+            email: user.email,
+            ratingsRemoved: ratingCount[0].ratings_count,
+            storesAffected: storeChanges.storesAffected
+        });
+        
+        sendSuccess(res, {
+            userId,
+            ratingsRemoved: ratingCount[0].ratings_count,
+            stores: {
+                action: store_action,
+                affected: storeChanges.storesAffected,
+                reassignedTo: storeChanges.reassignedTo
+            }
+        }, {
+            message: 'User deleted successfully'
         });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// List owner-submitted store edits (pending ones by default)
+router.get('/store-change-requests', requirePermission('store:manage'), async (req, res, next) => {
+    const { status = 'pending', limit = 50, offset = 0 } = req.query;
+    const validStatuses = ['pending', 'approved', 'rejected', 'superseded'];
+    
+    if (!validStatuses.includes(status)) {
+        return next(new BadRequestError(`Status must be one of: ${validStatuses.join(', ')}`, { code: 'INVALID_STATUS' }));
+    }
+    
+    const limitNum = parseInt(limit);
+    const offsetNum = parseInt(offset);
+    
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100 || isNaN(offsetNum) || offsetNum < 0) {
+        return next(new BadRequestError('Limit must be between 1 and 100 and offset must be non-negative', {
+            code: 'INVALID_PAGINATION'
+        }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const [requests] = await connection.query(
+            `SELECT cr.id, cr.store_id, cr.changes, cr.status, cr.review_note, cr.created_at, cr.reviewed_at,
+             s.name as store_name, s.email as store_email, s.address as store_address,
+             u.id as requested_by, u.name as requested_by_name
+             FROM store_change_requests cr
+             JOIN stores s ON cr.store_id = s.id
+             JOIN users u ON cr.requested_by = u.id
+             WHERE cr.status = ?
+             ORDER BY cr.created_at ASC
+             LIMIT ? OFFSET ?`,
+            [status, limitNum, offsetNum]
+        );
+        
+        const [countResult] = await connection.query(
+            'SELECT COUNT(*) as total FROM store_change_requests WHERE status = ?',
+            [status]
+        );
+        
+        const total = countResult[0].total;
+        
+        sendSuccess(res, requests.map(request => ({ ...request, changes: parseJson(request.changes) })), {
+            meta: {
+                pagination: {
+                    total,
+                    limit: limitNum,
+                    offset: offsetNum,
+                    hasMore: offsetNum + limitNum < total
+                }
+            }
+        });
+        
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Approve or reject a pending owner edit. Approval applies the changes to the store.
+router.post('/store-change-requests/:id/:decision', requirePermission('store:manage'), async (req, res, next) => {
+    const requestId = parseInt(req.params.id);
+    const { decision } = req.params;
+    const { note } = req.body;
+    
+    if (isNaN(requestId) || requestId <= 0) {
+        return next(new BadRequestError('Invalid change request ID', { code: 'INVALID_CHANGE_REQUEST_ID' }));
+    }
+    
+    if (!['approve', 'reject'].includes(decision)) {
+        return next(new NotFoundError('Use /approve or /reject', { code: 'ENDPOINT_NOT_FOUND' }));
+    }
+    
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+        return next(new BadRequestError('Review note must be text of at most 500 characters', { code: 'INVALID_NOTE' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const [rows] = await connection.query(
+            "SELECT id, store_id, changes FROM store_change_requests WHERE id = ? AND status = 'pending' FOR UPDATE",
+            [requestId]
+        );
+        
+        if (rows.length === 0) {
+            await connection.rollback();
+            return next(new NotFoundError('No pending change request with this ID', { code: 'CHANGE_REQUEST_NOT_FOUND' }));
+        }
+        
+        const changeRequest = rows[0];
+        const changes = parseJson(changeRequest.changes);
+        let storeBefore = null;
+        
+        if (decision === 'approve') {
+            if (changes.email && await emailTakenByOtherStore(connection, changeRequest.store_id, changes.email)) {
+                await connection.rollback();
+                return next(new ConflictError('Another store now uses this email address. Reject the request instead.', {
+                    code: 'STORE_EMAIL_ALREADY_EXISTS'
+                }));
+            }
+            
+            const [storeRows] = await connection.query(
+                'SELECT name, email, address FROM stores WHERE id = ?',
+                [changeRequest.store_id]
+            );
+            storeBefore = storeRows[0];
+            
+            await applyStoreChanges(connection, changeRequest.store_id, changes);
+        }
+        
+        await connection.query(
+            'UPDATE store_change_requests SET status = ?, reviewed_by = ?, review_note = ?, reviewed_at = NOW() WHERE id = ?',
+            [decision === 'approve' ? 'approved' : 'rejected', req.user.id, note ? note.trim() : null, requestId]
+        );
+        
+        await recordAudit(connection, req, {
+            action: decision === 'approve' ? 'store.change_request_approve' : 'store.change_request_reject',
+            entityType: 'store',
+            entityId: changeRequest.store_id,
+            before: storeBefore,
+            after: storeBefore ? changes : null,
+            details: {
+                changeRequestId: requestId,
+                note: note ? note.trim() : null,
+                ...(decision === 'reject' && { requestedChanges: changes })
+            }
+        });
+        
+        await connection.commit();
+        
+        console.log(`Store change request ${requestId} ${decision}d by admin ${req.user.id}`);
+        
+        sendSuccess(res, {
+            id: requestId,
+            store_id: changeRequest.store_id,
+            status: decision === 'approve' ? 'approved' : 'rejected',
+            changes
+        }, {
+            message: decision === 'approve' ? 'Changes approved and published' : 'Changes rejected'
+        });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Assign every unassigned store (or a chosen subset of them) to one store owner
+router.post('/stores/assign-unassigned', requirePermission('store:manage'), async (req, res, next) => {
+    const { owner_id, store_ids } = req.body;
+    const ownerId = parseInt(owner_id);
+    
+    if (isNaN(ownerId) || ownerId <= 0) {
+        return next(new BadRequestError('Owner ID must be a positive integer', { code: 'INVALID_OWNER_ID' }));
+    }
+    
+    if (store_ids !== undefined && (!Array.isArray(store_ids) || store_ids.some(id => isNaN(parseInt(id)) || parseInt(id) <= 0))) {
+        return next(new BadRequestError('store_ids must be an array of positive integers', { code: 'INVALID_STORE_IDS' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const ownerResult = await checkStoreOwner(connection, ownerId);
+        if (ownerResult.error) {
+            await connection.rollback();
+            return next(ownerResult.error);
+        }
+        
+        let query = 'UPDATE stores SET owner_id = ? WHERE owner_id IS NULL';
+        const params = [ownerId];
+        
+        if (store_ids !== undefined) {
+            if (store_ids.length === 0) {
+                await connection.rollback();
+                return next(new BadRequestError('store_ids cannot be empty', { code: 'INVALID_STORE_IDS' }));
+            }
+            query += ' AND id IN (?)';
+            params.push(store_ids.map(id => parseInt(id)));
+        }
+        
+        const [result] = await connection.query(query, params);
+        
+        await recordAudit(connection, req, {
+            action: 'store.assign_unassigned',
+            entityType: 'store',
+            details: {
+                ownerId,
+                storeIds: store_ids !== undefined ? store_ids.map(id => parseInt(id)) : 'all unassigned',
+                assigned: result.affectedRows
+            }
+        });
+        
+        await connection.commit();
+        
+        console.log('Unassigned stores assigned:', { ownerId, assigned: result.affectedRows });
+        
+        sendSuccess(res, {
+            assigned: result.affectedRows,
+            owner: ownerResult.owner
+        }, {
+            message: `${result.affectedRows} store${result.affectedRows === 1 ? '' : 's'} assigned to ${ownerResult.owner.name}`
+        });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// List stores with enhanced filtering and sorting
+router.get('/stores', requirePermission('store:manage'), async (req, res, next) => {
+    const { name, email, address, category, sort, limit = 50, offset = 0 } = req.query;
+    const categorySlugs = parseCategoryFilter(category);
+    
+    let connection;
+    try {
+        // Validate pagination
+        const limitNum = parseInt(limit);
+        const offsetNum = parseInt(offset);
+        
+        if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+            return next(new BadRequestError('Limit must be between 1 and 100', { code: 'INVALID_LIMIT_PARAMETER' }));
+        }
+        
+        if (isNaN(offsetNum) || offsetNum < 0) {
+            return next(new BadRequestError('Offset must be a non-negative number', { code: 'INVALID_OFFSET_PARAMETER' }));
+        }
+        
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+        
+        if (name && name.trim()) {
+            whereClause += ' AND s.name LIKE ?';
+            params.push(`%${name.trim()}%`);
+        }
+        if (email && email.trim()) {
+            whereClause += ' AND s.email LIKE ?';
+            params.push(`%${email.trim()}%`);
+        }
+        if (address && address.trim()) {
+            whereClause += ' AND s.address LIKE ?';
+            params.push(`%${address.trim()}%`);
+        }
+        
+        const categoryFilter = categoryFilterClause(categorySlugs);
+        whereClause += categoryFilter.clause;
+        params.push(...categoryFilter.params);
+        
+        let orderBy = 'ORDER BY s.name ASC';
+        if (sort) {
+            const [field, dir] = sort.split(':');
+            const validFields = ['name', 'email', 'address'];
+            const validDirs = ['asc', 'desc'];
+            if (validFields.includes(field) && validDirs.includes(dir?.toLowerCase())) {
+                orderBy = `ORDER BY s.${field} ${dir.toUpperCase()}`;
+            } else if (field === 'rating') {
+                orderBy = `ORDER BY rating ${dir?.toUpperCase() || 'DESC'}`;
+            }
+        }
+        
+        // Add pagination
+        params.push(limitNum, offsetNum);
+        
+        connection = await pool.getConnection();
+        
+        const [rows] = await connection.query(
+            `SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at,
+             COALESCE(ROUND(AVG(r.rating), 2), 0) as rating,
+             COUNT(r.id) as rating_count,
+             u.name as owner_name
+             FROM stores s 
+             LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
+             LEFT JOIN users u ON s.owner_id = u.id
+             ${whereClause} 
+             GROUP BY s.id, s.name, s.email, s.address, s.owner_id, s.created_at, u.name
+             ${orderBy}
+             LIMIT ? OFFSET ?`,
+            params
+        );
+        
+        // Get total count
+        const countParams = params.slice(0, -2);
+        const [countResult] = await connection.query(
+            `SELECT COUNT(DISTINCT s.id) as total
+             FROM stores s 
+             LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
+             LEFT JOIN users u ON s.owner_id = u.id
+             ${whereClause}`,
+            countParams
+        );
+        
+        await attachCategories(connection, rows);
+        
+        const totalStores = countResult[0].total;
+        const hasMore = offsetNum + limitNum < totalStores;
+        
+        console.log(`Fetched ${rows.length}/${totalStores} stores with filters:`, { name, email, address, category: categorySlugs, sort });
+        
+        sendSuccess(res, rows, {
+            meta: {
+                pagination: {
+                    total: totalStores,
+                    limit: limitNum,
+                    offset: offsetNum,
+                    hasMore: hasMore
+                },
+                filters: { name, email, address, category: categorySlugs, sort }
+            }
+        });
+        
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Get store by ID.
+router.get('/stores/:id', requirePermission('store:manage'), async (req, res, next) => {
+    const storeId = parseInt(req.params.id);
+    
+    if (isNaN(storeId) || storeId <= 0) {
+        return next(new BadRequestError('Invalid store ID', { code: 'INVALID_STORE_ID' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.query(
+            `SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at,
+             COALESCE(AVG(r.rating), 0) as average_rating,
+             COUNT(r.id) as total_ratings,
+             u.name as owner_name, u.email as owner_email
+             FROM stores s 
+             LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
+             LEFT JOIN users u ON s.owner_id = u.id
+             WHERE s.id = ?
+             GROUP BY s.id, s.name, s.email, s.address, s.owner_id, s.created_at, u.name, u.email`,
+            [storeId]
+        );
+        
+        if (rows.length === 0) {
+            return next(new NotFoundError('Store not found', { code: 'STORE_NOT_FOUND' }));
+        }
+        
+        await attachCategories(connection, rows);
+        
+        console.log('Store details fetched:', { storeId, name: rows[0].name });
+        sendSuccess(res, rows[0]);
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Update store details and/or reassign its owner (owner_id: null unassigns)
+router.put('/stores/:id', requirePermission('store:manage'), validateBody(schemas.store, { partial: true }), async (req, res, next) => {
+    const storeId = parseInt(req.params.id);
+    const { name, email, address, owner_id, category_ids } = req.body;
+    
+    if (isNaN(storeId) || storeId <= 0) {
+        return next(new BadRequestError('Invalid store ID', { code: 'INVALID_STORE_ID' }));
+    }
+    
+    if ([name, email, address, owner_id, category_ids].every(value => value === undefined)) {
+        return next(new BadRequestError('Provide at least one of: name, email, address, owner_id, category_ids', {
+            code: 'NO_FIELDS_TO_UPDATE'
+        }));
+    }
+    
+    const categoryIds = category_ids === undefined ? null : parseCategoryIds(category_ids);
+    if (category_ids !== undefined && !categoryIds) {
+        return next(new BadRequestError('category_ids must be an array of positive integers', { code: 'INVALID_CATEGORY_IDS' }));
+    }
+    
+    if (owner_id !== undefined && owner_id !== null && owner_id !== '' && (isNaN(parseInt(owner_id)) || parseInt(owner_id) <= 0)) {
+        return next(new BadRequestError('Owner ID must be a positive integer', { code: 'INVALID_OWNER_ID' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const [rows] = await connection.query(
+            'SELECT id, name, email, address, owner_id FROM stores WHERE id = ? FOR UPDATE',
+            [storeId]
+        );
+        
+        if (rows.length === 0) {
+            await connection.rollback();
+            return next(new NotFoundError('Store not found', { code: 'STORE_NOT_FOUND' }));
+        }
+        
+        const updates = [];
+        const params = [];
+        
+        if (email !== undefined) {
+            const [existing] = await connection.query(
+                'SELECT id FROM stores WHERE email = ? AND id <> ?',
+                [email.toLowerCase().trim(), storeId]
+            );
+            
+            if (existing.length > 0) {
+                await connection.rollback();
+                return next(new ConflictError('A store with this email address already exists', {
+                    code: 'STORE_EMAIL_ALREADY_EXISTS'
+                }));
+            }
+            
+            updates.push('email = ?');
+            params.push(email.toLowerCase().trim());
+        }
+        
+        let ownerInfo = null;
+        if (owner_id !== undefined) {
+            if (owner_id) {
+                const ownerResult = await checkStoreOwner(connection, parseInt(owner_id));
+                
+                if (ownerResult.error) {
+                    await connection.rollback();
+                    return next(ownerResult.error);
+                }
+                
+                ownerInfo = ownerResult.owner;
+            }
+            
+            updates.push('owner_id = ?');
+            params.push(owner_id ? parseInt(owner_id) : null);
+        }
+        
+        if (name !== undefined) {
+            updates.push('name = ?');
+            params.push(name.trim());
+        }
+        if (address !== undefined) {
+            updates.push('address = ?');
+            params.push(address.trim());
+        }
+        
+        let previousCategoryIds = null;
+        if (categoryIds) {
+            const unknownCategories = await findUnknownCategoryIds(connection, categoryIds);
+            if (unknownCategories.length > 0) {
+                await connection.rollback();
+                return next(new BadRequestError(`No category with ID ${unknownCategories.join(', ')}`, { code: 'UNKNOWN_CATEGORIES' }));
+            }
+            
+            const [currentCategories] = await connection.query(
+                'SELECT category_id FROM store_categories WHERE store_id = ? ORDER BY category_id',
+                [storeId]
+            );
+            previousCategoryIds = currentCategories.map(row => row.category_id);
+            
+            await setStoreCategories(connection, storeId, categoryIds);
+        }
+        
+        if (updates.length > 0) {
+            params.push(storeId);
+            await connection.query(
+                `UPDATE stores SET ${updates.join(', ')} WHERE id = ?`,
+                params
+            );
+        }
+        
+        await recordAudit(connection, req, {
+            action: 'store.update',
+            entityType: 'store',
+            entityId: storeId,
+            before: { ...rows[0], category_ids: previousCategoryIds },
+            after: {
+                ...(name !== undefined && { name: name.trim() }),
+                ...(email !== undefined && { email: email.toLowerCase().trim() }),
+                ...(address !== undefined && { address: address.trim() }),
+                ...(owner_id !== undefined && { owner_id: owner_id ? parseInt(owner_id) : null }),
+                ...(categoryIds && { category_ids: [...categoryIds].sort((a, b) => a - b) })
+            }
+        });
+        
+        await connection.commit();
+        
+        const [updated] = await connection.query(
+            `SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at, u.name as owner_name
+             FROM stores s
+             LEFT JOIN users u ON s.owner_id = u.id
+             WHERE s.id = ?`,
+            [storeId]
+        );
+        await attachCategories(connection, updated);
+        
+        console.log('Store updated successfully:', { 
+            storeId, 
+            ownerChange: owner_id !== undefined && (parseInt(owner_id) || null) !== rows[0].owner_id
+                ? `${rows[0].owner_id || 'Unassigned'} -> ${ownerInfo?.id || 'Unassigned'}`
+                : null
+        });
+        
+        sendSuccess(res, updated[0], { message: 'Store updated successfully' });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Delete store (Admin only). Its ratings are removed with it.
+router.delete('/stores/:id', requirePermission('store:manage'), async (req, res, next) => {
+    const storeId = parseInt(req.params.id);
+    
+    if (isNaN(storeId) || storeId <= 0) {
+        return next(new BadRequestError('Invalid store ID', { code: 'INVALID_STORE_ID' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const [rows] = await connection.query(
+            'SELECT id, name, email, address, owner_id FROM stores WHERE id = ? FOR UPDATE',
+            [storeId]
+        );
+        
+        if (rows.length === 0) {
+            await connection.rollback();
+            return next(new NotFoundError('Store not found', { code: 'STORE_NOT_FOUND' }));
+        }
+        
+        const [ratingCount] = await connection.query(
+            'SELECT COUNT(*) as ratings_count FROM ratings WHERE store_id = ?',
+            [storeId]
+        );
+        
+        const [photos] = await connection.query(
+            'SELECT storage_key, thumbnail_key FROM store_photos WHERE store_id = ?',
+            [storeId]
+        );
+        
+        await connection.query('DELETE FROM stores WHERE id = ?', [storeId]);
+        
+        await recordAudit(connection, req, {
+            action: 'store.delete',
+            entityType: 'store',
+            entityId: storeId,
+            before: rows[0],
+            details: { ratingsRemoved: ratingCount[0].ratings_count, photosRemoved: photos.length }
+        });
+        
+        await connection.commit();
+        
+        // Photo rows went with the store; clean up the files once the delete is committed
+        for (const photo of photos) {
+            await removeStoredPhoto(photo).catch(error => console.error('Failed to remove photo file:', error));
+        }
+        
+        console.log('Store deleted successfully:', { 
+            storeId, 
+            name: rows[0].name,
+            ratingsRemoved: ratingCount[0].ratings_count
+        });
+        
+        sendSuccess(res, {
+            storeId,
+            ratingsRemoved: ratingCount[0].ratings_count
+        }, {
+            message: 'Store deleted successfully'
+        });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// List categories with how many stores use each
+router.get('/categories', requirePermission(['category:manage', 'store:manage']), async (req, res, next) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const [categories] = await connection.query(
+            `SELECT c.id, c.name, c.slug, c.created_at, COUNT(sc.store_id) as store_count
+             FROM categories c
+             LEFT JOIN store_categories sc ON c.id = sc.category_id
+             GROUP BY c.id, c.name, c.slug, c.created_at
+             ORDER BY c.name ASC`
+        );
+        
+        sendSuccess(res, categories);
+        
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+router.post('/categories', requirePermission('category:manage'), validateBody(schemas.category), async (req, res, next) => {
+    const { name } = req.body;
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const slug = slugify(name);
+        const [existing] = await connection.query(
+            'SELECT id FROM categories WHERE name = ? OR slug = ?',
+            [name.trim(), slug]
+        );
+        
+        if (existing.length > 0) {
+            return next(new ConflictError('A category with this name already exists', { code: 'CATEGORY_ALREADY_EXISTS' }));
+        }
+        
+        const [result] = await connection.query(
+            'INSERT INTO categories (name, slug) VALUES (?, ?)',
+            [name.trim(), slug]
+        );
+        
+        await recordAudit(connection, req, {
+            action: 'category.create',
+            entityType: 'category',
+            entityId: result.insertId,
+            after: { name: name.trim(), slug }
+        });
+        
+        console.log('Category created:', { id: result.insertId, slug });
+        
+        sendSuccess(res, { id: result.insertId, name: name.trim(), slug }, {
+            status: 201,
+            message: 'Category created successfully'
+        });
+        
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Renaming a category also changes its slug, so filter links using the old slug stop matching
+router.put('/categories/:id', requirePermission('category:manage'), validateBody(schemas.category), async (req, res, next) => {
+    const categoryId = parseInt(req.params.id);
+    const { name } = req.body;
+    
+    if (isNaN(categoryId) || categoryId <= 0) {
+        return next(new BadRequestError('Invalid category ID', { code: 'INVALID_CATEGORY_ID' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const slug = slugify(name);
+        const [existing] = await connection.query(
+            'SELECT id FROM categories WHERE (name = ? OR slug = ?) AND id <> ?',
+            [name.trim(), slug, categoryId]
+        );
+        
+        if (existing.length > 0) {
+            return next(new ConflictError('A category with this name already exists', { code: 'CATEGORY_ALREADY_EXISTS' }));
+        }
+        
+        const [current] = await connection.query('SELECT name, slug FROM categories WHERE id = ?', [categoryId]);
+        
+        const [result] = await connection.query(
+            'UPDATE categories SET name = ?, slug = ? WHERE id = ?',
+            [name.trim(), slug, categoryId]
+        );
+        
+        if (result.affectedRows === 0) {
+            return next(new NotFoundError('Category not found', { code: 'CATEGORY_NOT_FOUND' }));
+        }
+        
+        await recordAudit(connection, req, {
+            action: 'category.update',
+            entityType: 'category',
+            entityId: categoryId,
+            before: current[0],
+            after: { name: name.trim(), slug }
+        });
+        
+        console.log('Category updated:', { id: categoryId, slug });
+        
+        sendSuccess(res, { id: categoryId, name: name.trim(), slug }, { message: 'Category updated successfully' });
+        
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Deleting a category unlinks it from its stores; the stores themselves are kept
+router.delete('/categories/:id', requirePermission('category:manage'), async (req, res, next) => {
+    const categoryId = parseInt(req.params.id);
+    
+    if (isNaN(categoryId) || categoryId <= 0) {
+        return next(new BadRequestError('Invalid category ID', { code: 'INVALID_CATEGORY_ID' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const [usage] = await connection.query(
+            'SELECT COUNT(*) as store_count FROM store_categories WHERE category_id = ?',
+            [categoryId]
+        );
+        
+        const [current] = await connection.query('SELECT name, slug FROM categories WHERE id = ?', [categoryId]);
+        
+        const [result] = await connection.query('DELETE FROM categories WHERE id = ?', [categoryId]);
+        
+        if (result.affectedRows === 0) {
+            return next(new NotFoundError('Category not found', { code: 'CATEGORY_NOT_FOUND' }));
+        }
+        
+        await recordAudit(connection, req, {
+            action: 'category.delete',
+            entityType: 'category',
+            entityId: categoryId,
+            before: current[0],
+            details: { storesUnlinked: usage[0].store_count }
+        });
+        
+        console.log('Category deleted:', { id: categoryId, storesUnlinked: usage[0].store_count });
+        
+        sendSuccess(res, { storesUnlinked: usage[0].store_count }, { message: 'Category deleted successfully' });
+        
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Traffic still using the deprecated unversioned /api/* paths, since this process started
+router.get('/legacy-usage', requirePermission('settings:manage'), (req, res) => {
+    const { since, paths } = getLegacyUsage();
+    sendSuccess(res, paths, { meta: { since } });
+});
+
+// Accounts currently locked out after repeated failed logins
+router.get('/lockouts', requirePermission('user:manage'), async (req, res, next) => {
+    try {
+        const lockouts = await listLockouts();
+        sendSuccess(res, lockouts, { meta: { count: lockouts.length } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Lift a lockout early, e.g. once the account owner has been verified
+router.delete('/lockouts/:email', requirePermission('user:manage'), async (req, res, next) => {
+    try {
+        const wasLocked = await clearLockout(req.params.email);
+        if (!wasLocked) {
+            return next(new NotFoundError('This account is not locked out', { code: 'LOCKOUT_NOT_FOUND' }));
+        }
+
+        await recordAudit(pool, req, {
+            action: 'lockout.clear',
+            entityType: 'lockout',
+            entityId: req.params.email.toLowerCase().trim()
+        });
+
+        console.log('Login lockout cleared:', { email: req.params.email, by: req.user.id });
+
+        sendSuccess(res, null, { message: 'Lockout cleared' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Which roles must use two-factor authentication, and how many of each have enrolled
+router.get('/two-factor-policy', requirePermission('settings:manage'), async (req, res, next) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const requiredRoles = await getRequiredRoles(connection);
+        // Users count towards every role they hold, primary or granted
+        const [counts] = await connection.query(
+            `SELECT r.name AS role, r.label, COUNT(u.id) AS total, COALESCE(SUM(u.totp_enabled_at IS NOT NULL), 0) AS enrolled
+             FROM roles r
+             LEFT JOIN users u ON u.role = r.name
+                OR EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id AND ur.role_id = r.id)
+             GROUP BY r.id, r.name, r.label, r.is_system
+             ORDER BY r.is_system DESC, r.label ASC`
+        );
+
+        sendSuccess(res, {
+            requiredRoles,
+            roles: counts.map(row => ({
+                role: row.role,
+                label: row.label,
+                required: requiredRoles.includes(row.role),
+                total: parseInt(row.total),
+                enrolled: parseInt(row.enrolled)
+            }))
+        });
+
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Members of a newly required role enrol the next time they sign in
+router.put('/two-factor-policy', requirePermission('settings:manage'), async (req, res, next) => {
+    const roles = parseNameList(req.body.requiredRoles);
+
+    if (!roles) {
+        return next(new ValidationError('Required roles must be a list of role names', {
+            details: { requiredRoles: ['Required roles must be a list of role names'] }
+        }));
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const unknownRoles = await findUnknownRoles(connection, roles);
+        if (unknownRoles.length > 0) {
+            return next(new ValidationError(`Unknown roles: ${unknownRoles.join(', ')}`, {
+                details: { requiredRoles: [`Unknown roles: ${unknownRoles.join(', ')}`] }
+            }));
+        }
+
+        const previousRoles = await getRequiredRoles(connection);
+        await setRequiredRoles(connection, roles);
+
+        await recordAudit(connection, req, {
+            action: 'settings.two_factor_policy',
+            entityType: 'setting',
+            entityId: 'two_factor_required_roles',
+            before: { requiredRoles: previousRoles },
+            after: { requiredRoles: roles }
+        });
+
+        console.log('2FA policy updated:', { requiredRoles: roles, by: req.user.id });
+
+        sendSuccess(res, { requiredRoles: roles }, { message: 'Two-factor policy updated' });
+
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Suspend (reason and end date), ban (reason) or reinstate an account. Suspending or banning signs
+// the user out everywhere. A ban with hide_ratings: true leaves their ratings out of store averages;
+// any other change puts them back.
+router.put('/users/:id/status', requirePermission('user:manage'), validateBody(schemas.accountStatus), async (req, res, next) => {
+    const userId = parseInt(req.params.id);
+    const { status, until, hide_ratings = false } = req.body;
+    const reason = status === 'active' ? null : (req.body.reason || '').trim();
+    
+    if (isNaN(userId) || userId <= 0) {
+        return next(new BadRequestError('Invalid user ID', { code: 'INVALID_USER_ID' }));
+    }
+    
+    if (userId === req.user.id) {
+        return next(new BadRequestError('You cannot change the status of your own account', { code: 'CANNOT_CHANGE_OWN_STATUS' }));
+    }
+    
+    if (status !== 'active' && !reason) {
+        return next(new ValidationError('A reason is required to suspend or ban an account', {
+            details: { reason: ['A reason is required to suspend or ban an account'] }
+        }));
+    }
+    
+    const suspendedUntil = status === 'suspended' ? new Date(until) : null;
+    if (suspendedUntil && (!until || isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date())) {
+        return next(new ValidationError('A suspension needs an end date in the future', {
+            details: { until: ['A suspension needs an end date in the future'] }
+        }));
+    }
+    
+    if (typeof hide_ratings !== 'boolean') {
+        return next(new BadRequestError('hide_ratings must be true or false', { code: 'INVALID_HIDE_RATINGS' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        await liftExpiredSuspensions(connection);
+        
+        const [rows] = await connection.query(
+            'SELECT id, email, role, status, status_reason, suspended_until FROM users WHERE id = ? FOR UPDATE',
+            [userId]
+        );
+        
+        if (rows.length === 0) {
+            await connection.rollback();
+            return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+        }
+        
+        const user = rows[0];
+        const access = await getUserAccess(connection, userId, user.role);
+        
+        const escalation = escalationError(req.user, access);
+        if (escalation) {
+            await connection.rollback();
+            return next(escalation);
+        }
+        
+        if (status !== 'active') {
+            if (access.roles.includes(ADMIN_ROLE) && (await countOtherActiveAdmins(connection, userId)) === 0) {
+                await connection.rollback();
+                return next(new ConflictError('The last active admin cannot be suspended or banned', { code: 'LAST_ADMIN' }));
+            }
+        }
+        
+        const after = { status, status_reason: reason, suspended_until: suspendedUntil };
+        await setAccountStatus(connection, userId, { status, reason, until: suspendedUntil });
+        const ratingsChanged = await setRatingsHidden(connection, userId, status === 'banned' && hide_ratings);
+        const sessionsRevoked = status === 'active' ? 0 : await revokeAllSessions(connection, userId);
+        
+        await recordAudit(connection, req, {
+            action: 'user.status_update',
+            entityType: 'user',
+            entityId: userId,
+            before: user,
+            after,
+            details: {
+                ratingsHidden: status === 'banned' && hide_ratings,
+                ratingsChanged,
+                sessionsRevoked
+            }
+        });
+        
+        await connection.commit();
+        
+        console.log('User status updated:', { userId, status, by: req.user.id, ratingsChanged, sessionsRevoked });
+        
+        const messages = {
+            active: 'Account reinstated',
+            suspended: 'Account suspended',
+            banned: 'Account banned'
+        };
+        
+        sendSuccess(res, {
+            user: { id: userId, ...after },
+            ratingsChanged,
+            sessionsRevoked
+        }, {
+            message: messages[status]
+        });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Sign a user out on every device, e.g. when their account may be compromised
+router.delete('/users/:id/sessions', requirePermission('user:manage'), async (req, res, next) => {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId) || userId <= 0) {
+        return next(new BadRequestError('Invalid user ID', { code: 'INVALID_USER_ID' }));
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [rows] = await connection.query('SELECT id, role FROM users WHERE id = ?', [userId]);
+        if (rows.length === 0) {
+            return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+        }
+
+        const escalation = escalationError(req.user, await getUserAccess(connection, userId, rows[0].role));
+        if (escalation) {
+            return next(escalation);
+        }
+
+        const revoked = await revokeAllSessions(connection, userId);
+
+        await recordAudit(connection, req, {
+            action: 'user.sessions_revoke',
+            entityType: 'user',
+            entityId: userId,
+            details: { revoked }
+        });
+
+        console.log('All sessions revoked for user:', { id: userId, by: req.user.id, revoked });
+
+        sendSuccess(res, { revoked }, {
+            message: revoked === 1 ? 'Signed the user out of 1 session' : `Signed the user out of ${revoked} sessions`
+        });
+
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// For a user who lost both their authenticator and their recovery codes
+router.delete('/users/:id/two-factor', requirePermission('user:manage'), async (req, res, next) => {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId) || userId <= 0) {
+        return next(new BadRequestError('Invalid user ID', { code: 'INVALID_USER_ID' }));
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [rows] = await connection.query('SELECT id, role FROM users WHERE id = ?', [userId]);
+        if (rows.length === 0) {
+            return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+        }
+
+        const escalation = escalationError(req.user, await getUserAccess(connection, userId, rows[0].role));
+        if (escalation) {
+            return next(escalation);
+        }
+
+        await connection.query(
+            'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+            [userId]
+        );
+
+        await connection.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+        await recordAudit(connection, req, {
+            action: 'user.two_factor_reset',
+            entityType: 'user',
+            entityId: userId
+        });
+
+        console.log('2FA reset for user:', { id: userId, by: req.user.id });
+
+        sendSuccess(res, null, { message: 'Two-factor authentication reset. The user will enrol again if their role requires it.' });
+
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Roles and the permissions each one bundles, with how many users hold them
+router.get('/roles', requirePermission('role:manage'), async (req, res, next) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const roles = await listRoles(connection);
+        
+        sendSuccess(res, roles, { meta: { count: roles.length } });
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+router.post('/roles', requirePermission('role:manage'), validateBody(schemas.role), async (req, res, next) => {
+    const { name, label, description } = req.body;
+    const permissions = parsePermissions(req.body.permissions === undefined ? [] : req.body.permissions);
+    
+    if (!permissions) {
+        return next(invalidPermissionsError());
+    }
+    
+    const escalation = escalationError(req.user, { permissions });
+    if (escalation) {
+        return next(escalation);
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const [existing] = await connection.query('SELECT id FROM roles WHERE name = ?', [name.trim()]);
+        if (existing.length > 0) {
+            await connection.rollback();
+            return next(new ConflictError('A role with this name already exists', { code: 'ROLE_NAME_TAKEN' }));
+        }
+        
+        const role = {
+            name: name.trim(),
+            label: label.trim(),
+            description: description?.trim() || null
+        };
+        
+        const [result] = await connection.query(
+            'INSERT INTO roles (name, label, description) VALUES (?, ?, ?)',
+            [role.name, role.label, role.description]
+        );
+        await setRolePermissions(connection, result.insertId, permissions);
+        
+        await recordAudit(connection, req, {
+            action: 'role.create',
+            entityType: 'role',
+            entityId: result.insertId,
+            after: { ...role, permissions }
+        });
+        
+        await connection.commit();
+        
+        console.log('Role created:', { id: result.insertId, name: role.name, permissions });
+        
+        sendSuccess(res, { id: result.insertId, ...role, is_system: false, user_count: 0, permissions }, {
+            status: 201,
+            message: 'Role created successfully'
+        });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Names are fixed, and the admin role's permissions are locked to all of them
+router.put('/roles/:id', requirePermission('role:manage'), validateBody(schemas.role, { partial: true }), async (req, res, next) => {
+    const roleId = parseInt(req.params.id);
+    const { name, label, description } = req.body;
+    
+    if (isNaN(roleId) || roleId <= 0) {
+        return next(new BadRequestError('Invalid role ID', { code: 'INVALID_ROLE_ID' }));
+    }
+    
+    if ([name, label, description, req.body.permissions].every(value => value === undefined)) {
+        return next(new BadRequestError('Provide at least one of: label, description, permissions', {
+            code: 'NO_FIELDS_TO_UPDATE'
+        }));
+    }
+    
+    const permissions = req.body.permissions === undefined ? null : parsePermissions(req.body.permissions);
+    if (req.body.permissions !== undefined && !permissions) {
+        return next(invalidPermissionsError());
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const role = await findRole(connection, roleId);
+        if (!role) {
+            await connection.rollback();
+            return next(new NotFoundError('Role not found', { code: 'ROLE_NOT_FOUND' }));
+        }
+        
+        if (name !== undefined && name.trim() !== role.name) {
+            await connection.rollback();
+            return next(new BadRequestError('Role names cannot be changed; create a new role instead', { code: 'ROLE_NAME_FIXED' }));
+        }
+        
+        if (permissions && role.name === ADMIN_ROLE) {
+            await connection.rollback();
+            return next(new ConflictError('The admin role always holds every permission', { code: 'ROLE_LOCKED' }));
+        }
+        
+        const [currentPermissions] = await connection.query(
+            'SELECT permission FROM role_permissions WHERE role_id = ? ORDER BY permission',
+            [roleId]
+        );
+        
+        // Editing a role changes what everyone holding it may do, so it needs everything the role grants now or after
+        const escalation = escalationError(req.user, {
+            roles: [role.name],
+            permissions: [...currentPermissions.map(row => row.permission), ...(permissions || [])]
+        });
+        if (escalation) {
+            await connection.rollback();
+            return next(escalation);
+        }
+        
+        const changes = {
+            ...(label !== undefined && { label: label.trim() }),
+            ...(description !== undefined && { description: description?.trim() || null })
+        };
+        
+        if (Object.keys(changes).length > 0) {
+            await connection.query(
+                `UPDATE roles SET ${Object.keys(changes).map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+                [...Object.values(changes), roleId]
+            );
+        }
+        if (permissions) {
+            await setRolePermissions(connection, roleId, permissions);
+        }
+        
+        await recordAudit(connection, req, {
+            action: 'role.update',
+            entityType: 'role',
+            entityId: roleId,
+            before: { ...role, permissions: currentPermissions.map(row => row.permission) },
+            after: { ...changes, ...(permissions && { permissions }) }
+        });
+        
+        await connection.commit();
+        
+        const updated = (await listRoles(connection)).find(item => item.id === roleId);
+        
+        console.log('Role updated:', { id: roleId, name: role.name });
+        
+        sendSuccess(res, updated, { message: 'Role updated successfully' });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Built-in roles cannot be deleted. Users keep their primary role and lose the grant.
+router.delete('/roles/:id', requirePermission('role:manage'), async (req, res, next) => {
+    const roleId = parseInt(req.params.id);
+    
+    if (isNaN(roleId) || roleId <= 0) {
+        return next(new BadRequestError('Invalid role ID', { code: 'INVALID_ROLE_ID' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const role = await findRole(connection, roleId);
+        if (!role) {
+            await connection.rollback();
+            return next(new NotFoundError('Role not found', { code: 'ROLE_NOT_FOUND' }));
+        }
+        
+        if (role.is_system) {
+            await connection.rollback();
+            return next(new ConflictError('Built-in roles cannot be deleted', { code: 'ROLE_LOCKED' }));
+        }
+        
+        const usersAffected = await countUsersWithRole(connection, role.name);
+        
+        // Grants and the role's permissions go with it
+        await connection.query('DELETE FROM roles WHERE id = ?', [roleId]);
+        
+        const requiredRoles = await getRequiredRoles(connection);
+        if (requiredRoles.includes(role.name)) {
+            await setRequiredRoles(connection, requiredRoles.filter(name => name !== role.name));
+        }
+        
+        await recordAudit(connection, req, {
+            action: 'role.delete',
+            entityType: 'role',
+            entityId: roleId,
+            before: role,
+            details: { usersAffected }
+        });
+        
+        await connection.commit();
+        
+        console.log('Role deleted:', { id: roleId, name: role.name, usersAffected });
+        
+        sendSuccess(res, { usersAffected }, { message: 'Role deleted successfully' });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Replace the roles granted on top of a user's primary role. When that takes away store:edit:own
+// from someone who still owns stores, store_action ('orphan' or 'reassign' with reassign_to) says what happens to them.
+router.put('/users/:id/roles', requirePermission('role:manage'), async (req, res, next) => {
+    const userId = parseInt(req.params.id);
+    const { store_action, reassign_to } = req.body;
+    const roles = parseNameList(req.body.roles);
+    
+    if (isNaN(userId) || userId <= 0) {
+        return next(new BadRequestError('Invalid user ID', { code: 'INVALID_USER_ID' }));
+    }
+    
+    if (!roles) {
+        return next(new BadRequestError('roles must be a list of role names', { code: 'INVALID_ROLES' }));
+    }
+    
+    if (store_action !== undefined && !['orphan', 'reassign'].includes(store_action)) {
+        return next(new BadRequestError('store_action must be either orphan or reassign', { code: 'INVALID_STORE_ACTION' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const [rows] = await connection.query(
+            'SELECT id, name, email, role FROM users WHERE id = ? FOR UPDATE',
+            [userId]
+        );
+        
+        if (rows.length === 0) {
+            await connection.rollback();
+            return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+        }
+        
+        const user = rows[0];
+        
+        const unknownRoles = await findUnknownRoles(connection, roles);
+        if (unknownRoles.length > 0) {
+            await connection.rollback();
+            return next(new BadRequestError(`Unknown roles: ${unknownRoles.join(', ')}`, {
+                code: 'UNKNOWN_ROLES',
+                details: { unknownRoles }
+            }));
+        }
+        
+        const accessBefore = await getUserAccess(connection, userId, user.role);
+        await setGrantedRoles(connection, userId, roles.filter(name => name !== user.role));
+        const accessAfter = await getUserAccess(connection, userId, user.role);
+        
+        const escalation = escalationError(req.user, accessBefore) || escalationError(req.user, accessAfter);
+        if (escalation) {
+            await connection.rollback();
+            return next(escalation);
+        }
+        
+        // Counted after the change, so none left means this user was the last admin
+        if (accessBefore.roles.includes(ADMIN_ROLE) && (await countAdmins(connection)) === 0) {
+            await connection.rollback();
+            return next(new ConflictError('The last remaining admin cannot lose the admin role', { code: 'LAST_ADMIN' }));
+        }
+        
+        let storeChanges = null;
+        if (accessBefore.permissions.includes('store:edit:own') && !accessAfter.permissions.includes('store:edit:own')) {
+            const [owned] = await connection.query(
+                'SELECT COUNT(*) as store_count FROM stores WHERE owner_id = ?',
+                [userId]
+            );
+            
+            if (owned[0].store_count > 0 && store_action === undefined) {
+                await connection.rollback();
+                return next(new ConflictError('This user would no longer be able to manage the stores they own. Choose whether to unassign or reassign them.', {
+                    code: 'STORES_STILL_OWNED',
+                    details: { storeCount: owned[0].store_count }
+                }));
+            }
+            
+            if (owned[0].store_count > 0) {
+                storeChanges = await releaseOwnedStores(connection, userId, store_action, reassign_to);
+                
+                if (storeChanges.error) {
+                    await connection.rollback();
+                    return next(storeChanges.error);
+                }
+            }
+        }
+        
+        await recordAudit(connection, req, {
+            action: 'user.roles_update',
+            entityType: 'user',
+            entityId: userId,
+            before: { granted_roles: accessBefore.roles.slice(1) },
+            after: { granted_roles: accessAfter.roles.slice(1) },
+            details: storeChanges ? {
+                storeAction: store_action,
+                storesAffected: storeChanges.storesAffected,
+                reassignedTo: storeChanges.reassignedTo?.id || null
+            } : null
+        });
+        
+        await connection.commit();
+        
+        console.log('User roles updated:', { userId, roles: accessAfter.roles, by: req.user.id });
+        
+        sendSuccess(res, {
+            user: { id: userId, role: user.role, granted_roles: accessAfter.roles.slice(1), ...accessAfter },
+            stores: storeChanges ? {
+                action: store_action,
+                affected: storeChanges.storesAffected,
+                reassignedTo: storeChanges.reassignedTo
+            } : null
+        }, {
+            message: 'Roles updated successfully'
+        });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Audit trail of admin and store owner changes, newest first.
+// Filters: actor_id, action, entity_type, entity_id, from, to (dates or datetimes)
+router.get('/audit-log', requirePermission('audit:read'), async (req, res, next) => {
+    const { actor_id, action, entity_type, entity_id, from, to, limit = 50, offset = 0 } = req.query;
+    const limitNum = parseInt(limit);
+    const offsetNum = parseInt(offset);
+    
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100 || isNaN(offsetNum) || offsetNum < 0) {
+        return next(new BadRequestError('Limit must be between 1 and 100 and offset must be non-negative', {
+            code: 'INVALID_PAGINATION'
+        }));
+    }
+    
+    const actorId = actor_id ? parseInt(actor_id) : null;
+    if (actor_id && (isNaN(actorId) || actorId <= 0)) {
+        return next(new BadRequestError('actor_id must be a positive integer', { code: 'INVALID_ACTOR_ID' }));
+    }
+    
+    if ([from, to].some(value => value && isNaN(Date.parse(value)))) {
+        return next(new BadRequestError('from and to must be dates, e.g. 2025-01-31', { code: 'INVALID_DATE_RANGE' }));
+    }
+    
+    const filters = { actorId, action, entityType: entity_type, entityId: entity_id, from, to };
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const { entries, total } = await listAuditLog(connection, { ...filters, limit: limitNum, offset: offsetNum });
+        const facets = await listAuditFacets(connection);
+        
+        sendSuccess(res, entries, {
+            meta: {
+                pagination: {
+                    total,
+                    limit: limitNum,
+                    offset: offsetNum,
+                    hasMore: offsetNum + limitNum < total
+                },
+                filters: { actor_id: actorId, action, entity_type, entity_id, from, to },
+                facets
+            }
+        });
+        
     } catch (error) {
-        console.error('Get store error:', error);
-        res.status(500).json({ error: 'Failed to fetch store details' });
+        next(error);
     } finally {
         if (connection) connection.release();
     }
@@ -1,168 +1,123 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const pool = require('../config/db');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  rotateRefreshToken,
+  startSession,
+  revokeRefreshToken
+} = require('../services/tokenService');
+const { getClientInfo, revokeAllSessions } = require('../services/sessionService');
+const { getUserAccess } = require('../services/permissionService');
+const { accountStatusError } = require('../services/accountStatusService');
+const {
+  RESET_TOKEN_TTL_MINUTES,
+  createPasswordResetToken,
+  consumePasswordResetToken
+} = require('../services/passwordResetService');
+const { sendMail } = require('../services/mailer');
+const { readVerificationToken, sendVerificationEmail } = require('../services/emailVerificationService');
+const {
+  TWO_FACTOR_CHALLENGE_TTL,
+  createChallengeToken,
+  isTwoFactorRequired
+} = require('../services/twoFactorService');
+const { schemas } = require('ratings-app-shared');
+const { validateBody } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  isSetupComplete,
+  markSetupComplete,
+  isSetupOpen,
+  verifySetupToken,
+  closeSetup
+} = require('../services/setupService');
+const { getLockout, recordFailedLogin, clearFailedLogins, lockoutError } = require('../services/loginLockout');
+const {
+  AuthenticationError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError
+} = require('../utils/errors');
+const { sendSuccess } = require('../utils/response');
 
-// validation helpers
-const validateEmail = (email) => {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email) && email.length <= 255;
-};
+// Whether the frontend should offer first-run setup
+router.get('/setup-status', (req, res) => {
+  sendSuccess(res, { setupRequired: isSetupOpen() });
+});
 
-const validatePassword = (password) => {
-  // At least 8 chars, max 16, one uppercase, one special char
-  return /^(?=.*[A-Z])(?=.*[!@#$%^&*()_+\-=\[\]{};':"\\|,./<>?])(?=.{8,16}$)/.test(password);
-};
+// First-run setup: create the first admin with the one-time token printed at server start.
+// Closed for good once setup has been completed.
+router.post('/register-admin', rateLimit('registerAdmin'), validateBody(schemas.register), async (req, res, next) => {
+  const { name, email, password, address, setupToken } = req.body;
 
-const validateName = (name) => {
-  return name && name.trim().length >= 20 && name.trim().length <= 60;
-};
+  if (!isSetupOpen()) {
+    return next(new ConflictError('First-run setup has already been completed', { code: 'SETUP_COMPLETED' }));
+  }
 
-const validateAddress = (address) => {
-  return address && address.trim().length >= 5 && address.trim().length <= 400;
-};
+  if (!verifySetupToken(setupToken)) {
+    console.log('Invalid setup token provided');
+    return next(new ForbiddenError('Invalid setup token', { code: 'INVALID_SETUP_TOKEN' }));
+  }
 
-// One-time Admin Registration
-router.post('/register-admin', async (req, res) => {
-  console.log('Admin registration attempt:', { ...req.body, password: '***' });
-  
+  let connection;
   try {
-    const { name, email, password, address, adminSecret } = req.body;
-
-    // Security check
-    if (adminSecret !== 'CREATE_FIRST_ADMIN_2025') {
-      console.log('Invalid admin secret provided');
-      return res.status(403).json({
-        error: 'Unauthorized',
-        message: 'Invalid admin secret'
-      });
-    }
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    // Check if admin already exists
-    const connection = await pool.getConnection();
-    try {
-      const [existingAdmin] = await connection.query(
-        'SELECT id FROM users WHERE role = ?', 
-        ['admin']
-      );
-      
-      if (existingAdmin.length > 0) {
-        console.log('Admin already exists');
-        return res.status(409).json({
-          error: 'Admin already exists',
-          message: 'An admin user already exists in the system'
-        });
-      }
-
-      // Validate inputs
-      if (!name || !email || !password || !address) {
-        return res.status(400).json({
-          error: 'Missing fields',
-          message: 'All fields are required: name, email, password, address'
-        });
-      }
-
-      if (!validateName(name)) {
-        return res.status(400).json({
-          error: 'Invalid name',
-          message: 'Name must be 20-60 characters long'
-        });
-      }
+    if (await isSetupComplete(connection) || !(await markSetupComplete(connection))) {
+      await connection.rollback();
+      closeSetup();
+      return next(new ConflictError('First-run setup has already been completed', { code: 'SETUP_COMPLETED' }));
+    }
 
-      if (!validateEmail(email)) {
-        return res.status(400).json({
-          error: 'Invalid email',
-          message: 'Please provide a valid email address'
-        });
-      }
+    const [existing] = await connection.query(
+      'SELECT id FROM users WHERE email = ?',
+      [email.toLowerCase().trim()]
+    );
 
-      if (!validatePassword(password)) {
-        return res.status(400).json({
-          error: 'Invalid password',
-          message: 'Password must be 8-16 characters with at least one uppercase letter and one special character'
-        });
-      }
+    if (existing.length > 0) {
+      await connection.rollback();
+      return next(new ConflictError('An account with this email address already exists', { code: 'EMAIL_ALREADY_EXISTS' }));
+    }
 
-      if (!validateAddress(address)) {
-        return res.status(400).json({
-          error: 'Invalid address',
-          message: 'Address must be 5-400 characters long'
-        });
-      }
+    const hashedPassword = await bcrypt.hash(password, 12);
 
-      // Hash password and create admin
-      const hashedPassword = await bcrypt.hash(password, 12);
-      
-      const [result] = await connection.query(
-        'INSERT INTO users (name, email, password, address, role) VALUES (?, ?, ?, ?, ?)',
-        [name.trim(), email.toLowerCase().trim(), hashedPassword, address.trim(), 'admin']
-      );
+    const [result] = await connection.query(
+      'INSERT INTO users (name, email, password, address, role, email_verified_at) VALUES (?, ?, ?, ?, ?, NOW())',
+      [name.trim(), email.toLowerCase().trim(), hashedPassword, address.trim(), 'admin']
+    );
 
-      console.log('Admin user created successfully:', { id: result.insertId, email: email.toLowerCase().trim() });
+    await connection.commit();
+    closeSetup();
 
-      res.status(201).json({
-        success: true,
-        message: 'Admin user created successfully',
-        adminId: result.insertId,
-        email: email.toLowerCase().trim()
-      });
+    console.log('First-run setup completed, admin created:', { id: result.insertId, email: email.toLowerCase().trim() });
 
-    } finally {
-      connection.release();
-    }
+    sendSuccess(res, {
+      adminId: result.insertId,
+      email: email.toLowerCase().trim()
+    }, {
+      status: 201,
+      message: 'Admin user created successfully'
+    });
 
   } catch (error) {
-    console.error('Admin registration error:', error.stack || error);
-    res.status(500).json({
-      error: 'Admin registration failed',
-      message: error.message || 'An error occurred during admin registration'
-    });
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
   }
 });
 
 // Register endpoint with updated validation
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('register'), validateBody(schemas.register), async (req, res, next) => {
   const { name, email, password, address } = req.body;
   
   try {
-    // Input validation
-    if (!name || !email || !password || !address) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        message: 'All fields are required: name, email, password, address'
-      });
-    }
-    
-    if (!validateName(name)) {
-      return res.status(400).json({
-        error: 'Invalid name',
-        message: 'Name must be 20-60 characters long'
-      });
-    }
-    
-    if (!validateEmail(email)) {
-      return res.status(400).json({
-        error: 'Invalid email',
-        message: 'Please provide a valid email address'
-      });
-    }
-    
-    if (!validatePassword(password)) {
-      return res.status(400).json({
-        error: 'Invalid password',
-        message: 'Password must be 8-16 characters with at least one uppercase letter and one special character'
-      });
-    }
-    
-    if (!validateAddress(address)) {
-      return res.status(400).json({
-        error: 'Invalid address',
-        message: 'Address must be 5-400 characters long'
-      });
-    }
-
     const connection = await pool.getConnection();
     try {
       // Check if email exists
@@ -172,10 +127,7 @@ router.post('/register', async (req, res) => {
       );
       
       if (existing.length > 0) {
-        return res.status(409).json({
-          error: 'Email already exists',
-          message: 'An account with this email address already exists'
-        });
+        return next(new ConflictError('An account with this email address already exists', { code: 'EMAIL_ALREADY_EXISTS' }));
       }
       
       // Hash password with higher salt rounds for security
@@ -188,11 +140,17 @@ router.post('/register', async (req, res) => {
       );
       
       console.log('User registered:', { id: result.insertId, email: email.toLowerCase().trim() });
+
+      // The account exists either way; a failed send can be retried through resend-verification
+      try {
+        await sendVerificationEmail({ id: result.insertId, name: name.trim(), email: email.toLowerCase().trim() });
+      } catch (mailError) {
+        console.error('Verification email failed for user:', result.insertId, mailError.message);
+      }
       
-      res.status(201).json({
-        success: true,
-        message: 'Registration successful',
-        userId: result.insertId
+      sendSuccess(res, { userId: result.insertId, emailVerified: false }, {
+        status: 201,
+        message: 'Registration successful. Check your email to verify your account.'
       });
       
     } finally {
@@ -200,35 +158,20 @@ router.post('/register', async (req, res) => {
     }
     
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({
-      error: 'Registration failed',
-      message: 'An error occurred during registration. Please try again.'
-    });
+    next(error);
   }
 });
 
 //LOGIN ENDPOINT
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('login'), validateBody(schemas.login), async (req, res, next) => {
   const { email, password } = req.body;
   
   console.log('LOGIN ATTEMPT:', { email, password: '***' });
   
   try {
-    if (!email || !password) {
-      console.log('Missing credentials');
-      return res.status(400).json({
-        error: 'Missing credentials',
-        message: 'Email and password are required'
-      });
-    }
-    
-    if (!validateEmail(email)) {
-      console.log('Invalid email format:', email);
-      return res.status(400).json({
-        error: 'Invalid email format',
-        message: 'Please provide a valid email address'
-      });
+    const lockout = await getLockout(email);
+    if (lockout) {
+      return next(lockoutError(lockout));
     }
 
     const connection = await pool.getConnection();
@@ -244,10 +187,9 @@ router.post('/login', async (req, res) => {
       
       if (rows.length === 0) {
         console.log('No user found with email:', email);
-        return res.status(401).json({
-          error: 'Invalid credentials',
-          message: 'Email or password is incorrect'
-        });
+        const lockout = await recordFailedLogin(email);
+        if (lockout) return next(lockoutError(lockout));
+        return next(new AuthenticationError('Email or password is incorrect', { code: 'INVALID_CREDENTIALS' }));
       }
       
       const user = rows[0];
@@ -258,38 +200,55 @@ router.post('/login', async (req, res) => {
       
       if (!validPassword) {
         console.log(' Invalid password for user:', email);
-        return res.status(401).json({
-          error: 'Invalid credentials',
-          message: 'Email or password is incorrect'
-        });
+        const lockout = await recordFailedLogin(email);
+        if (lockout) return next(lockoutError(lockout));
+        return next(new AuthenticationError('Email or password is incorrect', { code: 'INVALID_CREDENTIALS' }));
       }
       
       // Check JWT_SECRET exists
       if (!process.env.JWT_SECRET) {
         console.error('JWT_SECRET not found in environment variables');
-        return res.status(500).json({
-          error: 'Server configuration error',
-          message: 'Authentication service not properly configured'
-        });
+        return next(new Error('JWT_SECRET is not configured'));
       }
       
-      // Create JWT token with longer expiry
-      const token = jwt.sign(
-        { id: user.id, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
-      
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
+      // Checked after the password, so only the account holder learns why they can't sign in
+      const statusError = accountStatusError(user);
+      if (statusError) {
+        console.log('Login refused for', user.status, 'account:', user.id);
+        return next(statusError);
+      }
+
+      // A correct password is only the first step for accounts with 2FA, or whose role requires it
+      if (user.totp_enabled_at) {
+        console.log('Password accepted, awaiting 2FA code for:', user.id);
+        return sendSuccess(res, {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user, 'verify'),
+          expiresIn: TWO_FACTOR_CHALLENGE_TTL
+        }, {
+          message: 'Enter the code from your authenticator app'
+        });
+      }
+
+      if (await isTwoFactorRequired(connection, user)) {
+        console.log('Password accepted, 2FA enrolment required for:', user.id);
+        return sendSuccess(res, {
+          twoFactorSetupRequired: true,
+          challengeToken: createChallengeToken(user, 'enrol'),
+          expiresIn: TWO_FACTOR_CHALLENGE_TTL
+        }, {
+          message: 'Set up two-factor authentication to finish signing in'
+        });
+      }
+
+      await clearFailedLogins(email);
+
+      const session = await startSession(connection, user, getClientInfo(req));
       
       console.log('Login successful for:', { id: user.id, email: user.email, role: user.role });
       
-      res.json({
-        success: true,
-        message: 'Login successful',
-        token,
-        user: userWithoutPassword
+      sendSuccess(res, session, {
+        message: 'Login successful'
       });
       
     } finally {
@@ -297,48 +256,271 @@ router.post('/login', async (req, res) => {
     }
     
   } catch (error) {
-    console.error('Login error:', error.stack || error);
-    res.status(500).json({
-      error: 'Login failed',
-      message: 'An error occurred during login. Please try again.'
+    next(error);
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', rateLimit('refresh'), async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return next(new BadRequestError('A refresh token is required', { code: 'MISSING_REFRESH_TOKEN' }));
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const result = await rotateRefreshToken(connection, refreshToken, getClientInfo(req));
+
+    if (result.status === 'reused') {
+      console.log('Refresh token reuse detected, family revoked for user:', result.userId);
+      return next(new AuthenticationError('This session has been revoked. Please log in again.', { code: 'REFRESH_TOKEN_REUSED' }));
+    }
+
+    if (result.status !== 'ok') {
+      return next(new AuthenticationError('The refresh token is invalid or has expired. Please log in again.', {
+        code: 'INVALID_REFRESH_TOKEN'
+      }));
+    }
+
+    const [rows] = await connection.query(
+      `SELECT id, name, email, address, role, email_verified_at, totp_enabled_at, status, status_reason, suspended_until, created_at
+       FROM users WHERE id = ?`,
+      [result.userId]
+    );
+
+    if (rows.length === 0) {
+      return next(new AuthenticationError('User associated with token no longer exists', { code: 'USER_NOT_FOUND' }));
+    }
+
+    const statusError = accountStatusError(rows[0]);
+    if (statusError) {
+      await revokeRefreshToken(connection, result.refreshToken);
+      return next(statusError);
+    }
+
+    // Sessions started before an admin required 2FA for this role end here; signing in again enrols
+    if (!rows[0].totp_enabled_at && await isTwoFactorRequired(connection, rows[0])) {
+      await revokeRefreshToken(connection, result.refreshToken);
+      return next(new AuthenticationError('Two-factor authentication is now required for your account. Please log in again.', {
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      }));
+    }
+
+    sendSuccess(res, {
+      token: signAccessToken(rows[0], result.sessionId),
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: { ...rows[0], ...await getUserAccess(connection, rows[0].id, rows[0].role) }
     });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Logout - revokes the refresh token family so it can no longer be used
+router.post('/logout', async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return next(new BadRequestError('A refresh token is required', { code: 'MISSING_REFRESH_TOKEN' }));
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await revokeRefreshToken(connection, refreshToken);
+
+    sendSuccess(res, null, { message: 'Logged out successfully' });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Request a password reset link. Always answers the same way so emails can't be enumerated.
+router.post('/forgot-password', rateLimit('forgotPassword'), validateBody(schemas.forgotPassword), async (req, res, next) => {
+  const { email } = req.body;
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query(
+      'SELECT id, name, email FROM users WHERE email = ?',
+      [email.toLowerCase().trim()]
+    );
+
+    if (rows.length > 0) {
+      const user = rows[0];
+      const { token } = await createPasswordResetToken(connection, user.id);
+      const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${encodeURIComponent(token)}`;
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your RatingsApp password',
+        text: `Hi ${user.name},\n\n` +
+          `We received a request to reset your password. Use the link below to choose a new one:\n\n` +
+          `${resetUrl}\n\n` +
+          `This link expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once. ` +
+          `If you did not request a reset, you can ignore this email.`
+      });
+
+      console.log('Password reset requested for user:', user.id);
+    }
+
+    sendSuccess(res, null, { message: 'If an account exists for that email, a password reset link has been sent' });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Set a new password using an emailed reset token
+router.post('/reset-password', rateLimit('resetPassword'), validateBody(schemas.resetPassword), async (req, res, next) => {
+  const { token, newPassword } = req.body;
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const userId = await consumePasswordResetToken(connection, token);
+
+    if (!userId) {
+      await connection.rollback();
+      return next(new BadRequestError('This reset link is invalid, has expired or has already been used', {
+        code: 'INVALID_RESET_TOKEN'
+      }));
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    await connection.query(
+      'UPDATE users SET password = ? WHERE id = ?',
+      [hashedPassword, userId]
+    );
+
+    // Existing sessions may belong to whoever caused the reset
+    await revokeAllSessions(connection, userId);
+
+    await connection.commit();
+
+    console.log('Password reset completed for user:', userId);
+
+    sendSuccess(res, null, { message: 'Password has been reset. You can now log in with your new password.' });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Confirm an email address with the token from the verification link
+router.post('/verify-email', rateLimit('verifyEmail'), validateBody(schemas.verifyEmail), async (req, res, next) => {
+  const verification = readVerificationToken(req.body.token);
+
+  if (!verification) {
+    return next(new BadRequestError('This verification link is invalid or has expired', { code: 'INVALID_VERIFICATION_TOKEN' }));
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query(
+      'SELECT id, email, pending_email, email_verified_at FROM users WHERE id = ? AND (email = ? OR pending_email = ?)',
+      [verification.userId, verification.email, verification.email]
+    );
+
+    if (rows.length === 0) {
+      return next(new BadRequestError('This verification link is invalid or has expired', { code: 'INVALID_VERIFICATION_TOKEN' }));
+    }
+
+    // A link for an address change from PATCH /users/me: the new address replaces the old one
+    if (rows[0].email !== verification.email) {
+      const [taken] = await connection.query(
+        'SELECT id FROM users WHERE email = ? AND id != ?',
+        [verification.email, rows[0].id]
+      );
+      if (taken.length > 0) {
+        return next(new ConflictError('Another account has started using this email address', { code: 'EMAIL_ALREADY_EXISTS' }));
+      }
+
+      await connection.query(
+        'UPDATE users SET email = pending_email, pending_email = NULL, email_verified_at = NOW() WHERE id = ?',
+        [rows[0].id]
+      );
+      console.log('Email changed for user:', rows[0].id);
+
+      return sendSuccess(res, { emailVerified: true, emailChanged: true }, { message: 'Your new email address is confirmed. Use it to sign in from now on.' });
+    }
+
+    // Following the link twice is harmless
+    if (!rows[0].email_verified_at) {
+      await connection.query('UPDATE users SET email_verified_at = NOW() WHERE id = ?', [rows[0].id]);
+      console.log('Email verified for user:', rows[0].id);
+    }
+
+    sendSuccess(res, { emailVerified: true }, { message: 'Your email address has been verified' });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Send a fresh verification link. Answers the same whether or not the email needs one.
+router.post('/resend-verification', rateLimit('resendVerification'), validateBody(schemas.resendVerification), async (req, res, next) => {
+  const email = req.body.email.toLowerCase().trim();
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query(
+      'SELECT id, name, email FROM users WHERE email = ? AND email_verified_at IS NULL',
+      [email]
+    );
+
+    if (rows.length > 0) {
+      await sendVerificationEmail(rows[0]);
+      console.log('Verification email resent for user:', rows[0].id);
+    }
+
+    sendSuccess(res, null, { message: 'If that account still needs verifying, a new link has been sent' });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
   }
 });
 
 // Token validation endpoint
 router.get('/validate', authenticateToken, (req, res) => {
-  res.json({
+  sendSuccess(res, {
     valid: true,
     user: req.user
   });
 });
 
 // Update password with better validation
-router.put('/password', authenticateToken, async (req, res) => {
+router.put('/password', authenticateToken, validateBody(schemas.changePassword), async (req, res, next) => {
   const { currentPassword, newPassword } = req.body;
   
   try {
-    if (req.user.role === 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admins cannot update password via this endpoint'
-      });
-    }
-    
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        error: 'Missing passwords',
-        message: 'Current password and new password are required'
-      });
-    }
-    
-    if (!validatePassword(newPassword)) {
-      return res.status(400).json({
-        error: 'Invalid new password',
-        message: 'New password must be 8-16 characters with at least one uppercase letter and one special character'
-      });
-    }
-
     const connection = await pool.getConnection();
     try {
       const [rows] = await connection.query(
@@ -347,18 +529,12 @@ router.put('/password', authenticateToken, async (req, res) => {
       );
       
       if (rows.length === 0) {
-        return res.status(404).json({
-          error: 'User not found',
-          message: 'User account not found'
-        });
+        return next(new NotFoundError('User account not found', { code: 'USER_NOT_FOUND' }));
       }
       
       const validCurrentPassword = await bcrypt.compare(currentPassword, rows[0].password);
       if (!validCurrentPassword) {
-        return res.status(400).json({
-          error: 'Invalid current password',
-          message: 'Current password is incorrect'
-        });
+        return next(new BadRequestError('Current password is incorrect', { code: 'INVALID_CURRENT_PASSWORD' }));
       }
       
       const hashedNewPassword = await bcrypt.hash(newPassword, 12);
@@ -367,11 +543,15 @@ router.put('/password', authenticateToken, async (req, res) => {
         [hashedNewPassword, req.user.id]
       );
       
-      console.log('Password updated for user:', req.user.id);
+      // Keep this device signed in; any other session may be whoever knew the old password
+      const otherSessionsRevoked = await revokeAllSessions(connection, req.user.id, { except: req.sessionId });
       
-      res.json({
-        success: true,
-        message: 'Password updated successfully'
+      console.log('Password updated for user:', req.user.id, { otherSessionsRevoked });
+      
+      sendSuccess(res, { otherSessionsRevoked }, {
+        message: otherSessionsRevoked > 0
+          ? 'Password updated successfully. Your other devices have been signed out.'
+          : 'Password updated successfully'
       });
       
     } finally {
@@ -379,11 +559,7 @@ router.put('/password', authenticateToken, async (req, res) => {
     }
     
   } catch (error) {
-    console.error('Password update error:', error);
-    res.status(500).json({
-      error: 'Password update failed',
-      message: 'An error occurred while updating password'
-    });
+    next(error);
   }
 });
 
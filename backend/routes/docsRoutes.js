@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const spec = require('./openapi');
+
+// GET /api/openapi.json - The raw OpenAPI document, for client generators and other tools
+router.get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+
+// GET /api/docs - Interactive docs rendered from the same document
+router.use('/docs', swaggerUi.serve, swaggerUi.setup(spec, {
+  customSiteTitle: 'Ratings App API docs'
+}));
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// Every API router with its path relative to the API root. server.js mounts them under /api/v1
+// (and, deprecated, under /api). Order matters: the more specific /stores router has to come
+// before the catch-all / one.
+// test/openapi.test.js checks each route registered here against routes/openapi.js.
+module.exports = [
+  { path: '/auth', router: require('./authRoutes') },
+  { path: '/auth/2fa', router: require('./twoFactorRoutes') },
+  { path: '/auth/sessions', router: require('./sessionRoutes') },
+  { path: '/admin', router: require('./adminRoutes') },
+  { path: '/user', router: require('./userRoutes') },
+  { path: '/users', router: require('./profileRoutes') },
+  { path: '/store-owner', router: require('./storeOwnerRoutes') },
+  { path: '/ratings', router: require('./ratingRoutes') },
+  { path: '/notifications', router: require('./notificationRoutes') },
+  { path: '/stores', router: require('./storePhotoRoutes') },
+  { path: '/', router: require('./storeRoutes') }
+];
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { authenticateToken } = require('../middleware/auth');
+const { listNotifications, countUnread, markRead, markAllRead } = require('../services/notificationService');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { sendSuccess } = require('../utils/response');
+
+// Notifications belong to whoever is signed in, whatever their role
+router.use(authenticateToken);
+
+// GET /api/notifications?unread_only=true&limit=20&offset=0
+router.get('/', async (req, res, next) => {
+  const { unread_only, limit = 20, offset = 0 } = req.query;
+  const limitNum = parseInt(limit);
+  const offsetNum = parseInt(offset);
+
+  if (isNaN(limitNum) || limitNum < 1 || limitNum > 100 || isNaN(offsetNum) || offsetNum < 0) {
+    return next(new BadRequestError('Limit must be between 1 and 100 and offset must be non-negative', { code: 'INVALID_PAGINATION' }));
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const notifications = await listNotifications(connection, req.user.id, {
+      unreadOnly: unread_only === 'true',
+      limit: limitNum,
+      offset: offsetNum
+    });
+    const unread = await countUnread(connection, req.user.id);
+
+    sendSuccess(res, notifications, { meta: { unread_count: unread } });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/notifications/read-all
+router.post('/read-all', async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    const updated = await markAllRead(connection, req.user.id);
+
+    sendSuccess(res, { updated }, { message: 'All notifications marked as read' });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/notifications/:id/read
+router.post('/:id/read', async (req, res, next) => {
+  const notificationId = parseInt(req.params.id);
+
+  if (isNaN(notificationId) || notificationId <= 0) {
+    return next(new BadRequestError('Invalid notification ID', { code: 'INVALID_NOTIFICATION_ID' }));
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    const found = await markRead(connection, req.user.id, notificationId);
+
+    if (!found) {
+      return next(new NotFoundError('Notification not found', { code: 'NOTIFICATION_NOT_FOUND' }));
+    }
+
+    sendSuccess(res, null, { message: 'Notification marked as read' });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
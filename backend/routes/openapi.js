@@ -0,0 +1,1541 @@
+const { schemas, ROLES, PERMISSIONS, ACCOUNT_STATUSES } = require('ratings-app-shared');
+
+// OpenAPI 3 description of every router in routes/index.js, served at /api/v1/openapi.json.
+// Paths are relative to the /api/v1 server; the deprecated unversioned /api/* paths are not listed.
+//
+// Request bodies are derived from the shared validation schemas, so a changed rule shows up here
+// without a second edit. When adding or changing a route, update `paths` below as well;
+// test/openapi.test.js fails for any mounted route that is missing from this document.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Translate a ratings-app-shared schema into a JSON Schema object
+const fromValidationSchema = (schema, { partial = false, extra = {} } = {}) => {
+  const properties = {};
+  const required = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const property = {};
+    if (rule.type === 'integer') property.type = 'integer';
+    else if (rule.type === 'string') property.type = 'string';
+    if (rule.label) property.description = rule.label;
+    if (rule.minLength !== undefined) property.minLength = rule.minLength;
+    if (rule.maxLength !== undefined) property.maxLength = rule.maxLength;
+    if (rule.min !== undefined) property.minimum = rule.min;
+    if (rule.max !== undefined) property.maximum = rule.max;
+    if (rule.oneOf) property.enum = rule.oneOf;
+    if (rule.pattern) property.pattern = rule.pattern.source;
+
+    properties[field] = property;
+    if (!rule.optional && !partial) required.push(field);
+  });
+
+  Object.assign(properties, extra);
+  return required.length > 0
+    ? { type: 'object', required, properties }
+    : { type: 'object', properties };
+};
+
+const jsonBody = (schema, description) => ({
+  required: true,
+  ...(description && { description }),
+  content: { 'application/json': { schema } }
+});
+
+const success = (data, description = 'Success', { meta } = {}) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        allOf: [
+          ref('SuccessEnvelope'),
+          {
+            type: 'object',
+            properties: {
+              data: data || { nullable: true },
+              ...(meta && { meta })
+            }
+          }
+        ]
+      }
+    }
+  }
+});
+
+const errors = (...statuses) => statuses.reduce((responses, status) => {
+  responses[status] = { $ref: `#/components/responses/${status}` };
+  return responses;
+}, {});
+
+const listOf = (name) => ({ type: 'array', items: ref(name) });
+
+const pathId = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'integer', minimum: 1 }
+});
+
+const query = (name, schema, description) => ({
+  name,
+  in: 'query',
+  required: false,
+  ...(description && { description }),
+  schema
+});
+
+const paginationParams = (defaultLimit = 50) => [
+  query('limit', { type: 'integer', minimum: 1, maximum: 100, default: defaultLimit }),
+  query('offset', { type: 'integer', minimum: 0, default: 0 })
+];
+
+const paginatedMeta = {
+  type: 'object',
+  properties: {
+    pagination: ref('Pagination'),
+    filters: { type: 'object', additionalProperties: true }
+  }
+};
+
+const countMeta = {
+  type: 'object',
+  properties: { count: { type: 'integer' } }
+};
+
+const categoryFilter = query(
+  'category',
+  { type: 'string' },
+  'Comma-separated category slugs; stores in any of them match'
+);
+
+const bearer = [{ bearerAuth: [] }];
+
+const permissionName = {
+  type: 'string',
+  enum: Object.keys(PERMISSIONS),
+  description: Object.entries(PERMISSIONS).map(([name, description]) => `${name}: ${description}`).join('\n')
+};
+
+const storeBody = {
+  owner_id: { type: 'integer', minimum: 1, nullable: true },
+  category_ids: { type: 'array', items: { type: 'integer', minimum: 1 } }
+};
+
+const storeActionParams = [
+  query('store_action', { type: 'string', enum: ['orphan', 'reassign'], default: 'orphan' },
+    'What happens to stores owned by a store owner who loses the role'),
+  query('reassign_to', { type: 'integer', minimum: 1 }, 'Store owner receiving the stores when store_action=reassign')
+];
+
+const paths = {
+  // Authentication
+  '/auth/setup-status': {
+    get: {
+      tags: ['Auth'],
+      summary: 'Whether first-run setup is waiting for the first admin',
+      responses: {
+        200: success({ type: 'object', properties: { setupRequired: { type: 'boolean' } } })
+      }
+    }
+  },
+  '/auth/register-admin': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Create the first admin account (first-run setup)',
+      description: 'Needs the one-time token the server prints at startup while no admin exists. ' +
+        'Answers 409 SETUP_COMPLETED once setup has been done.',
+      requestBody: jsonBody(fromValidationSchema(schemas.register, {
+        extra: { setupToken: { type: 'string' } }
+      })),
+      responses: {
+        201: success({ type: 'object', properties: { adminId: { type: 'integer' }, email: { type: 'string' } } }, 'Admin created'),
+        ...errors(400, 403, 409, 429)
+      }
+    }
+  },
+  '/auth/register': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Sign up as a normal user',
+      requestBody: jsonBody(fromValidationSchema(schemas.register)),
+      responses: {
+        201: success({
+          type: 'object',
+          properties: { userId: { type: 'integer' }, emailVerified: { type: 'boolean' } }
+        }, 'Account created; a verification link has been emailed'),
+        ...errors(400, 409, 429)
+      }
+    }
+  },
+  '/auth/login': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Exchange credentials for an access and refresh token',
+      description: 'Repeated failed attempts for one email lock it out for a while, whether or not the account exists. ' +
+        'A correct password for a suspended or banned account answers 403 ACCOUNT_SUSPENDED or ACCOUNT_BANNED.',
+      requestBody: jsonBody(fromValidationSchema(schemas.login)),
+      responses: {
+        200: success({ oneOf: [ref('Session'), ref('TwoFactorChallenge')] },
+          'Logged in, or a 2FA challenge when the account uses or must set up two-factor authentication'),
+        ...errors(400, 401, 403, 429)
+      }
+    }
+  },
+  '/auth/refresh': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Rotate a refresh token into a new token pair',
+      requestBody: jsonBody(ref('RefreshTokenBody')),
+      responses: {
+        200: success(ref('Session'), 'New token pair'),
+        ...errors(400, 401, 403, 429)
+      }
+    }
+  },
+  '/auth/logout': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Revoke a refresh token and the rest of its family',
+      requestBody: jsonBody(ref('RefreshTokenBody')),
+      responses: {
+        200: success(null, 'Logged out'),
+        ...errors(400)
+      }
+    }
+  },
+  '/auth/forgot-password': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Email a password reset link',
+      description: 'Answers the same way whether or not the email is registered.',
+      requestBody: jsonBody(fromValidationSchema(schemas.forgotPassword)),
+      responses: {
+        200: success(null, 'Reset link sent if the account exists'),
+        ...errors(400, 429)
+      }
+    }
+  },
+  '/auth/reset-password': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Choose a new password with an emailed reset token',
+      requestBody: jsonBody(fromValidationSchema(schemas.resetPassword)),
+      responses: {
+        200: success(null, 'Password reset'),
+        ...errors(400, 429)
+      }
+    }
+  },
+  '/auth/verify-email': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Confirm an email address with the token from the verification link',
+      requestBody: jsonBody(fromValidationSchema(schemas.verifyEmail)),
+      responses: {
+        200: success({
+          type: 'object',
+          properties: {
+            emailVerified: { type: 'boolean' },
+            emailChanged: { type: 'boolean', description: 'True when the link confirmed a new address requested with PATCH /users/me' }
+          }
+        }, 'Email verified'),
+        ...errors(400, 409, 429)
+      }
+    }
+  },
+  '/auth/resend-verification': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Email a fresh verification link',
+      description: 'Answers the same way whether or not the account exists or still needs verifying.',
+      requestBody: jsonBody(fromValidationSchema(schemas.resendVerification)),
+      responses: {
+        200: success(null, 'Link sent if the account needs one'),
+        ...errors(400, 429)
+      }
+    }
+  },
+  '/auth/validate': {
+    get: {
+      tags: ['Auth'],
+      summary: 'Check an access token and return its user',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', properties: { valid: { type: 'boolean' }, user: ref('User') } }),
+        ...errors(401)
+      }
+    }
+  },
+  '/auth/password': {
+    put: {
+      tags: ['Auth'],
+      summary: 'Change your own password',
+      security: bearer,
+      description: 'Signs out every other session of the user.',
+      requestBody: jsonBody(fromValidationSchema(schemas.changePassword)),
+      responses: {
+        200: success({ type: 'object', properties: { otherSessionsRevoked: { type: 'integer' } } }, 'Password updated'),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  '/auth/sessions': {
+    get: {
+      tags: ['Auth'],
+      summary: 'Devices you are signed in on, most recently used first',
+      security: bearer,
+      responses: {
+        200: success(listOf('DeviceSession')),
+        ...errors(401)
+      }
+    },
+    delete: {
+      tags: ['Auth'],
+      summary: 'Sign out every device except this one',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', properties: { revoked: { type: 'integer' } } }, 'Other sessions signed out'),
+        ...errors(401)
+      }
+    }
+  },
+  '/auth/sessions/{id}': {
+    parameters: [pathId('id', 'Session ID')],
+    delete: {
+      tags: ['Auth'],
+      summary: 'Sign out one device',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', properties: { current: { type: 'boolean' } } }, 'Session signed out'),
+        ...errors(400, 401, 404)
+      }
+    }
+  },
+  '/auth/2fa': {
+    get: {
+      tags: ['Auth'],
+      summary: 'Your two-factor authentication status',
+      security: bearer,
+      responses: {
+        200: success({
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            required: { type: 'boolean', description: 'Your role requires 2FA' },
+            recoveryCodesRemaining: { type: 'integer' }
+          }
+        }),
+        ...errors(401)
+      }
+    },
+    delete: {
+      tags: ['Auth'],
+      summary: 'Turn off two-factor authentication',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.twoFactorCode)),
+      responses: {
+        200: success(null, '2FA disabled'),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  '/auth/2fa/challenge': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Second login step: trade a challenge token and a code for a session',
+      description: 'Send either code (from the authenticator app) or recoveryCode. Failed codes count towards the login lockout.',
+      requestBody: jsonBody(fromValidationSchema(schemas.twoFactorChallenge)),
+      responses: {
+        200: success({
+          allOf: [ref('Session'), { type: 'object', properties: { recoveryCodesRemaining: { type: 'integer' } } }]
+        }, 'Logged in'),
+        ...errors(400, 401, 403, 429)
+      }
+    }
+  },
+  '/auth/2fa/setup': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Start 2FA enrolment with a new secret and QR code',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          challengeToken: { type: 'string', description: 'Only when enrolling mid-login (stage enrol); otherwise send a bearer token' }
+        }
+      }),
+      responses: {
+        200: success({
+          type: 'object',
+          properties: {
+            secret: { type: 'string', description: 'Base32, for typing into the app by hand' },
+            otpauthUri: { type: 'string', example: 'otpauth://totp/RatingsApp:admin%40example.com?secret=...' },
+            qrCode: { type: 'string', description: 'PNG data URL of otpauthUri' }
+          }
+        }),
+        ...errors(401, 409, 429)
+      }
+    }
+  },
+  '/auth/2fa/enable': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Confirm enrolment with a code and receive recovery codes',
+      description: 'When enrolling mid-login the response also carries the session fields.',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.twoFactorCode, {
+        extra: { challengeToken: { type: 'string' } }
+      })),
+      responses: {
+        200: success({
+          type: 'object',
+          properties: {
+            recoveryCodes: { type: 'array', items: { type: 'string', example: 'a1b2c-3d4e5' } },
+            token: { type: 'string' },
+            refreshToken: { type: 'string' },
+            expiresIn: { type: 'string' },
+            user: ref('User')
+          }
+        }, '2FA enabled'),
+        ...errors(400, 401, 409, 429)
+      }
+    }
+  },
+  '/auth/2fa/recovery-codes': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Replace your recovery codes',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.twoFactorCode)),
+      responses: {
+        200: success({
+          type: 'object',
+          properties: { recoveryCodes: { type: 'array', items: { type: 'string' } } }
+        }),
+        ...errors(400, 401)
+      }
+    }
+  },
+
+  // Admin
+  '/admin/dashboard': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Totals, recent activity and rating distribution',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', additionalProperties: true }),
+        ...errors(401, 403)
+      }
+    }
+  },
+  '/admin/users': {
+    get: {
+      tags: ['Admin'],
+      summary: 'List users with filters',
+      security: bearer,
+      parameters: [
+        query('name', { type: 'string' }),
+        query('email', { type: 'string' }),
+        query('address', { type: 'string' }),
+        query('role', { type: 'string', example: 'store_owner' }, 'Primary or granted role name'),
+        query('status', { type: 'string', enum: ACCOUNT_STATUSES }),
+        query('sort', { type: 'string', example: 'name:asc' }, 'field:direction with field one of name, email, address, role, status, created_at'),
+        ...paginationParams()
+      ],
+      responses: {
+        200: success(listOf('User'), 'Success', { meta: paginatedMeta }),
+        ...errors(400, 401, 403)
+      }
+    },
+    post: {
+      tags: ['Admin'],
+      summary: 'Create a user of any role',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.user)),
+      responses: {
+        201: success(ref('User'), 'User created'),
+        ...errors(400, 401, 403, 409)
+      }
+    }
+  },
+  '/admin/users/{id}': {
+    parameters: [pathId('id', 'User ID')],
+    get: {
+      tags: ['Admin'],
+      summary: 'User details, including ratings given or stores owned',
+      security: bearer,
+      responses: {
+        200: success(ref('User')),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    put: {
+      tags: ['Admin'],
+      summary: 'Update a user; demoting a store owner releases or reassigns their stores',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.user, {
+        partial: true,
+        extra: {
+          store_action: { type: 'string', enum: ['orphan', 'reassign'], default: 'orphan' },
+          reassign_to: { type: 'integer', minimum: 1 }
+        }
+      })),
+      responses: {
+        200: success({ type: 'object', additionalProperties: true }, 'User updated'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    },
+    delete: {
+      tags: ['Admin'],
+      summary: 'Delete a user and their ratings',
+      security: bearer,
+      parameters: storeActionParams,
+      responses: {
+        200: success({ type: 'object', additionalProperties: true }, 'User deleted'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+  '/admin/users/{id}/deletion-impact': {
+    parameters: [pathId('id', 'User ID')],
+    get: {
+      tags: ['Admin'],
+      summary: 'Preview what deleting or demoting a user would affect',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', additionalProperties: true }),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/admin/store-change-requests': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Store profile edits waiting for review',
+      security: bearer,
+      parameters: [
+        query('status', { type: 'string', enum: ['pending', 'approved', 'rejected', 'superseded'], default: 'pending' }),
+        ...paginationParams()
+      ],
+      responses: {
+        200: success(listOf('StoreChangeRequest'), 'Success', { meta: paginatedMeta }),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  '/admin/store-change-requests/{id}/{decision}': {
+    parameters: [
+      pathId('id', 'Change request ID'),
+      { name: 'decision', in: 'path', required: true, schema: { type: 'string', enum: ['approve', 'reject'] } }
+    ],
+    post: {
+      tags: ['Admin'],
+      summary: 'Approve or reject a pending store edit',
+      security: bearer,
+      requestBody: {
+        required: false,
+        content: {
+          'application/json': {
+            schema: { type: 'object', properties: { note: { type: 'string', maxLength: 500 } } }
+          }
+        }
+      },
+      responses: {
+        200: success(ref('StoreChangeRequest'), 'Reviewed'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+  '/admin/stores/assign-unassigned': {
+    post: {
+      tags: ['Admin'],
+      summary: 'Give stores without an owner to a store owner',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['owner_id'],
+        properties: {
+          owner_id: { type: 'integer', minimum: 1 },
+          store_ids: {
+            type: 'array',
+            items: { type: 'integer', minimum: 1 },
+            description: 'Only these stores; every unassigned store when omitted'
+          }
+        }
+      }),
+      responses: {
+        200: success({ type: 'object', properties: { assigned: { type: 'integer' }, owner: ref('User') } }, 'Stores assigned'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/admin/stores': {
+    get: {
+      tags: ['Admin'],
+      summary: 'List stores with filters',
+      security: bearer,
+      parameters: [
+        query('name', { type: 'string' }),
+        query('email', { type: 'string' }),
+        query('address', { type: 'string' }),
+        categoryFilter,
+        query('sort', { type: 'string', example: 'rating:desc' }, 'field:direction with field one of name, email, address, rating'),
+        ...paginationParams()
+      ],
+      responses: {
+        200: success(listOf('Store'), 'Success', { meta: paginatedMeta }),
+        ...errors(400, 401, 403)
+      }
+    },
+    post: {
+      tags: ['Admin'],
+      summary: 'Create a store, optionally with an owner and categories',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.store, { extra: storeBody })),
+      responses: {
+        201: success(ref('Store'), 'Store created'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+  '/admin/stores/{id}': {
+    parameters: [pathId('id', 'Store ID')],
+    get: {
+      tags: ['Admin'],
+      summary: 'Store details',
+      security: bearer,
+      responses: {
+        200: success(ref('Store')),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    put: {
+      tags: ['Admin'],
+      summary: 'Update a store; changes apply immediately',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.store, { partial: true, extra: storeBody })),
+      responses: {
+        200: success(ref('Store'), 'Store updated'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    },
+    delete: {
+      tags: ['Admin'],
+      summary: 'Delete a store with its ratings and photos',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', properties: { storeId: { type: 'integer' }, ratingsRemoved: { type: 'integer' } } }, 'Store deleted'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/admin/legacy-usage': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Requests still using the deprecated unversioned /api/* paths',
+      description: 'Counted in memory since the process started (meta.since), busiest path first.',
+      security: bearer,
+      responses: {
+        200: success({
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              method: { type: 'string' },
+              path: { type: 'string', example: '/api/admin/users/:id' },
+              count: { type: 'integer' },
+              first_seen: { type: 'string', format: 'date-time' },
+              last_seen: { type: 'string', format: 'date-time' }
+            }
+          }
+        }, 'Success', {
+          meta: { type: 'object', properties: { since: { type: 'string', format: 'date-time' } } }
+        }),
+        ...errors(401, 403)
+      }
+    }
+  },
+  '/admin/two-factor-policy': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Roles that must use 2FA, with enrolment counts',
+      security: bearer,
+      responses: {
+        200: success({
+          type: 'object',
+          properties: {
+            requiredRoles: { type: 'array', items: { type: 'string' } },
+            roles: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  role: { type: 'string' },
+                  label: { type: 'string' },
+                  required: { type: 'boolean' },
+                  total: { type: 'integer' },
+                  enrolled: { type: 'integer' }
+                }
+              }
+            }
+          }
+        }),
+        ...errors(401, 403)
+      }
+    },
+    put: {
+      tags: ['Admin'],
+      summary: 'Choose which roles must use 2FA',
+      description: 'Members of a newly required role enrol at their next sign-in; their refresh tokens stop working.',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['requiredRoles'],
+        properties: { requiredRoles: { type: 'array', items: { type: 'string' }, description: 'Role names' } }
+      }),
+      responses: {
+        200: success({
+          type: 'object',
+          properties: { requiredRoles: { type: 'array', items: { type: 'string' } } }
+        }, 'Policy updated'),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  '/admin/users/{id}/sessions': {
+    parameters: [pathId('id', 'User ID')],
+    delete: {
+      tags: ['Admin'],
+      summary: 'Sign a user out on every device',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', properties: { revoked: { type: 'integer' } } }, 'Sessions revoked'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/admin/users/{id}/two-factor': {
+    parameters: [pathId('id', 'User ID')],
+    delete: {
+      tags: ['Admin'],
+      summary: "Reset a user's 2FA after they lose their authenticator and recovery codes",
+      security: bearer,
+      responses: {
+        200: success(null, '2FA reset'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/admin/lockouts': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Accounts locked out after repeated failed logins',
+      security: bearer,
+      responses: {
+        200: success({
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              email: { type: 'string', format: 'email' },
+              locked_until: { type: 'string', format: 'date-time' }
+            }
+          }
+        }, 'Success', { meta: countMeta }),
+        ...errors(401, 403)
+      }
+    }
+  },
+  '/admin/lockouts/{email}': {
+    delete: {
+      tags: ['Admin'],
+      summary: 'Lift a login lockout early',
+      security: bearer,
+      parameters: [{ name: 'email', in: 'path', required: true, schema: { type: 'string', format: 'email' } }],
+      responses: {
+        200: success(null, 'Lockout cleared'),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+  '/admin/roles': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Roles with their permissions and how many users hold each',
+      security: bearer,
+      responses: {
+        200: success(listOf('Role'), 'Success', { meta: countMeta }),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags: ['Admin'],
+      summary: 'Define a role as a bundle of permissions',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.role, {
+        extra: { permissions: { type: 'array', items: permissionName } }
+      })),
+      responses: {
+        201: success(ref('Role'), 'Role created'),
+        ...errors(400, 401, 403, 409)
+      }
+    }
+  },
+  '/admin/roles/{id}': {
+    parameters: [pathId('id', 'Role ID')],
+    put: {
+      tags: ['Admin'],
+      summary: "Change a role's label, description or permissions",
+      description: "Names cannot change. The admin role's permissions are locked (409 ROLE_LOCKED).",
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.role, {
+        partial: true,
+        extra: { permissions: { type: 'array', items: permissionName } }
+      })),
+      responses: {
+        200: success(ref('Role'), 'Role updated'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    },
+    delete: {
+      tags: ['Admin'],
+      summary: 'Delete a custom role and take it away from everyone holding it',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', properties: { usersAffected: { type: 'integer' } } }, 'Role deleted'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+  '/admin/users/{id}/roles': {
+    parameters: [pathId('id', 'User ID')],
+    put: {
+      tags: ['Admin'],
+      summary: "Replace the roles granted on top of a user's primary role",
+      description: 'Taking store:edit:own away from someone who still owns stores answers 409 STORES_STILL_OWNED unless store_action is given.',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['roles'],
+        properties: {
+          roles: { type: 'array', items: { type: 'string' } },
+          store_action: { type: 'string', enum: ['orphan', 'reassign'] },
+          reassign_to: { type: 'integer', minimum: 1 }
+        }
+      }),
+      responses: {
+        200: success({ type: 'object', additionalProperties: true }, 'Roles updated'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+  '/admin/users/{id}/status': {
+    parameters: [pathId('id', 'User ID')],
+    put: {
+      tags: ['Admin'],
+      summary: 'Suspend, ban or reinstate an account',
+      description: 'Suspending or banning signs the user out everywhere. A ban with hide_ratings leaves their ratings ' +
+        'out of store averages; any later change puts them back. The last active admin answers 409 LAST_ADMIN.',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.accountStatus, {
+        extra: {
+          until: { type: 'string', format: 'date-time', description: 'End of the suspension; required to suspend' },
+          hide_ratings: { type: 'boolean', default: false, description: 'Only used when banning' }
+        }
+      })),
+      responses: {
+        200: success({
+          type: 'object',
+          properties: {
+            user: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                status: { type: 'string', enum: ACCOUNT_STATUSES },
+                status_reason: { type: 'string', nullable: true },
+                suspended_until: { type: 'string', format: 'date-time', nullable: true }
+              }
+            },
+            ratingsChanged: { type: 'integer', description: 'Ratings hidden or restored by this change' },
+            sessionsRevoked: { type: 'integer' }
+          }
+        }, 'Status updated'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+  '/admin/audit-log': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Audit trail of changes made by admins and store owners, newest first',
+      security: bearer,
+      parameters: [
+        query('actor_id', { type: 'integer', minimum: 1 }, 'User who made the change'),
+        query('action', { type: 'string', example: 'store.update' }),
+        query('entity_type', { type: 'string', example: 'store' }),
+        query('entity_id', { type: 'string' }),
+        query('from', { type: 'string', format: 'date', example: '2025-01-01' }, 'Inclusive date or date-time'),
+        query('to', { type: 'string', format: 'date', example: '2025-01-31' }, 'Inclusive; a bare date covers the whole day'),
+        ...paginationParams()
+      ],
+      responses: {
+        200: success(listOf('AuditLogEntry'), 'Success', {
+          meta: {
+            type: 'object',
+            properties: {
+              ...paginatedMeta.properties,
+              facets: {
+                type: 'object',
+                description: 'Every action and entity type recorded so far',
+                properties: {
+                  actions: { type: 'array', items: { type: 'string' } },
+                  entityTypes: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            }
+          }
+        }),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  '/admin/categories': {
+    get: {
+      tags: ['Admin'],
+      summary: 'List categories with store counts',
+      security: bearer,
+      responses: {
+        200: success(listOf('Category')),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags: ['Admin'],
+      summary: 'Create a category',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.category)),
+      responses: {
+        201: success(ref('Category'), 'Category created'),
+        ...errors(400, 401, 403, 409)
+      }
+    }
+  },
+  '/admin/categories/{id}': {
+    parameters: [pathId('id', 'Category ID')],
+    put: {
+      tags: ['Admin'],
+      summary: 'Rename a category',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.category)),
+      responses: {
+        200: success(ref('Category'), 'Category updated'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    },
+    delete: {
+      tags: ['Admin'],
+      summary: 'Delete a category and unlink its stores',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', properties: { storesUnlinked: { type: 'integer' } } }, 'Category deleted'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  // Any signed-in user
+  '/users/me': {
+    get: {
+      tags: ['Profile'],
+      summary: 'Your own profile',
+      security: bearer,
+      responses: {
+        200: success(ref('User')),
+        ...errors(401, 403, 404)
+      }
+    },
+    patch: {
+      tags: ['Profile'],
+      summary: 'Update your name, email or address',
+      description: 'A new email is kept in `pending_email` and a confirmation link is sent to it; it replaces the current ' +
+        'address once the link is followed (POST /auth/verify-email), which also verifies an unverified account. ' +
+        'Sending the current address cancels a pending change. Unverified accounts may only change their email.',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.profile, { partial: true })),
+      responses: {
+        200: success(ref('User'), 'Profile updated'),
+        ...errors(400, 401, 403, 409)
+      }
+    }
+  },
+
+  // Normal users
+  '/user/stores': {
+    get: {
+      tags: ['User'],
+      summary: 'Browse stores with your own rating included',
+      security: bearer,
+      parameters: [
+        query('search', { type: 'string' }, 'Matches store name or address'),
+        categoryFilter,
+        query('sort', { type: 'string', enum: ['name_asc', 'name_desc', 'rating_desc', 'rating_asc', 'newest', 'oldest'], default: 'name_asc' }),
+        ...paginationParams()
+      ],
+      responses: {
+        200: success(listOf('Store'), 'Success', { meta: paginatedMeta }),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  '/user/ratings': {
+    get: {
+      tags: ['User'],
+      summary: 'Ratings you have submitted',
+      security: bearer,
+      parameters: [
+        query('sort', { type: 'string', enum: ['newest', 'oldest', 'rating_high', 'rating_low', 'store_name'], default: 'newest' }),
+        ...paginationParams()
+      ],
+      responses: {
+        200: success(listOf('Rating'), 'Success', { meta: paginatedMeta }),
+        ...errors(400, 401, 403)
+      }
+    },
+    post: {
+      tags: ['User'],
+      summary: 'Rate a store, or change your existing rating',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.rating)),
+      responses: {
+        200: success({ type: 'object', additionalProperties: true }, 'Rating saved'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/user/ratings/{store_id}': {
+    parameters: [pathId('store_id', 'Store whose rating to remove')],
+    delete: {
+      tags: ['User'],
+      summary: 'Remove your rating of a store',
+      security: bearer,
+      responses: {
+        200: success(null, 'Rating deleted'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  // Store owners
+  '/store-owner/dashboard': {
+    get: {
+      tags: ['Store owner'],
+      summary: 'Your stores, recent ratings and raters',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', additionalProperties: true }),
+        ...errors(401, 403)
+      }
+    }
+  },
+  '/store-owner/ratings': {
+    get: {
+      tags: ['Store owner'],
+      summary: 'Ratings of your stores',
+      security: bearer,
+      parameters: [
+        query('store_id', { type: 'integer', minimum: 1 }),
+        query('rating', { type: 'integer', minimum: 1, maximum: 5 }),
+        query('sort', { type: 'string', enum: ['newest', 'oldest', 'rating_high', 'rating_low', 'store_name', 'user_name'], default: 'newest' }),
+        ...paginationParams()
+      ],
+      responses: {
+        200: success(listOf('Rating'), 'Success', { meta: paginatedMeta }),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  '/store-owner/stores/{id}': {
+    parameters: [pathId('id', 'Store ID')],
+    get: {
+      tags: ['Store owner'],
+      summary: 'One of your stores with its rating distribution',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', properties: { store: ref('Store'), ratingDistribution: { type: 'array', items: { type: 'object' } } } }),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    put: {
+      tags: ['Store owner'],
+      summary: 'Edit your store profile',
+      description: 'Name and address changes apply immediately; an email change is held for admin approval and answers 202.',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.store, { partial: true })),
+      responses: {
+        200: success({ type: 'object', additionalProperties: true }, 'Store updated'),
+        202: success({ type: 'object', additionalProperties: true }, 'Changes waiting for approval'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+  '/store-owner/ratings/{id}/reply': {
+    parameters: [pathId('id', 'Rating ID')],
+    post: {
+      tags: ['Store owner'],
+      summary: 'Reply publicly to a rating of your store',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.reply)),
+      responses: {
+        201: success(ref('Reply'), 'Reply posted'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    },
+    put: {
+      tags: ['Store owner'],
+      summary: 'Edit your reply',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.reply)),
+      responses: {
+        200: success(ref('Reply'), 'Reply updated'),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    delete: {
+      tags: ['Store owner'],
+      summary: 'Remove your reply',
+      security: bearer,
+      responses: {
+        200: success(null, 'Reply deleted'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  // Ratings
+  '/ratings': {
+    get: {
+      tags: ['Ratings'],
+      summary: 'Every rating value with the overall average',
+      responses: {
+        200: success(listOf('Rating'), 'Success', {
+          meta: { type: 'object', properties: { averageRating: { type: 'number' }, count: { type: 'integer' } } }
+        })
+      }
+    },
+    post: {
+      tags: ['Ratings'],
+      summary: 'Rate a store, or change your existing rating',
+      security: bearer,
+      requestBody: jsonBody(fromValidationSchema(schemas.rating)),
+      responses: {
+        200: success({ type: 'object', additionalProperties: true }, 'Rating saved'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/ratings/store/{storeId}': {
+    parameters: [pathId('storeId', 'Store ID')],
+    get: {
+      tags: ['Ratings'],
+      summary: 'Ratings of one store, with owner replies',
+      responses: {
+        200: success(listOf('Rating'), 'Success', {
+          meta: { type: 'object', properties: { averageRating: { type: 'number' }, count: { type: 'integer' } } }
+        })
+      }
+    }
+  },
+  '/ratings/user/{userId}': {
+    parameters: [pathId('userId', 'User ID')],
+    get: {
+      tags: ['Ratings'],
+      summary: 'Ratings submitted by one user',
+      responses: {
+        200: success(listOf('Rating'), 'Success', { meta: countMeta })
+      }
+    }
+  },
+
+  // Notifications
+  '/notifications': {
+    get: {
+      tags: ['Notifications'],
+      summary: 'Your notifications, newest first',
+      security: bearer,
+      parameters: [
+        query('unread_only', { type: 'boolean', default: false }),
+        ...paginationParams(20)
+      ],
+      responses: {
+        200: success(listOf('Notification'), 'Success', {
+          meta: { type: 'object', properties: { unread_count: { type: 'integer' } } }
+        }),
+        ...errors(400, 401)
+      }
+    }
+  },
+  '/notifications/read-all': {
+    post: {
+      tags: ['Notifications'],
+      summary: 'Mark every notification as read',
+      security: bearer,
+      responses: {
+        200: success({ type: 'object', properties: { updated: { type: 'integer' } } }, 'Marked as read'),
+        ...errors(401)
+      }
+    }
+  },
+  '/notifications/{id}/read': {
+    parameters: [pathId('id', 'Notification ID')],
+    post: {
+      tags: ['Notifications'],
+      summary: 'Mark one notification as read',
+      security: bearer,
+      responses: {
+        200: success(null, 'Marked as read'),
+        ...errors(400, 401, 404)
+      }
+    }
+  },
+
+  // Public store browsing and photos
+  '/stores': {
+    get: {
+      tags: ['Stores'],
+      summary: 'Browse stores; signed-in callers also get their own rating',
+      security: [{}, { bearerAuth: [] }],
+      parameters: [
+        query('search', { type: 'string' }, 'Matches store name or address'),
+        categoryFilter
+      ],
+      responses: {
+        200: success(listOf('Store'), 'Success', { meta: countMeta }),
+        ...errors(401)
+      }
+    }
+  },
+  '/categories': {
+    get: {
+      tags: ['Stores'],
+      summary: 'Categories for filter chips',
+      responses: {
+        200: success(listOf('Category'), 'Success', { meta: countMeta })
+      }
+    }
+  },
+  '/stores/{storeId}/photos': {
+    parameters: [pathId('storeId', 'Store ID')],
+    get: {
+      tags: ['Stores'],
+      summary: "A store's photos, newest first",
+      responses: {
+        200: success(listOf('Photo')),
+        ...errors(400)
+      }
+    },
+    post: {
+      tags: ['Stores'],
+      summary: 'Upload a photo (admins, or the store owner)',
+      security: bearer,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['photo'],
+              properties: { photo: { type: 'string', format: 'binary' } }
+            }
+          }
+        }
+      },
+      responses: {
+        201: success(ref('Photo'), 'Photo uploaded'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+  '/stores/{storeId}/photos/{photoId}': {
+    parameters: [pathId('storeId', 'Store ID'), pathId('photoId', 'Photo ID')],
+    delete: {
+      tags: ['Stores'],
+      summary: 'Delete a photo (admins, or the store owner)',
+      security: bearer,
+      responses: {
+        200: success(null, 'Photo deleted'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  }
+};
+
+const errorResponse = (description, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+});
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  responses: {
+    400: errorResponse('Invalid request. Validation failures use code VALIDATION_FAILED with per-field messages in details.'),
+    401: errorResponse('Missing, invalid or expired credentials'),
+    403: errorResponse(
+      'Signed in but not allowed to do this. Unverified accounts get EMAIL_NOT_VERIFIED on anything but reads ' +
+      'and email changes at PATCH /users/me; ' +
+      'suspended and banned accounts get ACCOUNT_SUSPENDED or ACCOUNT_BANNED, with the reason in details.'
+    ),
+    404: errorResponse('Not found'),
+    409: errorResponse('Conflicts with existing data'),
+    429: errorResponse(
+      'Rate limit exceeded (code RATE_LIMITED), or the account is locked after repeated failed logins (code ACCOUNT_LOCKED)',
+      { 'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } } }
+    )
+  },
+  schemas: {
+    SuccessEnvelope: {
+      type: 'object',
+      required: ['success', 'data'],
+      properties: {
+        success: { type: 'boolean', enum: [true] },
+        data: {},
+        message: { type: 'string' },
+        meta: { type: 'object', additionalProperties: true }
+      }
+    },
+    ErrorEnvelope: {
+      type: 'object',
+      required: ['success', 'error'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: {
+          type: 'object',
+          required: ['code', 'message'],
+          properties: {
+            code: { type: 'string', example: 'STORE_NOT_FOUND' },
+            message: { type: 'string' },
+            details: { type: 'object', additionalProperties: true }
+          }
+        }
+      }
+    },
+    Pagination: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' },
+        hasMore: { type: 'boolean' }
+      }
+    },
+    Session: {
+      type: 'object',
+      properties: {
+        token: { type: 'string', description: 'Short-lived access token' },
+        refreshToken: { type: 'string' },
+        expiresIn: { type: 'string' },
+        user: ref('User')
+      }
+    },
+    DeviceSession: {
+      type: 'object',
+      description: 'A device the user is signed in on',
+      properties: {
+        id: { type: 'integer' },
+        user_agent: { type: 'string', nullable: true },
+        ip_address: { type: 'string', nullable: true },
+        created_at: { type: 'string', format: 'date-time' },
+        last_seen_at: { type: 'string', format: 'date-time' },
+        current: { type: 'boolean', description: 'The session making this request' }
+      }
+    },
+    AuditLogEntry: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        actor_id: { type: 'integer', nullable: true, description: 'Null once the actor is deleted' },
+        actor_email: { type: 'string', nullable: true },
+        actor_role: { type: 'string', nullable: true },
+        action: { type: 'string', example: 'user.update' },
+        entity_type: { type: 'string', example: 'user' },
+        entity_id: { type: 'string', nullable: true },
+        changes: {
+          type: 'object',
+          nullable: true,
+          description: 'Changed fields only; before is null for creations and after is null for deletions',
+          properties: {
+            before: { type: 'object', nullable: true, additionalProperties: true },
+            after: { type: 'object', nullable: true, additionalProperties: true }
+          }
+        },
+        details: { type: 'object', nullable: true, additionalProperties: true },
+        ip_address: { type: 'string', nullable: true },
+        created_at: { type: 'string', format: 'date-time' }
+      }
+    },
+    RefreshTokenBody: {
+      type: 'object',
+      required: ['refreshToken'],
+      properties: { refreshToken: { type: 'string' } }
+    },
+    Role: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string', example: 'moderator' },
+        label: { type: 'string' },
+        description: { type: 'string', nullable: true },
+        is_system: { type: 'boolean', description: 'Built-in roles cannot be deleted; the admin role always holds every permission' },
+        user_count: { type: 'integer' },
+        permissions: { type: 'array', items: permissionName },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' }
+      }
+    },
+    User: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        pending_email: {
+          type: 'string',
+          format: 'email',
+          nullable: true,
+          description: 'A new address waiting to be confirmed from its verification link. Returned for the signed-in user.'
+        },
+        address: { type: 'string' },
+        role: { type: 'string', enum: ROLES, description: 'Primary role, which picks the home dashboard' },
+        roles: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Primary role first, then any granted roles. Returned for the signed-in user.'
+        },
+        granted_roles: { type: 'array', items: { type: 'string' }, description: 'Roles granted on top of the primary role (admin views)' },
+        permissions: { type: 'array', items: permissionName, description: 'Everything the user may do through any of their roles' },
+        email_verified_at: {
+          type: 'string',
+          format: 'date-time',
+          nullable: true,
+          description: 'Null until a self-registered user follows their verification link; until then they are read-only'
+        },
+        totp_enabled_at: { type: 'string', format: 'date-time', nullable: true, description: 'Set once two-factor authentication is on' },
+        status: { type: 'string', enum: ACCOUNT_STATUSES },
+        status_reason: { type: 'string', nullable: true, description: 'Why the account is suspended or banned' },
+        suspended_until: { type: 'string', format: 'date-time', nullable: true },
+        created_at: { type: 'string', format: 'date-time' }
+      }
+    },
+    TwoFactorChallenge: {
+      type: 'object',
+      properties: {
+        twoFactorRequired: { type: 'boolean', description: 'Send a code to /auth/2fa/challenge' },
+        twoFactorSetupRequired: { type: 'boolean', description: 'Enrol through /auth/2fa/setup and /auth/2fa/enable' },
+        challengeToken: { type: 'string' },
+        expiresIn: { type: 'string', example: '5m' }
+      }
+    },
+    Store: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        address: { type: 'string' },
+        owner_id: { type: 'integer', nullable: true },
+        overall_rating: { type: 'number' },
+        user_rating: { type: 'integer', description: 'Only when signed in and already rated' },
+        categories: listOf('Category'),
+        photos: listOf('Photo'),
+        created_at: { type: 'string', format: 'date-time' }
+      }
+    },
+    Category: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        slug: { type: 'string' },
+        store_count: { type: 'integer' }
+      }
+    },
+    Photo: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        url: { type: 'string' },
+        thumbnail_url: { type: 'string' },
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        created_at: { type: 'string', format: 'date-time' }
+      }
+    },
+    Rating: {
+      type: 'object',
+      properties: {
+        rating: { type: 'integer', minimum: 1, maximum: 5 },
+        comment: { type: 'string', nullable: true },
+        reply: { type: 'string', nullable: true },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' }
+      },
+      additionalProperties: true
+    },
+    Reply: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        rating_id: { type: 'integer' },
+        body: { type: 'string' }
+      }
+    },
+    StoreChangeRequest: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        store_id: { type: 'integer' },
+        status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'superseded'] },
+        changes: { type: 'object', additionalProperties: true }
+      },
+      additionalProperties: true
+    },
+    Notification: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        type: { type: 'string' },
+        message: { type: 'string' },
+        data: { type: 'object', nullable: true, additionalProperties: true },
+        read_at: { type: 'string', format: 'date-time', nullable: true },
+        created_at: { type: 'string', format: 'date-time' }
+      }
+    }
+  }
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Ratings App API',
+    version: '2.1.0',
+    description: 'Every response uses the same envelope: { success, data, message?, meta? } on success and ' +
+      '{ success: false, error: { code, message, details? } } on failure.'
+  },
+  servers: [{ url: '/api/v1' }],
+  tags: [
+    { name: 'Auth' },
+    { name: 'Admin' },
+    { name: 'User' },
+    { name: 'Profile' },
+    { name: 'Store owner' },
+    { name: 'Ratings' },
+    { name: 'Notifications' },
+    { name: 'Stores' }
+  ],
+  paths,
+  components
+};
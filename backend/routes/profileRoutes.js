@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { authenticateToken, authenticateAllowingUnverified } = require('../middleware/auth');
+const { getUserAccess } = require('../services/permissionService');
+const { sendEmailChangeVerification } = require('../services/emailVerificationService');
+const { recordAudit } = require('../services/auditLog');
+const { schemas } = require('ratings-app-shared');
+const { validateBody } = require('../middleware/validate');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { sendSuccess } = require('../utils/response');
+
+// The signed-in user's own profile, whatever their role
+
+const loadProfile = async (connection, userId) => {
+  const [rows] = await connection.query(
+    `SELECT id, name, email, pending_email, address, role, email_verified_at, totp_enabled_at, created_at
+     FROM users WHERE id = ?`,
+    [userId]
+  );
+  if (rows.length === 0) return null;
+
+  return { ...rows[0], ...await getUserAccess(connection, rows[0].id, rows[0].role) };
+};
+
+// GET /api/users/me
+router.get('/me', authenticateToken, async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    const profile = await loadProfile(connection, req.user.id);
+
+    if (!profile) {
+      return next(new NotFoundError('User not found', { code: 'USER_NOT_FOUND' }));
+    }
+
+    sendSuccess(res, profile);
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// PATCH /api/users/me - name and address change straight away. A new email is only stored as
+// pending_email until it is confirmed from a link sent to that address; sending the current
+// address cancels a pending change. Unverified accounts may only change their email, so someone
+// who mistyped it at registration can fix it; confirming the new address verifies the account.
+router.patch('/me', authenticateAllowingUnverified, validateBody(schemas.profile, { partial: true }), async (req, res, next) => {
+  const { name, email, address } = req.body;
+
+  if (name === undefined && email === undefined && address === undefined) {
+    return next(new BadRequestError('No fields to update', { code: 'NO_FIELDS_TO_UPDATE' }));
+  }
+
+  if (!req.user.email_verified_at && (name !== undefined || address !== undefined)) {
+    return next(new ForbiddenError('Please verify your email address to do this', { code: 'EMAIL_NOT_VERIFIED' }));
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const updates = [];
+    const params = [];
+    let newEmail = null;
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      params.push(name.trim());
+    }
+    if (address !== undefined) {
+      updates.push('address = ?');
+      params.push(address.trim());
+    }
+    if (email !== undefined) {
+      const normalized = email.toLowerCase().trim();
+
+      if (normalized === req.user.email) {
+        updates.push('pending_email = NULL');
+      } else {
+        const [taken] = await connection.query(
+          'SELECT id FROM users WHERE email = ? AND id != ?',
+          [normalized, req.user.id]
+        );
+        if (taken.length > 0) {
+          return next(new ConflictError('An account with this email address already exists', { code: 'EMAIL_ALREADY_EXISTS' }));
+        }
+
+        updates.push('pending_email = ?');
+        params.push(normalized);
+        newEmail = normalized;
+      }
+    }
+
+    const [before] = await connection.query('SELECT name, address, pending_email FROM users WHERE id = ?', [req.user.id]);
+
+    params.push(req.user.id);
+    await connection.query(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    const profile = await loadProfile(connection, req.user.id);
+
+    await recordAudit(connection, req, {
+      action: 'user.profile_update',
+      entityType: 'user',
+      entityId: req.user.id,
+      before: before[0],
+      after: { name: profile.name, address: profile.address, pending_email: profile.pending_email }
+    });
+
+    let message = 'Profile updated successfully';
+    if (newEmail) {
+      // The other changes are saved either way; the user can ask for a new link by sending the address again
+      try {
+        await sendEmailChangeVerification(profile, newEmail);
+        message = `Profile updated. Follow the link sent to ${newEmail} to start using it.`;
+      } catch (mailError) {
+        console.error('Email change verification failed for user:', req.user.id, mailError.message);
+        message = `Profile updated, but the confirmation email to ${newEmail} could not be sent. Save the address again to retry.`;
+      }
+    }
+
+    sendSuccess(res, profile, { message });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
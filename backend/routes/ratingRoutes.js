@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { schemas } = require('ratings-app-shared');
+const { validateBody } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+const { sendSuccess } = require('../utils/response');
 
 // GET /api/ratings - Return all ratings
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
-    const [rows] = await pool.execute('SELECT rating FROM ratings');
+    const [rows] = await pool.execute('SELECT rating FROM ratings WHERE hidden_at IS NULL');
     
     let averageRating = 0;
     if (rows.length > 0) {
@@ -13,46 +18,33 @@ router.get('/', async (req, res) => {
       averageRating = parseFloat((totalPoints / rows.length).toFixed(1));
     }
     
-    res.json({ 
-      data: rows,
-      averageRating: averageRating,
-      count: rows.length,
-      success: true 
-    });
+    sendSuccess(res, rows, { meta: { averageRating, count: rows.length } });
   } catch (error) {
-    console.error('GET Rating API Error:', error);
-    res.status(500).json({ error: 'Failed to fetch ratings', success: false });
+    next(error);
   }
 });
 
-// POST /api/ratings - Submit or Update rating (Public endpoint with hardcoded user)
-router.post('/', async (req, res) => {
+// POST /api/ratings - Submit or Update rating as the authenticated user
+router.post('/', authenticateToken, requirePermission('rating:write'), validateBody(schemas.rating), async (req, res, next) => {
   console.log('POST /api/ratings called with body:', req.body);
   
   try {
-    const { store_id, rating } = req.body;
-    
-    // Validate input
-    if (!store_id || !rating) {
-      console.log('Missing store_id or rating:', { store_id, rating });
-      return res.status(400).json({
-        error: 'Store ID and rating are required',
-        success: false
-      });
-    }
-    
-    if (rating < 1 || rating > 5) {
-      console.log('Invalid rating value:', rating);
-      return res.status(400).json({
-        error: 'Rating must be between 1 and 5',
-        success: false
-      });
-    }
+    const { store_id, rating, comment = '' } = req.body;
     
-    // For public endpoint, use user_id = 1 (this should be updated to use auth in production)
-    const user_id = 1;
+    const user_id = req.user.id;
+    // Empty comments are stored as NULL, as on /user/ratings
+    const reviewText = comment && comment.trim() ? comment.trim() : null;
     console.log('Processing rating:', { user_id, store_id, rating });
     
+    const [storeCheck] = await pool.execute(
+      'SELECT id FROM stores WHERE id = ?',
+      [store_id]
+    );
+    
+    if (storeCheck.length === 0) {
+      return next(new NotFoundError('Store not found', { code: 'STORE_NOT_FOUND' }));
+    }
+    
     // Check if user already rated this store
     const [existingRating] = await pool.execute(
       'SELECT id, rating as old_rating FROM ratings WHERE user_id = ? AND store_id = ?',
@@ -65,21 +57,21 @@ router.post('/', async (req, res) => {
       isUpdate = true;
       // Update existing rating
       await pool.execute(
-        'UPDATE ratings SET rating = ?, updated_at = NOW() WHERE user_id = ? AND store_id = ?',
-        [rating, user_id, store_id]
+        'UPDATE ratings SET rating = ?, comment = ?, updated_at = NOW() WHERE user_id = ? AND store_id = ?',
+        [rating, reviewText, user_id, store_id]
       );
     } else {
       console.log('Inserting new rating');
       // Insert new rating
       await pool.execute(
-        'INSERT INTO ratings (user_id, store_id, rating, created_at, updated_at) VALUES (?, ?, ?, NOW(), NOW())',
-        [user_id, store_id, rating]
+        'INSERT INTO ratings (user_id, store_id, rating, comment, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())',
+        [user_id, store_id, rating, reviewText]
       );
     }
     
     // Calculate new average rating for this store
     const [storeRatings] = await pool.execute(
-      'SELECT rating FROM ratings WHERE store_id = ?',
+      'SELECT rating FROM ratings WHERE store_id = ? AND hidden_at IS NULL',
       [store_id]
     );
     
@@ -102,41 +94,40 @@ router.post('/', async (req, res) => {
     }
     
     console.log('Rating', isUpdate ? 'updated' : 'submitted', 'successfully');
-    res.json({
-      message: isUpdate ? 'Rating updated successfully' : 'Rating submitted successfully',
-      success: true,
-      data: {
-        user_id,
-        store_id,
-        rating,
-        overall_rating: averageRating,
-        is_update: isUpdate
-      }
+    sendSuccess(res, {
+      user_id,
+      store_id,
+      rating,
+      comment: reviewText,
+      overall_rating: averageRating,
+      is_update: isUpdate
+    }, {
+      message: isUpdate ? 'Rating updated successfully' : 'Rating submitted successfully'
     });
     
   } catch (error) {
-    console.error('Error submitting/updating rating:', error);
-    res.status(500).json({
-      error: 'Failed to submit rating: ' + error.message,
-      success: false
-    });
+    next(error);
   }
 });
 
 // GET /api/ratings/store/:storeId - Get all ratings for a specific store
-router.get('/store/:storeId', async (req, res) => {
+router.get('/store/:storeId', async (req, res, next) => {
   try {
     const { storeId } = req.params;
     
     const [ratings] = await pool.execute(`
       SELECT 
         r.rating, 
+        r.comment,
         r.created_at, 
         r.updated_at,
-        u.name as user_name 
+        u.name as user_name,
+        rr.body as reply,
+        rr.updated_at as reply_updated_at
       FROM ratings r 
       JOIN users u ON r.user_id = u.id 
-      WHERE r.store_id = ? 
+      LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+      WHERE r.store_id = ? AND r.hidden_at IS NULL
       ORDER BY r.updated_at DESC
     `, [storeId]);
     
@@ -147,52 +138,39 @@ router.get('/store/:storeId', async (req, res) => {
       averageRating = parseFloat((totalPoints / ratings.length).toFixed(1));
     }
     
-    res.json({
-      data: ratings,
-      averageRating,
-      count: ratings.length,
-      success: true
-    });
+    sendSuccess(res, ratings, { meta: { averageRating, count: ratings.length } });
     
   } catch (error) {
-    console.error('Error fetching store ratings:', error);
-    res.status(500).json({
-      error: 'Failed to fetch store ratings',
-      success: false
-    });
+    next(error);
   }
 });
 
 // GET /api/ratings/user/:userId - Get all ratings by a specific user
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', async (req, res, next) => {
   try {
     const { userId } = req.params;
     
     const [ratings] = await pool.execute(`
       SELECT 
         r.rating,
+        r.comment,
         r.created_at,
         r.updated_at,
         s.name as store_name,
-        s.address as store_address
+        s.address as store_address,
+        rr.body as reply,
+        rr.updated_at as reply_updated_at
       FROM ratings r
       JOIN stores s ON r.store_id = s.id
-      WHERE r.user_id = ?
+      LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+      WHERE r.user_id = ? AND r.hidden_at IS NULL
       ORDER BY r.updated_at DESC
     `, [userId]);
     
-    res.json({
-      data: ratings,
-      count: ratings.length,
-      success: true
-    });
+    sendSuccess(res, ratings, { meta: { count: ratings.length } });
     
   } catch (error) {
-    console.error('Error fetching user ratings:', error);
-    res.status(500).json({
-      error: 'Failed to fetch user ratings',
-      success: false
-    });
+    next(error);
   }
 });
 
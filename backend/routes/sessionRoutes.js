@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { authenticateToken } = require('../middleware/auth');
+const { listSessions, revokeSession, revokeAllSessions } = require('../services/sessionService');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { sendSuccess } = require('../utils/response');
+
+// The signed-in user's own sessions, i.e. the devices they are logged in on
+router.use(authenticateToken);
+
+// GET /api/auth/sessions
+router.get('/', async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    const sessions = await listSessions(connection, req.user.id);
+
+    sendSuccess(res, sessions.map(session => ({ ...session, current: session.id === req.sessionId })));
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/auth/sessions - sign out every other device
+router.delete('/', async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    const revoked = await revokeAllSessions(connection, req.user.id, { except: req.sessionId });
+
+    console.log('Other sessions revoked for user:', req.user.id, { revoked });
+
+    sendSuccess(res, { revoked }, { message: 'Signed out of all other devices' });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/auth/sessions/:id - revoking the current session is the same as logging out
+router.delete('/:id', async (req, res, next) => {
+  const sessionId = parseInt(req.params.id);
+
+  if (isNaN(sessionId) || sessionId <= 0) {
+    return next(new BadRequestError('Invalid session ID', { code: 'INVALID_SESSION_ID' }));
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    const found = await revokeSession(connection, req.user.id, sessionId);
+
+    if (!found) {
+      return next(new NotFoundError('Session not found', { code: 'SESSION_NOT_FOUND' }));
+    }
+
+    console.log('Session revoked:', { userId: req.user.id, sessionId });
+
+    sendSuccess(res, { current: sessionId === req.sessionId }, { message: 'Session signed out' });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
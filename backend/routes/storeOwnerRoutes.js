@@ -1,14 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { schemas } = require('ratings-app-shared');
+const { validateBody } = require('../middleware/validate');
+const {
+    STORE_EDITS_REQUIRE_REVIEW,
+    emailTakenByOtherStore,
+    applyStoreChanges,
+    submitChangeRequest,
+    getPendingChanges
+} = require('../services/storeChangeService');
+const { createNotification } = require('../services/notificationService');
+const { recordAudit } = require('../services/auditLog');
+const { attachPhotos } = require('../services/photoService');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const { sendSuccess } = require('../utils/response');
 
-// Apply authentication and store owner role
+// Load a rating only if it belongs to one of the owner's stores, together with any existing reply
+const findOwnedRating = async (connection, ratingId, ownerId) => {
+    const [rows] = await connection.query(
+        `SELECT r.id, r.user_id, r.store_id, s.name as store_name, rr.id as reply_id, rr.body as reply_body
+         FROM ratings r
+         JOIN stores s ON r.store_id = s.id
+         LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+         WHERE r.id = ? AND s.owner_id = ?`,
+        [ratingId, ownerId]
+    );
+    return rows[0] || null;
+};
+
+// Apply authentication and the store owner permission; replies also need rating:reply:own
 router.use(authenticateToken);
-router.use(requireRole(['store_owner']));
+router.use(requirePermission('store:edit:own'));
 
 // Enhanced Store Owner Dashboard
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', async (req, res, next) => {
     let connection;
     try {
         connection = await pool.getConnection();
@@ -23,7 +50,7 @@ router.get('/dashboard', async (req, res) => {
                 MIN(r.created_at) as first_rating_date,
                 MAX(r.created_at) as latest_rating_date
              FROM stores s 
-             LEFT JOIN ratings r ON s.id = r.store_id 
+             LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
              WHERE s.owner_id = ?`,
             [req.user.id]
         );
@@ -35,22 +62,31 @@ router.get('/dashboard', async (req, res) => {
              COUNT(r.id) as rating_count,
              MAX(r.created_at) as latest_rating
              FROM stores s 
-             LEFT JOIN ratings r ON s.id = r.store_id 
+             LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
              WHERE s.owner_id = ? 
              GROUP BY s.id, s.name, s.email, s.address, s.created_at
              ORDER BY s.name ASC`,
             [req.user.id]
         );
         
+        // Attach any profile edits still waiting for admin review
+        const pendingChanges = await getPendingChanges(connection, stores.map(store => store.id));
+        stores.forEach(store => {
+            store.pending_change = pendingChanges[store.id] || null;
+        });
+        await attachPhotos(connection, stores);
+        
         // Get recent ratings (last 10)
         const [recentRatings] = await connection.query(
-            `SELECT r.id, r.rating, r.created_at, r.updated_at,
+            `SELECT r.id, r.rating, r.comment, r.created_at, r.updated_at,
              s.name as store_name, s.id as store_id,
-             u.name as user_name, u.email as user_email
+             u.name as user_name, u.email as user_email,
+             rr.body as reply, rr.updated_at as reply_updated_at
              FROM ratings r
              JOIN stores s ON r.store_id = s.id
              JOIN users u ON r.user_id = u.id
-             WHERE s.owner_id = ?
+             LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+             WHERE s.owner_id = ? AND r.hidden_at IS NULL
              ORDER BY r.created_at DESC
              LIMIT 10`,
             [req.user.id]
@@ -61,7 +97,7 @@ router.get('/dashboard', async (req, res) => {
             `SELECT r.rating, COUNT(*) as count
              FROM ratings r
              JOIN stores s ON r.store_id = s.id
-             WHERE s.owner_id = ?
+             WHERE s.owner_id = ? AND r.hidden_at IS NULL
              GROUP BY r.rating
              ORDER BY r.rating DESC`,
             [req.user.id]
@@ -73,37 +109,30 @@ router.get('/dashboard', async (req, res) => {
              FROM users u
              JOIN ratings r ON u.id = r.user_id
              JOIN stores s ON r.store_id = s.id
-             WHERE s.owner_id = ?
+             WHERE s.owner_id = ? AND r.hidden_at IS NULL
              ORDER BY u.name ASC`,
             [req.user.id]
         );
         
         console.log(`Dashboard data fetched for store owner ${req.user.id}`);
         
-        res.json({
-            success: true,
-            data: {
-                overview: storeStats[0],
-                stores: stores,
-                recentRatings: recentRatings,
-                ratingDistribution: ratingDistribution,
-                raters: raters
-            }
+        sendSuccess(res, {
+            overview: storeStats[0],
+            stores: stores,
+            recentRatings: recentRatings,
+            ratingDistribution: ratingDistribution,
+            raters: raters
         });
         
     } catch (error) {
-        console.error('Store owner dashboard error:', error);
-        res.status(500).json({ 
-            error: 'Failed to load dashboard',
-            message: 'An error occurred while loading your dashboard data. Please try again.'
-        });
+        next(error);
     } finally {
         if (connection) connection.release();
     }
 });
 
 // Get detailed ratings for owner's stores
-router.get('/ratings', async (req, res) => {
+router.get('/ratings', async (req, res, next) => {
     const { store_id, rating, sort = 'newest', limit = 50, offset = 0 } = req.query;
     
     let connection;
@@ -113,21 +142,15 @@ router.get('/ratings', async (req, res) => {
         const offsetNum = parseInt(offset);
         
         if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-            return res.status(400).json({ 
-                error: 'Invalid limit parameter',
-                message: 'Limit must be between 1 and 100'
-            });
+            return next(new BadRequestError('Limit must be between 1 and 100', { code: 'INVALID_LIMIT_PARAMETER' }));
         }
         
         if (isNaN(offsetNum) || offsetNum < 0) {
-            return res.status(400).json({ 
-                error: 'Invalid offset parameter', 
-                message: 'Offset must be a non-negative number'
-            });
+            return next(new BadRequestError('Offset must be a non-negative number', { code: 'INVALID_OFFSET_PARAMETER' }));
         }
         
         // Build filters
-        let whereClause = 'WHERE s.owner_id = ?';
+        let whereClause = 'WHERE s.owner_id = ? AND r.hidden_at IS NULL';
         const params = [req.user.id];
         
         if (store_id && !isNaN(parseInt(store_id))) {
@@ -158,13 +181,15 @@ router.get('/ratings', async (req, res) => {
         connection = await pool.getConnection();
         
         const [ratings] = await connection.query(
-            `SELECT r.id, r.rating, r.created_at, r.updated_at,
+            `SELECT r.id, r.rating, r.comment, r.created_at, r.updated_at,
              s.id as store_id, s.name as store_name, s.address as store_address,
              u.id as user_id, u.name as user_name, u.email as user_email,
-             u.address as user_address
+             u.address as user_address,
+             rr.body as reply, rr.updated_at as reply_updated_at
              FROM ratings r
              JOIN stores s ON r.store_id = s.id
              JOIN users u ON r.user_id = u.id
+             LEFT JOIN rating_replies rr ON rr.rating_id = r.id
              ${whereClause}
              ${orderBy}
              LIMIT ? OFFSET ?`,
@@ -187,44 +212,37 @@ router.get('/ratings', async (req, res) => {
         
         console.log(`Fetched ${ratings.length}/${totalRatings} ratings for store owner ${req.user.id}`);
         
-        res.json({
-            success: true,
-            data: ratings,
-            pagination: {
-                total: totalRatings,
-                limit: limitNum,
-                offset: offsetNum,
-                hasMore: hasMore
-            },
-            filters: {
-                store_id: store_id || null,
-                rating: rating || null,
-                sort: sort
+        sendSuccess(res, ratings, {
+            meta: {
+                pagination: {
+                    total: totalRatings,
+                    limit: limitNum,
+                    offset: offsetNum,
+                    hasMore: hasMore
+                },
+                filters: {
+                    store_id: store_id || null,
+                    rating: rating || null,
+                    sort: sort
+                }
             }
         });
         
     } catch (error) {
-        console.error('Store owner ratings error:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch ratings',
-            message: 'An error occurred while retrieving ratings. Please try again.'
-        });
+        next(error);
     } finally {
         if (connection) connection.release();
     }
 });
 
 // Get specific store details
-router.get('/stores/:id', async (req, res) => {
+router.get('/stores/:id', async (req, res, next) => {
     const storeId = parseInt(req.params.id);
     
     let connection;
     try {
         if (isNaN(storeId) || storeId <= 0) {
-            return res.status(400).json({ 
-                error: 'Invalid store ID',
-                message: 'Store ID must be a positive integer'
-            });
+            return next(new BadRequestError('Store ID must be a positive integer', { code: 'INVALID_STORE_ID' }));
         }
         
         connection = await pool.getConnection();
@@ -236,24 +254,21 @@ router.get('/stores/:id', async (req, res) => {
              COUNT(r.id) as total_ratings,
              COUNT(DISTINCT r.user_id) as unique_raters
              FROM stores s
-             LEFT JOIN ratings r ON s.id = r.store_id
+             LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
              WHERE s.id = ? AND s.owner_id = ?
              GROUP BY s.id, s.name, s.email, s.address, s.created_at`,
             [storeId, req.user.id]
         );
         
         if (storeData.length === 0) {
-            return res.status(404).json({ 
-                error: 'Store not found',
-                message: 'Store not found or you do not have permission to view it'
-            });
+            return next(new NotFoundError('Store not found or you do not have permission to view it', { code: 'STORE_NOT_FOUND' }));
         }
         
         // Get rating distribution for this store
         const [ratingDistribution] = await connection.query(
             `SELECT rating, COUNT(*) as count
              FROM ratings
-             WHERE store_id = ?
+             WHERE store_id = ? AND hidden_at IS NULL
              GROUP BY rating
              ORDER BY rating DESC`,
             [storeId]
@@ -261,20 +276,268 @@ router.get('/stores/:id', async (req, res) => {
         
         console.log(`Store details fetched: ${storeData[0].name}`);
         
-        res.json({
-            success: true,
-            data: {
-                store: storeData[0],
-                ratingDistribution: ratingDistribution
-            }
+        sendSuccess(res, {
+            store: storeData[0],
+            ratingDistribution: ratingDistribution
         });
         
     } catch (error) {
-        console.error('Get store details error:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch store details',
-            message: 'An error occurred while retrieving store information. Please try again.'
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Publicly reply to a rating on one of the owner's stores. The rater gets an in-app notification.
+router.post('/ratings/:id/reply', requirePermission('rating:reply:own'), validateBody(schemas.reply), async (req, res, next) => {
+    const ratingId = parseInt(req.params.id);
+    const { body } = req.body;
+    
+    if (isNaN(ratingId) || ratingId <= 0) {
+        return next(new BadRequestError('Invalid rating ID', { code: 'INVALID_RATING_ID' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const rating = await findOwnedRating(connection, ratingId, req.user.id);
+        
+        if (!rating) {
+            await connection.rollback();
+            return next(new NotFoundError('Rating not found or it is not for one of your stores', { code: 'RATING_NOT_FOUND' }));
+        }
+        
+        if (rating.reply_id) {
+            await connection.rollback();
+            return next(new ConflictError('This rating already has a reply. Edit it instead.', { code: 'REPLY_ALREADY_EXISTS' }));
+        }
+        
+        const [result] = await connection.query(
+            'INSERT INTO rating_replies (rating_id, owner_id, body) VALUES (?, ?, ?)',
+            [ratingId, req.user.id, body.trim()]
+        );
+        
+        await createNotification(connection, rating.user_id, {
+            type: 'rating_reply',
+            message: `${rating.store_name} replied to your rating`,
+            data: { rating_id: ratingId, store_id: rating.store_id, reply_id: result.insertId }
         });
+        
+        await recordAudit(connection, req, {
+            action: 'reply.create',
+            entityType: 'reply',
+            entityId: result.insertId,
+            after: { rating_id: ratingId, body: body.trim() },
+            details: { storeId: rating.store_id }
+        });
+        
+        await connection.commit();
+        
+        console.log(`Owner ${req.user.id} replied to rating ${ratingId}`);
+        
+        sendSuccess(res, {
+            id: result.insertId,
+            rating_id: ratingId,
+            body: body.trim()
+        }, {
+            status: 201,
+            message: 'Reply posted successfully'
+        });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Edit the owner's reply to a rating
+router.put('/ratings/:id/reply', requirePermission('rating:reply:own'), validateBody(schemas.reply), async (req, res, next) => {
+    const ratingId = parseInt(req.params.id);
+    const { body } = req.body;
+    
+    if (isNaN(ratingId) || ratingId <= 0) {
+        return next(new BadRequestError('Invalid rating ID', { code: 'INVALID_RATING_ID' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const rating = await findOwnedRating(connection, ratingId, req.user.id);
+        
+        if (!rating || !rating.reply_id) {
+            return next(new NotFoundError('There is no reply to this rating on your stores', { code: 'REPLY_NOT_FOUND' }));
+        }
+        
+        await connection.query(
+            'UPDATE rating_replies SET body = ? WHERE id = ?',
+            [body.trim(), rating.reply_id]
+        );
+        
+        await recordAudit(connection, req, {
+            action: 'reply.update',
+            entityType: 'reply',
+            entityId: rating.reply_id,
+            before: { body: rating.reply_body },
+            after: { body: body.trim() },
+            details: { ratingId, storeId: rating.store_id }
+        });
+        
+        console.log(`Owner ${req.user.id} edited reply ${rating.reply_id}`);
+        
+        sendSuccess(res, {
+            id: rating.reply_id,
+            rating_id: ratingId,
+            body: body.trim()
+        }, {
+            message: 'Reply updated successfully'
+        });
+        
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Remove the owner's reply to a rating
+router.delete('/ratings/:id/reply', requirePermission('rating:reply:own'), async (req, res, next) => {
+    const ratingId = parseInt(req.params.id);
+    
+    if (isNaN(ratingId) || ratingId <= 0) {
+        return next(new BadRequestError('Invalid rating ID', { code: 'INVALID_RATING_ID' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const rating = await findOwnedRating(connection, ratingId, req.user.id);
+        
+        if (!rating || !rating.reply_id) {
+            return next(new NotFoundError('There is no reply to this rating on your stores', { code: 'REPLY_NOT_FOUND' }));
+        }
+        
+        await connection.query('DELETE FROM rating_replies WHERE id = ?', [rating.reply_id]);
+        
+        await recordAudit(connection, req, {
+            action: 'reply.delete',
+            entityType: 'reply',
+            entityId: rating.reply_id,
+            before: { rating_id: ratingId, body: rating.reply_body },
+            details: { storeId: rating.store_id }
+        });
+        
+        console.log(`Owner ${req.user.id} deleted reply ${rating.reply_id}`);
+        
+        sendSuccess(res, null, { message: 'Reply deleted successfully' });
+        
+    } catch (error) {
+        next(error);
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Update the profile of one of the owner's stores.
+// With STORE_EDITS_REQUIRE_REVIEW enabled the edit is queued for admin approval instead of applied.
+router.put('/stores/:id', validateBody(schemas.store, { partial: true }), async (req, res, next) => {
+    const storeId = parseInt(req.params.id);
+    const { name, email, address } = req.body;
+    
+    if (isNaN(storeId) || storeId <= 0) {
+        return next(new BadRequestError('Store ID must be a positive integer', { code: 'INVALID_STORE_ID' }));
+    }
+    
+    if ([name, email, address].every(value => value === undefined)) {
+        return next(new BadRequestError('Provide at least one of: name, email, address', { code: 'NO_FIELDS_TO_UPDATE' }));
+    }
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const [rows] = await connection.query(
+            'SELECT id, name, email, address FROM stores WHERE id = ? AND owner_id = ? FOR UPDATE',
+            [storeId, req.user.id]
+        );
+        
+        if (rows.length === 0) {
+            await connection.rollback();
+            return next(new NotFoundError('Store not found or you do not have permission to edit it', { code: 'STORE_NOT_FOUND' }));
+        }
+        
+        const current = rows[0];
+        const changes = {};
+        
+        if (name !== undefined && name.trim() !== current.name) {
+            changes.name = name.trim();
+        }
+        if (email !== undefined && email.toLowerCase().trim() !== current.email) {
+            changes.email = email.toLowerCase().trim();
+        }
+        if (address !== undefined && address.trim() !== current.address) {
+            changes.address = address.trim();
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            await connection.rollback();
+            return next(new BadRequestError('The submitted details match the current store profile', { code: 'NO_CHANGES' }));
+        }
+        
+        if (changes.email && await emailTakenByOtherStore(connection, storeId, changes.email)) {
+            await connection.rollback();
+            return next(new ConflictError('A store with this email address already exists', { code: 'STORE_EMAIL_ALREADY_EXISTS' }));
+        }
+        
+        if (STORE_EDITS_REQUIRE_REVIEW) {
+            const requestId = await submitChangeRequest(connection, storeId, req.user.id, changes);
+            await recordAudit(connection, req, {
+                action: 'store.change_request_submit',
+                entityType: 'store',
+                entityId: storeId,
+                details: { changeRequestId: requestId, requestedChanges: changes }
+            });
+            await connection.commit();
+            
+            console.log(`Store ${storeId} edit submitted for review by owner ${req.user.id}`);
+            
+            return sendSuccess(res, {
+                store: current,
+                pending_change: { id: requestId, changes }
+            }, {
+                status: 202,
+                message: 'Your changes were submitted and will go live once an administrator approves them'
+            });
+        }
+        
+        await applyStoreChanges(connection, storeId, changes);
+        await recordAudit(connection, req, {
+            action: 'store.update',
+            entityType: 'store',
+            entityId: storeId,
+            before: current,
+            after: changes
+        });
+        await connection.commit();
+        
+        console.log(`Store ${storeId} updated by owner ${req.user.id}:`, Object.keys(changes));
+        
+        sendSuccess(res, {
+            store: { ...current, ...changes },
+            pending_change: null
+        }, {
+            message: 'Store updated successfully'
+        });
+        
+    } catch (error) {
+        if (connection) await connection.rollback();
+        next(error);
     } finally {
         if (connection) connection.release();
     }
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { uploadSinglePhoto } = require('../middleware/upload');
+const {
+  MAX_PHOTOS_PER_STORE,
+  saveStorePhoto,
+  removeStoredPhoto,
+  toPhotoResponse
+} = require('../services/photoService');
+const { recordAudit } = require('../services/auditLog');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { sendSuccess } = require('../utils/response');
+
+// Users with store:manage can manage photos for any store; store owners only for stores they own.
+// Returns { store } or { error } holding the ApiError to pass to next().
+const loadManageableStore = async (connection, user, storeId) => {
+  const [rows] = await connection.query('SELECT id, name, owner_id FROM stores WHERE id = ?', [storeId]);
+
+  if (rows.length === 0) {
+    return { error: new NotFoundError('Store not found', { code: 'STORE_NOT_FOUND' }) };
+  }
+
+  if (!user.permissions.includes('store:manage') && rows[0].owner_id !== user.id) {
+    return { error: new ForbiddenError('You can only manage photos for your own stores') };
+  }
+
+  return { store: rows[0] };
+};
+
+// GET /api/stores/:storeId/photos - Public list of a store's photos, newest first
+router.get('/:storeId/photos', async (req, res, next) => {
+  const storeId = parseInt(req.params.storeId);
+
+  if (isNaN(storeId) || storeId <= 0) {
+    return next(new BadRequestError('Invalid store ID', { code: 'INVALID_STORE_ID' }));
+  }
+
+  try {
+    const [photos] = await pool.query(
+      `SELECT id, storage_key, thumbnail_key, width, height, created_at
+       FROM store_photos
+       WHERE store_id = ?
+       ORDER BY created_at DESC, id DESC`,
+      [storeId]
+    );
+
+    sendSuccess(res, photos.map(toPhotoResponse));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/stores/:storeId/photos - multipart/form-data with a single "photo" file field
+router.post(
+  '/:storeId/photos',
+  authenticateToken,
+  requirePermission(['store:manage', 'store:edit:own']),
+  uploadSinglePhoto('photo'),
+  async (req, res, next) => {
+    const storeId = parseInt(req.params.storeId);
+
+    if (isNaN(storeId) || storeId <= 0) {
+      return next(new BadRequestError('Invalid store ID', { code: 'INVALID_STORE_ID' }));
+    }
+
+    if (!req.file) {
+      return next(new BadRequestError('Attach an image in the "photo" form field', { code: 'PHOTO_REQUIRED' }));
+    }
+
+    let connection;
+    let saved;
+    try {
+      connection = await pool.getConnection();
+
+      const access = await loadManageableStore(connection, req.user, storeId);
+      if (access.error) {
+        return next(access.error);
+      }
+
+      const [countResult] = await connection.query(
+        'SELECT COUNT(*) as photo_count FROM store_photos WHERE store_id = ?',
+        [storeId]
+      );
+
+      if (countResult[0].photo_count >= MAX_PHOTOS_PER_STORE) {
+        return next(new ConflictError(`A store can have at most ${MAX_PHOTOS_PER_STORE} photos. Delete one first.`, {
+          code: 'PHOTO_LIMIT_REACHED'
+        }));
+      }
+
+      saved = await saveStorePhoto(storeId, req.file.buffer);
+
+      if (!saved) {
+        return next(new BadRequestError('The uploaded file is not a valid JPEG, PNG or WebP image', { code: 'INVALID_IMAGE' }));
+      }
+
+      await connection.beginTransaction();
+
+      const [result] = await connection.query(
+        `INSERT INTO store_photos (store_id, storage_key, thumbnail_key, width, height, size_bytes, uploaded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [storeId, saved.key, saved.thumbnailKey, saved.width, saved.height, saved.sizeBytes, req.user.id]
+      );
+
+      await recordAudit(connection, req, {
+        action: 'photo.upload',
+        entityType: 'photo',
+        entityId: result.insertId,
+        after: { store_id: storeId, storage_key: saved.key }
+      });
+
+      await connection.commit();
+
+      console.log(`Photo ${result.insertId} uploaded for store ${storeId} by user ${req.user.id}`);
+
+      sendSuccess(res, toPhotoResponse({
+        id: result.insertId,
+        storage_key: saved.key,
+        thumbnail_key: saved.thumbnailKey,
+        width: saved.width,
+        height: saved.height,
+        created_at: new Date()
+      }), {
+        status: 201,
+        message: 'Photo uploaded successfully'
+      });
+    } catch (error) {
+      // Don't leave orphaned files behind if the database insert failed
+      if (connection) await connection.rollback().catch(() => {});
+      if (saved) {
+        await removeStoredPhoto({ storage_key: saved.key, thumbnail_key: saved.thumbnailKey }).catch(() => {});
+      }
+      next(error);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+);
+
+// DELETE /api/stores/:storeId/photos/:photoId
+router.delete('/:storeId/photos/:photoId', authenticateToken, requirePermission(['store:manage', 'store:edit:own']), async (req, res, next) => {
+  const storeId = parseInt(req.params.storeId);
+  const photoId = parseInt(req.params.photoId);
+
+  if (isNaN(storeId) || storeId <= 0 || isNaN(photoId) || photoId <= 0) {
+    return next(new BadRequestError('Invalid store or photo ID', { code: 'INVALID_STORE_OR_PHOTO_ID' }));
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const access = await loadManageableStore(connection, req.user, storeId);
+    if (access.error) {
+      return next(access.error);
+    }
+
+    const [photos] = await connection.query(
+      'SELECT id, storage_key, thumbnail_key FROM store_photos WHERE id = ? AND store_id = ?',
+      [photoId, storeId]
+    );
+
+    if (photos.length === 0) {
+      return next(new NotFoundError('Photo not found', { code: 'PHOTO_NOT_FOUND' }));
+    }
+
+    await connection.query('DELETE FROM store_photos WHERE id = ?', [photoId]);
+    await recordAudit(connection, req, {
+      action: 'photo.delete',
+      entityType: 'photo',
+      entityId: photoId,
+      before: { store_id: storeId, storage_key: photos[0].storage_key }
+    });
+    await removeStoredPhoto(photos[0]);
+
+    console.log(`Photo ${photoId} deleted from store ${storeId} by user ${req.user.id}`);
+
+    sendSuccess(res, null, { message: 'Photo deleted successfully' });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -1,60 +1,94 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
+const { optionalAuthenticateToken } = require('../middleware/auth');
+const { parseCategoryFilter, categoryFilterClause, attachCategories } = require('../services/categoryService');
+const { sendSuccess } = require('../utils/response');
 
-// GET /stores - Public endpoint with user ratings included
-router.get('/stores', async (req, res) => {
+// GET /stores - Public endpoint; includes the caller's own rating when a valid token is sent
+router.get('/stores', optionalAuthenticateToken, async (req, res, next) => {
   console.log('📍 GET /stores called'); // Debug log
   
   try {
-    const { search } = req.query;
-    const user_id = 1; // Default user for public access
+    const { search, category } = req.query;
+    const user_id = req.user ? req.user.id : null;
     
     console.log('🔍 Search query:', search); // Debug log
-    console.log('👤 User ID:', user_id); // Debug log
-    
-    let query = `
-      SELECT 
-        s.*,
-        r.rating as user_rating,
-        COALESCE(s.overall_rating, 0) as overall_rating
-      FROM stores s
-      LEFT JOIN ratings r ON s.id = r.store_id AND r.user_id = ?
-    `;
-    let params = [user_id];
+    console.log('👤 User ID:', user_id || 'anonymous'); // Debug log
+    
+    let query;
+    let params = [];
+    
+    if (user_id) {
+      query = `
+        SELECT 
+          s.*,
+          r.rating as user_rating,
+          COALESCE(s.overall_rating, 0) as overall_rating
+        FROM stores s
+        LEFT JOIN ratings r ON s.id = r.store_id AND r.user_id = ?
+      `;
+      params.push(user_id);
+    } else {
+      // Anonymous browsing is read-only and has no user_rating
+      query = `
+        SELECT 
+          s.*,
+          COALESCE(s.overall_rating, 0) as overall_rating
+        FROM stores s
+      `;
+    }
+    
+    query += ' WHERE 1=1';
     
     // Add search functionality
     if (search && search.trim()) {
-      query += ' WHERE (s.name LIKE ? OR s.address LIKE ?)';
+      query += ' AND (s.name LIKE ? OR s.address LIKE ?)';
       const searchTerm = `%${search.trim()}%`;
       params.push(searchTerm, searchTerm);
     }
     
+    // Category filter (stores in any of the given slugs)
+    const categoryFilter = categoryFilterClause(parseCategoryFilter(category));
+    query += categoryFilter.clause;
+    params.push(...categoryFilter.params);
+    
     query += ' ORDER BY s.id';
     
     
-    const [stores] = await pool.execute(query, params);
+    // query() rather than execute(): the category filter expands an array into IN (?)
+    const [stores] = await pool.query(query, params);
+    await attachCategories(pool, stores);
     
     // Convert user_rating from null to undefined for frontend
     const processedStores = stores.map(store => ({
       ...store,
-      user_rating: store.user_rating || undefined,
+      user_rating: user_id ? store.user_rating || undefined : undefined,
       overall_rating: parseFloat(store.overall_rating) || 0
     }));
     
     
-    res.json({
-      data: processedStores,
-      success: true,
-      count: processedStores.length
-    });
+    sendSuccess(res, processedStores, { meta: { count: processedStores.length } });
     
   } catch (error) {
-    res.status(500).json({
-      error: 'Failed to fetch stores: ' + error.message,
-      success: false,
-      details: error.code || 'Unknown error'
-    });
+    next(error);
+  }
+});
+
+// GET /categories - Public list of store categories, for filter chips
+router.get('/categories', async (req, res, next) => {
+  try {
+    const [categories] = await pool.query(
+      `SELECT c.id, c.name, c.slug, COUNT(sc.store_id) as store_count
+       FROM categories c
+       LEFT JOIN store_categories sc ON c.id = sc.category_id
+       GROUP BY c.id, c.name, c.slug
+       ORDER BY c.name ASC`
+    );
+
+    sendSuccess(res, categories, { meta: { count: categories.length } });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -0,0 +1,312 @@
+const express = require('express');
+const router = express.Router();
+const QRCode = require('qrcode');
+const pool = require('../config/db');
+const { authenticateToken } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { schemas } = require('ratings-app-shared');
+const { startSession } = require('../services/tokenService');
+const { getClientInfo } = require('../services/sessionService');
+const { accountStatusError } = require('../services/accountStatusService');
+const { getLockout, recordFailedLogin, clearFailedLogins, lockoutError } = require('../services/loginLockout');
+const {
+  generateSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  checkUserTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  readChallengeToken,
+  isTwoFactorRequired
+} = require('../services/twoFactorService');
+const {
+  AuthenticationError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  ValidationError
+} = require('../utils/errors');
+const { sendSuccess } = require('../utils/response');
+
+const invalidChallenge = () => new AuthenticationError('This sign-in attempt has expired. Please log in again.', {
+  code: 'INVALID_CHALLENGE_TOKEN'
+});
+
+const invalidCode = () => new BadRequestError('The code is incorrect or has expired', { code: 'INVALID_TWO_FACTOR_CODE' });
+
+// Enrolment works for a signed-in user, or part-way through login with an 'enrol' challenge token
+// when the user's role requires 2FA before they may have a session at all
+const authenticateForEnrolment = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  const challenge = readChallengeToken(req.body.challengeToken);
+  if (!challenge || challenge.stage !== 'enrol') {
+    return next(invalidChallenge());
+  }
+
+  try {
+    const [rows] = await pool.query(
+      'SELECT id, name, email, role, status, status_reason, suspended_until FROM users WHERE id = ?',
+      [challenge.userId]
+    );
+    if (rows.length === 0) {
+      return next(invalidChallenge());
+    }
+
+    const statusError = accountStatusError(rows[0]);
+    if (statusError) {
+      return next(statusError);
+    }
+
+    req.user = rows[0];
+    req.enrolmentChallenge = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Second login step: exchange the challenge token and a code (or a recovery code) for a session
+router.post('/challenge', rateLimit('twoFactor'), validateBody(schemas.twoFactorChallenge), async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    return next(new ValidationError('Enter an authentication code or a recovery code', {
+      details: { code: ['Enter an authentication code or a recovery code'] }
+    }));
+  }
+
+  const challenge = readChallengeToken(challengeToken);
+  if (!challenge || challenge.stage !== 'verify') {
+    return next(invalidChallenge());
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query('SELECT * FROM users WHERE id = ?', [challenge.userId]);
+    const user = rows[0];
+    if (!user || !user.totp_enabled_at) {
+      return next(invalidChallenge());
+    }
+
+    // The account may have been suspended or banned since the password step
+    const statusError = accountStatusError(user);
+    if (statusError) {
+      return next(statusError);
+    }
+
+    const lockout = await getLockout(user.email);
+    if (lockout) {
+      return next(lockoutError(lockout));
+    }
+
+    const accepted = code
+      ? await checkUserTotp(connection, user, code)
+      : await consumeRecoveryCode(connection, user.id, recoveryCode);
+
+    if (!accepted) {
+      console.log('Invalid 2FA code for user:', user.id);
+      const lockout = await recordFailedLogin(user.email);
+      if (lockout) return next(lockoutError(lockout));
+      return next(new AuthenticationError('The code is incorrect or has expired', { code: 'INVALID_TWO_FACTOR_CODE' }));
+    }
+
+    await clearFailedLogins(user.email);
+
+    const session = await startSession(connection, user, getClientInfo(req));
+    const recoveryCodesRemaining = await countRecoveryCodes(connection, user.id);
+
+    console.log('Login successful with 2FA for:', { id: user.id, email: user.email, role: user.role, recoveryCode: !code });
+
+    sendSuccess(res, { ...session, recoveryCodesRemaining }, { message: 'Login successful' });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// 2FA status for the signed-in user
+router.get('/', authenticateToken, async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const enabled = Boolean(req.user.totp_enabled_at);
+
+    sendSuccess(res, {
+      enabled,
+      required: await isTwoFactorRequired(connection, req.user),
+      recoveryCodesRemaining: enabled ? await countRecoveryCodes(connection, req.user.id) : 0
+    });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Start enrolment: a new secret, as text and as a QR code. Nothing changes until /enable confirms it.
+router.post('/setup', rateLimit('twoFactor'), authenticateForEnrolment, async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query('SELECT totp_enabled_at FROM users WHERE id = ?', [req.user.id]);
+    if (rows[0].totp_enabled_at) {
+      return next(new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' }));
+    }
+
+    const secret = generateSecret();
+    await connection.query(
+      'UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?',
+      [secret, req.user.id]
+    );
+
+    const otpauthUri = buildOtpauthUri(req.user, secret);
+
+    sendSuccess(res, {
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    }, {
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from it'
+    });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Finish enrolment with a code from the app. Returns recovery codes, which are shown only this once;
+// mid-login enrolment also returns the session the login was waiting for.
+router.post('/enable', rateLimit('twoFactor'), authenticateForEnrolment, validateBody(schemas.twoFactorCode), async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query('SELECT * FROM users WHERE id = ? FOR UPDATE', [req.user.id]);
+    const user = rows[0];
+
+    if (user.totp_enabled_at) {
+      await connection.rollback();
+      return next(new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' }));
+    }
+
+    if (!user.totp_secret) {
+      await connection.rollback();
+      return next(new BadRequestError('Start two-factor setup first', { code: 'TWO_FACTOR_SETUP_NOT_STARTED' }));
+    }
+
+    const step = verifyTotp(user.totp_secret, req.body.code);
+    if (step === null) {
+      await connection.rollback();
+      return next(invalidCode());
+    }
+
+    await connection.query(
+      'UPDATE users SET totp_enabled_at = NOW(), totp_last_step = ? WHERE id = ?',
+      [step, user.id]
+    );
+    const recoveryCodes = await generateRecoveryCodes(connection, user.id);
+
+    const session = req.enrolmentChallenge
+      ? await startSession(connection, { ...user, totp_enabled_at: new Date() }, getClientInfo(req))
+      : null;
+
+    await connection.commit();
+
+    if (session) {
+      await clearFailedLogins(user.email);
+    }
+
+    console.log('2FA enabled for user:', user.id);
+
+    sendSuccess(res, { recoveryCodes, ...session }, {
+      message: 'Two-factor authentication enabled. Save your recovery codes somewhere safe.'
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Replace the recovery codes, e.g. after using several of them
+router.post('/recovery-codes', authenticateToken, validateBody(schemas.twoFactorCode), async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    const [rows] = await connection.query('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (!rows[0].totp_enabled_at) {
+      return next(new BadRequestError('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' }));
+    }
+
+    if (!await checkUserTotp(connection, rows[0], req.body.code)) {
+      return next(invalidCode());
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(connection, req.user.id);
+
+    console.log('Recovery codes regenerated for user:', req.user.id);
+
+    sendSuccess(res, { recoveryCodes }, { message: 'New recovery codes generated. The old ones no longer work.' });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Turn 2FA off. Not allowed while the user's role requires it.
+router.delete('/', authenticateToken, validateBody(schemas.twoFactorCode), async (req, res, next) => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    if (await isTwoFactorRequired(connection, req.user)) {
+      return next(new ForbiddenError('Two-factor authentication is required for your role', { code: 'TWO_FACTOR_REQUIRED' }));
+    }
+
+    const [rows] = await connection.query('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (!rows[0].totp_enabled_at) {
+      return next(new BadRequestError('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' }));
+    }
+
+    if (!await checkUserTotp(connection, rows[0], req.body.code)) {
+      return next(invalidCode());
+    }
+
+    await connection.query(
+      'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+      [req.user.id]
+    );
+    await connection.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [req.user.id]);
+
+    console.log('2FA disabled for user:', req.user.id);
+
+    sendSuccess(res, null, { message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { parseCategoryFilter, categoryFilterClause, attachCategories } = require('../services/categoryService');
+const { attachPhotos } = require('../services/photoService');
+const { schemas } = require('ratings-app-shared');
+const { validateBody } = require('../middleware/validate');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { sendSuccess } = require('../utils/response');
 
-// Apply authentication and user role to all user routes
+// Apply authentication and the rating permission to all user routes
 router.use(authenticateToken);
-router.use(requireRole(['user']));
+router.use(requirePermission('rating:write'));
 
 // Enhanced input validation
 const validateStoreId = (storeId) => {
@@ -13,14 +19,10 @@ const validateStoreId = (storeId) => {
     return !isNaN(id) && id > 0;
 };
 
-const validateRating = (rating) => {
-    const numRating = parseInt(rating);
-    return !isNaN(numRating) && numRating >= 1 && numRating <= 5;
-};
-
 // List Stores for Normal User (Enhanced)
-router.get('/stores', async (req, res) => {
-    const { search, sort, limit = 50, offset = 0 } = req.query;
+router.get('/stores', async (req, res, next) => {
+    const { search, category, sort, limit = 50, offset = 0 } = req.query;
+    const categorySlugs = parseCategoryFilter(category);
     
     let connection;
     try {
@@ -29,21 +31,15 @@ router.get('/stores', async (req, res) => {
         const offsetNum = parseInt(offset);
         
         if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-            return res.status(400).json({ 
-                error: 'Invalid limit parameter',
-                message: 'Limit must be between 1 and 100'
-            });
+            return next(new BadRequestError('Limit must be between 1 and 100', { code: 'INVALID_LIMIT_PARAMETER' }));
         }
         
         if (isNaN(offsetNum) || offsetNum < 0) {
-            return res.status(400).json({ 
-                error: 'Invalid offset parameter',
-                message: 'Offset must be a non-negative number'
-            });
+            return next(new BadRequestError('Offset must be a non-negative number', { code: 'INVALID_OFFSET_PARAMETER' }));
         }
 
         let whereClause = 'WHERE 1=1';
-        const params = [req.user.id]; // For user_rating subquery
+        const params = [req.user.id, req.user.id]; // For user_rating and user_comment subqueries
         
         // Search functionality
         if (search && search.trim()) {
@@ -52,6 +48,11 @@ router.get('/stores', async (req, res) => {
             params.push(searchTerm, searchTerm, searchTerm);
         }
         
+        // Category filter (stores in any of the given slugs)
+        const categoryFilter = categoryFilterClause(categorySlugs);
+        whereClause += categoryFilter.clause;
+        params.push(...categoryFilter.params);
+        
         // Sorting
         let orderBy = 'ORDER BY s.name ASC';
         if (sort) {
@@ -80,9 +81,10 @@ router.get('/stores', async (req, res) => {
              COALESCE(ROUND(AVG(r.rating), 2), 0) as overall_rating,
              COUNT(r.id) as rating_count,
              (SELECT rating FROM ratings WHERE user_id = ? AND store_id = s.id) as user_rating,
+             (SELECT comment FROM ratings WHERE user_id = ? AND store_id = s.id) as user_comment,
              s.created_at
              FROM stores s 
-             LEFT JOIN ratings r ON s.id = r.store_id 
+             LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
              ${whereClause} 
              GROUP BY s.id, s.name, s.address, s.email, s.created_at
              ${orderBy}
@@ -91,88 +93,53 @@ router.get('/stores', async (req, res) => {
         );
         
         // Get total count for pagination
-        const countParams = params.slice(0, -2); // Remove limit and offset
+        const countParams = params.slice(2, -2); // Remove subquery user ids, limit and offset
         const [countResult] = await connection.query(
             `SELECT COUNT(DISTINCT s.id) as total
              FROM stores s 
-             LEFT JOIN ratings r ON s.id = r.store_id 
+             LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
              ${whereClause}`,
             countParams
         );
         
+        await attachCategories(connection, rows);
+        await attachPhotos(connection, rows);
+        
         const totalStores = countResult[0].total;
         const hasMore = offsetNum + limitNum < totalStores;
         
         console.log(`Fetched ${rows.length}/${totalStores} stores for user ${req.user.id}`);
         
-        res.json({
-            success: true,
-            data: rows,
-            pagination: {
-                total: totalStores,
-                limit: limitNum,
-                offset: offsetNum,
-                hasMore: hasMore
-            },
-            filters: {
-                search: search || null,
-                sort: sort || 'name_asc'
+        sendSuccess(res, rows, {
+            meta: {
+                pagination: {
+                    total: totalStores,
+                    limit: limitNum,
+                    offset: offsetNum,
+                    hasMore: hasMore
+                },
+                filters: {
+                    search: search || null,
+                    category: categorySlugs,
+                    sort: sort || 'name_asc'
+                }
             }
         });
         
     } catch (error) {
-        console.error('User stores list error:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch stores',
-            message: 'An error occurred while retrieving stores. Please try again.'
-        });
+        next(error);
     } finally {
         if (connection) connection.release();
     }
 });
 
 // Submit/Update Rating (Enhanced)
-router.post('/ratings', async (req, res) => {
+router.post('/ratings', validateBody(schemas.rating), async (req, res, next) => {
     const { store_id, rating, comment = '' } = req.body;
     
     try {
-    
-        if (!store_id) {
-            return res.status(400).json({ 
-                error: 'Missing store ID',
-                message: 'Store ID is required to submit a rating'
-            });
-        }
-        
-        if (!validateStoreId(store_id)) {
-            return res.status(400).json({ 
-                error: 'Invalid store ID',
-                message: 'Store ID must be a positive integer'
-            });
-        }
-        
-        if (!rating) {
-            return res.status(400).json({ 
-                error: 'Missing rating',
-                message: 'Rating is required'
-            });
-        }
-        
-        if (!validateRating(rating)) {
-            return res.status(400).json({ 
-                error: 'Invalid rating',
-                message: 'Rating must be an integer between 1 and 5'
-            });
-        }
-        
-        if (comment && comment.length > 500) {
-            return res.status(400).json({ 
-                error: 'Comment too long',
-                message: 'Comment cannot exceed 500 characters'
-            });
-        }
-        
         const numericRating = parseInt(rating);
+        const reviewText = comment && comment.trim() ? comment.trim() : null;
         
         const connection = await pool.getConnection();
         try {
@@ -185,20 +152,18 @@ router.post('/ratings', async (req, res) => {
             );
             
             if (storeCheck.length === 0) {
-                return res.status(404).json({ 
-                    error: 'Store not found',
-                    message: 'The specified store does not exist'
-                });
+                return next(new NotFoundError('The specified store does not exist', { code: 'STORE_NOT_FOUND' }));
             }
             
             // Insert or update rating
             const [result] = await connection.query(
-                `INSERT INTO ratings (user_id, store_id, rating, created_at, updated_at) 
-                 VALUES (?, ?, ?, NOW(), NOW())
+                `INSERT INTO ratings (user_id, store_id, rating, comment, created_at, updated_at) 
+                 VALUES (?, ?, ?, ?, NOW(), NOW())
                  ON DUPLICATE KEY UPDATE 
                  rating = VALUES(rating), 
+                 comment = VALUES(comment), 
                  updated_at = NOW()`,
-                [req.user.id, store_id, numericRating]
+                [req.user.id, store_id, numericRating, reviewText]
             );
             
             // Get updated statistics
@@ -206,7 +171,7 @@ router.post('/ratings', async (req, res) => {
                 `SELECT 
                  ROUND(AVG(rating), 2) as overall_rating, 
                  COUNT(*) as total_ratings 
-                 FROM ratings WHERE store_id = ?`,
+                 FROM ratings WHERE store_id = ? AND hidden_at IS NULL`,
                 [store_id]
             );
             
@@ -227,15 +192,14 @@ router.post('/ratings', async (req, res) => {
                 store_name: storeCheck[0].name
             });
             
-            res.json({ 
-                success: true,
-                message: `Rating ${isUpdate ? 'updated' : 'submitted'} successfully`,
-                data: {
-                    overall_rating: parseFloat(stats[0].overall_rating),
-                    total_ratings: stats[0].total_ratings,
-                    user_rating: numericRating,
-                    action: isUpdate ? 'updated' : 'created'
-                }
+            sendSuccess(res, {
+                overall_rating: parseFloat(stats[0].overall_rating),
+                total_ratings: stats[0].total_ratings,
+                user_rating: numericRating,
+                user_comment: reviewText,
+                action: isUpdate ? 'updated' : 'created'
+            }, {
+                message: `Rating ${isUpdate ? 'updated' : 'submitted'} successfully`
             });
             
         } finally {
@@ -243,16 +207,12 @@ router.post('/ratings', async (req, res) => {
         }
         
     } catch (error) {
-        console.error('Rating submission error:', error);
-        res.status(500).json({ 
-            error: 'Failed to submit rating',
-            message: 'An error occurred while submitting your rating. Please try again.'
-        });
+        next(error);
     }
 });
 
 // Get user's ratings (Enhanced)
-router.get('/ratings', async (req, res) => {
+router.get('/ratings', async (req, res, next) => {
     const { sort = 'newest', limit = 50, offset = 0 } = req.query;
     
     let connection;
@@ -262,17 +222,11 @@ router.get('/ratings', async (req, res) => {
         const offsetNum = parseInt(offset);
         
         if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-            return res.status(400).json({ 
-                error: 'Invalid limit parameter',
-                message: 'Limit must be between 1 and 100'
-            });
+            return next(new BadRequestError('Limit must be between 1 and 100', { code: 'INVALID_LIMIT_PARAMETER' }));
         }
         
         if (isNaN(offsetNum) || offsetNum < 0) {
-            return res.status(400).json({ 
-                error: 'Invalid offset parameter',
-                message: 'Offset must be a non-negative number'
-            });
+            return next(new BadRequestError('Offset must be a non-negative number', { code: 'INVALID_OFFSET_PARAMETER' }));
         }
         
         // Sorting options
@@ -290,15 +244,17 @@ router.get('/ratings', async (req, res) => {
         
         // Get user's ratings with pagination
         const [rows] = await connection.query(
-            `SELECT r.id, r.rating, r.created_at, r.updated_at,
+            `SELECT r.id, r.rating, r.comment, r.created_at, r.updated_at,
              s.id as store_id, s.name as store_name, s.address as store_address, s.email as store_email,
              COALESCE(ROUND(AVG(r2.rating), 2), 0) as store_overall_rating,
-             COUNT(r2.id) as store_total_ratings
+             COUNT(r2.id) as store_total_ratings,
+             rr.body as reply, rr.updated_at as reply_updated_at
              FROM ratings r
              JOIN stores s ON r.store_id = s.id
-             LEFT JOIN ratings r2 ON s.id = r2.store_id
+             LEFT JOIN ratings r2 ON s.id = r2.store_id AND r2.hidden_at IS NULL
+             LEFT JOIN rating_replies rr ON rr.rating_id = r.id
              WHERE r.user_id = ?
-             GROUP BY r.id, r.rating, r.created_at, r.updated_at, s.id, s.name, s.address, s.email
+             GROUP BY r.id, r.rating, r.comment, r.created_at, r.updated_at, s.id, s.name, s.address, s.email, rr.body, rr.updated_at
              ${orderBy}
              LIMIT ? OFFSET ?`,
             [req.user.id, limitNum, offsetNum]
@@ -315,40 +271,33 @@ router.get('/ratings', async (req, res) => {
         
         console.log(`Fetched ${rows.length}/${totalRatings} ratings for user ${req.user.id}`);
         
-        res.json({
-            success: true,
-            data: rows,
-            pagination: {
-                total: totalRatings,
-                limit: limitNum,
-                offset: offsetNum,
-                hasMore: hasMore
-            },
-            sort: sort
+        sendSuccess(res, rows, {
+            meta: {
+                pagination: {
+                    total: totalRatings,
+                    limit: limitNum,
+                    offset: offsetNum,
+                    hasMore: hasMore
+                },
+                sort
+            }
         });
         
     } catch (error) {
-        console.error('Get ratings error:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch ratings',
-            message: 'An error occurred while retrieving your ratings. Please try again.'
-        });
+        next(error);
     } finally {
         if (connection) connection.release();
     }
 });
 
 // Delete user's rating
-router.delete('/ratings/:store_id', async (req, res) => {
+router.delete('/ratings/:store_id', async (req, res, next) => {
     const { store_id } = req.params;
     
     let connection;
     try {
         if (!validateStoreId(store_id)) {
-            return res.status(400).json({ 
-                error: 'Invalid store ID',
-                message: 'Store ID must be a positive integer'
-            });
+            return next(new BadRequestError('Store ID must be a positive integer', { code: 'INVALID_STORE_ID' }));
         }
         
         connection = await pool.getConnection();
@@ -359,25 +308,15 @@ router.delete('/ratings/:store_id', async (req, res) => {
         );
         
         if (result.affectedRows === 0) {
-            return res.status(404).json({ 
-                error: 'Rating not found',
-                message: 'No rating found for this store'
-            });
+            return next(new NotFoundError('No rating found for this store', { code: 'RATING_NOT_FOUND' }));
         }
         
         console.log(`Rating deleted for user ${req.user.id}, store ${store_id}`);
         
-        res.json({ 
-            success: true,
-            message: 'Rating deleted successfully'
-        });
+        sendSuccess(res, null, { message: 'Rating deleted successfully' });
         
     } catch (error) {
-        console.error('Delete rating error:', error);
-        res.status(500).json({ 
-            error: 'Failed to delete rating',
-            message: 'An error occurred while deleting your rating. Please try again.'
-        });
+        next(error);
     } finally {
         if (connection) connection.release();
     }
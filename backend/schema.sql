@@ -1,57 +0,0 @@
--- Create database if not exists
-CREATE DATABASE IF NOT EXISTS ratings_app;
-USE ratings_app;
-
--- Users table (FIXED: Removed 20-character minimum constraint)
-CREATE TABLE users (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    name VARCHAR(60) NOT NULL,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    password VARCHAR(255) NOT NULL,
-    address VARCHAR(400) NOT NULL,
-    role ENUM('admin', 'user', 'store_owner') NOT NULL DEFAULT 'user',
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    CHECK (LENGTH(name) >= 2 AND LENGTH(name) <= 60),
-    CHECK (LENGTH(address) <= 400)
-);
-
--- Stores table
-CREATE TABLE stores (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    name VARCHAR(60) NOT NULL,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    address VARCHAR(400) NOT NULL,
-    owner_id INT,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE SET NULL
-);
-
--- Ratings table
--- Ratings table with proper structure
-CREATE TABLE IF NOT EXISTS ratings (
-  id INT PRIMARY KEY AUTO_INCREMENT,
-  user_id INT NOT NULL,
-  store_id INT NOT NULL,
-  rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  UNIQUE KEY unique_user_store (user_id, store_id),
-  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-  FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
-);
-
-
--- Indexes for better performance
-CREATE INDEX idx_users_name ON users(name);
-CREATE INDEX idx_users_email ON users(email);
-CREATE INDEX idx_users_address ON users(address);
-CREATE INDEX idx_users_role ON users(role);
-CREATE INDEX idx_stores_name ON stores(name);
-CREATE INDEX idx_stores_email ON stores(email);
-CREATE INDEX idx_stores_address ON stores(address);
-CREATE INDEX idx_stores_owner ON stores(owner_id);
-CREATE INDEX idx_ratings_user ON ratings(user_id);
-CREATE INDEX idx_ratings_store ON ratings(store_id);
-
-
-SELECT * FROM stores;
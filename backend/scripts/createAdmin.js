@@ -1,55 +1,131 @@
 require('dotenv').config();
+const readline = require('readline');
 const bcrypt = require('bcryptjs');
+const { schemas, validate } = require('ratings-app-shared');
 const pool = require('../config/db');
+const { markSetupComplete } = require('../services/setupService');
+
+// Create an admin account from the command line. Each detail comes from its environment variable
+// or, when that is unset, from a prompt:
+//   ADMIN_NAME, ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_ADDRESS
+// Creating an admin this way also completes first-run setup.
+const FIELDS = [
+  { name: 'name', env: 'ADMIN_NAME', question: 'Full name (20-60 characters): ' },
+  { name: 'email', env: 'ADMIN_EMAIL', question: 'Email: ' },
+  { name: 'password', env: 'ADMIN_PASSWORD', question: 'Password: ', hidden: true },
+  { name: 'address', env: 'ADMIN_ADDRESS', question: 'Address: ' }
+];
+
+// Piped input can arrive all at once, so lines are queued until a prompt asks for them.
+// Hidden answers are not echoed when stdin is a terminal.
+const createPrompter = () => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+  const lines = [];
+  const waiting = [];
+  let muted = false;
+  let ended = false;
+
+  rl._writeToOutput = (text) => {
+    if (!muted) rl.output.write(text);
+  };
+
+  rl.on('line', (line) => {
+    if (muted) {
+      rl.output.write('\n');
+      muted = false;
+    }
+    const resolve = waiting.shift();
+    if (resolve) resolve(line);
+    else lines.push(line);
+  });
+
+  // Input ended early: remaining answers are empty and fail validation
+  rl.on('close', () => {
+    ended = true;
+    waiting.splice(0).forEach(resolve => resolve(''));
+  });
+
+  return {
+    ask: (question, { hidden = false } = {}) => {
+      rl.output.write(question);
+      if (lines.length > 0 || ended) {
+        return Promise.resolve(lines.length > 0 ? lines.shift() : '');
+      }
+      muted = hidden && process.stdin.isTTY;
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    close: () => rl.close()
+  };
+};
+
+const collectDetails = async () => {
+  const details = {};
+  const missing = FIELDS.filter(field => !process.env[field.env]);
+  const prompter = missing.length > 0 ? createPrompter() : null;
+
+  try {
+    for (const field of FIELDS) {
+      details[field.name] = process.env[field.env] || await prompter.ask(field.question, { hidden: field.hidden });
+    }
+  } finally {
+    if (prompter) prompter.close();
+  }
+
+  return details;
+};
 
 async function createAdminUser() {
   let connection;
   try {
-    // Wait a bit for database initialization
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
+    const details = await collectDetails();
+
+    const { valid, errors } = validate(schemas.register, details);
+    if (!valid) {
+      console.error('Admin not created:');
+      Object.entries(errors).forEach(([field, messages]) => {
+        console.error(`- ${field}: ${messages.join(', ')}`);
+      });
+      process.exitCode = 1;
+      return;
+    }
+
+    const email = details.email.toLowerCase().trim();
+
     connection = await pool.getConnection();
-    
-    // Check if admin user already exists
+    await connection.beginTransaction();
+
     const [existing] = await connection.query(
       'SELECT id FROM users WHERE email = ?',
-      ['virendrasuryawanshi901@gmail.com']
+      [email]
     );
-    
+
     if (existing.length > 0) {
-      console.log('Admin user already exists with email: virendrasuryawanshi901@gmail.com');
-      console.log('You can now login with:');
-      console.log('Email: virendrasuryawanshi901@gmail.com');
-      console.log('Password: AdminPass123!');
+      await connection.rollback();
+      console.error(`An account already exists with email: ${email}`);
+      process.exitCode = 1;
       return;
     }
-    
-    // Hash the password
-    const hashedPassword = await bcrypt.hash('AdminPass123!', 12);
-    
-    // Create admin user
+
+    const hashedPassword = await bcrypt.hash(details.password, 12);
+
     const [result] = await connection.query(
-      'INSERT INTO users (name, email, password, address, role) VALUES (?, ?, ?, ?, ?)',
-      [
-        'System Administrator',
-        'virendrasuryawanshi901@gmail.com',
-        hashedPassword,
-        'Admin Address, System Location',
-        'admin'
-      ]
+      'INSERT INTO users (name, email, password, address, role, email_verified_at) VALUES (?, ?, ?, ?, ?, NOW())',
+      [details.name.trim(), email, hashedPassword, details.address.trim(), 'admin']
     );
-    
+
+    await markSetupComplete(connection);
+    await connection.commit();
+
     console.log('Admin user created successfully!');
-    console.log('Admin Details:');
     console.log('- ID:', result.insertId);
-    console.log('- Email: virendrasuryawanshi901@gmail.com');
-    console.log('- Password: AdminPass123!');
-    console.log('- Role: admin');
-    console.log(' You can now login to the application!');
-    
+    console.log('- Email:', email);
+    console.log('You can now sign in with the password you entered.');
+
   } catch (error) {
+    if (connection) await connection.rollback().catch(() => {});
     console.error('Error creating admin user:', error.message);
-    
+    process.exitCode = 1;
+
     if (error.code === 'ER_ACCESS_DENIED_ERROR') {
       console.log(' Solution: Update your .env file with correct database credentials:');
       console.log('DB_HOST=localhost');
@@ -57,9 +133,12 @@ async function createAdminUser() {
       console.log('DB_PASS=your_mysql_password');
       console.log('DB_NAME=ratings_app');
     }
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      console.log(' Solution: run `npm run migrate` first');
+    }
   } finally {
     if (connection) connection.release();
-    process.exit(0);
+    await pool.end();
   }
 }
 
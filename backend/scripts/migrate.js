@@ -0,0 +1,256 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+
+// Versioned schema migrations.
+//
+// Each file in backend/migrations is named NNN_description.js and exports
+// { up(connection, helpers), down(connection, helpers) }. Applied versions are recorded in
+// schema_migrations together with a SHA-256 of the file, so editing a migration after it has
+// run is detected instead of silently drifting. Add a new migration rather than changing an old one.
+//
+// Usage: node scripts/migrate.js up | down [--steps N] | status
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+const LOCK_NAME = 'ratings_app_schema_migrations';
+
+const checksumFile = (filePath) => {
+  const contents = fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n');
+  return crypto.createHash('sha256').update(contents).digest('hex');
+};
+
+const loadMigrationFiles = () => {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  const seen = new Set();
+  return files.map(file => {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    if (seen.has(version)) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+    seen.add(version);
+
+    const filePath = path.join(MIGRATIONS_DIR, file);
+    return { version, name, file, filePath, checksum: checksumFile(filePath) };
+  });
+};
+
+// Small idempotency helpers so migrations can bring partially-migrated databases in line
+const createHelpers = (connection) => {
+  const columnExists = async (table, column) => {
+    const [rows] = await connection.query(
+      `SELECT 1 FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+    return rows.length > 0;
+  };
+
+  const indexExists = async (table, index) => {
+    const [rows] = await connection.query(
+      `SELECT 1 FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+      [table, index]
+    );
+    return rows.length > 0;
+  };
+
+  return {
+    columnExists,
+    indexExists,
+    addColumnIfMissing: async (table, column, definition) => {
+      if (!await columnExists(table, column)) {
+        await connection.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+      }
+    },
+    dropColumnIfExists: async (table, column) => {
+      if (await columnExists(table, column)) {
+        await connection.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+      }
+    },
+    createIndexIfMissing: async (table, index, columns) => {
+      if (!await indexExists(table, index)) {
+        await connection.query(`CREATE INDEX \`${index}\` ON \`${table}\` (${columns})`);
+      }
+    }
+  };
+};
+
+const connect = async () => {
+  const database = process.env.DB_NAME || 'ratings_app';
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASS || ''
+  });
+
+  await connection.query(`CREATE DATABASE IF NOT EXISTS \`${database}\``);
+  await connection.query(`USE \`${database}\``);
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  return connection;
+};
+
+// Serialise concurrent runs (e.g. several app instances deploying at once)
+const withLock = async (connection, fn) => {
+  const [rows] = await connection.query('SELECT GET_LOCK(?, 30) as acquired', [LOCK_NAME]);
+  if (rows[0].acquired !== 1) {
+    throw new Error('Another migration run holds the lock; try again shortly');
+  }
+  try {
+    return await fn();
+  } finally {
+    await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+  }
+};
+
+const getStatus = async (connection) => {
+  const files = loadMigrationFiles();
+  const [applied] = await connection.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version ASC'
+  );
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const fileVersions = new Set(files.map(file => file.version));
+
+  const migrations = files.map(file => {
+    const record = appliedByVersion.get(file.version);
+    let state = 'pending';
+    if (record) {
+      state = record.checksum === file.checksum ? 'applied' : 'modified';
+    }
+    return { ...file, state, appliedAt: record ? record.applied_at : null };
+  });
+
+  // Recorded in the database but the file is gone (deleted or from another branch)
+  applied
+    .filter(row => !fileVersions.has(row.version))
+    .forEach(row => migrations.push({
+      version: row.version,
+      name: row.name,
+      state: 'missing',
+      appliedAt: row.applied_at
+    }));
+
+  return migrations.sort((a, b) => a.version.localeCompare(b.version));
+};
+
+const assertClean = (migrations) => {
+  const problems = migrations.filter(migration => migration.state === 'modified' || migration.state === 'missing');
+  if (problems.length > 0) {
+    const details = problems.map(migration => `  ${migration.version}_${migration.name}: ${migration.state}`).join('\n');
+    throw new Error(`Refusing to migrate until these are resolved:\n${details}`);
+  }
+};
+
+const runUp = async (connection) => {
+  return withLock(connection, async () => {
+    const migrations = await getStatus(connection);
+    assertClean(migrations);
+
+    const pending = migrations.filter(migration => migration.state === 'pending');
+    const helpers = createHelpers(connection);
+
+    for (const migration of pending) {
+      console.log(`Applying ${migration.file}...`);
+      // MySQL commits DDL implicitly, so a failed migration is not rolled back; write them to be re-runnable
+      await require(migration.filePath).up(connection, helpers);
+      await connection.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    }
+
+    return pending;
+  });
+};
+
+const runDown = async (connection, steps = 1) => {
+  return withLock(connection, async () => {
+    const migrations = await getStatus(connection);
+    assertClean(migrations);
+
+    const toRevert = migrations
+      .filter(migration => migration.state === 'applied')
+      .reverse()
+      .slice(0, steps);
+    const helpers = createHelpers(connection);
+
+    for (const migration of toRevert) {
+      console.log(`Reverting ${migration.file}...`);
+      await require(migration.filePath).down(connection, helpers);
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+
+    return toRevert;
+  });
+};
+
+const printStatus = (migrations) => {
+  if (migrations.length === 0) {
+    console.log('No migrations found.');
+    return;
+  }
+  migrations.forEach(migration => {
+    const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+    console.log(`${migration.state.padEnd(8)}  ${migration.version}_${migration.name}  ${appliedAt}`);
+  });
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const stepsIndex = args.indexOf('--steps');
+  const steps = stepsIndex >= 0 ? parseInt(args[stepsIndex + 1]) : 1;
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.log('Usage: node scripts/migrate.js up | down [--steps N] | status');
+    process.exit(1);
+  }
+
+  if (isNaN(steps) || steps < 1) {
+    console.error('--steps must be a positive integer');
+    process.exit(1);
+  }
+
+  let connection;
+  try {
+    connection = await connect();
+
+    if (command === 'status') {
+      printStatus(await getStatus(connection));
+    } else if (command === 'up') {
+      const applied = await runUp(connection);
+      console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+    } else {
+      const reverted = await runDown(connection, steps);
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s).` : 'Nothing to revert.');
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (connection) await connection.end();
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  connect,
+  getStatus,
+  runUp,
+  runDown
+};
@@ -0,0 +1,443 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { connect, runUp } = require('./migrate');
+const { slugify } = require('../services/categoryService');
+const { removeStoredPhoto } = require('../services/photoService');
+const { fields, schemas, validate, isValid } = require('ratings-app-shared');
+
+// Deterministic seed data for local development and demos.
+//
+// The same --seed and profile always produce the same users, stores and ratings, so bugs found
+// against seeded data can be reproduced on another machine. Every seeded account shares
+// SEED_PASSWORD and uses the SEED_EMAIL_DOMAIN, which is also how existing seed data is detected.
+//
+// Usage: node scripts/seed.js [--profile small] [--seed 42] [--users N] [--owners N] [--stores N] [--reset]
+
+const SEED_PASSWORD = 'SeedPass123!';
+const SEED_EMAIL_DOMAIN = 'seed.example.com';
+const INSERT_BATCH_SIZE = 500;
+
+const PROFILES = {
+  empty: { admins: 0, users: 0, owners: 0, stores: 0, ratingsPerUser: 0 },
+  small: { admins: 1, users: 25, owners: 5, stores: 12, ratingsPerUser: 4 },
+  demo: { admins: 1, users: 150, owners: 20, stores: 60, ratingsPerUser: 6 },
+  'load-test': { admins: 1, users: 5000, owners: 300, stores: 1500, ratingsPerUser: 12 }
+};
+
+const CATEGORIES = ['Grocery', 'Cafe', 'Restaurant', 'Bakery', 'Electronics', 'Clothing', 'Books', 'Pharmacy', 'Hardware', 'Sports'];
+
+const FIRST_NAMES = ['Aarav', 'Priya', 'Rohan', 'Ananya', 'Vikram', 'Meera', 'Arjun', 'Kavya', 'Daniel', 'Sofia', 'Liam', 'Olivia', 'Noah', 'Emma', 'Mateo', 'Isabella', 'Kenji', 'Yuki', 'Omar', 'Layla', 'Lucas', 'Chloe', 'Ethan', 'Amara'];
+const MIDDLE_NAMES = ['Kumar', 'Rose', 'James', 'Grace', 'Alexander', 'Marie', 'Raj', 'Lynn', 'Thomas', 'Elena', 'Dev', 'Anne'];
+const LAST_NAMES = ['Sharma', 'Patel', 'Deshmukh', 'Suryawanshi', 'Fernandes', 'Johnson', 'Martinez', 'Nakamura', 'Okafor', 'Williams', 'Kowalski', 'Andersson', 'Rossi', 'Haddad', 'Chen', 'Murphy'];
+
+const STORE_ADJECTIVES = ['Golden', 'Green Valley', 'Sunrise', 'Corner', 'Riverside', 'Old Town', 'Blue Harbor', 'Maple Street', 'Silver Oak', 'Evergreen', 'Northside', 'Lakeside'];
+const STORE_NOUNS = {
+  Grocery: ['Fresh Market', 'Grocers', 'Food Hall'],
+  Cafe: ['Coffee House', 'Espresso Bar', 'Tea Room'],
+  Restaurant: ['Kitchen & Grill', 'Family Diner', 'Bistro'],
+  Bakery: ['Bakehouse', 'Bread Company', 'Patisserie'],
+  Electronics: ['Electronics', 'Gadget Store', 'Tech Supply'],
+  Clothing: ['Clothing Co.', 'Boutique', 'Outfitters'],
+  Books: ['Book Store', 'Books & Prints', 'Reading Room'],
+  Pharmacy: ['Pharmacy', 'Chemists', 'Health Store'],
+  Hardware: ['Hardware', 'Tool Depot', 'Home Supply'],
+  Sports: ['Sports', 'Outdoor Gear', 'Athletics']
+};
+
+const STREETS = ['MG Road', 'Station Road', 'Park Avenue', 'Hill Street', 'Church Lane', 'Market Road', 'Lake View Road', 'Elm Street', 'Oak Avenue', 'High Street'];
+const CITIES = ['Pune', 'Mumbai', 'Nagpur', 'Bengaluru', 'Hyderabad', 'Chennai', 'Springfield', 'Portland', 'Austin', 'Denver'];
+
+const COMMENTS = {
+  1: ['Very disappointing visit.', 'Staff were rude and the place was a mess.', 'Would not come back.'],
+  2: ['Below average, prices are too high for what you get.', 'Slow service and limited stock.'],
+  3: ['Decent, nothing special.', 'Okay for a quick stop.', 'Average experience overall.'],
+  4: ['Good selection and friendly staff.', 'Solid choice, would visit again.', 'Clean store and fair prices.'],
+  5: ['Excellent! Highly recommended.', 'Best in the neighbourhood.', 'Fantastic service every single time.']
+};
+
+// mulberry32: tiny, fast and good enough for fixtures; Math.random() cannot be seeded
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (items) => items[Math.floor(next() * items.length)];
+  const chance = (probability) => next() < probability;
+  // Box-Muller
+  const normal = (mean, deviation) => {
+    const u = 1 - next();
+    const v = next();
+    return mean + deviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+
+  return { next, int, pick, chance, normal };
+};
+
+// Accept numeric seeds as-is and hash anything else ("demo", "bug-1234") into 32 bits
+const parseSeed = (value) => {
+  if (/^\d+$/.test(String(value))) {
+    return parseInt(value) >>> 0;
+  }
+  let hash = 2166136261;
+  for (const char of String(value)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+};
+
+const ACCOUNT_SCHEMA = { name: fields.name, email: fields.email, address: fields.address };
+
+const assertValid = (kind, schema, record) => {
+  const { valid, errors } = validate(schema, record);
+  if (!valid) {
+    throw new Error(`Generated ${kind} failed validation: ${JSON.stringify(errors)} ${JSON.stringify(record)}`);
+  }
+};
+
+const generatePersonName = (random) => {
+  let name = `${random.pick(FIRST_NAMES)} ${random.pick(MIDDLE_NAMES)} ${random.pick(LAST_NAMES)}`;
+  // Names must be at least 20 characters; add a second surname when the combination is short
+  while (name.length < 20) {
+    name += ` ${random.pick(LAST_NAMES)}`;
+  }
+  return name.slice(0, 60).trim();
+};
+
+const generateAddress = (random) => {
+  return `${random.int(1, 999)} ${random.pick(STREETS)}, ${random.pick(CITIES)} ${random.int(100000, 999999)}`;
+};
+
+const generateUsers = (random, count, role, prefix) => {
+  const users = [];
+  for (let i = 1; i <= count; i++) {
+    const name = generatePersonName(random);
+    const localPart = name.toLowerCase().split(' ').slice(0, 2).join('.');
+    const user = {
+      name,
+      email: `${prefix}${i}.${localPart}@${SEED_EMAIL_DOMAIN}`,
+      address: generateAddress(random),
+      role,
+      daysAgo: random.int(30, 365)
+    };
+    assertValid(role, ACCOUNT_SCHEMA, user);
+    users.push(user);
+  }
+  return users;
+};
+
+const generateStores = (random, count, ownerCount) => {
+  const stores = [];
+  for (let i = 1; i <= count; i++) {
+    const category = random.pick(CATEGORIES);
+    const city = random.pick(CITIES);
+    let name = `${random.pick(STORE_ADJECTIVES)} ${random.pick(STORE_NOUNS[category])}`;
+    if (name.length < 20) {
+      name += ` ${city}`;
+    }
+    if (name.length < 20) {
+      name += ' Branch';
+    }
+
+    const categories = [category];
+    if (random.chance(0.3)) {
+      const extra = random.pick(CATEGORIES);
+      if (extra !== category) categories.push(extra);
+    }
+
+    // Every owner gets at least one store; the rest are spread randomly and ~10% stay unassigned
+    let ownerIndex = null;
+    if (i <= ownerCount) {
+      ownerIndex = i - 1;
+    } else if (ownerCount > 0 && !random.chance(0.1)) {
+      ownerIndex = random.int(0, ownerCount - 1);
+    }
+
+    const store = {
+      name: name.slice(0, 60).trim(),
+      email: `${slugify(name)}-${i}@${SEED_EMAIL_DOMAIN}`,
+      address: generateAddress(random),
+      ownerIndex,
+      categories,
+      // Most stores are decent, a few are excellent or poor
+      quality: Math.min(4.8, Math.max(1.4, random.normal(3.7, 0.8))),
+      // Zipf-like popularity so a handful of stores collect most of the ratings
+      popularity: 1 / Math.pow(i, 0.8),
+      daysAgo: random.int(1, 300)
+    };
+    assertValid('store', schemas.store, store);
+    stores.push(store);
+  }
+
+  // Popularity was assigned by position; shuffle it so popular stores aren't always the oldest
+  for (let i = stores.length - 1; i > 0; i--) {
+    const j = random.int(0, i);
+    [stores[i].popularity, stores[j].popularity] = [stores[j].popularity, stores[i].popularity];
+  }
+  return stores;
+};
+
+const generateRatings = (random, users, stores, ratingsPerUser) => {
+  if (stores.length === 0 || ratingsPerUser === 0) return [];
+
+  const cumulative = [];
+  let total = 0;
+  stores.forEach(store => {
+    total += store.popularity;
+    cumulative.push(total);
+  });
+
+  const pickStoreIndex = () => {
+    const target = random.next() * total;
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (cumulative[mid] < target) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  const ratings = [];
+  users.forEach((user, userIndex) => {
+    // Some users are harsher or kinder than others
+    const bias = random.normal(0, 0.5);
+    const wanted = Math.min(stores.length, Math.max(0, Math.round(random.normal(ratingsPerUser, ratingsPerUser / 2))));
+    const rated = new Set();
+    let attempts = 0;
+
+    while (rated.size < wanted && attempts < wanted * 10) {
+      attempts++;
+      const storeIndex = pickStoreIndex();
+      if (rated.has(storeIndex)) continue;
+      rated.add(storeIndex);
+
+      const rating = Math.min(5, Math.max(1, Math.round(random.normal(stores[storeIndex].quality + bias, 0.9))));
+      ratings.push({
+        userIndex,
+        storeIndex,
+        rating,
+        comment: random.chance(0.4) ? random.pick(COMMENTS[rating]) : null,
+        daysAgo: random.int(0, Math.min(user.daysAgo, stores[storeIndex].daysAgo))
+      });
+    }
+  });
+  return ratings;
+};
+
+const generateDataset = ({ seed, admins, users, owners, stores, ratingsPerUser }) => {
+  const random = createRandom(seed);
+  const dataset = {
+    admins: generateUsers(random, admins, 'admin', 'admin'),
+    users: generateUsers(random, users, 'user', 'user'),
+    owners: generateUsers(random, owners, 'store_owner', 'owner')
+  };
+  dataset.stores = generateStores(random, stores, owners);
+  dataset.ratings = generateRatings(random, dataset.users, dataset.stores, ratingsPerUser);
+  return dataset;
+};
+
+const insertInBatches = async (connection, sql, rows) => {
+  const insertIds = [];
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+    const [result] = await connection.query(sql, [batch]);
+    // Multi-row inserts return the first id; InnoDB assigns the rest consecutively
+    batch.forEach((row, offset) => insertIds.push(result.insertId + offset));
+  }
+  return insertIds;
+};
+
+const daysAgoToDate = (daysAgo) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+
+// Configuration rather than data: the roles and their permissions, and instance settings such as
+// setup_completed_at. Wiping them would leave every account without permissions until the migrations ran again.
+const PRESERVED_TABLES = ['schema_migrations', 'roles', 'role_permissions', 'app_settings'];
+
+const resetDatabase = async (connection) => {
+  // Uploaded files are not covered by TRUNCATE, so remove them first
+  const [photos] = await connection.query('SELECT storage_key, thumbnail_key FROM store_photos');
+  for (const photo of photos) {
+    await removeStoredPhoto(photo);
+  }
+
+  const [tables] = await connection.query(
+    `SELECT TABLE_NAME AS name FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_TYPE = 'BASE TABLE' AND TABLE_NAME NOT IN (?)`,
+    [PRESERVED_TABLES]
+  );
+
+  await connection.query('SET FOREIGN_KEY_CHECKS = 0');
+  try {
+    for (const table of tables) {
+      await connection.query(`TRUNCATE TABLE \`${table.name}\``);
+    }
+  } finally {
+    await connection.query('SET FOREIGN_KEY_CHECKS = 1');
+  }
+  console.log(`Reset ${tables.length} table(s).`);
+};
+
+const writeDataset = async (connection, dataset) => {
+  // One hash for every seeded account; bcrypt per user would dominate the load-test profile
+  const passwordHash = await bcrypt.hash(SEED_PASSWORD, 10);
+
+  await connection.beginTransaction();
+  try {
+    const accounts = [...dataset.admins, ...dataset.users, ...dataset.owners];
+    const accountIds = await insertInBatches(
+      connection,
+      'INSERT INTO users (name, email, password, address, role, created_at, email_verified_at) VALUES ?',
+      accounts.map(user => {
+        const createdAt = daysAgoToDate(user.daysAgo);
+        return [user.name, user.email, passwordHash, user.address, user.role, createdAt, createdAt];
+      })
+    );
+    const userIds = accountIds.slice(dataset.admins.length, dataset.admins.length + dataset.users.length);
+    const ownerIds = accountIds.slice(dataset.admins.length + dataset.users.length);
+
+    const storeIds = await insertInBatches(
+      connection,
+      'INSERT INTO stores (name, email, address, owner_id, created_at) VALUES ?',
+      dataset.stores.map(store => [
+        store.name,
+        store.email,
+        store.address,
+        store.ownerIndex === null ? null : ownerIds[store.ownerIndex],
+        daysAgoToDate(store.daysAgo)
+      ])
+    );
+
+    if (dataset.stores.length > 0) {
+      await connection.query(
+        'INSERT IGNORE INTO categories (name, slug) VALUES ?',
+        [CATEGORIES.map(name => [name, slugify(name)])]
+      );
+      const [categoryRows] = await connection.query('SELECT id, name FROM categories WHERE name IN (?)', [CATEGORIES]);
+      const categoryIds = new Map(categoryRows.map(row => [row.name, row.id]));
+
+      await insertInBatches(
+        connection,
+        'INSERT INTO store_categories (store_id, category_id) VALUES ?',
+        dataset.stores.flatMap((store, index) =>
+          store.categories.map(name => [storeIds[index], categoryIds.get(name)])
+        )
+      );
+    }
+
+    await insertInBatches(
+      connection,
+      'INSERT INTO ratings (user_id, store_id, rating, comment, created_at, updated_at) VALUES ?',
+      dataset.ratings.map(rating => {
+        const ratedAt = daysAgoToDate(rating.daysAgo);
+        return [userIds[rating.userIndex], storeIds[rating.storeIndex], rating.rating, rating.comment, ratedAt, ratedAt];
+      })
+    );
+
+    await connection.query(`
+      UPDATE stores s
+      SET overall_rating = COALESCE((SELECT ROUND(AVG(r.rating), 2) FROM ratings r WHERE r.store_id = s.id), 0)
+    `);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+};
+
+const parseArgs = (argv) => {
+  const options = { profile: 'small', seed: '1', reset: false, overrides: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--reset') {
+      options.reset = true;
+    } else if (arg === '--profile') {
+      options.profile = argv[++i];
+    } else if (arg === '--seed') {
+      options.seed = argv[++i];
+    } else if (['--users', '--owners', '--stores'].includes(arg)) {
+      const value = parseInt(argv[++i]);
+      if (isNaN(value) || value < 0) {
+        throw new Error(`${arg} must be a non-negative integer`);
+      }
+      options.overrides[arg.slice(2)] = value;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!PROFILES[options.profile]) {
+    throw new Error(`Unknown profile "${options.profile}". Available: ${Object.keys(PROFILES).join(', ')}`);
+  }
+  if (options.seed === undefined) {
+    throw new Error('--seed needs a value');
+  }
+  return options;
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.log('Usage: node scripts/seed.js [--profile empty|small|demo|load-test] [--seed N] [--users N] [--owners N] [--stores N] [--reset]');
+    process.exit(1);
+  }
+
+  if (!isValid(fields.password, SEED_PASSWORD)) {
+    throw new Error('SEED_PASSWORD does not satisfy the password rules');
+  }
+
+  const settings = { ...PROFILES[options.profile], ...options.overrides, seed: parseSeed(options.seed) };
+  const dataset = generateDataset(settings);
+
+  let connection;
+  try {
+    connection = await connect();
+    await runUp(connection);
+
+    if (options.reset) {
+      await resetDatabase(connection);
+    } else {
+      const [existing] = await connection.query(
+        'SELECT COUNT(*) as count FROM users WHERE email LIKE ?',
+        [`%@${SEED_EMAIL_DOMAIN}`]
+      );
+      if (existing[0].count > 0) {
+        throw new Error('Seed data is already present. Re-run with --reset to start from a clean database.');
+      }
+    }
+
+    await writeDataset(connection, dataset);
+
+    console.log(`Seeded profile "${options.profile}" with seed ${settings.seed}:`);
+    console.log(`- ${dataset.admins.length} admin(s), ${dataset.users.length} user(s), ${dataset.owners.length} store owner(s)`);
+    console.log(`- ${dataset.stores.length} store(s), ${dataset.ratings.length} rating(s)`);
+    if (dataset.admins.length + dataset.users.length + dataset.owners.length > 0) {
+      const sample = dataset.admins[0] || dataset.users[0] || dataset.owners[0];
+      console.log(`All seeded accounts use the password ${SEED_PASSWORD} (e.g. ${sample.email}).`);
+    }
+  } catch (error) {
+    console.error('Seeding failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (connection) await connection.end();
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  PROFILES,
+  generateDataset
+};
@@ -3,10 +3,28 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const pool = require('./config/db');
+const { UPLOAD_DIR } = require('./services/storage');
+const { openSetupIfNeeded } = require('./services/setupService');
+const {
+  ApiError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  PayloadTooLargeError,
+  ServiceUnavailableError
+} = require('./utils/errors');
+const { sendSuccess, errorBody } = require('./utils/response');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer or reverse proxy, rate limits need the client's IP rather than the proxy's.
+// TRUST_PROXY is a hop count or a comma-separated list of proxy addresses.
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -23,12 +41,13 @@ app.use(cors({
       callback(null, true);
     } else {
       console.log('CORS blocked origin:', origin);
-      callback(new Error('Not allowed by CORS'));
+      callback(new ForbiddenError('This origin is not allowed to call the API', { code: 'CORS_ORIGIN_DENIED' }));
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Deprecation', 'Sunset', 'Link', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
 // Enable preflight for all routes
@@ -38,31 +57,38 @@ app.options('*', cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Uploaded store photos. Helmet's default same-origin resource policy would stop the React app embedding them.
+app.use('/uploads', express.static(UPLOAD_DIR, {
+  fallthrough: false,
+  setHeaders: (res) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  }
+}));
+
 // Request logging middleware
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
   next();
 });
 
-// Import route files
-const authRoutes = require('./routes/authRoutes');
-const adminRoutes = require('./routes/adminRoutes');
-const userRoutes = require('./routes/userRoutes');
-const storeOwnerRoutes = require('./routes/storeOwnerRoutes');
-const ratingRoutes = require('./routes/ratingRoutes');
-const storeRoutes = require('./routes/storeRoutes');
-
 // Mount routes
-app.use('/api/auth', authRoutes);
-app.use('/api/admin', adminRoutes);
-app.use('/api/user', userRoutes);
-app.use('/api/store-owner', storeOwnerRoutes);
-app.use('/api/ratings', ratingRoutes);
-app.use('/api', storeRoutes);
+const apiRoutes = require('./routes');
+const docsRoutes = require('./routes/docsRoutes');
+const { deprecateLegacyApi } = require('./middleware/deprecation');
+const { rateLimit } = require('./middleware/rateLimit');
+
+const apiRouter = express.Router();
+apiRouter.use(rateLimit('api'));
+apiRoutes.forEach(({ path, router }) => apiRouter.use(path, router));
+apiRouter.use(docsRoutes);
+
+app.use('/api/v1', apiRouter);
+// Unversioned paths kept for older clients; they answer with Deprecation and Sunset headers
+app.use('/api', deprecateLegacyApi, apiRouter);
 
 // Root endpoint
 app.get('/', (req, res) => {
-  res.json({ 
+  sendSuccess(res, {
     message: 'Ratings App API is running!',
     version: '2.1.0',
     status: 'active',
@@ -70,55 +96,74 @@ app.get('/', (req, res) => {
   });
 });
 
-// Health check with better error handling
-app.get('/health', async (req, res) => {
+// Health check - a 503 tells load balancers to stop routing here
+app.get('/health', async (req, res, next) => {
   let connection;
   try {
     connection = await pool.getConnection();
     await connection.ping();
-    res.json({ 
-      status: 'healthy', 
+    sendSuccess(res, {
+      status: 'healthy',
       database: 'connected',
       timestamp: new Date().toISOString(),
       uptime: Math.floor(process.uptime())
     });
   } catch (error) {
     console.error('Health check failed:', error);
-    res.status(503).json({ 
-      status: 'unhealthy', 
-      database: 'disconnected', 
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    next(new ServiceUnavailableError('Database is not reachable', { code: 'DATABASE_UNAVAILABLE' }));
   } finally {
     if (connection) connection.release();
   }
 });
 
-// Enhanced Global error handler
-app.use((err, req, res, next) => {
-  console.error('DETAILED ERROR:', {
-    error: err.message,
-    stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
-    url: req.url,
-    method: req.method,
-    timestamp: new Date().toISOString()
-  });
-  
-  res.status(err.status || 500).json({ 
-    error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error',
-    timestamp: new Date().toISOString()
-  });
+// 404 handler - must come after every route and before the error handler
+app.use((req, res, next) => {
+  next(new NotFoundError(`${req.method} ${req.originalUrl} is not available`, { code: 'ROUTE_NOT_FOUND' }));
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ 
-    error: 'Endpoint not found',
-    message: `${req.method} ${req.originalUrl} is not available`,
-    availableEndpoints: ['/api/auth', '/api/admin', '/api/user', '/api/store-owner', '/api/ratings', '/api/stores'],
-    timestamp: new Date().toISOString()
-  });
+// Map anything thrown by express, body-parser or static files onto an ApiError
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError();
+  }
+  if (err.status === 404) {
+    return new NotFoundError('File not found', { code: 'FILE_NOT_FOUND' });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new ApiError(err.status, err.message, { code: 'BAD_REQUEST' });
+  }
+
+  return new ApiError(500, 'An unexpected error occurred', { code: 'INTERNAL_ERROR' });
+};
+
+// Global error handler - the only place error responses are written
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const apiError = toApiError(err);
+
+  if (apiError !== err && apiError.status >= 500) {
+    console.error('Unhandled error:', {
+      error: err.message,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+      url: req.originalUrl,
+      method: req.method,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (apiError.retryAfter) {
+    res.set('Retry-After', String(apiError.retryAfter));
+  }
+
+  res.status(apiError.status).json(errorBody(apiError.code, apiError.message, apiError.details));
 });
 
 // Graceful shutdown
@@ -131,6 +176,10 @@ process.on('SIGTERM', async () => {
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+
+  openSetupIfNeeded(pool).catch((error) => {
+    console.error('Could not check for first-run setup:', error.message);
+  });
 });
 
 module.exports = app;
@@ -0,0 +1,89 @@
+const { ForbiddenError } = require('../utils/errors');
+
+// Account states: active, suspended (with a reason, until suspended_until) or banned (with a reason,
+// until an admin lifts it). A suspension whose end has passed counts as active; nothing has to run
+// for the account to work again. Load status, status_reason and suspended_until to use these helpers.
+
+const suspensionOver = (user) => (
+  user.status === 'suspended' && Boolean(user.suspended_until) && new Date(user.suspended_until) <= new Date()
+);
+
+// The status that applies right now
+const effectiveStatus = (user) => (suspensionOver(user) ? 'active' : user.status || 'active');
+
+// The error to refuse a suspended or banned account with, or null if it may sign in
+const accountStatusError = (user) => {
+  const status = effectiveStatus(user);
+
+  if (status === 'suspended') {
+    const until = new Date(user.suspended_until);
+    return new ForbiddenError(`This account is suspended until ${until.toUTCString()}. Reason: ${user.status_reason}`, {
+      code: 'ACCOUNT_SUSPENDED',
+      details: { reason: user.status_reason, until: until.toISOString() }
+    });
+  }
+
+  if (status === 'banned') {
+    return new ForbiddenError(`This account has been banned. Reason: ${user.status_reason}`, {
+      code: 'ACCOUNT_BANNED',
+      details: { reason: user.status_reason }
+    });
+  }
+
+  return null;
+};
+
+// Clear suspensions that have ended, so listings and filters see the accounts as active
+const liftExpiredSuspensions = async (connection) => {
+  await connection.query(
+    `UPDATE users SET status = 'active', status_reason = NULL, suspended_until = NULL, status_changed_at = NOW()
+     WHERE status = 'suspended' AND suspended_until <= NOW()`
+  );
+};
+
+const setAccountStatus = async (connection, userId, { status, reason = null, until = null }) => {
+  await connection.query(
+    `UPDATE users SET status = ?, status_reason = ?, suspended_until = ?, status_changed_at = NOW()
+     WHERE id = ?`,
+    [status, status === 'active' ? null : reason, status === 'suspended' ? until : null, userId]
+  );
+};
+
+// Recompute the stored overall_rating of the given stores, leaving hidden ratings out
+const recalculateStoreRatings = async (connection, storeIds) => {
+  if (storeIds.length === 0) return;
+  await connection.query(
+    `UPDATE stores s
+     SET overall_rating = COALESCE((
+       SELECT ROUND(AVG(r.rating), 2) FROM ratings r WHERE r.store_id = s.id AND r.hidden_at IS NULL
+     ), 0)
+     WHERE s.id IN (?)`,
+    [storeIds]
+  );
+};
+
+// Hide or restore every rating by a user, updating the averages of the stores they rated.
+// Returns how many ratings changed.
+const setRatingsHidden = async (connection, userId, hidden) => {
+  const [rows] = await connection.query(
+    `SELECT id, store_id FROM ratings WHERE user_id = ? AND hidden_at IS ${hidden ? '' : 'NOT '}NULL`,
+    [userId]
+  );
+  if (rows.length === 0) return 0;
+
+  await connection.query(
+    'UPDATE ratings SET hidden_at = ? WHERE id IN (?)',
+    [hidden ? new Date() : null, rows.map(row => row.id)]
+  );
+  await recalculateStoreRatings(connection, [...new Set(rows.map(row => row.store_id))]);
+  return rows.length;
+};
+
+module.exports = {
+  effectiveStatus,
+  accountStatusError,
+  liftExpiredSuspensions,
+  setAccountStatus,
+  recalculateStoreRatings,
+  setRatingsHidden
+};
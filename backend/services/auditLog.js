@@ -0,0 +1,134 @@
+// Audit trail for privileged changes. Call recordAudit with the connection that made the change,
+// right after it and inside the same transaction if there is one, so entries match what committed.
+//
+//   await recordAudit(connection, req, {
+//     action: 'store.update',
+//     entityType: 'store',
+//     entityId: storeId,
+//     before: storeRow,            // omit for creations
+//     after: { name, email },      // omit for deletions; for updates only these fields are compared
+//     details: { reason: ... }     // optional context that is not a field change
+//   });
+
+const { parseJson } = require('../utils/json');
+
+// Recorded as changed, never with their values
+const REDACTED_FIELDS = ['password', 'totp_secret', 'totp_last_step'];
+
+const normalise = (key, value) => {
+  if (REDACTED_FIELDS.includes(key)) return '[redacted]';
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+};
+
+const pick = (row, keys) => keys.reduce((values, key) => {
+  values[key] = normalise(key, row[key]);
+  return values;
+}, {});
+
+// { before, after } limited to the fields that differ. Updates compare only the keys of `after`,
+// so a full row can be passed as `before`.
+const diffChanges = (before, after) => {
+  if (!before && !after) return null;
+  if (!before) return { before: null, after: pick(after, Object.keys(after)) };
+  if (!after) return { before: pick(before, Object.keys(before)), after: null };
+
+  const changed = Object.keys(after).filter(key => (
+    REDACTED_FIELDS.includes(key)
+      ? after[key] !== undefined
+      : JSON.stringify(normalise(key, before[key])) !== JSON.stringify(normalise(key, after[key]))
+  ));
+
+  return changed.length > 0 ? { before: pick(before, changed), after: pick(after, changed) } : null;
+};
+
+const recordAudit = async (connection, req, { action, entityType, entityId = null, before = null, after = null, details = null }) => {
+  const actor = req.user || {};
+  const changes = diffChanges(before, after);
+
+  const [result] = await connection.query(
+    `INSERT INTO audit_log (actor_id, actor_email, actor_role, action, entity_type, entity_id, changes, details, ip_address)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      actor.id || null,
+      actor.email || null,
+      actor.role || null,
+      action,
+      entityType,
+      entityId === null ? null : String(entityId),
+      changes ? JSON.stringify(changes) : null,
+      details ? JSON.stringify(details) : null,
+      req.ip || null
+    ]
+  );
+  return result.insertId;
+};
+
+// Newest first. Every filter is optional; `from` and `to` are inclusive dates or datetimes.
+const listAuditLog = async (connection, { actorId, action, entityType, entityId, from, to, limit = 50, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (actorId) {
+    conditions.push('actor_id = ?');
+    params.push(actorId);
+  }
+  if (action) {
+    conditions.push('action = ?');
+    params.push(action);
+  }
+  if (entityType) {
+    conditions.push('entity_type = ?');
+    params.push(entityType);
+  }
+  if (entityId) {
+    conditions.push('entity_id = ?');
+    params.push(String(entityId));
+  }
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    // A bare date means the whole of that day
+    conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(to) ? 'created_at < DATE_ADD(?, INTERVAL 1 DAY)' : 'created_at <= ?');
+    params.push(to);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [rows] = await connection.query(
+    `SELECT id, actor_id, actor_email, actor_role, action, entity_type, entity_id, changes, details, ip_address, created_at
+     FROM audit_log ${whereClause}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  const [countRows] = await connection.query(
+    `SELECT COUNT(*) as total FROM audit_log ${whereClause}`,
+    params
+  );
+
+  return {
+    entries: rows.map(row => ({ ...row, changes: parseJson(row.changes), details: parseJson(row.details) })),
+    total: countRows[0].total
+  };
+};
+
+// Distinct actions and entity types, for filter dropdowns
+const listAuditFacets = async (connection) => {
+  const [actions] = await connection.query('SELECT DISTINCT action FROM audit_log ORDER BY action');
+  const [entityTypes] = await connection.query('SELECT DISTINCT entity_type FROM audit_log ORDER BY entity_type');
+  return {
+    actions: actions.map(row => row.action),
+    entityTypes: entityTypes.map(row => row.entity_type)
+  };
+};
+
+module.exports = {
+  diffChanges,
+  recordAudit,
+  listAuditLog,
+  listAuditFacets
+};
@@ -0,0 +1,95 @@
+// Store category taxonomy: admins manage categories, stores link to any number of them
+
+const slugify = (name) => {
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Accepts "food,books" or ['food', 'books'] from the query string
+const parseCategoryFilter = (value) => {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(values.map(slug => slug.trim().toLowerCase()).filter(Boolean))];
+};
+
+// SQL fragment matching stores in ANY of the given category slugs; the query must alias stores as s
+const categoryFilterClause = (slugs) => {
+  if (slugs.length === 0) return { clause: '', params: [] };
+  return {
+    clause: ` AND s.id IN (
+      SELECT sc.store_id FROM store_categories sc
+      JOIN categories c ON sc.category_id = c.id
+      WHERE c.slug IN (?)
+    )`,
+    params: [slugs]
+  };
+};
+
+// Adds a categories array ({ id, name, slug }) to each store row
+const attachCategories = async (connection, stores) => {
+  stores.forEach(store => {
+    store.categories = [];
+  });
+  if (stores.length === 0) return stores;
+
+  const [rows] = await connection.query(
+    `SELECT sc.store_id, c.id, c.name, c.slug
+     FROM store_categories sc
+     JOIN categories c ON sc.category_id = c.id
+     WHERE sc.store_id IN (?)
+     ORDER BY c.name ASC`,
+    [stores.map(store => store.id)]
+  );
+
+  const byId = new Map(stores.map(store => [store.id, store]));
+  rows.forEach(row => {
+    byId.get(row.store_id)?.categories.push({ id: row.id, name: row.name, slug: row.slug });
+  });
+
+  return stores;
+};
+
+// Returns the ids from the list that don't exist
+const findUnknownCategoryIds = async (connection, categoryIds) => {
+  if (categoryIds.length === 0) return [];
+
+  const [rows] = await connection.query(
+    'SELECT id FROM categories WHERE id IN (?)',
+    [categoryIds]
+  );
+  const known = new Set(rows.map(row => row.id));
+  return categoryIds.filter(id => !known.has(id));
+};
+
+// Replace a store's category links with exactly the given ids
+const setStoreCategories = async (connection, storeId, categoryIds) => {
+  await connection.query('DELETE FROM store_categories WHERE store_id = ?', [storeId]);
+
+  if (categoryIds.length > 0) {
+    await connection.query(
+      'INSERT INTO store_categories (store_id, category_id) VALUES ?',
+      [categoryIds.map(categoryId => [storeId, categoryId])]
+    );
+  }
+};
+
+// Normalises a category_ids request field. Returns null when it isn't an array of positive integers.
+const parseCategoryIds = (value) => {
+  if (!Array.isArray(value)) return null;
+  const ids = value.map(id => parseInt(id));
+  if (ids.some(id => isNaN(id) || id <= 0)) return null;
+  return [...new Set(ids)];
+};
+
+module.exports = {
+  slugify,
+  parseCategoryFilter,
+  categoryFilterClause,
+  attachCategories,
+  findUnknownCategoryIds,
+  setStoreCategories,
+  parseCategoryIds
+};
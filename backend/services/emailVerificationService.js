@@ -0,0 +1,65 @@
+const jwt = require('jsonwebtoken');
+const { sendMail } = require('./mailer');
+
+// Verification links carry a signed token rather than a stored one. It names the email it was issued
+// for, so a link stops working if the account's address changes before it is used.
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+const TOKEN_AUDIENCE = 'email-verification';
+
+const createVerificationToken = (user) => {
+  return jwt.sign(
+    { sub: String(user.id), email: user.email },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL, audience: TOKEN_AUDIENCE }
+  );
+};
+
+// Returns { userId, email }, or null if the token is invalid or expired
+const readVerificationToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: TOKEN_AUDIENCE });
+    return { userId: parseInt(payload.sub), email: payload.email };
+  } catch (error) {
+    return null;
+  }
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = createVerificationToken(user);
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your RatingsApp email address',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm this is your email address by opening the link below:\n\n` +
+      `${verifyUrl}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_TTL}. Until then you can browse stores but not rate them. ` +
+      `If you did not create an account, you can ignore this email.`
+  });
+};
+
+// Confirms a new address for an existing account. The token names the new address, so verifying
+// it is what moves pending_email over to email.
+const sendEmailChangeVerification = async (user, newEmail) => {
+  const token = createVerificationToken({ id: user.id, email: newEmail });
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new RatingsApp email address',
+    text: `Hi ${user.name},\n\n` +
+      `You asked to change the email address on your RatingsApp account to this one. ` +
+      `Open the link below to confirm it:\n\n` +
+      `${verifyUrl}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_TTL}. Until you confirm, you keep signing in with ${user.email}. ` +
+      `If you did not ask for this, you can ignore this email.`
+  });
+};
+
+module.exports = {
+  createVerificationToken,
+  readVerificationToken,
+  sendVerificationEmail,
+  sendEmailChangeVerification
+};
@@ -0,0 +1,41 @@
+// In-memory usage counters for the unversioned /api/* paths, reported by GET /api/v1/admin/legacy-usage.
+// Counts reset when the process restarts, so read them together with `since`.
+const since = new Date();
+const usage = new Map();
+// Unknown paths are counted too, so cap the map against scanners probing random URLs
+const MAX_TRACKED_PATHS = 500;
+
+// IDs are collapsed so /api/admin/users/7 and /api/admin/users/8 count as one path
+const normalisePath = (path) => path.replace(/\/\d+(?=\/|$)/g, '/:id');
+
+// Returns true the first time a method/path pair is seen, so callers can log it once
+const recordLegacyUse = (method, path) => {
+  const trackedPath = usage.size < MAX_TRACKED_PATHS || usage.has(`${method} ${normalisePath(path)}`)
+    ? normalisePath(path)
+    : '(other)';
+  const key = `${method} ${trackedPath}`;
+  const now = new Date();
+  const entry = usage.get(key);
+
+  if (entry) {
+    entry.count += 1;
+    entry.last_seen = now;
+    return false;
+  }
+
+  usage.set(key, { method, path: trackedPath, count: 1, first_seen: now, last_seen: now });
+  return true;
+};
+
+// Busiest paths first
+const getLegacyUsage = () => ({
+  since,
+  paths: [...usage.values()]
+    .map(entry => ({ ...entry }))
+    .sort((a, b) => b.count - a.count || a.path.localeCompare(b.path))
+});
+
+module.exports = {
+  recordLegacyUse,
+  getLegacyUsage
+};
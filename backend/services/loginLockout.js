@@ -0,0 +1,78 @@
+const { getRateLimitStore } = require('./rateLimitStore');
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Failed logins are counted per email address, whether or not an account exists for it, so a lockout
+// response never reveals which emails are registered.
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const FAILURE_WINDOW_MS = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOCKOUT_DURATION_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+const FAILURES_PREFIX = 'login-failures:';
+const LOCKOUT_PREFIX = 'lockout:';
+
+const normalizeEmail = (email) => String(email).toLowerCase().trim();
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// Returns { retryAfter } in seconds while the account is locked, otherwise null
+const getLockout = async (email) => {
+  const lockout = await getRateLimitStore().get(LOCKOUT_PREFIX + normalizeEmail(email));
+  return lockout ? { retryAfter: secondsUntil(lockout.resetAt) } : null;
+};
+
+// Count a failed login; locks the account once the threshold is reached and returns the lockout
+const recordFailedLogin = async (email) => {
+  const store = getRateLimitStore();
+  const key = normalizeEmail(email);
+
+  const { count } = await store.increment(FAILURES_PREFIX + key, FAILURE_WINDOW_MS);
+  if (count < LOCKOUT_THRESHOLD) {
+    return null;
+  }
+
+  await store.reset(FAILURES_PREFIX + key);
+  const lockout = await store.increment(LOCKOUT_PREFIX + key, LOCKOUT_DURATION_MS);
+  console.warn(`Login locked for ${key} after ${count} failed attempts`);
+
+  return { retryAfter: secondsUntil(lockout.resetAt) };
+};
+
+// After a successful login, or when an admin lifts a lockout
+const clearFailedLogins = async (email) => {
+  const store = getRateLimitStore();
+  const key = normalizeEmail(email);
+  await store.reset(FAILURES_PREFIX + key);
+  await store.reset(LOCKOUT_PREFIX + key);
+};
+
+// Returns true if the account was locked
+const clearLockout = async (email) => {
+  const locked = Boolean(await getLockout(email));
+  await clearFailedLogins(email);
+  return locked;
+};
+
+// The error to answer with while an account is locked
+const lockoutError = ({ retryAfter }) => new TooManyRequestsError(
+  'Too many failed sign-in attempts for this account. Try again later.',
+  { code: 'ACCOUNT_LOCKED', retryAfter }
+);
+
+const listLockouts = async () => {
+  const lockouts = await getRateLimitStore().list(LOCKOUT_PREFIX);
+  return lockouts
+    .map(({ key, resetAt }) => ({
+      email: key.slice(LOCKOUT_PREFIX.length),
+      locked_until: new Date(resetAt).toISOString()
+    }))
+    .sort((a, b) => a.locked_until.localeCompare(b.locked_until));
+};
+
+module.exports = {
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins,
+  clearLockout,
+  lockoutError,
+  listLockouts
+};
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// A transport is any object with an async send({ to, subject, text }) method.
+// MAIL_TRANSPORT selects a built-in one; setTransport() plugs in anything else (SMTP, an API client, a test spy).
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('--- Outgoing email ---');
+    console.log('To:', message.to);
+    console.log('Subject:', message.subject);
+    console.log(message.text);
+    console.log('----------------------');
+  }
+});
+
+// Writes each message as a JSON file so local tooling and tests can read the outbox
+const createFileTransport = (outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox')) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+});
+
+const builtInTransports = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = builtInTransports[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(builtInTransports).join(', ')}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+const setTransport = (transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('A mail transport must provide a send(message) function');
+  }
+  activeTransport = transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const from = process.env.MAIL_FROM || 'RatingsApp <no-reply@ratingsapp.local>';
+  await getTransport().send({ from, to, subject, text });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createConsoleTransport,
+  createFileTransport
+};
@@ -0,0 +1,58 @@
+const { parseJson } = require('../utils/json');
+
+// In-app notifications. Call inside the caller's transaction so the notice only exists if the action committed.
+const createNotification = async (connection, userId, { type, message, data = null }) => {
+  const [result] = await connection.query(
+    'INSERT INTO notifications (user_id, type, message, data) VALUES (?, ?, ?, ?)',
+    [userId, type, message, data ? JSON.stringify(data) : null]
+  );
+  return result.insertId;
+};
+
+const listNotifications = async (connection, userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) => {
+  const [rows] = await connection.query(
+    `SELECT id, type, message, data, read_at, created_at FROM notifications
+     WHERE user_id = ? ${unreadOnly ? 'AND read_at IS NULL' : ''}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [userId, limit, offset]
+  );
+
+  return rows.map(row => ({
+    ...row,
+    data: parseJson(row.data)
+  }));
+};
+
+const countUnread = async (connection, userId) => {
+  const [rows] = await connection.query(
+    'SELECT COUNT(*) as unread FROM notifications WHERE user_id = ? AND read_at IS NULL',
+    [userId]
+  );
+  return rows[0].unread;
+};
+
+// Returns false when the notification doesn't exist or belongs to someone else
+const markRead = async (connection, userId, notificationId) => {
+  const [result] = await connection.query(
+    'UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ?',
+    [notificationId, userId]
+  );
+  return result.affectedRows > 0;
+};
+
+const markAllRead = async (connection, userId) => {
+  const [result] = await connection.query(
+    'UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+    [userId]
+  );
+  return result.affectedRows;
+};
+
+module.exports = {
+  createNotification,
+  listNotifications,
+  countUnread,
+  markRead,
+  markAllRead
+};
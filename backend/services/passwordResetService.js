@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokenService');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+
+// Issue a single-use reset token, invalidating any earlier unused ones for the user
+const createPasswordResetToken = async (connection, userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  await connection.query(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  await connection.query(
+    'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [userId, hashToken(token), expiresAt]
+  );
+
+  return { token, expiresAt };
+};
+
+// Mark a token as used and return its user id, or null if it is unknown, used or expired.
+// Must run inside the caller's transaction so the password update and the consume commit together.
+const consumePasswordResetToken = async (connection, rawToken) => {
+  const [rows] = await connection.query(
+    `SELECT id, user_id FROM password_reset_tokens
+     WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+     FOR UPDATE`,
+    [hashToken(rawToken)]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  await connection.query(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?',
+    [rows[0].id]
+  );
+
+  return rows[0].user_id;
+};
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  createPasswordResetToken,
+  consumePasswordResetToken
+};
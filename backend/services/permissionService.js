@@ -0,0 +1,150 @@
+const { PERMISSIONS } = require('ratings-app-shared');
+const { ForbiddenError } = require('../utils/errors');
+
+// Roles are bundles of permissions stored in the roles and role_permissions tables.
+// A user holds their primary role (users.role) plus any roles granted in user_roles, and may do
+// whatever any of those roles allows. The admin role is locked to every permission in PERMISSIONS,
+// so new permissions reach admins without a migration and nobody can edit away admin access.
+
+const ADMIN_ROLE = 'admin';
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const isKnownPermission = (permission) => ALL_PERMISSIONS.includes(permission);
+
+// { roles, permissions } for a user. Pass a different primaryRole to ask what they would hold after a change,
+// or a null userId for what a new account with that role would hold.
+const getUserAccess = async (connection, userId, primaryRole) => {
+  const [rows] = await connection.query(
+    `SELECT r.name, rp.permission
+     FROM roles r
+     LEFT JOIN role_permissions rp ON rp.role_id = r.id
+     WHERE r.name = ? OR r.id IN (SELECT role_id FROM user_roles WHERE user_id = ?)`,
+    [primaryRole, userId]
+  );
+
+  const granted = [...new Set(rows.map(row => row.name))].filter(name => name !== primaryRole).sort();
+  const roles = [primaryRole, ...granted];
+
+  const permissions = roles.includes(ADMIN_ROLE)
+    ? ALL_PERMISSIONS
+    : [...new Set(rows.map(row => row.permission).filter(isKnownPermission))].sort();
+
+  return { roles, permissions };
+};
+
+// Nobody may hand out more than they hold, or manage an account that holds more: the admin role
+// takes an admin, and any other permission someone who has it. `access` is what is being granted
+// or what the target account holds ({ roles, permissions }, as from getUserAccess).
+// Returns the error to refuse with, or null.
+const escalationError = (caller, { roles = [], permissions = [] }) => {
+  if (roles.includes(ADMIN_ROLE) && !caller.roles.includes(ADMIN_ROLE)) {
+    return new ForbiddenError('Only admins can grant the admin role or manage admin accounts', { code: 'ADMIN_ROLE_REQUIRED' });
+  }
+
+  const missing = permissions.filter(permission => !caller.permissions.includes(permission));
+  if (missing.length > 0) {
+    return new ForbiddenError(`You cannot grant, or manage an account with, permissions you do not hold: ${missing.join(', ')}`, {
+      code: 'PERMISSION_ESCALATION',
+      details: { missing }
+    });
+  }
+
+  return null;
+};
+
+// Users holding a role either as their primary role or as a grant
+const countUsersWithRole = async (connection, roleName) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS total FROM users u
+     WHERE u.role = ?
+        OR EXISTS (
+          SELECT 1 FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+          WHERE ur.user_id = u.id AND r.name = ?
+        )`,
+    [roleName, roleName]
+  );
+  return parseInt(rows[0].total);
+};
+
+// Every role with its permissions and how many users hold it
+const listRoles = async (connection) => {
+  const [roles] = await connection.query(
+    `SELECT r.id, r.name, r.label, r.description, r.is_system, r.created_at, r.updated_at,
+            (SELECT COUNT(*) FROM users u
+             WHERE u.role = r.name
+                OR EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id AND ur.role_id = r.id)) AS user_count
+     FROM roles r
+     ORDER BY r.is_system DESC, r.label ASC`
+  );
+
+  const [permissions] = await connection.query('SELECT role_id, permission FROM role_permissions');
+
+  return roles.map(role => ({
+    ...role,
+    is_system: Boolean(role.is_system),
+    user_count: parseInt(role.user_count),
+    permissions: role.name === ADMIN_ROLE
+      ? ALL_PERMISSIONS
+      : permissions.filter(row => row.role_id === role.id && isKnownPermission(row.permission)).map(row => row.permission).sort()
+  }));
+};
+
+const findRole = async (connection, roleId) => {
+  const [rows] = await connection.query(
+    'SELECT id, name, label, description, is_system FROM roles WHERE id = ?',
+    [roleId]
+  );
+  return rows[0] || null;
+};
+
+// Names from `names` that do not match any role
+const findUnknownRoles = async (connection, names) => {
+  if (names.length === 0) return [];
+  const [rows] = await connection.query('SELECT name FROM roles WHERE name IN (?)', [names]);
+  const known = rows.map(row => row.name);
+  return names.filter(name => !known.includes(name));
+};
+
+const setRolePermissions = async (connection, roleId, permissions) => {
+  await connection.query('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+  if (permissions.length === 0) return;
+  await connection.query(
+    'INSERT INTO role_permissions (role_id, permission) VALUES ?',
+    [permissions.map(permission => [roleId, permission])]
+  );
+};
+
+// Roles granted on top of the user's primary role
+const getGrantedRoles = async (connection, userId) => {
+  const [rows] = await connection.query(
+    `SELECT r.name FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+     WHERE ur.user_id = ? ORDER BY r.name`,
+    [userId]
+  );
+  return rows.map(row => row.name);
+};
+
+// Replace the user's granted roles. Names must exist; check with findUnknownRoles first.
+const setGrantedRoles = async (connection, userId, names) => {
+  await connection.query('DELETE FROM user_roles WHERE user_id = ?', [userId]);
+  if (names.length === 0) return;
+  await connection.query(
+    'INSERT INTO user_roles (user_id, role_id) SELECT ?, id FROM roles WHERE name IN (?)',
+    [userId, names]
+  );
+};
+
+module.exports = {
+  ADMIN_ROLE,
+  ALL_PERMISSIONS,
+  isKnownPermission,
+  getUserAccess,
+  escalationError,
+  countUsersWithRole,
+  listRoles,
+  findRole,
+  findUnknownRoles,
+  setRolePermissions,
+  getGrantedRoles,
+  setGrantedRoles
+};
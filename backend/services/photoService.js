@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+const MAX_PHOTO_BYTES = (parseInt(process.env.MAX_PHOTO_MB) || 5) * 1024 * 1024;
+const MAX_PHOTOS_PER_STORE = parseInt(process.env.MAX_PHOTOS_PER_STORE) || 10;
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const FULL_SIZE_MAX = 1600;
+const THUMBNAIL_SIZE = { width: 400, height: 300 };
+
+// The declared MIME type comes from the client, so decode the bytes to confirm it really is an image
+const readImageFormat = async (buffer) => {
+  try {
+    const { format } = await sharp(buffer).metadata();
+    return ['jpeg', 'png', 'webp'].includes(format) ? format : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Re-encode the upload (which also strips EXIF/GPS metadata) and generate a thumbnail, then store both.
+// Returns null if the buffer isn't a supported image.
+const saveStorePhoto = async (storeId, buffer) => {
+  if (!await readImageFormat(buffer)) return null;
+
+  const id = crypto.randomUUID();
+  const key = `stores/${storeId}/${id}.jpg`;
+  const thumbnailKey = `stores/${storeId}/${id}-thumb.jpg`;
+
+  const full = await sharp(buffer)
+    .rotate()
+    .resize(FULL_SIZE_MAX, FULL_SIZE_MAX, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 85 })
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE.width, THUMBNAIL_SIZE.height, { fit: 'cover' })
+    .jpeg({ quality: 75 })
+    .toBuffer();
+
+  const storage = getStorage();
+  await storage.save(key, full.data, 'image/jpeg');
+  await storage.save(thumbnailKey, thumbnail, 'image/jpeg');
+
+  return {
+    key,
+    thumbnailKey,
+    width: full.info.width,
+    height: full.info.height,
+    sizeBytes: full.info.size
+  };
+};
+
+const removeStoredPhoto = async (photo) => {
+  const storage = getStorage();
+  await storage.remove(photo.storage_key);
+  await storage.remove(photo.thumbnail_key);
+};
+
+const toPhotoResponse = (photo) => ({
+  id: photo.id,
+  url: getStorage().getUrl(photo.storage_key),
+  thumbnail_url: getStorage().getUrl(photo.thumbnail_key),
+  width: photo.width,
+  height: photo.height,
+  created_at: photo.created_at
+});
+
+// Adds a photos array (newest first) to each store row
+const attachPhotos = async (connection, stores) => {
+  stores.forEach(store => {
+    store.photos = [];
+  });
+  if (stores.length === 0) return stores;
+
+  const [rows] = await connection.query(
+    `SELECT id, store_id, storage_key, thumbnail_key, width, height, created_at
+     FROM store_photos
+     WHERE store_id IN (?)
+     ORDER BY created_at DESC, id DESC`,
+    [stores.map(store => store.id)]
+  );
+
+  const byId = new Map(stores.map(store => [store.id, store]));
+  rows.forEach(row => {
+    byId.get(row.store_id)?.photos.push(toPhotoResponse(row));
+  });
+
+  return stores;
+};
+
+module.exports = {
+  MAX_PHOTO_BYTES,
+  MAX_PHOTOS_PER_STORE,
+  ALLOWED_MIME_TYPES,
+  saveStorePhoto,
+  removeStoredPhoto,
+  toPhotoResponse,
+  attachPhotos
+};
@@ -0,0 +1,89 @@
+// A rate limit store keeps expiring counters. It is any object with
+//   async increment(key, windowMs) -> { count, resetAt }  (starts a new window if the key is absent or expired)
+//   async get(key)                 -> { count, resetAt } or null
+//   async reset(key)
+//   async list(prefix)             -> [{ key, count, resetAt }]
+// RATE_LIMIT_STORE selects a built-in one; setRateLimitStore() plugs in a shared store (Redis,
+// Memcached, a database table) so limits hold across several app instances.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt <= now) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired counters so one-off IPs don't pile up; unref() keeps it from holding the process open
+  setInterval(() => {
+    const now = Date.now();
+    counters.forEach((entry, key) => {
+      if (entry.resetAt <= now) counters.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      const entry = live(key, now);
+      if (entry) {
+        entry.count += 1;
+        return { ...entry };
+      }
+      const created = { count: 1, resetAt: now + windowMs };
+      counters.set(key, created);
+      return { ...created };
+    },
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    },
+    list: async (prefix) => {
+      const now = Date.now();
+      return [...counters.keys()]
+        .filter(key => key.startsWith(prefix) && live(key, now))
+        .map(key => ({ key, ...counters.get(key) }));
+    }
+  };
+};
+
+const builtInStores = {
+  memory: createMemoryStore
+};
+
+let activeStore = null;
+
+const getRateLimitStore = () => {
+  if (!activeStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = builtInStores[name];
+    if (!factory) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: ${Object.keys(builtInStores).join(', ')}`);
+    }
+    activeStore = factory();
+  }
+  return activeStore;
+};
+
+const setRateLimitStore = (store) => {
+  if (!store || ['increment', 'get', 'reset', 'list'].some(method => typeof store[method] !== 'function')) {
+    throw new Error('A rate limit store must provide increment(), get(), reset() and list() functions');
+  }
+  activeStore = store;
+};
+
+module.exports = {
+  getRateLimitStore,
+  setRateLimitStore,
+  createMemoryStore
+};
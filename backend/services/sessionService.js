@@ -0,0 +1,122 @@
+// Login sessions. Each login creates one, tied to the refresh token family it started; access tokens
+// carry its id as `sid` and authenticateToken rejects them once the session is revoked.
+// Revoking a session also revokes its refresh tokens, so the device can't quietly sign back in.
+
+// last_seen_at is written at most this often per session, not on every request
+const LAST_SEEN_INTERVAL_SECONDS = 60;
+
+// Device and IP of the request that is signing in or refreshing
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 255) || null,
+  ipAddress: req.ip || null
+});
+
+const createSession = async (connection, userId, familyId, client = {}) => {
+  const [result] = await connection.query(
+    'INSERT INTO user_sessions (user_id, family_id, user_agent, ip_address, last_seen_at) VALUES (?, ?, ?, ?, NOW())',
+    [userId, familyId, client.userAgent || null, client.ipAddress || null]
+  );
+  return result.insertId;
+};
+
+// The session behind a refresh token family, recording where it was last used from.
+// Families from before sessions were recorded get one on their first refresh.
+const resumeSession = async (connection, userId, familyId, client = {}) => {
+  const [rows] = await connection.query(
+    'SELECT id FROM user_sessions WHERE family_id = ?',
+    [familyId]
+  );
+
+  if (rows.length === 0) {
+    return createSession(connection, userId, familyId, client);
+  }
+
+  await connection.query(
+    'UPDATE user_sessions SET last_seen_at = NOW(), ip_address = COALESCE(?, ip_address), user_agent = COALESCE(?, user_agent) WHERE id = ?',
+    [client.ipAddress || null, client.userAgent || null, rows[0].id]
+  );
+  return rows[0].id;
+};
+
+// Returns whether the session is still active, bumping last_seen_at if it is stale
+const touchSession = async (connection, userId, sessionId) => {
+  const [rows] = await connection.query(
+    'SELECT id, last_seen_at FROM user_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+
+  if (rows.length === 0) {
+    return false;
+  }
+
+  if (Date.now() - new Date(rows[0].last_seen_at).getTime() > LAST_SEEN_INTERVAL_SECONDS * 1000) {
+    await connection.query('UPDATE user_sessions SET last_seen_at = NOW() WHERE id = ?', [sessionId]);
+  }
+  return true;
+};
+
+// Active sessions: not revoked and still holding an unexpired refresh token. Most recent first.
+const listSessions = async (connection, userId) => {
+  const [rows] = await connection.query(
+    `SELECT s.id, s.user_agent, s.ip_address, s.created_at, s.last_seen_at
+     FROM user_sessions s
+     WHERE s.user_id = ? AND s.revoked_at IS NULL
+       AND EXISTS (
+         SELECT 1 FROM refresh_tokens rt
+         WHERE rt.family_id = s.family_id AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+       )
+     ORDER BY s.last_seen_at DESC`,
+    [userId]
+  );
+  return rows;
+};
+
+const revokeSessionRows = async (connection, whereSql, params) => {
+  await connection.query(
+    `UPDATE refresh_tokens rt
+     JOIN user_sessions s ON s.family_id = rt.family_id
+     SET rt.revoked_at = NOW()
+     WHERE ${whereSql} AND s.revoked_at IS NULL AND rt.revoked_at IS NULL`,
+    params
+  );
+
+  const [result] = await connection.query(
+    `UPDATE user_sessions s SET s.revoked_at = NOW() WHERE ${whereSql} AND s.revoked_at IS NULL`,
+    params
+  );
+  return result.affectedRows;
+};
+
+// Returns false if the user has no such active session
+const revokeSession = async (connection, userId, sessionId) => {
+  const revoked = await revokeSessionRows(connection, 's.id = ? AND s.user_id = ?', [sessionId, userId]);
+  return revoked > 0;
+};
+
+// Sign the user out everywhere, or everywhere but `except` (the session making the request).
+// Refresh tokens without a session row are revoked too. Returns how many sessions ended.
+const revokeAllSessions = async (connection, userId, { except = null } = {}) => {
+  const revoked = except
+    ? await revokeSessionRows(connection, 's.user_id = ? AND s.id <> ?', [userId, except])
+    : await revokeSessionRows(connection, 's.user_id = ?', [userId]);
+
+  await connection.query(
+    `UPDATE refresh_tokens rt
+     LEFT JOIN user_sessions s ON s.family_id = rt.family_id
+     SET rt.revoked_at = NOW()
+     WHERE rt.user_id = ? AND s.id IS NULL AND rt.revoked_at IS NULL`,
+    [userId]
+  );
+
+  return revoked;
+};
+
+module.exports = {
+  getClientInfo,
+  createSession,
+  resumeSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
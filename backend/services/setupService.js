@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokenService');
+
+// First-run setup. While the instance has never been set up, every server start prints a fresh
+// one-time token; the frontend's /setup page sends it back with the first admin's details.
+// Finishing setup, through the API or `npm run create-admin`, records setup_completed_at and the
+// setup endpoint stays closed from then on, even if every admin is later removed.
+const SETUP_COMPLETED_KEY = 'setup_completed_at';
+
+// Only the hash is kept, and only in this process
+let setupTokenHash = null;
+
+const isSetupComplete = async (connection) => {
+  const [settings] = await connection.query(
+    'SELECT setting_value FROM app_settings WHERE setting_key = ?',
+    [SETUP_COMPLETED_KEY]
+  );
+  if (settings.length > 0) {
+    return true;
+  }
+
+  const [admins] = await connection.query("SELECT id FROM users WHERE role = 'admin' LIMIT 1");
+  return admins.length > 0;
+};
+
+// Returns false if setup had already been completed, e.g. by a concurrent request
+const markSetupComplete = async (connection) => {
+  const [result] = await connection.query(
+    'INSERT IGNORE INTO app_settings (setting_key, setting_value) VALUES (?, ?)',
+    [SETUP_COMPLETED_KEY, new Date().toISOString()]
+  );
+  return result.affectedRows === 1;
+};
+
+// Called once the server is listening. Leaves setup closed if the check fails (e.g. migrations not run).
+const openSetupIfNeeded = async (pool) => {
+  const connection = await pool.getConnection();
+  try {
+    if (await isSetupComplete(connection)) {
+      return false;
+    }
+  } finally {
+    connection.release();
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  setupTokenHash = hashToken(token);
+
+  const setupUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/setup?token=${encodeURIComponent(token)}`;
+  console.log('No admin account exists yet. Create the first one at (the link changes on every restart):');
+  console.log(`  ${setupUrl}`);
+  console.log('or run `npm run create-admin`.');
+
+  return true;
+};
+
+const isSetupOpen = () => setupTokenHash !== null;
+
+const verifySetupToken = (token) => {
+  if (!setupTokenHash || typeof token !== 'string' || !token) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), Buffer.from(setupTokenHash, 'hex'));
+};
+
+const closeSetup = () => {
+  setupTokenHash = null;
+};
+
+module.exports = {
+  isSetupComplete,
+  markSetupComplete,
+  openSetupIfNeeded,
+  isSetupOpen,
+  verifySetupToken,
+  closeSetup
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+// A storage backend is any object with async save(key, buffer, contentType), async remove(key) and getUrl(key).
+// STORAGE_DRIVER selects a built-in one; setStorage() plugs in anything else (S3, GCS, a test double).
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const UPLOAD_PUBLIC_URL = process.env.UPLOAD_PUBLIC_URL || '/uploads';
+
+// Keys are generated server-side, but never let one escape the root directory
+const resolveKey = (rootDir, key) => {
+  const fullPath = path.resolve(rootDir, key);
+  if (!fullPath.startsWith(path.resolve(rootDir) + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return fullPath;
+};
+
+const createLocalStorage = (rootDir = UPLOAD_DIR, publicUrl = UPLOAD_PUBLIC_URL) => ({
+  name: 'local',
+  rootDir,
+  save: async (key, buffer) => {
+    const fullPath = resolveKey(rootDir, key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, buffer);
+  },
+  remove: async (key) => {
+    await fs.promises.rm(resolveKey(rootDir, key), { force: true });
+  },
+  getUrl: (key) => `${publicUrl}/${key}`
+});
+
+const builtInDrivers = {
+  local: createLocalStorage
+};
+
+let activeStorage = null;
+
+const getStorage = () => {
+  if (!activeStorage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = builtInDrivers[name];
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(builtInDrivers).join(', ')}`);
+    }
+    activeStorage = factory();
+  }
+  return activeStorage;
+};
+
+const setStorage = (storage) => {
+  if (!storage || ['save', 'remove', 'getUrl'].some(method => typeof storage[method] !== 'function')) {
+    throw new Error('A storage backend must provide save(), remove() and getUrl() functions');
+  }
+  activeStorage = storage;
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  getStorage,
+  setStorage,
+  createLocalStorage
+};
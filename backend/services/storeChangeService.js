@@ -0,0 +1,65 @@
+const { parseJson } = require('../utils/json');
+
+// When STORE_EDITS_REQUIRE_REVIEW=true, owner edits are held as change requests until an admin approves them
+const STORE_EDITS_REQUIRE_REVIEW = process.env.STORE_EDITS_REQUIRE_REVIEW === 'true';
+
+const EDITABLE_FIELDS = ['name', 'email', 'address'];
+
+const emailTakenByOtherStore = async (connection, storeId, email) => {
+  const [rows] = await connection.query(
+    'SELECT id FROM stores WHERE email = ? AND id <> ?',
+    [email, storeId]
+  );
+  return rows.length > 0;
+};
+
+// changes holds already-normalised values for any of EDITABLE_FIELDS
+const applyStoreChanges = async (connection, storeId, changes) => {
+  const fields = EDITABLE_FIELDS.filter(field => changes[field] !== undefined);
+  if (fields.length === 0) return;
+
+  await connection.query(
+    `UPDATE stores SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+    [...fields.map(field => changes[field]), storeId]
+  );
+};
+
+// A store has at most one pending request; a newer submission replaces the older one
+const submitChangeRequest = async (connection, storeId, userId, changes) => {
+  await connection.query(
+    `UPDATE store_change_requests SET status = 'superseded', reviewed_at = NOW()
+     WHERE store_id = ? AND status = 'pending'`,
+    [storeId]
+  );
+
+  const [result] = await connection.query(
+    'INSERT INTO store_change_requests (store_id, requested_by, changes) VALUES (?, ?, ?)',
+    [storeId, userId, JSON.stringify(changes)]
+  );
+
+  return result.insertId;
+};
+
+const getPendingChanges = async (connection, storeIds) => {
+  if (storeIds.length === 0) return {};
+
+  const [rows] = await connection.query(
+    `SELECT id, store_id, changes, created_at FROM store_change_requests
+     WHERE status = 'pending' AND store_id IN (?)`,
+    [storeIds]
+  );
+
+  return rows.reduce((byStore, row) => {
+    byStore[row.store_id] = { id: row.id, changes: parseJson(row.changes), created_at: row.created_at };
+    return byStore;
+  }, {});
+};
+
+module.exports = {
+  STORE_EDITS_REQUIRE_REVIEW,
+  EDITABLE_FIELDS,
+  emailTakenByOtherStore,
+  applyStoreChanges,
+  submitChangeRequest,
+  getPendingChanges
+};
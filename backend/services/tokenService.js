@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createSession, resumeSession } = require('./sessionService');
+const { getUserAccess } = require('./permissionService');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Only the SHA-256 hash of a refresh token is ever stored
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// sid ties the token to a row in user_sessions; see sessionService
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Store a new refresh token. Each login starts a new family; rotations stay in it.
+const issueRefreshToken = async (connection, userId, familyId = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const [result] = await connection.query(
+    'INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES (?, ?, ?, ?)',
+    [userId, hashToken(token), familyId, expiresAt]
+  );
+
+  return { token, id: result.insertId, familyId, expiresAt };
+};
+
+const revokeFamily = async (connection, familyId) => {
+  await connection.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+    [familyId]
+  );
+  await connection.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+    [familyId]
+  );
+};
+
+// Exchange a refresh token for a new one in the same family.
+// Returns { status: 'ok', userId, sessionId, refreshToken } or { status: 'invalid' | 'expired' | 'reused' }.
+// Presenting a token that was already rotated means it leaked, so the whole family is revoked.
+const rotateRefreshToken = async (connection, rawToken, client = {}) => {
+  await connection.beginTransaction();
+  try {
+    const [rows] = await connection.query(
+      'SELECT id, user_id, family_id, expires_at, revoked_at FROM refresh_tokens WHERE token_hash = ? FOR UPDATE',
+      [hashToken(rawToken)]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return { status: 'invalid' };
+    }
+
+    const stored = rows[0];
+
+    if (stored.revoked_at) {
+      await revokeFamily(connection, stored.family_id);
+      await connection.commit();
+      return { status: 'reused', userId: stored.user_id };
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      await revokeFamily(connection, stored.family_id);
+      await connection.commit();
+      return { status: 'expired' };
+    }
+
+    const next = await issueRefreshToken(connection, stored.user_id, stored.family_id);
+    await connection.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ?',
+      [next.id, stored.id]
+    );
+    const sessionId = await resumeSession(connection, stored.user_id, stored.family_id, client);
+
+    await connection.commit();
+    return { status: 'ok', userId: stored.user_id, sessionId, refreshToken: next.token };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+};
+
+// Columns that must never be sent to a client
+const toPublicUser = ({ password, totp_secret, totp_last_step, ...user }) => user;
+
+// Sign a user in: a new session with a short-lived access token and a new refresh token family.
+// client is the device and IP from getClientInfo(req).
+const startSession = async (connection, user, client = {}) => {
+  const refresh = await issueRefreshToken(connection, user.id);
+  const sessionId = await createSession(connection, user.id, refresh.familyId, client);
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: refresh.token,
+    expiresIn: ACCESS_TOKEN_TTL,
+    user: { ...toPublicUser(user), ...await getUserAccess(connection, user.id, user.role) }
+  };
+};
+
+// Logout: revoke the family the presented token belongs to
+const revokeRefreshToken = async (connection, rawToken) => {
+  const [rows] = await connection.query(
+    'SELECT family_id FROM refresh_tokens WHERE token_hash = ?',
+    [hashToken(rawToken)]
+  );
+
+  if (rows.length === 0) {
+    return false;
+  }
+
+  await revokeFamily(connection, rows[0].family_id);
+  return true;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  toPublicUser,
+  startSession,
+  revokeRefreshToken
+};
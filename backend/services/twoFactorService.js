@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getUserAccess } = require('./permissionService');
+const { hashToken } = require('./tokenService');
+
+// TOTP (RFC 6238) with the defaults every authenticator app understands: SHA-1, 6 digits, 30 seconds.
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'RatingsApp';
+const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for clocks that drift a little
+const ALLOWED_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const CHALLENGE_AUDIENCE = 'login-challenge';
+const REQUIRED_ROLES_KEY = 'two_factor_required_roles';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// What authenticator apps scan from the QR code
+const buildOtpauthUri = (user, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Returns the time step the code belongs to, or null. Steps at or before lastStep were already
+// used, so a code observed over someone's shoulder cannot be replayed.
+const verifyTotp = (secret, code, lastStep = null) => {
+  if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    if (lastStep !== null && step <= lastStep) continue;
+
+    if (crypto.timingSafeEqual(Buffer.from(codeForStep(secret, step)), Buffer.from(code.trim()))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Check a code against the user's enabled secret and record its step. The step is only written if
+// it is newer than the stored one, so two requests racing with the same code cannot both succeed.
+const checkUserTotp = async (connection, user, code) => {
+  const step = verifyTotp(user.totp_secret, code, user.totp_last_step);
+  if (step === null) {
+    return false;
+  }
+
+  const [result] = await connection.query(
+    'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+    [step, user.id, step]
+  );
+  return result.affectedRows === 1;
+};
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Replace the user's recovery codes; the plain codes are returned once and never stored
+const generateRecoveryCodes = async (connection, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await connection.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  await connection.query(
+    'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?',
+    [codes.map(code => [userId, hashToken(normalizeRecoveryCode(code))])]
+  );
+
+  return codes;
+};
+
+// Each code works once. Returns false if it is unknown or used.
+const consumeRecoveryCode = async (connection, userId, code) => {
+  const [result] = await connection.query(
+    'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.affectedRows === 1;
+};
+
+const countRecoveryCodes = async (connection, userId) => {
+  const [rows] = await connection.query(
+    'SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  return rows[0].remaining;
+};
+
+// Issued after a correct password when a second step is still needed.
+// stage 'verify': enter a code; stage 'enrol': the user's role requires 2FA and they have not set it up.
+const createChallengeToken = (user, stage) => {
+  return jwt.sign(
+    { sub: String(user.id), stage },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL, audience: CHALLENGE_AUDIENCE }
+  );
+};
+
+// Returns { userId, stage }, or null if the token is invalid or expired
+const readChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return { userId: parseInt(payload.sub), stage: payload.stage };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Roles whose members must use 2FA, set by admins and kept in app_settings
+const getRequiredRoles = async (connection) => {
+  const [rows] = await connection.query(
+    'SELECT setting_value FROM app_settings WHERE setting_key = ?',
+    [REQUIRED_ROLES_KEY]
+  );
+  if (rows.length === 0 || !rows[0].setting_value) {
+    return [];
+  }
+  return rows[0].setting_value.split(',').filter(Boolean);
+};
+
+const setRequiredRoles = async (connection, roles) => {
+  await connection.query(
+    `INSERT INTO app_settings (setting_key, setting_value) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)`,
+    [REQUIRED_ROLES_KEY, roles.join(',')]
+  );
+};
+
+// Required when any of the user's roles, primary or granted, is required
+const isTwoFactorRequired = async (connection, user) => {
+  const requiredRoles = await getRequiredRoles(connection);
+  if (requiredRoles.length === 0) return false;
+
+  const { roles } = await getUserAccess(connection, user.id, user.role);
+  return roles.some(role => requiredRoles.includes(role));
+};
+
+module.exports = {
+  TWO_FACTOR_CHALLENGE_TTL,
+  base32Encode,
+  base32Decode,
+  codeForStep,
+  generateSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  checkUserTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  createChallengeToken,
+  readChallengeToken,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired
+};
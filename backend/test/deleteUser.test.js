@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// In-memory users, ratings and stores, answering only the queries DELETE /admin/users/:id makes
+const tables = {
+  users: [
+    { id: 1, name: 'Admin User', email: 'admin@example.com', role: 'admin' },
+    { id: 2, name: 'Harsh Rater', email: 'harsh@example.com', role: 'user' },
+    { id: 3, name: 'Kind Rater', email: 'kind@example.com', role: 'user' }
+  ],
+  ratings: [
+    { id: 1, user_id: 2, store_id: 10, rating: 1, hidden_at: null },
+    { id: 2, user_id: 3, store_id: 10, rating: 5, hidden_at: null },
+    { id: 3, user_id: 2, store_id: 11, rating: 2, hidden_at: null },
+    { id: 4, user_id: 3, store_id: 12, rating: 4, hidden_at: null }
+  ],
+  stores: [
+    { id: 10, overall_rating: 3 },
+    { id: 11, overall_rating: 2 },
+    { id: 12, overall_rating: 4 }
+  ],
+  auditLog: []
+};
+
+const average = (storeId) => {
+  const ratings = tables.ratings.filter(row => row.store_id === storeId && row.hidden_at === null);
+  if (ratings.length === 0) return 0;
+  return Math.round(ratings.reduce((sum, row) => sum + row.rating, 0) / ratings.length * 100) / 100;
+};
+
+const query = async (sql, params = []) => {
+  sql = sql.replace(/\s+/g, ' ').trim();
+
+  if (sql.startsWith('SELECT id, name, email, role FROM users WHERE id = ? FOR UPDATE')) {
+    return [tables.users.filter(row => row.id === params[0])];
+  }
+  if (sql.startsWith('SELECT r.name, rp.permission')) {
+    return [[{ name: params[0], permission: 'rating:write' }]];
+  }
+  if (sql.startsWith('SELECT COUNT(*) as ratings_count FROM ratings WHERE user_id = ?')) {
+    return [[{ ratings_count: tables.ratings.filter(row => row.user_id === params[0]).length }]];
+  }
+  if (sql.startsWith('SELECT DISTINCT store_id FROM ratings WHERE user_id = ?')) {
+    return [[...new Set(tables.ratings.filter(row => row.user_id === params[0]).map(row => row.store_id))].map(store_id => ({ store_id }))];
+  }
+  if (sql.startsWith('DELETE FROM users WHERE id = ?')) {
+    // ratings.user_id is ON DELETE CASCADE
+    tables.users = tables.users.filter(row => row.id !== params[0]);
+    tables.ratings = tables.ratings.filter(row => row.user_id !== params[0]);
+    return [{ affectedRows: 1 }];
+  }
+  if (sql.startsWith('UPDATE stores s SET overall_rating = COALESCE')) {
+    tables.stores.filter(row => params[0].includes(row.id)).forEach(row => { row.overall_rating = average(row.id); });
+    return [{}];
+  }
+  if (sql.startsWith('INSERT INTO audit_log')) {
+    tables.auditLog.push(params);
+    return [{ insertId: tables.auditLog.length }];
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+const connection = {
+  query,
+  beginTransaction: async () => {},
+  commit: async () => {},
+  rollback: async () => {},
+  release: () => {}
+};
+
+const dbPath = path.join(__dirname, '..', 'config', 'db.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { getConnection: async () => connection } };
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'delete-user-test-secret';
+
+const { PERMISSIONS } = require('ratings-app-shared');
+const adminRoutes = require('../routes/adminRoutes');
+
+// The route's own handler, past authentication and the permission check
+const deleteUser = adminRoutes.stack
+  .find(layer => layer.route?.path === '/users/:id' && layer.route.methods.delete)
+  .route.stack.at(-1).handle;
+
+const admin = { id: 1, email: 'admin@example.com', role: 'admin', roles: ['admin'], permissions: Object.keys(PERMISSIONS) };
+
+const callDeleteUser = (userId) => new Promise((resolve, reject) => {
+  const req = { params: { id: String(userId) }, query: {}, user: admin, ip: '127.0.0.1' };
+  const res = {
+    status() { return this; },
+    json: resolve
+  };
+  deleteUser(req, res, error => reject(error || new Error('next() called without an error')));
+});
+
+test('deleting a user recalculates the averages of the stores they rated', async () => {
+  const originalLog = console.log;
+  console.log = () => {};
+  let body;
+  try {
+    body = await callDeleteUser(2);
+  } finally {
+    console.log = originalLog;
+  }
+
+  assert.strictEqual(body.data.ratingsRemoved, 2);
+  assert.deepStrictEqual(tables.ratings.map(row => row.id), [2, 4]);
+
+  const overall = Object.fromEntries(tables.stores.map(row => [row.id, row.overall_rating]));
+  assert.strictEqual(overall[10], 5, 'the remaining rating sets the average');
+  assert.strictEqual(overall[11], 0, 'a store left with no ratings drops to 0');
+  assert.strictEqual(overall[12], 4, 'stores the user never rated keep their average');
+});
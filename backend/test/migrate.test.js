@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { getStatus, runUp } = require('../scripts/migrate');
+const nameLengthCheck = require('../migrations/005_user_name_length_check');
+
+// A connection whose schema_migrations table holds `applied` and whose named lock is free unless `locked`.
+// Every query is recorded, so tests can see what ran.
+const fakeConnection = ({ applied = [], locked = false } = {}) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params = []) => {
+      sql = sql.replace(/\s+/g, ' ').trim();
+      queries.push(sql);
+
+      if (sql.startsWith('SELECT GET_LOCK')) return [[{ acquired: locked ? 0 : 1 }]];
+      if (sql.startsWith('SELECT RELEASE_LOCK')) return [[{ released: 1 }]];
+      if (sql.startsWith('SELECT version, name, checksum, applied_at FROM schema_migrations')) return [applied];
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        applied.push({ version: params[0], name: params[1], checksum: params[2], applied_at: new Date() });
+        return [{}];
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+};
+
+// schema_migrations as it looks once every migration on disk has run
+const fullyApplied = async () => {
+  const migrations = await getStatus(fakeConnection());
+  return migrations.map(({ version, name, checksum }) => ({ version, name, checksum, applied_at: new Date() }));
+};
+
+test('every migration on disk is pending on an empty database', async () => {
+  const migrations = await getStatus(fakeConnection());
+  assert.ok(migrations.length > 0);
+  assert.ok(migrations.every(migration => migration.state === 'pending' && /^[0-9a-f]{64}$/.test(migration.checksum)));
+});
+
+test('a migration edited after it was applied is reported as modified and blocks migrating', async () => {
+  const applied = await fullyApplied();
+  applied[1].checksum = '0'.repeat(64);
+  const connection = fakeConnection({ applied });
+
+  const migrations = await getStatus(connection);
+  assert.strictEqual(migrations[1].state, 'modified');
+  assert.ok(migrations.filter((migration, index) => index !== 1).every(migration => migration.state === 'applied'));
+
+  await assert.rejects(runUp(connection), /Refusing to migrate[\s\S]*modified/);
+  assert.ok(connection.queries.at(-1).startsWith('SELECT RELEASE_LOCK'), 'the lock is released after the failure');
+});
+
+test('an applied migration whose file is gone is reported as missing', async () => {
+  const applied = await fullyApplied();
+  applied.push({ version: '999', name: 'from_another_branch', checksum: '0'.repeat(64), applied_at: new Date() });
+
+  const migrations = await getStatus(fakeConnection({ applied }));
+  assert.strictEqual(migrations.at(-1).state, 'missing');
+  await assert.rejects(runUp(fakeConnection({ applied })), /999_from_another_branch: missing/);
+});
+
+test('migrating does nothing while another run holds the lock', async () => {
+  const connection = fakeConnection({ locked: true });
+
+  await assert.rejects(runUp(connection), /holds the lock/);
+  assert.deepStrictEqual(connection.queries, ['SELECT GET_LOCK(?, 30) as acquired']);
+});
+
+test('migrating an up-to-date database applies nothing and releases the lock', async () => {
+  const connection = fakeConnection({ applied: await fullyApplied() });
+
+  assert.deepStrictEqual(await runUp(connection), []);
+  assert.ok(connection.queries[0].startsWith('SELECT GET_LOCK'));
+  assert.ok(connection.queries.at(-1).startsWith('SELECT RELEASE_LOCK'));
+});
+
+// The users table for 005: trims and truncates names the way MySQL would, and reports the CHECK it is given
+const usersConnection = (names) => {
+  const users = names.map((name, index) => ({ id: index + 1, name }));
+  const checks = [];
+  return {
+    users,
+    checks,
+    query: async (sql) => {
+      sql = sql.replace(/\s+/g, ' ').trim();
+
+      if (sql.startsWith('UPDATE users SET name = TRIM(name)')) {
+        users.forEach(user => { user.name = user.name.trim(); });
+      } else if (sql.startsWith('UPDATE users SET name = TRIM(LEFT(name, 60))')) {
+        users.forEach(user => { user.name = [...user.name].slice(0, 60).join('').trim(); });
+      } else if (sql.startsWith('SELECT id, name FROM users WHERE CHAR_LENGTH(name) < 20')) {
+        return [users.filter(user => [...user.name].length < 20)];
+      } else if (sql.startsWith('SELECT tc.CONSTRAINT_NAME')) {
+        return [[]];
+      } else if (sql.startsWith('ALTER TABLE users ADD CONSTRAINT')) {
+        checks.push(sql);
+      } else {
+        throw new Error(`Unexpected query: ${sql}`);
+      }
+      return [{}];
+    }
+  };
+};
+
+test('the name length migration trims and truncates names before adding the CHECK', async () => {
+  const connection = usersConnection([
+    '   Padded Name Within The Limits   ',
+    'A Very Long Name That Keeps Going Well Past The Sixty Character Limit',
+    'An Ordinary Twenty Plus Name'
+  ]);
+
+  await nameLengthCheck.up(connection);
+
+  assert.deepStrictEqual(connection.users.map(user => user.name), [
+    'Padded Name Within The Limits',
+    'A Very Long Name That Keeps Going Well Past The Sixty Charac',
+    'An Ordinary Twenty Plus Name'
+  ]);
+  assert.strictEqual(connection.checks.length, 1);
+  assert.match(connection.checks[0], /CHAR_LENGTH\(name\) BETWEEN 20 AND 60/);
+});
+
+test('the name length migration stops, naming the users, when a name is too short', async () => {
+  const connection = usersConnection(['An Ordinary Twenty Plus Name', 'Bo', '  Short Name  ']);
+
+  await assert.rejects(nameLengthCheck.up(connection), error => {
+    assert.match(error.message, /at least 20 characters/);
+    assert.match(error.message, /2: "Bo"/);
+    assert.match(error.message, /3: "Short Name"/);
+    return true;
+  });
+  assert.deepStrictEqual(connection.checks, [], 'the CHECK is not added');
+});
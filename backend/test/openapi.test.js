@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// The routers only need the pool at request time; stand in for it so loading them doesn't need MySQL
+const dbPath = path.join(__dirname, '..', 'config', 'db.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: {} };
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'openapi-test-secret';
+
+const apiRoutes = require('../routes');
+const spec = require('../routes/openapi');
+
+// "GET /admin/users/{id}" (relative to /api/v1) for every route registered on the mounted routers
+const mountedOperations = () => apiRoutes.flatMap(({ path: mountPath, router }) =>
+  router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => {
+      const base = mountPath === '/' ? '' : mountPath;
+      const routePath = layer.route.path === '/' ? '' : layer.route.path;
+      const openapiPath = (base + routePath).replace(/:(\w+)/g, '{$1}');
+      return Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${openapiPath}`);
+    })
+);
+
+const documentedOperations = () => Object.entries(spec.paths).flatMap(([specPath, item]) =>
+  Object.keys(item)
+    .filter(key => ['get', 'post', 'put', 'patch', 'delete'].includes(key))
+    .map(method => `${method.toUpperCase()} ${specPath}`)
+);
+
+test('every mounted route is described in the OpenAPI document', () => {
+  const documented = new Set(documentedOperations());
+  const missing = mountedOperations().filter(operation => !documented.has(operation));
+  assert.deepStrictEqual(missing, [], `Add these routes to routes/openapi.js:\n  ${missing.join('\n  ')}`);
+});
+
+test('the OpenAPI document only describes routes that exist', () => {
+  const mounted = new Set(mountedOperations());
+  const stale = documentedOperations().filter(operation => !mounted.has(operation));
+  assert.deepStrictEqual(stale, [], `Remove or fix these paths in routes/openapi.js:\n  ${stale.join('\n  ')}`);
+});
+
+test('every path parameter is declared', () => {
+  Object.entries(spec.paths).forEach(([specPath, item]) => {
+    const names = [...specPath.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    Object.keys(item).filter(key => key !== 'parameters').forEach(method => {
+      const declared = [...(item.parameters || []), ...(item[method].parameters || [])]
+        .filter(parameter => parameter.in === 'path')
+        .map(parameter => parameter.name);
+      assert.deepStrictEqual(declared.sort(), [...names].sort(), `${method.toUpperCase()} ${specPath}`);
+    });
+  });
+});
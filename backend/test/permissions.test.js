@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { PERMISSIONS } = require('ratings-app-shared');
+const { getUserAccess, escalationError } = require('../services/permissionService');
+
+// roles and role_permissions as [{ name, permissions }], and user_roles as { userId: [role names] }.
+// Answers the getUserAccess query with one row per role and permission, as the LEFT JOIN would.
+const accessConnection = (roles, userRoles = {}) => ({
+  query: async (sql, [primaryRole, userId]) => {
+    const held = roles.filter(role => role.name === primaryRole || (userRoles[userId] || []).includes(role.name));
+    return [held.flatMap(role => (role.permissions.length > 0
+      ? role.permissions.map(permission => ({ name: role.name, permission }))
+      : [{ name: role.name, permission: null }]))];
+  }
+});
+
+const ROLES = [
+  { name: 'admin', permissions: ['rating:write'] },
+  { name: 'user', permissions: ['rating:write'] },
+  { name: 'store_owner', permissions: ['store:edit:own', 'rating:reply:own'] },
+  { name: 'moderator', permissions: ['store:manage', 'audit:read', 'no:longer:exists'] },
+  { name: 'empty', permissions: [] }
+];
+
+test('a user holds their primary role first, then granted roles alphabetically', async () => {
+  const connection = accessConnection(ROLES, { 5: ['store_owner', 'moderator'] });
+
+  const access = await getUserAccess(connection, 5, 'user');
+  assert.deepStrictEqual(access.roles, ['user', 'moderator', 'store_owner']);
+  assert.deepStrictEqual(access.permissions, ['audit:read', 'rating:reply:own', 'rating:write', 'store:edit:own', 'store:manage']);
+});
+
+test('permissions no longer defined in code are dropped', async () => {
+  const access = await getUserAccess(accessConnection(ROLES), 5, 'moderator');
+  assert.ok(!access.permissions.includes('no:longer:exists'));
+});
+
+test('a role without permissions is still held', async () => {
+  const access = await getUserAccess(accessConnection(ROLES, { 5: ['empty'] }), 5, 'user');
+  assert.deepStrictEqual(access, { roles: ['user', 'empty'], permissions: ['rating:write'] });
+});
+
+test('the admin role always holds every permission, whatever role_permissions says', async () => {
+  const asPrimary = await getUserAccess(accessConnection(ROLES), 1, 'admin');
+  const asGrant = await getUserAccess(accessConnection(ROLES, { 5: ['admin'] }), 5, 'user');
+
+  assert.deepStrictEqual(asPrimary.permissions, Object.keys(PERMISSIONS));
+  assert.deepStrictEqual(asGrant.permissions, Object.keys(PERMISSIONS));
+  assert.deepStrictEqual(asGrant.roles, ['user', 'admin']);
+});
+
+const admin = { roles: ['admin'], permissions: Object.keys(PERMISSIONS) };
+const userManager = { roles: ['user', 'support'], permissions: ['rating:write', 'user:manage'] };
+
+test('admins may grant or manage anything', () => {
+  assert.strictEqual(escalationError(admin, { roles: ['admin'], permissions: Object.keys(PERMISSIONS) }), null);
+});
+
+test('only admins may grant the admin role or manage an admin', () => {
+  const error = escalationError(userManager, { roles: ['user', 'admin'], permissions: [] });
+  assert.strictEqual(error.status, 403);
+  assert.strictEqual(error.code, 'ADMIN_ROLE_REQUIRED');
+});
+
+test('nobody may grant, or manage an account with, permissions they do not hold', () => {
+  const error = escalationError(userManager, { roles: ['moderator'], permissions: ['rating:write', 'role:manage', 'store:manage'] });
+  assert.strictEqual(error.status, 403);
+  assert.strictEqual(error.code, 'PERMISSION_ESCALATION');
+  assert.deepStrictEqual(error.details, { missing: ['role:manage', 'store:manage'] });
+});
+
+test('managing an account with a subset of your own permissions is allowed', () => {
+  assert.strictEqual(escalationError(userManager, { roles: ['user'], permissions: ['rating:write'] }), null);
+  assert.strictEqual(escalationError(userManager, { roles: ['support'], permissions: ['user:manage'] }), null);
+  assert.strictEqual(escalationError(userManager, {}), null);
+});
@@ -0,0 +1,135 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+// Small limits so a handful of requests use them up; both are read when the code first needs them
+process.env.RATE_LIMIT_LOGIN_IP = '3/1m';
+process.env.RATE_LIMIT_LOGIN_ACCOUNT = '2/1m';
+process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+process.env.LOGIN_FAILURE_WINDOW_MINUTES = '15';
+process.env.LOGIN_LOCKOUT_MINUTES = '10';
+
+const { rateLimit } = require('../middleware/rateLimit');
+const { setRateLimitStore, createMemoryStore } = require('../services/rateLimitStore');
+const { getLockout, recordFailedLogin, clearFailedLogins, clearLockout, listLockouts } = require('../services/loginLockout');
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-01T00:00:00Z') });
+  setRateLimitStore(createMemoryStore());
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+// Runs the middleware once and resolves with the error passed to next() (if any) and the headers it set
+const send = (middleware, { ip = '10.0.0.1', email } = {}) => new Promise(resolve => {
+  const headers = {};
+  const req = { ip, body: email === undefined ? {} : { email } };
+  const res = { set: (name, value) => { headers[name] = value; } };
+  middleware(req, res, error => resolve({ error, headers }));
+});
+
+test('requests over the limit get 429 RATE_LIMITED with the seconds until the window resets', async () => {
+  const limiter = rateLimit('login');
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const { error, headers } = await send(limiter);
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(headers['RateLimit-Remaining'], String(3 - attempt));
+  }
+
+  mock.timers.tick(20 * 1000);
+  const { error, headers } = await send(limiter);
+  assert.strictEqual(error.status, 429);
+  assert.strictEqual(error.code, 'RATE_LIMITED');
+  assert.strictEqual(error.retryAfter, 40, 'Retry-After counts down from the start of the window');
+  assert.deepStrictEqual(error.details, { scope: 'ip' });
+  assert.strictEqual(headers['RateLimit-Limit'], '3');
+  assert.strictEqual(headers['RateLimit-Reset'], '40');
+});
+
+test('the count starts again once the window has passed', async () => {
+  const limiter = rateLimit('login');
+
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    await send(limiter);
+  }
+  assert.strictEqual((await send(limiter)).error.status, 429);
+
+  mock.timers.tick(60 * 1000);
+  const { error, headers } = await send(limiter);
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(headers['RateLimit-Remaining'], '2');
+});
+
+test('each client IP has its own count', async () => {
+  const limiter = rateLimit('login');
+
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    await send(limiter, { ip: '10.0.0.1' });
+  }
+  assert.strictEqual((await send(limiter, { ip: '10.0.0.1' })).error.status, 429);
+  assert.strictEqual((await send(limiter, { ip: '10.0.0.2' })).error, undefined);
+});
+
+test('the account limit follows the email across IPs and reports the tighter scope', async () => {
+  const limiter = rateLimit('login');
+
+  await send(limiter, { ip: '10.0.0.1', email: 'Someone@Example.com' });
+  await send(limiter, { ip: '10.0.0.2', email: 'someone@example.com' });
+  const { error, headers } = await send(limiter, { ip: '10.0.0.3', email: ' someone@example.com ' });
+
+  assert.strictEqual(error.status, 429);
+  assert.deepStrictEqual(error.details, { scope: 'account' });
+  assert.strictEqual(headers['RateLimit-Limit'], '2');
+});
+
+test('an account locks after the threshold of failed logins and reports when it unlocks', async () => {
+  assert.strictEqual(await recordFailedLogin('user@example.com'), null);
+  assert.strictEqual(await recordFailedLogin('USER@example.com'), null);
+  assert.strictEqual(await getLockout('user@example.com'), null);
+
+  assert.deepStrictEqual(await recordFailedLogin('user@example.com'), { retryAfter: 600 });
+
+  mock.timers.tick(4 * 60 * 1000);
+  assert.deepStrictEqual(await getLockout('user@example.com'), { retryAfter: 360 });
+  assert.deepStrictEqual(await listLockouts(), [
+    { email: 'user@example.com', locked_until: '2026-01-01T00:10:00.000Z' }
+  ]);
+  assert.strictEqual(await getLockout('other@example.com'), null);
+});
+
+test('a lockout lifts by itself once it expires', async () => {
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    await recordFailedLogin('user@example.com');
+  }
+
+  mock.timers.tick(10 * 60 * 1000);
+  assert.strictEqual(await getLockout('user@example.com'), null);
+  assert.deepStrictEqual(await listLockouts(), []);
+
+  // The failures that caused it do not count towards the next one
+  assert.strictEqual(await recordFailedLogin('user@example.com'), null);
+});
+
+test('an admin can lift a lockout early', async () => {
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    await recordFailedLogin('user@example.com');
+  }
+
+  assert.strictEqual(await clearLockout('user@example.com'), true);
+  assert.strictEqual(await getLockout('user@example.com'), null);
+  assert.strictEqual(await clearLockout('user@example.com'), false);
+});
+
+test('a successful login clears earlier failures', async () => {
+  await recordFailedLogin('user@example.com');
+  await recordFailedLogin('user@example.com');
+  await clearFailedLogins('user@example.com');
+
+  assert.strictEqual(await recordFailedLogin('user@example.com'), null);
+  assert.strictEqual(await recordFailedLogin('user@example.com'), null);
+  assert.ok(await recordFailedLogin('user@example.com'));
+});
@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// In-memory stand-ins for the refresh_tokens, user_sessions and users tables, answering only the
+// queries the token, session and auth code make
+const tables = { refreshTokens: [], sessions: [], users: [] };
+
+const query = async (sql, params = []) => {
+  sql = sql.replace(/\s+/g, ' ').trim();
+
+  if (sql.startsWith('INSERT INTO refresh_tokens')) {
+    const [user_id, token_hash, family_id, expires_at] = params;
+    const row = { id: tables.refreshTokens.length + 1, user_id, token_hash, family_id, expires_at, revoked_at: null, replaced_by: null };
+    tables.refreshTokens.push(row);
+    return [{ insertId: row.id }];
+  }
+  if (sql.startsWith('SELECT id, user_id, family_id, expires_at, revoked_at FROM refresh_tokens WHERE token_hash = ?')) {
+    return [tables.refreshTokens.filter(row => row.token_hash === params[0]).map(row => ({ ...row }))];
+  }
+  if (sql.startsWith('UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ?')) {
+    Object.assign(tables.refreshTokens.find(row => row.id === params[1]), { revoked_at: new Date(), replaced_by: params[0] });
+    return [{ affectedRows: 1 }];
+  }
+  if (sql.startsWith('UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ?')) {
+    tables.refreshTokens.filter(row => row.family_id === params[0] && !row.revoked_at).forEach(row => { row.revoked_at = new Date(); });
+    return [{}];
+  }
+  if (sql.startsWith('UPDATE user_sessions SET revoked_at = NOW() WHERE family_id = ?')) {
+    tables.sessions.filter(row => row.family_id === params[0] && !row.revoked_at).forEach(row => { row.revoked_at = new Date(); });
+    return [{}];
+  }
+  if (sql.startsWith('INSERT INTO user_sessions')) {
+    const row = { id: tables.sessions.length + 1, user_id: params[0], family_id: params[1], revoked_at: null, last_seen_at: new Date() };
+    tables.sessions.push(row);
+    return [{ insertId: row.id }];
+  }
+  if (sql.startsWith('SELECT id FROM user_sessions WHERE family_id = ?')) {
+    return [tables.sessions.filter(row => row.family_id === params[0]).map(({ id }) => ({ id }))];
+  }
+  if (sql.startsWith('SELECT id, last_seen_at FROM user_sessions')) {
+    return [tables.sessions.filter(row => row.id === params[0] && row.user_id === params[1] && !row.revoked_at)];
+  }
+  if (sql.startsWith('UPDATE user_sessions')) {
+    return [{}];
+  }
+  if (sql.includes('FROM users WHERE id = ?')) {
+    return [tables.users.filter(row => row.id === params[0])];
+  }
+  if (sql.startsWith('SELECT r.name, rp.permission')) {
+    return [[{ name: params[0], permission: 'rating:write' }]];
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+const connection = {
+  query,
+  beginTransaction: async () => {},
+  commit: async () => {},
+  rollback: async () => {},
+  release: () => {}
+};
+
+const dbPath = path.join(__dirname, '..', 'config', 'db.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { getConnection: async () => connection } };
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'refresh-token-test-secret';
+
+const { hashToken, signAccessToken, issueRefreshToken, rotateRefreshToken } = require('../services/tokenService');
+const { createSession } = require('../services/sessionService');
+const { authenticateToken } = require('../middleware/auth');
+
+// A signed-in user: a refresh token family with its session
+const signIn = async (userId) => {
+  const refresh = await issueRefreshToken(connection, userId);
+  const sessionId = await createSession(connection, userId, refresh.familyId);
+  return { ...refresh, sessionId };
+};
+
+const storedToken = (token) => tables.refreshTokens.find(row => row.token_hash === hashToken(token));
+
+// Runs the middleware and resolves with what it passed to next()
+const authenticate = (token, method = 'GET') => new Promise(resolve => {
+  const req = { method, headers: { authorization: `Bearer ${token}` } };
+  authenticateToken(req, {}, error => resolve({ error, req }));
+});
+
+tables.users.push({
+  id: 7, name: 'Test User', email: 'user@example.com', role: 'user',
+  email_verified_at: new Date(), status: 'active', created_at: new Date()
+});
+
+test('a rotated refresh token cannot be used again', async () => {
+  const { token } = await signIn(7);
+
+  const first = await rotateRefreshToken(connection, token);
+  assert.strictEqual(first.status, 'ok');
+  assert.notStrictEqual(first.refreshToken, token);
+
+  const second = await rotateRefreshToken(connection, token);
+  assert.strictEqual(second.status, 'reused');
+  assert.strictEqual(second.refreshToken, undefined);
+});
+
+test('an unknown refresh token is invalid', async () => {
+  assert.deepStrictEqual(await rotateRefreshToken(connection, 'not-a-token'), { status: 'invalid' });
+});
+
+test('reusing a rotated token revokes its whole family and session, and only that one', async () => {
+  const stolen = await signIn(7);
+  const otherDevice = await signIn(7);
+
+  const rotated = await rotateRefreshToken(connection, stolen.token);
+  assert.strictEqual(rotated.status, 'ok');
+
+  assert.strictEqual((await rotateRefreshToken(connection, stolen.token)).status, 'reused');
+
+  const family = tables.refreshTokens.filter(row => row.family_id === stolen.familyId);
+  assert.strictEqual(family.length, 2);
+  assert.ok(family.every(row => row.revoked_at), 'every token in the family is revoked');
+  assert.ok(tables.sessions.find(row => row.id === stolen.sessionId).revoked_at, 'the session is revoked');
+
+  // The token handed out by the legitimate rotation is dead too
+  assert.strictEqual((await rotateRefreshToken(connection, rotated.refreshToken)).status, 'reused');
+
+  assert.strictEqual(storedToken(otherDevice.token).revoked_at, null);
+  assert.strictEqual(tables.sessions.find(row => row.id === otherDevice.sessionId).revoked_at, null);
+});
+
+test('an expired refresh token revokes its family', async () => {
+  const { token, familyId } = await signIn(7);
+  storedToken(token).expires_at = new Date(Date.now() - 1000);
+
+  assert.deepStrictEqual(await rotateRefreshToken(connection, token), { status: 'expired' });
+  assert.ok(tables.refreshTokens.filter(row => row.family_id === familyId).every(row => row.revoked_at));
+});
+
+test('authenticateToken accepts an access token for an active session', async () => {
+  const { sessionId } = await signIn(7);
+
+  const { error, req } = await authenticate(signAccessToken({ id: 7, role: 'user' }, sessionId));
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(req.user.id, 7);
+  assert.strictEqual(req.sessionId, sessionId);
+});
+
+test('authenticateToken rejects an access token whose session was revoked', async () => {
+  const { token, sessionId } = await signIn(7);
+  const accessToken = signAccessToken({ id: 7, role: 'user' }, sessionId);
+
+  await rotateRefreshToken(connection, token);
+  await rotateRefreshToken(connection, token);
+
+  const { error } = await authenticate(accessToken);
+  assert.strictEqual(error.status, 401);
+  assert.strictEqual(error.code, 'SESSION_REVOKED');
+});
+
+test('authenticateToken rejects an access token without a session id', async () => {
+  const { error } = await authenticate(signAccessToken({ id: 7, role: 'user' }));
+  assert.strictEqual(error.status, 401);
+  assert.strictEqual(error.code, 'SESSION_REVOKED');
+});
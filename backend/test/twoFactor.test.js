@@ -0,0 +1,114 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  base32Encode,
+  base32Decode,
+  codeForStep,
+  generateSecret,
+  verifyTotp,
+  checkUserTotp
+} = require('../services/twoFactorService');
+
+// The shared secret from the RFC 6238 test vectors ("12345678901234567890"), base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const atStep = (step) => mock.timers.enable({ apis: ['Date'], now: step * 30 * 1000 });
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('base32 decodes the RFC 4648 test vectors', () => {
+  const vectors = { f: 'MY======', fo: 'MZXQ====', foo: 'MZXW6===', foob: 'MZXW6YQ=', fooba: 'MZXW6YTB', foobar: 'MZXW6YTBOI======' };
+
+  for (const [plain, encoded] of Object.entries(vectors)) {
+    assert.strictEqual(base32Decode(encoded).toString(), plain);
+    assert.strictEqual(base32Encode(Buffer.from(plain)), encoded.replace(/=+$/, ''));
+  }
+});
+
+test('base32 decoding accepts lower case and ignores spaces and padding', () => {
+  assert.strictEqual(base32Decode('mzxw 6ytb oi').toString(), 'foobar');
+  assert.strictEqual(base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+});
+
+test('generated secrets survive a base32 round trip', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.strictEqual(base32Encode(base32Decode(secret)), secret);
+});
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+  // Times from the RFC, as 30-second steps, with the last six digits of each expected code
+  const vectors = [[59, '287082'], [1111111109, '081804'], [1111111111, '050471'], [1234567890, '005924'], [2000000000, '279037']];
+
+  for (const [seconds, code] of vectors) {
+    assert.strictEqual(codeForStep(RFC_SECRET, Math.floor(seconds / 30)), code);
+  }
+});
+
+test('a code is accepted one step either side of now, and not beyond', () => {
+  atStep(1000);
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, 1000)), 1000);
+  assert.strictEqual(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, 999)), 999);
+  assert.strictEqual(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, 1001)), 1001);
+  assert.strictEqual(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, 998)), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, 1002)), null);
+});
+
+test('codes from steps already used are rejected', () => {
+  atStep(1000);
+  const code = codeForStep(RFC_SECRET, 1000);
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, code, 999), 1000);
+  assert.strictEqual(verifyTotp(RFC_SECRET, code, 1000), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, 999), 999), null);
+});
+
+test('malformed codes and missing secrets are rejected', () => {
+  atStep(1000);
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, '12345'), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, 'abcdef'), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, 287082), null);
+  assert.strictEqual(verifyTotp(null, codeForStep(RFC_SECRET, 1000)), null);
+});
+
+// A users row with a totp_last_step column, updated the way the conditional UPDATE would
+const totpConnection = (lastStep) => {
+  const row = { totp_last_step: lastStep };
+  return {
+    row,
+    query: async (sql, [step, , newerThan]) => {
+      if (row.totp_last_step !== null && row.totp_last_step >= newerThan) {
+        return [{ affectedRows: 0 }];
+      }
+      row.totp_last_step = step;
+      return [{ affectedRows: 1 }];
+    }
+  };
+};
+
+test('checkUserTotp records the step of an accepted code', async () => {
+  atStep(1000);
+  const connection = totpConnection(null);
+  const user = { id: 1, totp_secret: RFC_SECRET, totp_last_step: null };
+
+  assert.strictEqual(await checkUserTotp(connection, user, codeForStep(RFC_SECRET, 1000)), true);
+  assert.strictEqual(connection.row.totp_last_step, 1000);
+});
+
+test('checkUserTotp rejects a code another request used first', async () => {
+  atStep(1000);
+  const connection = totpConnection(null);
+  const code = codeForStep(RFC_SECRET, 1000);
+
+  // Both requests read the user before either recorded the step
+  const first = { id: 1, totp_secret: RFC_SECRET, totp_last_step: null };
+  const second = { id: 1, totp_secret: RFC_SECRET, totp_last_step: null };
+
+  assert.strictEqual(await checkUserTotp(connection, first, code), true);
+  assert.strictEqual(await checkUserTotp(connection, second, code), false);
+});
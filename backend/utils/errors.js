@@ -0,0 +1,87 @@
+// Error classes understood by the global error handler in server.js.
+//
+// Route handlers pass them to next() (or throw them from async helpers that the handler catches and
+// forwards), and the handler turns them into the standard error envelope:
+//   { success: false, error: { code, message, details? } }
+// `code` is a stable UPPER_SNAKE_CASE string clients can branch on; `message` is for people.
+// Anything that is not an ApiError is treated as an unexpected 500 and its message is never sent.
+
+class ApiError extends Error {
+  constructor(status, message, { code = 'ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends ApiError {
+  constructor(message = 'Bad request', options = {}) {
+    super(400, message, { code: 'BAD_REQUEST', ...options });
+  }
+}
+
+// details maps each failing field to its messages, e.g. { email: ['Email is required'] }
+class ValidationError extends ApiError {
+  constructor(message = 'Validation failed', options = {}) {
+    super(400, message, { code: 'VALIDATION_FAILED', ...options });
+  }
+}
+
+class AuthenticationError extends ApiError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(401, message, { code: 'UNAUTHENTICATED', ...options });
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message = 'Access denied', options = {}) {
+    super(403, message, { code: 'FORBIDDEN', ...options });
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = 'Resource not found', options = {}) {
+    super(404, message, { code: 'NOT_FOUND', ...options });
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message = 'Conflict', options = {}) {
+    super(409, message, { code: 'CONFLICT', ...options });
+  }
+}
+
+class PayloadTooLargeError extends ApiError {
+  constructor(message = 'Request body is too large', options = {}) {
+    super(413, message, { code: 'PAYLOAD_TOO_LARGE', ...options });
+  }
+}
+
+// retryAfter (seconds) is sent back as the Retry-After header
+class TooManyRequestsError extends ApiError {
+  constructor(message = 'Too many requests, please try again later', { retryAfter, ...options } = {}) {
+    super(429, message, { code: 'RATE_LIMITED', ...options });
+    this.retryAfter = retryAfter;
+  }
+}
+
+class ServiceUnavailableError extends ApiError {
+  constructor(message = 'Service temporarily unavailable', options = {}) {
+    super(503, message, { code: 'SERVICE_UNAVAILABLE', ...options });
+  }
+}
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  TooManyRequestsError,
+  ServiceUnavailableError
+};
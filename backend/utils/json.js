@@ -0,0 +1,6 @@
+// mysql2 returns JSON columns already parsed, but older servers store them as text
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+module.exports = {
+  parseJson
+};
@@ -0,0 +1,24 @@
+// Success envelope shared by every router:
+//   { success: true, data, message?, meta? }
+// `data` is the resource (or list), `message` a human-readable confirmation for writes and
+// `meta` anything describing the data rather than being part of it: pagination, filters, counts.
+// Errors use the matching { success: false, error: { code, message, details? } } envelope built
+// by the global handler in server.js from the classes in utils/errors.js.
+
+const sendSuccess = (res, data = null, { status = 200, message, meta } = {}) => {
+  const body = { success: true, data };
+  if (message) body.message = message;
+  if (meta) body.meta = meta;
+  return res.status(status).json(body);
+};
+
+const errorBody = (code, message, details) => {
+  const error = { code, message };
+  if (details) error.details = details;
+  return { success: false, error };
+};
+
+module.exports = {
+  sendSuccess,
+  errorBody
+};
@@ -4,10 +4,18 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 import Header from './components/common/Header';
 import ProtectedRoute from './components/common/ProtectedRoute';
 import LoadingSpinner from './components/common/LoadingSpinner';
+import VerifyEmailBanner from './components/common/VerifyEmailBanner';
+import ActiveSessions from './components/common/ActiveSessions';
+import Profile from './components/common/Profile';
+import { permissionsFor, homePathFor } from './components/common/dashboards';
 
 // Auth Components
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import Setup from './components/auth/Setup';
+import VerifyEmail from './components/auth/VerifyEmail';
 
 // Dashboard Components
 import UserDashboard from './components/user/UserDashboard';
@@ -20,7 +28,7 @@ import StoreManagement from './components/admin/StoreManagement';
 
 // Component to handle root routing logic
 const RootRedirect = () => {
-  const { user, loading } = useAuth();
+  const { user, loading, hasPermission } = useAuth();
   
   if (loading) {
     return <LoadingSpinner message="Checking authentication..." />;
@@ -30,35 +38,19 @@ const RootRedirect = () => {
     return <Navigate to="/login" replace />;
   }
   
-  switch (user.role) {
-    case 'admin':
-      return <Navigate to="/admin/dashboard" replace />;
-    case 'store_owner':
-      return <Navigate to="/store-owner/dashboard" replace />;
-    case 'user':
-    default:
-      return <Navigate to="/dashboard" replace />;
-  }
+  return <Navigate to={homePathFor(user, hasPermission)} replace />;
 };
 
 // Component to protect public routes (redirect if already logged in)
 const PublicRouteCheck = ({ children }) => {
-  const { user, loading } = useAuth();
+  const { user, loading, hasPermission } = useAuth();
   
   if (loading) {
     return <LoadingSpinner message="Loading..." />;
   }
   
   if (user) {
-    switch (user.role) {
-      case 'admin':
-        return <Navigate to="/admin/dashboard" replace />;
-      case 'store_owner':
-        return <Navigate to="/store-owner/dashboard" replace />;
-      case 'user':
-      default:
-        return <Navigate to="/dashboard" replace />;
-    }
+    return <Navigate to={homePathFor(user, hasPermission)} replace />;
   }
   
   return children;
@@ -79,6 +71,7 @@ const AppContent = () => {
   return (
     <div className="app">
       {user && <Header />}
+      <VerifyEmailBanner />
       
       <main className="main-content">
         <Routes>
@@ -101,12 +94,38 @@ const AppContent = () => {
               </PublicRouteCheck>
             }
           />
+          <Route
+            path="/forgot-password"
+            element={
+              <PublicRouteCheck>
+                <ForgotPassword />
+              </PublicRouteCheck>
+            }
+          />
+          <Route
+            path="/reset-password"
+            element={
+              <PublicRouteCheck>
+                <ResetPassword />
+              </PublicRouteCheck>
+            }
+          />
+          {/* Verification links work whether or not the user is signed in */}
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route
+            path="/setup"
+            element={
+              <PublicRouteCheck>
+                <Setup />
+              </PublicRouteCheck>
+            }
+          />
           
           {/* User Protected Routes */}
           <Route
             path="/dashboard"
             element={
-              <ProtectedRoute allowedRoles={['user']}>
+              <ProtectedRoute requiredPermissions={permissionsFor('/dashboard')}>
                 <UserDashboard />
               </ProtectedRoute>
             }
@@ -116,7 +135,7 @@ const AppContent = () => {
           <Route
             path="/admin/dashboard"
             element={
-              <ProtectedRoute allowedRoles={['admin']}>
+              <ProtectedRoute requiredPermissions={permissionsFor('/admin/dashboard')}>
                 <AdminDashboard />
               </ProtectedRoute>
             }
@@ -124,7 +143,7 @@ const AppContent = () => {
           <Route
             path="/admin/users"
             element={
-              <ProtectedRoute allowedRoles={['admin']}>
+              <ProtectedRoute requiredPermissions={['user:manage']}>
                 <UserManagement />
               </ProtectedRoute>
             }
@@ -132,17 +151,35 @@ const AppContent = () => {
           <Route
             path="/admin/stores"
             element={
-              <ProtectedRoute allowedRoles={['admin']}>
+              <ProtectedRoute requiredPermissions={['store:manage']}>
                 <StoreManagement />
               </ProtectedRoute>
             }
           />
           
+          {/* Any signed-in user */}
+          <Route
+            path="/sessions"
+            element={
+              <ProtectedRoute>
+                <ActiveSessions />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/profile"
+            element={
+              <ProtectedRoute>
+                <Profile />
+              </ProtectedRoute>
+            }
+          />
+          
           {/* Store Owner Protected Routes */}
           <Route
             path="/store-owner/dashboard"
             element={
-              <ProtectedRoute allowedRoles={['store_owner']}>
+              <ProtectedRoute requiredPermissions={permissionsFor('/store-owner/dashboard')}>
                 <StoreOwnerDashboard />
               </ProtectedRoute>
             }
@@ -1,10 +1,28 @@
 import React, { useState, useEffect } from 'react';
-import { adminAPI } from '../../services/api';
+import { adminAPI, publicAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
 import UserManagement from './UserManagement';
 import StoreManagement from './StoreManagement';
+import CategoryManagement from './CategoryManagement';
+import LockoutManagement from './LockoutManagement';
+import TwoFactorPolicy from './TwoFactorPolicy';
+import AuditLog from './AuditLog';
+import RoleManagement from './RoleManagement';
 import './AdminDashboard.css';
 
+// Tabs past the overview, each shown to users holding its permission
+const TABS = [
+  { id: 'users', label: 'User Management', permission: 'user:manage' },
+  { id: 'stores', label: 'Store Management', permission: 'store:manage' },
+  { id: 'categories', label: 'Categories', permission: 'category:manage' },
+  { id: 'lockouts', label: 'Lockouts', permission: 'user:manage' },
+  { id: 'roles', label: 'Roles', permission: 'role:manage' },
+  { id: 'security', label: 'Two-Factor', permission: 'settings:manage' },
+  { id: 'audit', label: 'Audit Log', permission: 'audit:read' }
+];
+
 const AdminDashboard = () => {
+  const { hasPermission } = useAuth();
   const [activeTab, setActiveTab] = useState('overview');
   const [dashboardData, setDashboardData] = useState({
     totalUsers: 0,
@@ -49,24 +67,9 @@ const AdminDashboard = () => {
 
       // Fetch ratings count from public API
       try {
-        const ratingsResponse = await fetch('http://localhost:5000/api/ratings', {
-          method: 'GET',
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        });
-
-        if (!ratingsResponse.ok) {
-          throw new Error(`HTTP error! status: ${ratingsResponse.status}`);
-        }
-
-        const ratingsData = await ratingsResponse.json();
-        if (ratingsData && ratingsData.data && Array.isArray(ratingsData.data)) {
-          ratingCount = ratingsData.data.length;
-        } else {
-          ratingCount = 0;
-        }
+        const ratingsResponse = await publicAPI.getRatings();
+        const ratingsArray = ratingsResponse.data?.data || [];
+        ratingCount = Array.isArray(ratingsArray) ? ratingsArray.length : 0;
       } catch (ratingError) {
         console.error('Error fetching ratings:', ratingError);
         ratingCount = 0;
@@ -113,18 +116,15 @@ const AdminDashboard = () => {
           >
             Overview
           </button>
-          <button
-            className={`admin-nav-tab ${activeTab === 'users' ? 'active' : ''}`}
-            onClick={() => setActiveTab('users')}
-          >
-            User Management
-          </button>
-          <button
-            className={`admin-nav-tab ${activeTab === 'stores' ? 'active' : ''}`}
-            onClick={() => setActiveTab('stores')}
-          >
-            Store Management
-          </button>
+          {TABS.filter(tab => hasPermission(tab.permission)).map(tab => (
+            <button
+              key={tab.id}
+              className={`admin-nav-tab ${activeTab === tab.id ? 'active' : ''}`}
+              onClick={() => setActiveTab(tab.id)}
+            >
+              {tab.label}
+            </button>
+          ))}
         </div>
       </nav>
 
@@ -189,21 +189,25 @@ const AdminDashboard = () => {
               <div className="quick-actions">
                 <h3 className="section-title">Quick Actions</h3>
                 <div className="actions-grid">
-                  <div className="action-card" onClick={() => setActiveTab('users')}>
-                    <div className="action-icon">
-                      <span>👤</span>
+                  {hasPermission('user:manage') && (
+                    <div className="action-card" onClick={() => setActiveTab('users')}>
+                      <div className="action-icon">
+                        <span>👤</span>
+                      </div>
+                      <h4>Add New User</h4>
+                      <p>Create user accounts for customers, store owners, and admins</p>
                     </div>
-                    <h4>Add New User</h4>
-                    <p>Create user accounts for customers, store owners, and admins</p>
-                  </div>
-
-                  <div className="action-card" onClick={() => setActiveTab('stores')}>
-                    <div className="action-icon">
-                      <span>🏪</span>
+                  )}
+
+                  {hasPermission('store:manage') && (
+                    <div className="action-card" onClick={() => setActiveTab('stores')}>
+                      <div className="action-icon">
+                        <span>🏪</span>
+                      </div>
+                      <h4>Register Store</h4>
+                      <p>Add new stores to the platform and assign owners</p>
                     </div>
-                    <h4>Register Store</h4>
-                    <p>Add new stores to the platform and assign owners</p>
-                  </div>
+                  )}
 
                   <div className="action-card" onClick={fetchDashboardData}>
                     <div className="action-icon">
@@ -219,6 +223,11 @@ const AdminDashboard = () => {
 
           {activeTab === 'users' && <UserManagement />}
           {activeTab === 'stores' && <StoreManagement />}
+          {activeTab === 'categories' && <CategoryManagement />}
+          {activeTab === 'lockouts' && <LockoutManagement />}
+          {activeTab === 'roles' && <RoleManagement />}
+          {activeTab === 'security' && <TwoFactorPolicy />}
+          {activeTab === 'audit' && <AuditLog />}
         </div>
       </main>
     </div>
@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import { adminAPI, getErrorMessage } from '../../services/api';
+import './AuditLog.css';
+
+const PAGE_SIZE = 25;
+
+const emptyFilters = {
+  action: '',
+  entity_type: '',
+  actor_id: '',
+  entity_id: '',
+  from: '',
+  to: ''
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// One line per changed field, e.g. "name: Old Name → New Name"
+const ChangeList = ({ changes }) => {
+  if (!changes) return null;
+
+  const fields = Object.keys(changes.after || changes.before || {});
+  return (
+    <ul className="audit-changes">
+      {fields.map(field => (
+        <li key={field}>
+          <span className="audit-field">{field}:</span>{' '}
+          {changes.before && <span className="audit-before">{formatValue(changes.before[field])}</span>}
+          {changes.before && changes.after && ' → '}
+          {changes.after && <span className="audit-after">{formatValue(changes.after[field])}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [facets, setFacets] = useState({ actions: [], entityTypes: [] });
+  const [filters, setFilters] = useState(emptyFilters);
+  const [debouncedFilters, setDebouncedFilters] = useState(emptyFilters);
+  const [offset, setOffset] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Debounce filter changes (300ms) and go back to the first page
+  useEffect(() => {
+    const t = setTimeout(() => {
+      setDebouncedFilters(filters);
+      setOffset(0);
+    }, 300);
+    return () => clearTimeout(t);
+  }, [filters]);
+
+  useEffect(() => {
+    fetchEntries();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [debouncedFilters, offset]);
+
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const params = Object.fromEntries(
+        Object.entries(debouncedFilters).filter(([, value]) => value !== '')
+      );
+      const response = await adminAPI.getAuditLog({ ...params, limit: PAGE_SIZE, offset });
+      setEntries(response.data?.data || []);
+      setTotal(response.data?.meta?.pagination?.total || 0);
+      setFacets(response.data?.meta?.facets || { actions: [], entityTypes: [] });
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to fetch the audit log'));
+      setEntries([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: value
+    }));
+  };
+
+  const showEntity = (entry) => {
+    setFilters({ ...emptyFilters, entity_type: entry.entity_type, entity_id: entry.entity_id || '' });
+  };
+
+  const lastShown = Math.min(offset + entries.length, total);
+
+  return (
+    <div className="audit-log">
+      <div className="management-header">
+        <div className="header-content">
+          <h2 className="page-title">Audit Log</h2>
+          <p className="page-subtitle">Who changed what, and when, across users, stores, categories and settings</p>
+        </div>
+        <button onClick={fetchEntries} className="btn btn-outline" disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <div className="filters-section">
+        <div className="filters-header">
+          <h3>Filters</h3>
+          <button onClick={() => setFilters(emptyFilters)} className="btn btn-text">
+            Clear All
+          </button>
+        </div>
+        <div className="filters-grid">
+          <select
+            value={filters.action}
+            onChange={(e) => handleFilterChange('action', e.target.value)}
+            className="form-select"
+          >
+            <option value="">All Actions</option>
+            {facets.actions.map(action => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+          <select
+            value={filters.entity_type}
+            onChange={(e) => handleFilterChange('entity_type', e.target.value)}
+            className="form-select"
+          >
+            <option value="">All Targets</option>
+            {facets.entityTypes.map(entityType => (
+              <option key={entityType} value={entityType}>{entityType}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Target ID..."
+            value={filters.entity_id}
+            onChange={(e) => handleFilterChange('entity_id', e.target.value)}
+            className="form-input"
+          />
+          <input
+            type="number"
+            min="1"
+            placeholder="Actor user ID..."
+            value={filters.actor_id}
+            onChange={(e) => handleFilterChange('actor_id', e.target.value)}
+            className="form-input"
+          />
+          <input
+            type="date"
+            title="From"
+            value={filters.from}
+            onChange={(e) => handleFilterChange('from', e.target.value)}
+            className="form-input"
+          />
+          <input
+            type="date"
+            title="To"
+            value={filters.to}
+            onChange={(e) => handleFilterChange('to', e.target.value)}
+            className="form-input"
+          />
+        </div>
+      </div>
+
+      <div className="table-section">
+        <div className="table-container">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Actor</th>
+                <th>Action</th>
+                <th>Target</th>
+                <th>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="5" className="loading-row">
+                    <div className="table-loading">
+                      <span className="loading-spinner"></span>
+                      Loading audit log...
+                    </div>
+                  </td>
+                </tr>
+              ) : entries.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="no-data">
+                    <div className="empty-state">
+                      <span className="empty-icon">📜</span>
+                      <p>No audit entries match these filters</p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                entries.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="audit-when">{new Date(entry.created_at).toLocaleString()}</td>
+                    <td>
+                      <div>{entry.actor_email || 'Deleted user'}</div>
+                      <div className="audit-meta">
+                        {[entry.actor_role, entry.actor_id && `#${entry.actor_id}`, entry.ip_address].filter(Boolean).join(' · ')}
+                      </div>
+                    </td>
+                    <td><code>{entry.action}</code></td>
+                    <td>
+                      <button onClick={() => showEntity(entry)} className="btn btn-text" title="Show this target's history">
+                        {entry.entity_type}{entry.entity_id && ` #${entry.entity_id}`}
+                      </button>
+                    </td>
+                    <td>
+                      <ChangeList changes={entry.changes} />
+                      {entry.details && (
+                        <div className="audit-meta">{formatValue(entry.details)}</div>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {total > 0 && (
+        <div className="audit-pagination">
+          <span>Showing {offset + 1}–{lastShown} of {total}</span>
+          <div className="row-actions">
+            <button
+              onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+              className="btn btn-outline btn-sm"
+              disabled={loading || offset === 0}
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              className="btn btn-outline btn-sm"
+              disabled={loading || lastShown >= total}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { adminAPI, getErrorMessage } from '../../services/api';
+import './CategoryManagement.css';
+
+const CategoryManagement = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [newName, setNewName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getCategories();
+      setCategories(response.data?.data || []);
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to fetch categories'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    try {
+      setSaving(true);
+      setError('');
+      await adminAPI.createCategory({ name: newName.trim() });
+      setNewName('');
+      fetchCategories();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to create category'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRename = async (category) => {
+    const name = window.prompt('New category name:', category.name);
+    if (name === null || name.trim() === '' || name.trim() === category.name) return;
+
+    try {
+      setError('');
+      await adminAPI.updateCategory(category.id, { name: name.trim() });
+      fetchCategories();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to rename category'));
+    }
+  };
+
+  const handleDelete = async (category) => {
+    const storeCount = parseInt(category.store_count) || 0;
+    const confirmed = window.confirm(
+      `Delete the "${category.name}" category? ` +
+      `It will be removed from ${storeCount} store${storeCount === 1 ? '' : 's'}.`
+    );
+    if (!confirmed) return;
+
+    try {
+      setError('');
+      await adminAPI.deleteCategory(category.id);
+      fetchCategories();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to delete category'));
+    }
+  };
+
+  return (
+    <div className="category-management">
+      <div className="management-header">
+        <div className="header-content">
+          <h2 className="page-title">Categories</h2>
+          <p className="page-subtitle">Organise stores so users can filter by what they're looking for</p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="category-create-form">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New category name"
+          className="form-input"
+          maxLength="50"
+        />
+        <button type="submit" className="btn btn-primary" disabled={saving || !newName.trim()}>
+          {saving ? 'Adding...' : 'Add Category'}
+        </button>
+      </form>
+
+      <div className="table-section">
+        <div className="table-container">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Slug</th>
+                <th>Stores</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="4" className="loading-row">
+                    <div className="table-loading">
+                      <span className="loading-spinner"></span>
+                      Loading categories...
+                    </div>
+                  </td>
+                </tr>
+              ) : categories.length === 0 ? (
+                <tr>
+                  <td colSpan="4" className="no-data">
+                    <div className="empty-state">
+                      <span className="empty-icon">🏷️</span>
+                      <p>No categories yet</p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                categories.map(category => (
+                  <tr key={category.id}>
+                    <td>{category.name}</td>
+                    <td className="category-slug">{category.slug}</td>
+                    <td>{category.store_count}</td>
+                    <td>
+                      <div className="row-actions">
+                        <button onClick={() => handleRename(category)} className="btn btn-outline btn-sm">
+                          Rename
+                        </button>
+                        <button onClick={() => handleDelete(category)} className="btn btn-danger btn-sm">
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryManagement;
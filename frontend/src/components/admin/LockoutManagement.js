@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { adminAPI, getErrorMessage } from '../../services/api';
+
+const LockoutManagement = () => {
+  const [lockouts, setLockouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchLockouts();
+  }, []);
+
+  const fetchLockouts = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await adminAPI.getLockouts();
+      setLockouts(response.data?.data || []);
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to fetch lockouts'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClear = async (lockout) => {
+    if (!window.confirm(`Let ${lockout.email} sign in again now?`)) return;
+
+    try {
+      setError('');
+      await adminAPI.clearLockout(lockout.email);
+      fetchLockouts();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to clear lockout'));
+    }
+  };
+
+  return (
+    <div className="lockout-management">
+      <div className="management-header">
+        <div className="header-content">
+          <h2 className="page-title">Login Lockouts</h2>
+          <p className="page-subtitle">Accounts temporarily blocked after repeated failed sign-in attempts</p>
+        </div>
+        <button onClick={fetchLockouts} className="btn btn-outline" disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <div className="table-section">
+        <div className="table-container">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Email</th>
+                <th>Locked Until</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="3" className="loading-row">
+                    <div className="table-loading">
+                      <span className="loading-spinner"></span>
+                      Loading lockouts...
+                    </div>
+                  </td>
+                </tr>
+              ) : lockouts.length === 0 ? (
+                <tr>
+                  <td colSpan="3" className="no-data">
+                    <div className="empty-state">
+                      <span className="empty-icon">🔓</span>
+                      <p>No accounts are locked out</p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                lockouts.map(lockout => (
+                  <tr key={lockout.email}>
+                    <td>{lockout.email}</td>
+                    <td>{new Date(lockout.locked_until).toLocaleString()}</td>
+                    <td>
+                      <div className="row-actions">
+                        <button onClick={() => handleClear(lockout)} className="btn btn-outline btn-sm">
+                          Clear Lockout
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LockoutManagement;
@@ -0,0 +1,305 @@
+import React, { useState, useEffect } from 'react';
+import { PERMISSIONS, schemas, validate } from 'ratings-app-shared';
+import { adminAPI, getErrorMessage, getFieldErrors } from '../../services/api';
+import FieldErrors from '../common/FieldErrors';
+import './RoleManagement.css';
+
+const ADMIN_ROLE = 'admin';
+
+const emptyRole = {
+  name: '',
+  label: '',
+  description: '',
+  permissions: []
+};
+
+const togglePermission = (permissions, permission) => (
+  permissions.includes(permission)
+    ? permissions.filter(p => p !== permission)
+    : [...permissions, permission]
+);
+
+const samePermissions = (a, b) => a.length === b.length && a.every(p => b.includes(p));
+
+// One checkbox per known permission, described by its help text from the shared package
+const PermissionChecklist = ({ idPrefix, selected, onToggle, disabled }) => (
+  <div className="permission-list">
+    {Object.entries(PERMISSIONS).map(([permission, description]) => (
+      <label key={permission} htmlFor={`${idPrefix}-${permission}`} className="permission-option" title={description}>
+        <input
+          id={`${idPrefix}-${permission}`}
+          type="checkbox"
+          checked={selected.includes(permission)}
+          onChange={() => onToggle(permission)}
+          disabled={disabled}
+        />
+        <code>{permission}</code>
+      </label>
+    ))}
+  </div>
+);
+
+const RoleManagement = () => {
+  const [roles, setRoles] = useState([]);
+  // Unsaved permission changes, keyed by role id
+  const [drafts, setDrafts] = useState({});
+  const [newRole, setNewRole] = useState(emptyRole);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getRoles();
+      setRoles(response.data?.data || []);
+      setDrafts({});
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to fetch roles'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    const { valid, errors } = validate(schemas.role, newRole);
+    setFieldErrors(errors);
+    if (!valid) return;
+
+    try {
+      setSaving(true);
+      await adminAPI.createRole(newRole);
+      setNewRole(emptyRole);
+      setMessage(`Role "${newRole.label}" created. Grant it to users from the Users tab.`);
+      fetchRoles();
+    } catch (error) {
+      setFieldErrors(getFieldErrors(error));
+      setError(getErrorMessage(error, 'Failed to create role'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = (role, permission) => {
+    setMessage('');
+    setDrafts(prev => ({
+      ...prev,
+      [role.id]: togglePermission(prev[role.id] || role.permissions, permission)
+    }));
+  };
+
+  const handleSavePermissions = async (role) => {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      await adminAPI.updateRole(role.id, { permissions: drafts[role.id] });
+      setMessage(`Permissions for "${role.label}" saved. They apply to each user's next request.`);
+      fetchRoles();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to save permissions'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = async (role) => {
+    const label = window.prompt('Role label:', role.label);
+    if (label === null) return;
+    const description = window.prompt('Description (optional):', role.description || '');
+    if (description === null) return;
+
+    const { valid, errors } = validate(schemas.role, { label: label.trim(), description: description.trim() }, { partial: true });
+    if (!valid) {
+      setError(Object.values(errors).flat().join(' '));
+      return;
+    }
+
+    try {
+      setError('');
+      setMessage('');
+      await adminAPI.updateRole(role.id, { label: label.trim(), description: description.trim() });
+      fetchRoles();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to update role'));
+    }
+  };
+
+  const handleDelete = async (role) => {
+    const confirmed = window.confirm(
+      `Delete the "${role.label}" role? ` +
+      `${role.user_count} user${role.user_count === 1 ? '' : 's'} will lose the permissions it grants.`
+    );
+    if (!confirmed) return;
+
+    try {
+      setError('');
+      setMessage('');
+      await adminAPI.deleteRole(role.id);
+      fetchRoles();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to delete role'));
+    }
+  };
+
+  return (
+    <div className="role-management">
+      <div className="management-header">
+        <div className="header-content">
+          <h2 className="page-title">Roles &amp; Permissions</h2>
+          <p className="page-subtitle">Bundle permissions into roles, then grant roles to users alongside their primary role</p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="success-message">
+          {message}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="role-create-form">
+        <h3>New Role</h3>
+        <div className="role-create-fields">
+          <div className="form-group">
+            <label htmlFor="role-name" className="form-label">Name</label>
+            <input
+              id="role-name"
+              type="text"
+              value={newRole.name}
+              onChange={(e) => setNewRole(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g. moderator"
+              className={`form-input ${fieldErrors.name ? 'error' : ''}`}
+              maxLength="32"
+            />
+            <FieldErrors messages={fieldErrors.name} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="role-label" className="form-label">Label</label>
+            <input
+              id="role-label"
+              type="text"
+              value={newRole.label}
+              onChange={(e) => setNewRole(prev => ({ ...prev, label: e.target.value }))}
+              placeholder="e.g. Moderator"
+              className={`form-input ${fieldErrors.label ? 'error' : ''}`}
+              maxLength="60"
+            />
+            <FieldErrors messages={fieldErrors.label} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="role-description" className="form-label">Description</label>
+            <input
+              id="role-description"
+              type="text"
+              value={newRole.description}
+              onChange={(e) => setNewRole(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="What this role is for"
+              className={`form-input ${fieldErrors.description ? 'error' : ''}`}
+              maxLength="255"
+            />
+            <FieldErrors messages={fieldErrors.description} />
+          </div>
+        </div>
+        <PermissionChecklist
+          idPrefix="new-role"
+          selected={newRole.permissions}
+          onToggle={(permission) => setNewRole(prev => ({ ...prev, permissions: togglePermission(prev.permissions, permission) }))}
+          disabled={saving}
+        />
+        <FieldErrors messages={fieldErrors.permissions} />
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Create Role'}
+        </button>
+      </form>
+
+      <div className="table-section">
+        <div className="table-container">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Role</th>
+                <th>Users</th>
+                <th>Permissions</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="4" className="loading-row">
+                    <div className="table-loading">
+                      <span className="loading-spinner"></span>
+                      Loading roles...
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                roles.map(role => {
+                  const selected = drafts[role.id] || role.permissions;
+                  const dirty = !samePermissions(selected, role.permissions);
+                  return (
+                    <tr key={role.id}>
+                      <td>
+                        <div className="role-label">
+                          {role.label}
+                          {role.is_system && <span className="role-system-tag">Built-in</span>}
+                        </div>
+                        <code className="role-name">{role.name}</code>
+                        {role.description && <p className="role-description">{role.description}</p>}
+                      </td>
+                      <td>{role.user_count}</td>
+                      <td>
+                        <PermissionChecklist
+                          idPrefix={`role-${role.id}`}
+                          selected={selected}
+                          onToggle={(permission) => handleToggle(role, permission)}
+                          disabled={saving || role.name === ADMIN_ROLE}
+                        />
+                      </td>
+                      <td>
+                        <div className="row-actions">
+                          {dirty && (
+                            <button onClick={() => handleSavePermissions(role)} className="btn btn-primary btn-sm" disabled={saving}>
+                              Save
+                            </button>
+                          )}
+                          <button onClick={() => handleEdit(role)} className="btn btn-outline btn-sm">
+                            Edit
+                          </button>
+                          {!role.is_system && (
+                            <button onClick={() => handleDelete(role)} className="btn btn-danger btn-sm">
+                              Delete
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RoleManagement;
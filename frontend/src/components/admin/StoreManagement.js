@@ -1,22 +1,64 @@
 import React, { useState, useEffect } from 'react';
-import { adminAPI } from '../../services/api';
+import { schemas, validate } from 'ratings-app-shared';
+import { adminAPI, getErrorMessage, getFieldErrors } from '../../services/api';
+import FieldErrors from '../common/FieldErrors';
+import CategoryChips, { CategoryTags } from '../common/CategoryChips';
 import './StoreManagement.css';
 
+// Multi-select of category ids for the store forms
+const CategoryPicker = ({ value, onChange }) => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    adminAPI.getCategories()
+      .then(response => setCategories(response.data?.data || []))
+      .catch(error => console.error('Failed to fetch categories:', error));
+  }, []);
+
+  if (categories.length === 0) {
+    return <small className="form-help">No categories yet. Add them in the Categories tab.</small>;
+  }
+
+  return (
+    <div className="category-chips">
+      {categories.map(category => (
+        <button
+          key={category.id}
+          type="button"
+          onClick={() => onChange(value.includes(category.id)
+            ? value.filter(id => id !== category.id)
+            : [...value, category.id])}
+          className={`category-chip ${value.includes(category.id) ? 'active' : ''}`}
+        >
+          {category.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
 const AddStoreModal = ({ isOpen, onClose, onStoreAdded }) => {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     address: '',
-    owner_id: ''
+    owner_id: '',
+    category_ids: []
   });
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setLoading(true);
     setError('');
 
+    const { valid, errors } = validate(schemas.store, formData);
+    setFieldErrors(errors);
+    if (!valid) return;
+
+    setLoading(true);
+
     try {
       const storeData = {
         ...formData,
@@ -30,10 +72,12 @@ const AddStoreModal = ({ isOpen, onClose, onStoreAdded }) => {
         name: '',
         email: '',
         address: '',
-        owner_id: ''
+        owner_id: '',
+        category_ids: []
       });
     } catch (error) {
-      setError(error.response?.data?.error || error.message || 'Failed to create store');
+      setFieldErrors(getFieldErrors(error));
+      setError(getErrorMessage(error, 'Failed to create store'));
     } finally {
       setLoading(false);
     }
@@ -44,9 +88,11 @@ const AddStoreModal = ({ isOpen, onClose, onStoreAdded }) => {
       name: '',
       email: '',
       address: '',
-      owner_id: ''
+      owner_id: '',
+      category_ids: []
     });
     setError('');
+    setFieldErrors({});
   };
 
   const handleClose = () => {
@@ -83,13 +129,15 @@ const AddStoreModal = ({ isOpen, onClose, onStoreAdded }) => {
                 onChange={(e) => {
                   setFormData(prev => ({...prev, name: e.target.value}));
                   setError('');
+                  setFieldErrors(prev => ({ ...prev, name: undefined }));
                 }}
                 required
                 placeholder="Enter store name (20-60 characters)"
-                className="form-input"
+                className={`form-input ${fieldErrors.name ? 'input-error' : ''}`}
                 minLength="20"
                 maxLength="60"
               />
+              <FieldErrors messages={fieldErrors.name} className="field-error" />
             </div>
 
             <div className="form-group">
@@ -101,11 +149,13 @@ const AddStoreModal = ({ isOpen, onClose, onStoreAdded }) => {
                 onChange={(e) => {
                   setFormData(prev => ({...prev, email: e.target.value}));
                   setError('');
+                  setFieldErrors(prev => ({ ...prev, email: undefined }));
                 }}
                 required
                 placeholder="store@example.com"
-                className="form-input"
+                className={`form-input ${fieldErrors.email ? 'input-error' : ''}`}
               />
+              <FieldErrors messages={fieldErrors.email} className="field-error" />
             </div>
 
             <div className="form-group">
@@ -116,13 +166,15 @@ const AddStoreModal = ({ isOpen, onClose, onStoreAdded }) => {
                 onChange={(e) => {
                   setFormData(prev => ({...prev, address: e.target.value}));
                   setError('');
+                  setFieldErrors(prev => ({ ...prev, address: undefined }));
                 }}
                 required
                 placeholder="Enter complete store address (max 400 characters)"
-                className="form-textarea"
+                className={`form-textarea ${fieldErrors.address ? 'input-error' : ''}`}
                 rows="3"
                 maxLength="400"
               />
+              <FieldErrors messages={fieldErrors.address} className="field-error" />
             </div>
 
             <div className="form-group">
@@ -140,6 +192,14 @@ const AddStoreModal = ({ isOpen, onClose, onStoreAdded }) => {
                 Enter the user ID of the store owner (optional)
               </small>
             </div>
+
+            <div className="form-group">
+              <label className="form-label">Categories</label>
+              <CategoryPicker
+                value={formData.category_ids}
+                onChange={(categoryIds) => setFormData(prev => ({...prev, category_ids: categoryIds}))}
+              />
+            </div>
           </form>
         </div>
         <div className="modal-footer">
@@ -172,6 +232,367 @@ const AddStoreModal = ({ isOpen, onClose, onStoreAdded }) => {
   );
 };
 
+const EditStoreModal = ({ isOpen, onClose, store, onStoreUpdated }) => {
+  const [formData, setFormData] = useState({
+    name: '',
+    email: '',
+    address: '',
+    owner_id: '',
+    category_ids: []
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (store) {
+      setFormData({
+        name: store.name || '',
+        email: store.email || '',
+        address: store.address || '',
+        owner_id: store.owner_id ? String(store.owner_id) : '',
+        category_ids: (store.categories || []).map(category => category.id)
+      });
+      setError('');
+    }
+  }, [store]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await adminAPI.updateStore(store.id, {
+        ...formData,
+        owner_id: formData.owner_id ? parseInt(formData.owner_id) : null
+      });
+      onStoreUpdated();
+      onClose();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to update store'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen || !store) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3 className="modal-title">Edit Store</h3>
+          <button onClick={onClose} className="close-button" type="button">
+            ✕
+          </button>
+        </div>
+        <div className="modal-body">
+          <form onSubmit={handleSubmit} id="editStoreForm">
+            {error && (
+              <div className="error-message">
+                <span className="error-icon">⚠️</span>
+                {error}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="editStoreName" className="form-label">Store Name</label>
+              <input
+                type="text"
+                id="editStoreName"
+                value={formData.name}
+                onChange={(e) => {
+                  setFormData(prev => ({...prev, name: e.target.value}));
+                  setError('');
+                }}
+                required
+                className="form-input"
+                minLength="20"
+                maxLength="60"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="editStoreEmail" className="form-label">Store Email</label>
+              <input
+                type="email"
+                id="editStoreEmail"
+                value={formData.email}
+                onChange={(e) => {
+                  setFormData(prev => ({...prev, email: e.target.value}));
+                  setError('');
+                }}
+                required
+                className="form-input"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="editStoreAddress" className="form-label">Store Address</label>
+              <textarea
+                id="editStoreAddress"
+                value={formData.address}
+                onChange={(e) => {
+                  setFormData(prev => ({...prev, address: e.target.value}));
+                  setError('');
+                }}
+                required
+                className="form-textarea"
+                rows="3"
+                maxLength="400"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="editOwnerId" className="form-label">Owner ID</label>
+              <input
+                type="number"
+                id="editOwnerId"
+                value={formData.owner_id}
+                onChange={(e) => setFormData(prev => ({...prev, owner_id: e.target.value}))}
+                placeholder="Leave empty to unassign"
+                className="form-input"
+                min="1"
+              />
+              <small className="form-help">
+                {store.owner_name ? `Currently owned by ${store.owner_name}` : 'Currently unassigned'}
+              </small>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Categories</label>
+              <CategoryPicker
+                value={formData.category_ids}
+                onChange={(categoryIds) => setFormData(prev => ({...prev, category_ids: categoryIds}))}
+              />
+            </div>
+          </form>
+        </div>
+        <div className="modal-footer">
+          <button 
+            type="button" 
+            onClick={onClose} 
+            className="btn btn-secondary"
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button 
+            type="submit" 
+            form="editStoreForm"
+            disabled={loading} 
+            className="btn btn-primary"
+          >
+            {loading ? (
+              <>
+                <span className="loading-spinner"></span>
+                Saving...
+              </>
+            ) : (
+              'Save Changes'
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const AssignUnassignedModal = ({ isOpen, onClose, onStoresAssigned }) => {
+  const [ownerId, setOwnerId] = useState('');
+  const [unassignedCount, setUnassignedCount] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setOwnerId('');
+    setError('');
+    setUnassignedCount(null);
+
+    adminAPI.getDashboard()
+      .then(response => setUnassignedCount(response.data?.data?.overview?.unassigned_stores ?? 0))
+      .catch(error => setError(getErrorMessage(error, 'Failed to count unassigned stores')));
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await adminAPI.assignUnassignedStores({ owner_id: parseInt(ownerId) });
+      onStoresAssigned();
+      onClose();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to assign stores'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3 className="modal-title">Assign Unassigned Stores</h3>
+          <button onClick={onClose} className="close-button" type="button">
+            ✕
+          </button>
+        </div>
+        <div className="modal-body">
+          <form onSubmit={handleSubmit} id="assignStoresForm">
+            {error && (
+              <div className="error-message">
+                <span className="error-icon">⚠️</span>
+                {error}
+              </div>
+            )}
+
+            <p>
+              {unassignedCount === null
+                ? 'Counting unassigned stores...'
+                : `${unassignedCount} store${unassignedCount === 1 ? ' has' : 's have'} no owner.`}
+            </p>
+
+            <div className="form-group">
+              <label htmlFor="assignOwnerId" className="form-label">Store Owner ID</label>
+              <input
+                type="number"
+                id="assignOwnerId"
+                value={ownerId}
+                onChange={(e) => {
+                  setOwnerId(e.target.value);
+                  setError('');
+                }}
+                required
+                placeholder="User ID of a store owner"
+                className="form-input"
+                min="1"
+              />
+            </div>
+          </form>
+        </div>
+        <div className="modal-footer">
+          <button 
+            type="button" 
+            onClick={onClose} 
+            className="btn btn-secondary"
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button 
+            type="submit" 
+            form="assignStoresForm"
+            disabled={loading || !unassignedCount} 
+            className="btn btn-primary"
+          >
+            {loading ? (
+              <>
+                <span className="loading-spinner"></span>
+                Assigning...
+              </>
+            ) : (
+              'Assign Stores'
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const PendingStoreEdits = ({ onReviewed }) => {
+  const [requests, setRequests] = useState([]);
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchRequests = async () => {
+    try {
+      const response = await adminAPI.getStoreChangeRequests({ status: 'pending' });
+      setRequests(response.data?.data || []);
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to fetch pending store edits'));
+    }
+  };
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  const review = async (request, decision) => {
+    let note;
+    if (decision === 'reject') {
+      note = window.prompt(`Reason for rejecting the changes to "${request.store_name}" (optional):`);
+      if (note === null) return;
+    }
+
+    try {
+      setBusyId(request.id);
+      setError('');
+      await adminAPI.reviewStoreChangeRequest(request.id, decision, note || undefined);
+      await fetchRequests();
+      if (decision === 'approve') onReviewed();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to review store edit'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (requests.length === 0 && !error) return null;
+
+  return (
+    <div className="pending-edits-section">
+      <h3>Pending Owner Edits ({requests.length})</h3>
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+      {requests.map(request => (
+        <div key={request.id} className="pending-edit-card">
+          <div className="pending-edit-info">
+            <strong>{request.store_name}</strong>
+            <span className="pending-edit-meta">
+              by {request.requested_by_name} on {new Date(request.created_at).toLocaleDateString()}
+            </span>
+            {Object.entries(request.changes).map(([field, value]) => (
+              <div key={field} className="pending-edit-change">
+                <span className="pending-edit-field">{field}</span>
+                <span className="pending-edit-old">{request[`store_${field}`]}</span>
+                <span>→</span>
+                <span className="pending-edit-new">{value}</span>
+              </div>
+            ))}
+          </div>
+          <div className="row-actions">
+            <button
+              onClick={() => review(request, 'approve')}
+              className="btn btn-primary btn-sm"
+              disabled={busyId === request.id}
+            >
+              Approve
+            </button>
+            <button
+              onClick={() => review(request, 'reject')}
+              className="btn btn-danger btn-sm"
+              disabled={busyId === request.id}
+            >
+              Reject
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 const StoreManagement = () => {
   const [stores, setStores] = useState([]);
   const [loading, setLoading] = useState(true); // keep inline loading row, not full-page return
@@ -180,10 +601,13 @@ const StoreManagement = () => {
     name: '',
     email: '',
     address: '',
+    category: '',
     sort: 'name:asc'
   });
   const [debouncedFilters, setDebouncedFilters] = useState(filters);
   const [showAddModal, setShowAddModal] = useState(false);
+  const [showAssignModal, setShowAssignModal] = useState(false);
+  const [editingStore, setEditingStore] = useState(null);
 
   // Debounce filter changes (300ms)
   useEffect(() => {
@@ -219,7 +643,7 @@ const StoreManagement = () => {
 
       setStores(storeData);
     } catch (error) {
-      setError(error.response?.data?.error || error.message || 'Failed to fetch stores');
+      setError(getErrorMessage(error, 'Failed to fetch stores'));
       setStores([]); // Always fallback to empty array
     } finally {
       setLoading(false);
@@ -233,11 +657,28 @@ const StoreManagement = () => {
     }));
   };
 
+  const deleteStore = async (store) => {
+    const ratingCount = parseInt(store.rating_count) || 0;
+    const confirmed = window.confirm(
+      `Delete "${store.name}"? ` +
+      `${ratingCount} rating${ratingCount === 1 ? '' : 's'} will be deleted with it. This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    try {
+      await adminAPI.deleteStore(store.id);
+      fetchStores(debouncedFilters);
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to delete store'));
+    }
+  };
+
   const clearFilters = () => {
     setFilters({
       name: '',
       email: '',
       address: '',
+      category: '',
       sort: 'name:asc'
     });
   };
@@ -249,13 +690,21 @@ const StoreManagement = () => {
           <h2 className="page-title">Store Management</h2>
           <p className="page-subtitle">Manage all stores in the system</p>
         </div>
-        <button
-          onClick={() => setShowAddModal(true)}
-          className="btn btn-primary btn-add"
-        >
-          <span className="btn-icon">+</span>
-          Add New Store
-        </button>
+        <div className="header-actions">
+          <button
+            onClick={() => setShowAssignModal(true)}
+            className="btn btn-outline"
+          >
+            Assign Unassigned Stores
+          </button>
+          <button
+            onClick={() => setShowAddModal(true)}
+            className="btn btn-primary btn-add"
+          >
+            <span className="btn-icon">+</span>
+            Add New Store
+          </button>
+        </div>
       </div>
 
       {/* Error Banner */}
@@ -279,6 +728,8 @@ const StoreManagement = () => {
         </div>
       )}
 
+      <PendingStoreEdits onReviewed={() => fetchStores(debouncedFilters)} />
+
       {/* Filters */}
       <div className="filters-section">
         <div className="filters-header">
@@ -322,9 +773,13 @@ const StoreManagement = () => {
             <option value="rating:asc">Rating (Low-High)</option>
           </select>
         </div>
+        <CategoryChips
+          selected={filters.category ? filters.category.split(',') : []}
+          onChange={(slugs) => handleFilterChange('category', slugs.join(','))}
+        />
       </div>
 
-      {/* Stores Table - 4 Columns Only */}
+      {/* Stores Table */}
       <div className="table-section">
         <div className="table-container">
           <table className="data-table">
@@ -333,13 +788,15 @@ const StoreManagement = () => {
                 <th>Name</th>
                 <th>Email</th>
                 <th>Address</th>
+                <th>Owner</th>
                 <th>Rating</th>
+                <th>Actions</th>
               </tr>
             </thead>
             <tbody>
               {loading ? (
                 <tr>
-                  <td colSpan="4" className="loading-row">
+                  <td colSpan="6" className="loading-row">
                     <div className="table-loading">
                       <span className="loading-spinner"></span>
                       Loading stores...
@@ -348,7 +805,7 @@ const StoreManagement = () => {
                 </tr>
               ) : !Array.isArray(stores) ? (
                 <tr>
-                  <td colSpan="4" className="no-data">
+                  <td colSpan="6" className="no-data">
                     <div className="empty-state">
                       <span className="empty-icon">⚠️</span>
                       <p>Invalid data format received</p>
@@ -361,7 +818,7 @@ const StoreManagement = () => {
                 </tr>
               ) : stores.length === 0 ? (
                 <tr>
-                  <td colSpan="4" className="no-data">
+                  <td colSpan="6" className="no-data">
                     <div className="empty-state">
                       <span className="empty-icon">🏪</span>
                       <p>No stores found</p>
@@ -384,6 +841,7 @@ const StoreManagement = () => {
                       <td className="name-cell">
                         <div className="store-info">
                           <span className="store-name">{store.name || 'N/A'}</span>
+                          <CategoryTags categories={store.categories} />
                         </div>
                       </td>
                       <td>{store.email || 'N/A'}</td>
@@ -392,6 +850,9 @@ const StoreManagement = () => {
                           {store.address || 'N/A'}
                         </span>
                       </td>
+                      <td>
+                        {store.owner_name || <span className="unassigned-label">Unassigned</span>}
+                      </td>
                       <td>
                         <div className="rating-display">
                           <span className="rating-value">
@@ -405,6 +866,24 @@ const StoreManagement = () => {
                           )}
                         </div>
                       </td>
+                      <td>
+                        <div className="row-actions">
+                          <button
+                            onClick={() => setEditingStore(store)}
+                            className="btn btn-outline btn-sm"
+                            disabled={!store.id}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => deleteStore(store)}
+                            className="btn btn-danger btn-sm"
+                            disabled={!store.id}
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </td>
                     </tr>
                   );
                 })
@@ -420,6 +899,19 @@ const StoreManagement = () => {
         onClose={() => setShowAddModal(false)}
         onStoreAdded={() => fetchStores(debouncedFilters)}
       />
+
+      <EditStoreModal
+        isOpen={!!editingStore}
+        onClose={() => setEditingStore(null)}
+        store={editingStore}
+        onStoreUpdated={() => fetchStores(debouncedFilters)}
+      />
+
+      <AssignUnassignedModal
+        isOpen={showAssignModal}
+        onClose={() => setShowAssignModal(false)}
+        onStoresAssigned={() => fetchStores(debouncedFilters)}
+      />
     </div>
   );
 };
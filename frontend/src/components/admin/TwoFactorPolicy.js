@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { adminAPI, getErrorMessage } from '../../services/api';
+
+const TwoFactorPolicy = () => {
+  const [roles, setRoles] = useState([]);
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchPolicy();
+  }, []);
+
+  const fetchPolicy = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await adminAPI.getTwoFactorPolicy();
+      setRoles(response.data?.data?.roles || []);
+      setRequiredRoles(response.data?.data?.requiredRoles || []);
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to fetch two-factor policy'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleRole = (role) => {
+    setMessage('');
+    setRequiredRoles(prev => (
+      prev.includes(role) ? prev.filter(r => r !== role) : [...prev, role]
+    ));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      await adminAPI.updateTwoFactorPolicy(requiredRoles);
+      setMessage('Policy saved. Users in required roles will set up two-factor authentication at their next sign-in.');
+      fetchPolicy();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to save two-factor policy'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="two-factor-policy">
+      <div className="management-header">
+        <div className="header-content">
+          <h2 className="page-title">Two-Factor Authentication</h2>
+          <p className="page-subtitle">Choose which roles must use an authenticator app to sign in</p>
+        </div>
+        <button onClick={handleSave} className="btn btn-primary" disabled={loading || saving}>
+          {saving ? 'Saving...' : 'Save Policy'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="success-message">
+          {message}
+        </div>
+      )}
+
+      <div className="table-section">
+        <div className="table-container">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Role</th>
+                <th>Required</th>
+                <th>Enrolled</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="3" className="loading-row">
+                    <div className="table-loading">
+                      <span className="loading-spinner"></span>
+                      Loading policy...
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                roles.map(({ role, label, total, enrolled }) => (
+                  <tr key={role}>
+                    <td>
+                      <span className={`role-badge role-${role}`}>
+                        {label || role.replace('_', ' ')}
+                      </span>
+                    </td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={requiredRoles.includes(role)}
+                        onChange={() => toggleRole(role)}
+                        disabled={saving}
+                        aria-label={`Require two-factor authentication for ${label || role.replace('_', ' ')}`}
+                      />
+                    </td>
+                    <td>{enrolled} of {total}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorPolicy;
@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { adminAPI } from '../../services/api';
+import { schemas, validate } from 'ratings-app-shared';
+import { adminAPI, getErrorMessage, getFieldErrors } from '../../services/api';
+import FieldErrors from '../common/FieldErrors';
+import { useAuth } from '../../context/AuthContext';
 import './UserManagement.css';
 
 const AddUserModal = ({ isOpen, onClose, onUserAdded }) => {
@@ -11,12 +14,18 @@ const AddUserModal = ({ isOpen, onClose, onUserAdded }) => {
     role: 'user'
   });
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setLoading(true);
     setError('');
+
+    const { valid, errors } = validate(schemas.user, formData);
+    setFieldErrors(errors);
+    if (!valid) return;
+
+    setLoading(true);
     try {
       const response = await adminAPI.createUser(formData);
       onUserAdded();
@@ -29,7 +38,8 @@ const AddUserModal = ({ isOpen, onClose, onUserAdded }) => {
         role: 'user'
       });
     } catch (error) {
-      setError(error.response?.data?.error || error.message || 'Failed to create user');
+      setFieldErrors(getFieldErrors(error));
+      setError(getErrorMessage(error, 'Failed to create user'));
     } finally {
       setLoading(false);
     }
@@ -44,6 +54,7 @@ const AddUserModal = ({ isOpen, onClose, onUserAdded }) => {
       role: 'user'
     });
     setError('');
+    setFieldErrors({});
   };
 
   const handleClose = () => {
@@ -81,13 +92,15 @@ const AddUserModal = ({ isOpen, onClose, onUserAdded }) => {
                 onChange={(e) => {
                   setFormData(prev => ({ ...prev, name: e.target.value }));
                   setError('');
+                  setFieldErrors(prev => ({ ...prev, name: undefined }));
                 }}
                 required
                 placeholder="Enter full name (20-60 characters)"
-                className="form-input"
+                className={`form-input ${fieldErrors.name ? 'input-error' : ''}`}
                 minLength="20"
                 maxLength="60"
               />
+              <FieldErrors messages={fieldErrors.name} className="field-error" />
             </div>
 
             <div className="form-group">
@@ -99,11 +112,13 @@ const AddUserModal = ({ isOpen, onClose, onUserAdded }) => {
                 onChange={(e) => {
                   setFormData(prev => ({ ...prev, email: e.target.value }));
                   setError('');
+                  setFieldErrors(prev => ({ ...prev, email: undefined }));
                 }}
                 required
                 placeholder="user@example.com"
-                className="form-input"
+                className={`form-input ${fieldErrors.email ? 'input-error' : ''}`}
               />
+              <FieldErrors messages={fieldErrors.email} className="field-error" />
             </div>
 
             <div className="form-group">
@@ -115,13 +130,15 @@ const AddUserModal = ({ isOpen, onClose, onUserAdded }) => {
                 onChange={(e) => {
                   setFormData(prev => ({ ...prev, password: e.target.value }));
                   setError('');
+                  setFieldErrors(prev => ({ ...prev, password: undefined }));
                 }}
                 required
                 placeholder="8-16 chars, uppercase & special character"
-                className="form-input"
+                className={`form-input ${fieldErrors.password ? 'input-error' : ''}`}
                 minLength="8"
                 maxLength="16"
               />
+              <FieldErrors messages={fieldErrors.password} className="field-error" />
             </div>
 
             <div className="form-group">
@@ -132,13 +149,15 @@ const AddUserModal = ({ isOpen, onClose, onUserAdded }) => {
                 onChange={(e) => {
                   setFormData(prev => ({ ...prev, address: e.target.value }));
                   setError('');
+                  setFieldErrors(prev => ({ ...prev, address: undefined }));
                 }}
                 required
                 placeholder="Enter complete address (max 400 characters)"
-                className="form-textarea"
+                className={`form-textarea ${fieldErrors.address ? 'input-error' : ''}`}
                 rows="3"
                 maxLength="400"
               />
+              <FieldErrors messages={fieldErrors.address} className="field-error" />
             </div>
 
             <div className="form-group">
@@ -187,9 +206,651 @@ const AddUserModal = ({ isOpen, onClose, onUserAdded }) => {
   );
 };
 
-const UserDetailsModal = ({ isOpen, onClose, user }) => {
+const StoreHandlingFields = ({ storeAction, reassignTo, onChange, storeCount }) => (
+  <div className="store-handling">
+    <p className="form-help">
+      This user owns {storeCount === undefined ? 'one or more' : storeCount} store{storeCount === 1 ? '' : 's'}.
+      Choose what happens to {storeCount === 1 ? 'it' : 'them'}:
+    </p>
+    <div className="form-group">
+      <label htmlFor="storeAction" className="form-label">Owned Stores</label>
+      <select
+        id="storeAction"
+        value={storeAction}
+        onChange={(e) => onChange({ storeAction: e.target.value, reassignTo })}
+        className="form-select"
+      >
+        <option value="orphan">Leave unassigned</option>
+        <option value="reassign">Reassign to another store owner</option>
+      </select>
+    </div>
+    {storeAction === 'reassign' && (
+      <div className="form-group">
+        <label htmlFor="reassignTo" className="form-label">New Owner ID</label>
+        <input
+          type="number"
+          id="reassignTo"
+          value={reassignTo}
+          onChange={(e) => onChange({ storeAction, reassignTo: e.target.value })}
+          required
+          placeholder="User ID of a store owner"
+          className="form-input"
+          min="1"
+        />
+      </div>
+    )}
+  </div>
+);
+
+const EditUserModal = ({ isOpen, onClose, user, onUserUpdated }) => {
+  const [formData, setFormData] = useState({
+    name: '',
+    email: '',
+    address: '',
+    role: 'user',
+    password: ''
+  });
+  const [storeHandling, setStoreHandling] = useState({ storeAction: 'orphan', reassignTo: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (user) {
+      setFormData({
+        name: user.name || '',
+        email: user.email || '',
+        address: user.address || '',
+        role: user.role || 'user',
+        password: ''
+      });
+      setStoreHandling({ storeAction: 'orphan', reassignTo: '' });
+      setError('');
+    }
+  }, [user]);
+
+  const leavingStoreOwnerRole = user?.role === 'store_owner' && formData.role !== 'store_owner';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const { password, ...fields } = formData;
+      const payload = { ...fields };
+      if (password) {
+        payload.password = password;
+      }
+      if (leavingStoreOwnerRole) {
+        payload.store_action = storeHandling.storeAction;
+        if (storeHandling.storeAction === 'reassign') {
+          payload.reassign_to = parseInt(storeHandling.reassignTo);
+        }
+      }
+      await adminAPI.updateUser(user.id, payload);
+      onUserUpdated();
+      onClose();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to update user'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen || !user) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3 className="modal-title">Edit User</h3>
+          <button onClick={onClose} className="close-button" type="button">
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <form onSubmit={handleSubmit} id="editUserForm">
+            {error && (
+              <div className="error-message">
+                <span className="error-icon">⚠️</span>
+                {error}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="editName" className="form-label">Full Name</label>
+              <input
+                type="text"
+                id="editName"
+                value={formData.name}
+                onChange={(e) => {
+                  setFormData(prev => ({ ...prev, name: e.target.value }));
+                  setError('');
+                }}
+                required
+                className="form-input"
+                minLength="20"
+                maxLength="60"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="editEmail" className="form-label">Email Address</label>
+              <input
+                type="email"
+                id="editEmail"
+                value={formData.email}
+                onChange={(e) => {
+                  setFormData(prev => ({ ...prev, email: e.target.value }));
+                  setError('');
+                }}
+                required
+                className="form-input"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="editPassword" className="form-label">New Password</label>
+              <input
+                type="password"
+                id="editPassword"
+                value={formData.password}
+                onChange={(e) => {
+                  setFormData(prev => ({ ...prev, password: e.target.value }));
+                  setError('');
+                }}
+                placeholder="Leave blank to keep the current password"
+                className="form-input"
+                minLength="8"
+                maxLength="16"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="editAddress" className="form-label">Address</label>
+              <textarea
+                id="editAddress"
+                value={formData.address}
+                onChange={(e) => {
+                  setFormData(prev => ({ ...prev, address: e.target.value }));
+                  setError('');
+                }}
+                required
+                className="form-textarea"
+                rows="3"
+                maxLength="400"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="editRole" className="form-label">Role</label>
+              <select
+                id="editRole"
+                value={formData.role}
+                onChange={(e) => setFormData(prev => ({ ...prev, role: e.target.value }))}
+                className="form-select"
+              >
+                <option value="user">User</option>
+                <option value="admin">Administrator</option>
+                <option value="store_owner">Store Owner</option>
+              </select>
+            </div>
+
+            {leavingStoreOwnerRole && (
+              <StoreHandlingFields
+                storeAction={storeHandling.storeAction}
+                reassignTo={storeHandling.reassignTo}
+                onChange={setStoreHandling}
+              />
+            )}
+          </form>
+        </div>
+
+        <div className="modal-footer">
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn btn-secondary"
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            form="editUserForm"
+            disabled={loading}
+            className="btn btn-primary"
+          >
+            {loading ? (
+              <>
+                <span className="loading-spinner-small"></span>
+                Saving...
+              </>
+            ) : (
+              'Save Changes'
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const DeleteUserModal = ({ isOpen, onClose, user, onUserDeleted }) => {
+  const [impact, setImpact] = useState(null);
+  const [storeHandling, setStoreHandling] = useState({ storeAction: 'orphan', reassignTo: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !user) return;
+
+    setImpact(null);
+    setError('');
+    setStoreHandling({ storeAction: 'orphan', reassignTo: '' });
+
+    adminAPI.getUserDeletionImpact(user.id)
+      .then(response => setImpact(response.data.data))
+      .catch(error => setError(getErrorMessage(error, 'Failed to load deletion impact')));
+  }, [isOpen, user]);
+
+  const handleDelete = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = {};
+      if (impact?.owned_stores?.length > 0) {
+        params.store_action = storeHandling.storeAction;
+        if (storeHandling.storeAction === 'reassign') {
+          params.reassign_to = storeHandling.reassignTo;
+        }
+      }
+      await adminAPI.deleteUser(user.id, params);
+      onUserDeleted();
+      onClose();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to delete user'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen || !user) return null;
+
+  const blocked = impact?.is_last_admin || impact?.is_self;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container modal-small" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3 className="modal-title">Delete User</h3>
+          <button onClick={onClose} className="close-button" type="button">
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {error && (
+            <div className="error-message">
+              <span className="error-icon">⚠️</span>
+              {error}
+            </div>
+          )}
+
+          <p>
+            Are you sure you want to delete <strong>{user.name}</strong> ({user.email})?
+            This cannot be undone.
+          </p>
+
+          {!impact && !error ? (
+            <div className="table-loading">
+              <span className="loading-spinner-small"></span>
+              Checking what will be removed...
+            </div>
+          ) : impact && (
+            <div className="cascade-summary">
+              <div className="detail-row">
+                <span className="detail-label">Ratings removed:</span>
+                <span className="detail-value">{impact.ratings_count}</span>
+              </div>
+              <div className="detail-row">
+                <span className="detail-label">Stores owned:</span>
+                <span className="detail-value">
+                  {impact.owned_stores.length > 0
+                    ? impact.owned_stores.map(store => store.name).join(', ')
+                    : 'None'}
+                </span>
+              </div>
+
+              {impact.is_last_admin && (
+                <p className="cascade-warning">This is the last remaining admin and cannot be deleted.</p>
+              )}
+              {impact.is_self && (
+                <p className="cascade-warning">You cannot delete your own account.</p>
+              )}
+
+              {!blocked && impact.owned_stores.length > 0 && (
+                <StoreHandlingFields
+                  storeAction={storeHandling.storeAction}
+                  reassignTo={storeHandling.reassignTo}
+                  onChange={setStoreHandling}
+                  storeCount={impact.owned_stores.length}
+                />
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn btn-secondary"
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleDelete}
+            disabled={loading || !impact || blocked}
+            className="btn btn-danger"
+          >
+            {loading ? (
+              <>
+                <span className="loading-spinner-small"></span>
+                Deleting...
+              </>
+            ) : (
+              'Delete User'
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const STATUS_LABELS = {
+  active: 'Active',
+  suspended: 'Suspended',
+  banned: 'Banned'
+};
+
+// Badge for accounts that can't sign in; active accounts show nothing
+const StatusBadge = ({ user }) => {
+  if (!user.status || user.status === 'active') return null;
+
+  const title = user.status === 'suspended'
+    ? `Until ${new Date(user.suspended_until).toLocaleString()}: ${user.status_reason}`
+    : user.status_reason;
+  return (
+    <span className={`status-badge status-${user.status}`} title={title}>
+      {STATUS_LABELS[user.status]}
+    </span>
+  );
+};
+
+// Value for a datetime-local input, in local time
+const toLocalInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const AccountStatusModal = ({ isOpen, onClose, user, onStatusUpdated }) => {
+  const [formData, setFormData] = useState({ status: 'suspended', reason: '', until: '', hideRatings: false });
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (user) {
+      const suspended = user.status === 'suspended';
+      setFormData({
+        status: user.status === 'active' || !user.status ? 'suspended' : user.status,
+        reason: user.status_reason || '',
+        until: toLocalInput(suspended ? new Date(user.suspended_until) : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)),
+        hideRatings: user.status === 'banned' && user.hidden_rating_count > 0
+      });
+      setError('');
+      setFieldErrors({});
+    }
+  }, [user]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const { valid, errors } = validate(schemas.accountStatus, formData);
+    if (formData.status !== 'active' && !formData.reason.trim()) {
+      errors.reason = ['A reason is required to suspend or ban an account'];
+    }
+    if (formData.status === 'suspended' && !(new Date(formData.until) > new Date())) {
+      errors.until = ['A suspension needs an end date in the future'];
+    }
+    setFieldErrors(errors);
+    if (!valid || Object.keys(errors).length > 0) return;
+
+    setLoading(true);
+    try {
+      const payload = { status: formData.status };
+      if (formData.status !== 'active') {
+        payload.reason = formData.reason.trim();
+      }
+      if (formData.status === 'suspended') {
+        payload.until = new Date(formData.until).toISOString();
+      }
+      if (formData.status === 'banned') {
+        payload.hide_ratings = formData.hideRatings;
+      }
+      await adminAPI.updateUserStatus(user.id, payload);
+      onStatusUpdated();
+      onClose();
+    } catch (error) {
+      setFieldErrors(getFieldErrors(error));
+      setError(getErrorMessage(error, 'Failed to update account status'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   if (!isOpen || !user) return null;
 
+  const isRestricted = user.status && user.status !== 'active';
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container modal-small" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3 className="modal-title">Account Status</h3>
+          <button onClick={onClose} className="close-button" type="button">
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <form onSubmit={handleSubmit} id="accountStatusForm">
+            {error && (
+              <div className="error-message">
+                <span className="error-icon">⚠️</span>
+                {error}
+              </div>
+            )}
+
+            <p>
+              {user.email} is currently <strong>{STATUS_LABELS[user.status || 'active'].toLowerCase()}</strong>.
+              Suspending or banning signs them out on every device.
+            </p>
+
+            <div className="form-group">
+              <label htmlFor="accountStatus" className="form-label">New Status</label>
+              <select
+                id="accountStatus"
+                value={formData.status}
+                onChange={(e) => setFormData(prev => ({ ...prev, status: e.target.value }))}
+                className="form-select"
+              >
+                {isRestricted && <option value="active">Active (reinstate)</option>}
+                <option value="suspended">Suspended</option>
+                <option value="banned">Banned</option>
+              </select>
+            </div>
+
+            {formData.status !== 'active' && (
+              <div className="form-group">
+                <label htmlFor="statusReason" className="form-label">Reason</label>
+                <textarea
+                  id="statusReason"
+                  value={formData.reason}
+                  onChange={(e) => setFormData(prev => ({ ...prev, reason: e.target.value }))}
+                  placeholder="Shown to the user when they try to sign in"
+                  className={`form-textarea ${fieldErrors.reason ? 'error' : ''}`}
+                  rows="3"
+                  maxLength="255"
+                />
+                <FieldErrors messages={fieldErrors.reason} />
+              </div>
+            )}
+
+            {formData.status === 'suspended' && (
+              <div className="form-group">
+                <label htmlFor="suspendedUntil" className="form-label">Suspended Until</label>
+                <input
+                  type="datetime-local"
+                  id="suspendedUntil"
+                  value={formData.until}
+                  min={toLocalInput(new Date())}
+                  onChange={(e) => setFormData(prev => ({ ...prev, until: e.target.value }))}
+                  className={`form-input ${fieldErrors.until ? 'error' : ''}`}
+                />
+                <FieldErrors messages={fieldErrors.until} />
+              </div>
+            )}
+
+            {formData.status === 'banned' && (
+              <div className="form-group">
+                <label htmlFor="hideRatings" className="status-checkbox">
+                  <input
+                    type="checkbox"
+                    id="hideRatings"
+                    checked={formData.hideRatings}
+                    onChange={(e) => setFormData(prev => ({ ...prev, hideRatings: e.target.checked }))}
+                  />
+                  {' '}Leave their ratings out of store averages
+                </label>
+              </div>
+            )}
+          </form>
+        </div>
+
+        <div className="modal-footer">
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn btn-secondary"
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            form="accountStatusForm"
+            disabled={loading}
+            className={`btn ${formData.status === 'active' ? 'btn-primary' : 'btn-danger'}`}
+          >
+            {loading ? 'Saving...' : formData.status === 'active' ? 'Reinstate' : `Mark ${STATUS_LABELS[formData.status]}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const UserDetailsModal = ({ isOpen, onClose, user, roles, canManageRoles, onTwoFactorReset, onRolesUpdated, onChangeStatus }) => {
+  const [error, setError] = useState('');
+  const [isResetting, setIsResetting] = useState(false);
+  const [isRevoking, setIsRevoking] = useState(false);
+  const [isSavingRoles, setIsSavingRoles] = useState(false);
+  const [grantedRoles, setGrantedRoles] = useState(user?.granted_roles || []);
+  const [message, setMessage] = useState('');
+
+  if (!isOpen || !user) return null;
+
+  const toggleGrantedRole = (name) => {
+    setMessage('');
+    setGrantedRoles(prev => (
+      prev.includes(name) ? prev.filter(r => r !== name) : [...prev, name]
+    ));
+  };
+
+  const saveRoles = async (storeAction) => {
+    const response = await adminAPI.updateUserRoles(user.id, grantedRoles, storeAction);
+    setMessage(response.data?.message || 'Roles updated');
+    onRolesUpdated();
+  };
+
+  const handleSaveRoles = async () => {
+    setIsSavingRoles(true);
+    setError('');
+    setMessage('');
+
+    try {
+      await saveRoles();
+    } catch (error) {
+      // Dropping the last role that lets them manage stores needs an explicit choice about those stores
+      if (error?.response?.data?.error?.code === 'STORES_STILL_OWNED') {
+        if (window.confirm(`${getErrorMessage(error)}\n\nUnassign their stores and continue?`)) {
+          try {
+            await saveRoles('orphan');
+          } catch (retryError) {
+            setError(getErrorMessage(retryError, 'Failed to update roles'));
+          }
+        }
+      } else {
+        setError(getErrorMessage(error, 'Failed to update roles'));
+      }
+    } finally {
+      setIsSavingRoles(false);
+    }
+  };
+
+  const grantableRoles = roles.filter(role => role.name !== user.role);
+
+  // Sign the user out on every device, e.g. when their account may be compromised
+  const handleRevokeSessions = async () => {
+    if (!window.confirm(`Sign ${user.email} out on every device?`)) return;
+
+    setIsRevoking(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await adminAPI.revokeUserSessions(user.id);
+      setMessage(response.data?.message || 'User signed out everywhere');
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to revoke sessions'));
+    } finally {
+      setIsRevoking(false);
+    }
+  };
+
+  // For users locked out of their authenticator app and recovery codes
+  const handleResetTwoFactor = async () => {
+    if (!window.confirm(`Turn off two-factor authentication for ${user.email}? They will have to set it up again if their role requires it.`)) return;
+
+    setIsResetting(true);
+    setError('');
+
+    try {
+      await adminAPI.resetUserTwoFactor(user.id);
+      onTwoFactorReset();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to reset two-factor authentication'));
+    } finally {
+      setIsResetting(false);
+    }
+  };
+
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-container modal-small" onClick={(e) => e.stopPropagation()}>
@@ -200,6 +861,17 @@ const UserDetailsModal = ({ isOpen, onClose, user }) => {
           </button>
         </div>
         <div className="modal-body">
+          {error && (
+            <div className="error-message">
+              <span className="error-icon">⚠️</span>
+              {error}
+            </div>
+          )}
+          {message && (
+            <div className="success-message">
+              {message}
+            </div>
+          )}
           <div className="user-details">
             <div className="detail-row">
               <span className="detail-label">ID:</span>
@@ -225,14 +897,89 @@ const UserDetailsModal = ({ isOpen, onClose, user }) => {
                 </span>
               </span>
             </div>
+            <div className="detail-row">
+              <span className="detail-label">Status:</span>
+              <span className="detail-value">
+                {STATUS_LABELS[user.status || 'active']}
+                {user.status === 'suspended' && ` until ${new Date(user.suspended_until).toLocaleString()}`}
+                {user.status_reason && <span className="status-reason"> — {user.status_reason}</span>}
+                {user.hidden_rating_count > 0 && (
+                  <span className="status-reason"> ({user.hidden_rating_count} ratings hidden from averages)</span>
+                )}{' '}
+                <button onClick={onChangeStatus} className="btn btn-outline btn-sm">
+                  Change
+                </button>
+              </span>
+            </div>
+            <div className="detail-row">
+              <span className="detail-label">Also Holds:</span>
+              <span className="detail-value">
+                {canManageRoles && grantableRoles.length > 0 ? (
+                  <>
+                    <span className="granted-role-options">
+                      {grantableRoles.map(role => (
+                        <label key={role.name} htmlFor={`grant-${role.name}`} title={role.description || ''}>
+                          <input
+                            id={`grant-${role.name}`}
+                            type="checkbox"
+                            checked={grantedRoles.includes(role.name)}
+                            onChange={() => toggleGrantedRole(role.name)}
+                            disabled={isSavingRoles}
+                          />
+                          {role.label}
+                        </label>
+                      ))}
+                    </span>
+                    <button
+                      onClick={handleSaveRoles}
+                      className="btn btn-outline btn-sm"
+                      disabled={isSavingRoles}
+                    >
+                      {isSavingRoles ? 'Saving...' : 'Save Roles'}
+                    </button>
+                  </>
+                ) : (
+                  (user.granted_roles || []).join(', ') || 'No other roles'
+                )}
+              </span>
+            </div>
             <div className="detail-row">
               <span className="detail-label">Created:</span>
               <span className="detail-value">
                 {new Date(user.created_at).toLocaleDateString()}
               </span>
             </div>
+            <div className="detail-row">
+              <span className="detail-label">Two-Factor:</span>
+              <span className="detail-value">
+                {user.totp_enabled_at ? (
+                  <>
+                    On since {new Date(user.totp_enabled_at).toLocaleDateString()}{' '}
+                    <button
+                      onClick={handleResetTwoFactor}
+                      className="btn btn-outline btn-sm"
+                      disabled={isResetting}
+                    >
+                      {isResetting ? 'Resetting...' : 'Reset'}
+                    </button>
+                  </>
+                ) : 'Off'}
+              </span>
+            </div>
+            <div className="detail-row">
+              <span className="detail-label">Sessions:</span>
+              <span className="detail-value">
+                <button
+                  onClick={handleRevokeSessions}
+                  className="btn btn-outline btn-sm"
+                  disabled={isRevoking}
+                >
+                  {isRevoking ? 'Signing out...' : 'Sign Out Everywhere'}
+                </button>
+              </span>
+            </div>
 
-            {user.role === 'store_owner' && (
+            {user.store_count !== undefined && (
               <>
                 <div className="detail-row">
                   <span className="detail-label">Stores:</span>
@@ -247,7 +994,7 @@ const UserDetailsModal = ({ isOpen, onClose, user }) => {
               </>
             )}
 
-            {user.role === 'user' && user.rating_count !== undefined && (
+            {user.rating_count !== undefined && (
               <div className="detail-row">
                 <span className="detail-label">Ratings Given:</span>
                 <span className="detail-value">{user.rating_count}</span>
@@ -266,7 +1013,10 @@ const UserDetailsModal = ({ isOpen, onClose, user }) => {
 };
 
 const UserManagement = () => {
+  const { hasPermission } = useAuth();
+  const canManageRoles = hasPermission('role:manage');
   const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
   const [loading, setLoading] = useState(false); // no full-page early return
   const [error, setError] = useState('');
   const [filters, setFilters] = useState({
@@ -274,12 +1024,16 @@ const UserManagement = () => {
     email: '',
     address: '',
     role: '',
+    status: '',
     sort: 'name:asc'
   });
   const [debouncedFilters, setDebouncedFilters] = useState(filters);
   const [showAddModal, setShowAddModal] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [editingUser, setEditingUser] = useState(null);
+  const [deletingUser, setDeletingUser] = useState(null);
+  const [statusUser, setStatusUser] = useState(null);
 
   // Debounce filter changes (300ms)
   useEffect(() => {
@@ -287,6 +1041,14 @@ const UserManagement = () => {
     return () => clearTimeout(t);
   }, [filters]);
 
+  // Roles feed the role filter and the details modal; without role:manage the built-in ones are listed
+  useEffect(() => {
+    if (!canManageRoles) return;
+    adminAPI.getRoles()
+      .then(response => setRoles(response.data?.data || []))
+      .catch(() => setRoles([]));
+  }, [canManageRoles]);
+
   // Fetch when debounced filters change
   useEffect(() => {
     fetchUsers(debouncedFilters);
@@ -314,7 +1076,7 @@ const UserManagement = () => {
       }
       setUsers(userData);
     } catch (error) {
-      setError(error.response?.data?.error || error.message || 'Failed to fetch users');
+      setError(getErrorMessage(error, 'Failed to fetch users'));
       setUsers([]);
     } finally {
       setLoading(false);
@@ -335,7 +1097,7 @@ const UserManagement = () => {
       setSelectedUser(response.data.data || response.data);
       setShowDetailsModal(true);
     } catch (error) {
-      alert('Failed to fetch user details: ' + (error.response?.data?.error || error.message));
+      alert(getErrorMessage(error, 'Failed to fetch user details'));
     } finally {
       setLoading(false);
     }
@@ -347,6 +1109,7 @@ const UserManagement = () => {
       email: '',
       address: '',
       role: '',
+      status: '',
       sort: 'name:asc'
     });
   };
@@ -422,9 +1185,27 @@ const UserManagement = () => {
             className="form-select"
           >
             <option value="">All Roles</option>
-            <option value="user">User</option>
-            <option value="admin">Administrator</option>
-            <option value="store_owner">Store Owner</option>
+            {roles.length > 0 ? (
+              roles.map(role => (
+                <option key={role.name} value={role.name}>{role.label}</option>
+              ))
+            ) : (
+              <>
+                <option value="user">User</option>
+                <option value="admin">Administrator</option>
+                <option value="store_owner">Store Owner</option>
+              </>
+            )}
+          </select>
+          <select
+            value={filters.status}
+            onChange={(e) => handleFilterChange('status', e.target.value)}
+            className="form-select"
+          >
+            <option value="">All Statuses</option>
+            <option value="active">Active</option>
+            <option value="suspended">Suspended</option>
+            <option value="banned">Banned</option>
           </select>
           <select
             value={filters.sort}
@@ -502,6 +1283,7 @@ const UserManagement = () => {
                       <td className="name-cell">
                         <div className="user-info">
                           <span className="user-name">{user.name || 'N/A'}</span>
+                          <StatusBadge user={user} />
                         </div>
                       </td>
                       <td>{user.email || 'N/A'}</td>
@@ -514,15 +1296,36 @@ const UserManagement = () => {
                         <span className={`role-badge role-${user.role || 'unknown'}`}>
                           {user.role ? user.role.replace('_', ' ') : 'Unknown'}
                         </span>
+                        {user.granted_roles?.length > 0 && (
+                          <span className="granted-roles" title={user.granted_roles.join(', ')}>
+                            +{user.granted_roles.length}
+                          </span>
+                        )}
                       </td>
                       <td>
-                        <button
-                          onClick={() => viewUserDetails(user.id)}
-                          className="btn btn-outline btn-sm"
-                          disabled={loading || !user.id}
-                        >
-                          View Details
-                        </button>
+                        <div className="row-actions">
+                          <button
+                            onClick={() => viewUserDetails(user.id)}
+                            className="btn btn-outline btn-sm"
+                            disabled={loading || !user.id}
+                          >
+                            View Details
+                          </button>
+                          <button
+                            onClick={() => setEditingUser(user)}
+                            className="btn btn-outline btn-sm"
+                            disabled={loading || !user.id}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => setDeletingUser(user)}
+                            className="btn btn-danger btn-sm"
+                            disabled={loading || !user.id}
+                          >
+                            Delete
+                          </button>
+                        </div>
                       </td>
                     </tr>
                   );
@@ -539,13 +1342,43 @@ const UserManagement = () => {
         onUserAdded={() => fetchUsers(debouncedFilters)}
       />
 
+      <EditUserModal
+        isOpen={!!editingUser}
+        onClose={() => setEditingUser(null)}
+        user={editingUser}
+        onUserUpdated={() => fetchUsers(debouncedFilters)}
+      />
+
+      <DeleteUserModal
+        isOpen={!!deletingUser}
+        onClose={() => setDeletingUser(null)}
+        user={deletingUser}
+        onUserDeleted={() => fetchUsers(debouncedFilters)}
+      />
+
       <UserDetailsModal
+        key={selectedUser?.id}
         isOpen={showDetailsModal}
         onClose={() => {
           setShowDetailsModal(false);
           setSelectedUser(null);
         }}
         user={selectedUser}
+        roles={roles}
+        canManageRoles={canManageRoles}
+        onTwoFactorReset={() => setSelectedUser(prev => ({ ...prev, totp_enabled_at: null }))}
+        onRolesUpdated={() => fetchUsers(debouncedFilters)}
+        onChangeStatus={() => {
+          setShowDetailsModal(false);
+          setStatusUser(selectedUser);
+        }}
+      />
+
+      <AccountStatusModal
+        isOpen={!!statusUser}
+        onClose={() => setStatusUser(null)}
+        user={statusUser}
+        onStatusUpdated={() => fetchUsers(debouncedFilters)}
       />
     </div>
   );
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI, getErrorMessage } from '../../services/api';
+import './Auth.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email.trim()) {
+      setError('Email is required');
+      return;
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      await authAPI.forgotPassword(email.trim());
+      setSent(true);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      setError(getErrorMessage(error, 'Failed to send reset link. Please try again.'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Forgot Password</h1>
+          <p>We'll email you a link to reset it</p>
+        </div>
+
+        {sent ? (
+          <div className="success-message">
+            If an account exists for {email.trim()}, a password reset link is on its way.
+            The link expires in one hour.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="email">Email Address</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setError('');
+                }}
+                className={`form-input ${error ? 'error' : ''}`}
+                placeholder="Enter your account email"
+                disabled={isSubmitting}
+                autoComplete="email"
+              />
+              {error && (
+                <span className="error-text">{error}</span>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            Remembered it?{' '}
+            <Link to="/login" className="auth-link">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
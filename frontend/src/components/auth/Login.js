@@ -1,12 +1,14 @@
 import React, { useState } from 'react';
 import { useNavigate, Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { authAPI, getErrorMessage } from '../../services/api';
+import TwoFactorStep from './TwoFactorStep';
 import './Auth.css';
 
 const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login } = useAuth();
+  const { login, completeLogin } = useAuth();
 
   const [formData, setFormData] = useState({
     email: '',
@@ -16,8 +18,10 @@ const Login = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showErrorPopup, setShowErrorPopup] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
+  const [notice, setNotice] = useState('');
+  const [twoFactor, setTwoFactor] = useState(null);
 
-  const successMessage = location.state?.message;
+  const successMessage = notice || location.state?.message;
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -61,6 +65,31 @@ const Login = () => {
     }, 5000);
   };
 
+  // For accounts that lost or never received their verification email
+  const handleResendVerification = async () => {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+      setErrors({ email: 'Enter your email address above first' });
+      return;
+    }
+
+    try {
+      await authAPI.resendVerification(formData.email.trim());
+      setNotice(`If ${formData.email.trim()} still needs verifying, a new link is on its way.`);
+    } catch (error) {
+      setErrors({ submit: getErrorMessage(error, 'Failed to resend the verification email') });
+    }
+  };
+
+  const redirectAfterLogin = () => {
+    const from = location.state?.from?.pathname || '/';
+    navigate(from, { replace: true });
+  };
+
+  const handleTwoFactorComplete = (session) => {
+    completeLogin(session);
+    redirectAfterLogin();
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -76,8 +105,9 @@ const Login = () => {
       
       if (result.success) {
         console.log('Login successful, redirecting...');
-        const from = location.state?.from?.pathname || '/';
-        navigate(from, { replace: true });
+        redirectAfterLogin();
+      } else if (result.twoFactor) {
+        setTwoFactor(result.twoFactor);
       } else {
         console.log('Login failed:', result.error);
         showErrorWithPopup(result.error || 'Login failed. Please check your credentials.');
@@ -89,9 +119,7 @@ const Login = () => {
       let errorMessage = 'Invalid email or password';
       
       if (error.response) {
-        errorMessage = error.response.data?.message || 
-                      error.response.data?.error || 
-                      `Server Error: ${error.response.status}`;
+        errorMessage = getErrorMessage(error, `Server Error: ${error.response.status}`);
       } else if (error.message) {
         errorMessage = error.message;
       }
@@ -103,6 +131,20 @@ const Login = () => {
     }
   };
 
+  if (twoFactor) {
+    return (
+      <TwoFactorStep
+        stage={twoFactor.stage}
+        challengeToken={twoFactor.challengeToken}
+        onComplete={handleTwoFactorComplete}
+        onCancel={() => {
+          setTwoFactor(null);
+          setFormData(prev => ({ ...prev, password: '' }));
+        }}
+      />
+    );
+  }
+
   return (
     <div className="auth-container">
       {/* Error Popup */}
@@ -182,6 +224,9 @@ const Login = () => {
             {errors.password && (
               <span className="error-text">{errors.password}</span>
             )}
+            <Link to="/forgot-password" className="auth-link forgot-link">
+              Forgot password?
+            </Link>
           </div>
 
           <button 
@@ -207,6 +252,12 @@ const Login = () => {
               Create one
             </Link>
           </p>
+          <p>
+            Didn't get your verification email?{' '}
+            <button type="button" onClick={handleResendVerification} className="auth-link link-button">
+              Send it again
+            </button>
+          </p>
         </div>
       </div>
     </div>
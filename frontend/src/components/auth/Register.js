@@ -1,11 +1,12 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
-import { authAPI } from '../../services/api';
+import { Link } from 'react-router-dom';
+import { schemas, validate } from 'ratings-app-shared';
+import { authAPI, getErrorMessage, getFieldErrors } from '../../services/api';
+import FieldErrors from '../common/FieldErrors';
+import VerificationNotice from './VerificationNotice';
 import './Auth.css';
 
 const Register = () => {
-  const navigate = useNavigate();
-
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -16,13 +17,14 @@ const Register = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showErrorPopup, setShowErrorPopup] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
+  const [registeredEmail, setRegisteredEmail] = useState('');
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
     // Clear error for this field when user starts typing
     if (errors[name]) {
-      setErrors(prev => ({ ...prev, [name]: '' }));
+      setErrors(prev => ({ ...prev, [name]: undefined }));
     }
     // Hide error popup when user starts typing
     if (showErrorPopup) {
@@ -32,34 +34,9 @@ const Register = () => {
   };
 
   const validateForm = () => {
-    const newErrors = {};
-
-    if (!formData.name.trim()) {
-      newErrors.name = 'Name is required';
-    } else if (formData.name.trim().length < 20 || formData.name.trim().length > 60) {
-      newErrors.name = 'Name must be 20-60 characters long';
-    }
-
-    if (!formData.email.trim()) {
-      newErrors.email = 'Email is required';
-    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
-      newErrors.email = 'Please enter a valid email address';
-    }
-
-    if (!formData.address.trim()) {
-      newErrors.address = 'Address is required';
-    } else if (formData.address.trim().length > 400) {
-      newErrors.address = 'Address cannot exceed 400 characters';
-    }
-
-    if (!formData.password) {
-      newErrors.password = 'Password is required';
-    } else if (!/^(?=.*[A-Z])(?=.*[!@#$%^&*()_+\-=\[\]{};':"\\|,./<>?])(?=.{8,16}$)/.test(formData.password)) {
-      newErrors.password = 'Password must be 8-16 characters with at least one uppercase letter and one special character';
-    }
-
-    setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+    const { valid, errors: fieldErrors } = validate(schemas.register, formData);
+    setErrors(fieldErrors);
+    return valid;
   };
 
   const handleSubmit = async (e) => {
@@ -72,18 +49,16 @@ const Register = () => {
     
     try {
       await authAPI.register(formData);
-      navigate('/login', { 
-        state: { message: 'Account created successfully! Please sign in.' }
-      });
+      setRegisteredEmail(formData.email.trim());
     } catch (error) {
       console.error('Registration error:', error);
       
       let errorMsg = 'Registration failed. Please try again.';
       
       if (error.response) {
-        errorMsg = error.response.data?.message || 
-                  error.response.data?.error || 
-                  `Error: ${error.response.status}`;
+        // Highlight the fields the server rejected as well
+        setErrors(getFieldErrors(error));
+        errorMsg = getErrorMessage(error, `Error: ${error.response.status}`);
       } else if (error.message) {
         errorMsg = error.message;
       }
@@ -100,6 +75,30 @@ const Register = () => {
     setErrorMessage('');
   };
 
+  if (registeredEmail) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <div className="auth-header">
+            <h1>Check Your Email</h1>
+            <p>One more step to activate your account</p>
+          </div>
+
+          <VerificationNotice email={registeredEmail} />
+
+          <div className="auth-footer">
+            <p>
+              Verified already?{' '}
+              <Link to="/login" className="auth-link">
+                Sign in
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       {/* Error Popup Modal */}
@@ -142,9 +141,7 @@ const Register = () => {
               placeholder="Enter your full name (20-60 characters)"
               disabled={isSubmitting}
             />
-            {errors.name && (
-              <span className="error-text">{errors.name}</span>
-            )}
+            <FieldErrors messages={errors.name} />
           </div>
 
           <div className="form-group">
@@ -159,9 +156,7 @@ const Register = () => {
               placeholder="Enter your email"
               disabled={isSubmitting}
             />
-            {errors.email && (
-              <span className="error-text">{errors.email}</span>
-            )}
+            <FieldErrors messages={errors.email} />
           </div>
 
           <div className="form-group">
@@ -176,9 +171,7 @@ const Register = () => {
               rows="3"
               disabled={isSubmitting}
             />
-            {errors.address && (
-              <span className="error-text">{errors.address}</span>
-            )}
+            <FieldErrors messages={errors.address} />
           </div>
 
           <div className="form-group">
@@ -193,9 +186,7 @@ const Register = () => {
               placeholder="Create a strong password"
               disabled={isSubmitting}
             />
-            {errors.password && (
-              <span className="error-text">{errors.password}</span>
-            )}
+            <FieldErrors messages={errors.password} />
             <small className="form-hint">
               8-16 characters with uppercase letter and special character
             </small>
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { schemas, validate } from 'ratings-app-shared';
+import { authAPI, getErrorMessage, getFieldErrors } from '../../services/api';
+import FieldErrors from '../common/FieldErrors';
+import './Auth.css';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [formData, setFormData] = useState({
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name] || errors.submit) {
+      setErrors(prev => ({ ...prev, [name]: undefined, submit: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    // The token comes from the link, so only the password half of the schema applies here
+    const { errors: newErrors } = validate({ newPassword: schemas.resetPassword.newPassword }, formData);
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      newErrors.confirmPassword = ['Passwords do not match'];
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    setIsSubmitting(true);
+
+    try {
+      await authAPI.resetPassword({ token, newPassword: formData.newPassword });
+      navigate('/login', {
+        state: { message: 'Password reset successfully! Please sign in with your new password.' }
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      setErrors({
+        ...getFieldErrors(error),
+        submit: getErrorMessage(error, 'Failed to reset password. Please try again.')
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <div className="auth-header">
+            <h1>Invalid Link</h1>
+            <p>This password reset link is missing its token.</p>
+          </div>
+          <div className="auth-footer">
+            <p>
+              <Link to="/forgot-password" className="auth-link">
+                Request a new reset link
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Reset Password</h1>
+          <p>Choose a new password for your account</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          {errors.submit && (
+            <div className="error-message">
+              <span className="error-icon">⚠️</span>
+              {errors.submit}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="newPassword">New Password</label>
+            <input
+              type="password"
+              id="newPassword"
+              name="newPassword"
+              value={formData.newPassword}
+              onChange={handleChange}
+              className={`form-input ${errors.newPassword ? 'error' : ''}`}
+              placeholder="Create a strong password"
+              disabled={isSubmitting}
+              autoComplete="new-password"
+            />
+            <FieldErrors messages={errors.newPassword} />
+            <small className="form-hint">
+              8-16 characters with uppercase letter and special character
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm New Password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              className={`form-input ${errors.confirmPassword ? 'error' : ''}`}
+              placeholder="Repeat the new password"
+              disabled={isSubmitting}
+              autoComplete="new-password"
+            />
+            <FieldErrors messages={errors.confirmPassword} />
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Resetting...' : 'Reset Password'}
+          </button>
+        </form>
+
+        <div className="auth-footer">
+          <p>
+            <Link to="/login" className="auth-link">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
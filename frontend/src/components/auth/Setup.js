@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { schemas, validate } from 'ratings-app-shared';
+import { authAPI, getErrorMessage, getFieldErrors } from '../../services/api';
+import FieldErrors from '../common/FieldErrors';
+import LoadingSpinner from '../common/LoadingSpinner';
+import './Auth.css';
+
+// First-run setup: the server prints a /setup?token=... link at startup while no admin exists
+const Setup = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [setupRequired, setSetupRequired] = useState(null);
+  const [formData, setFormData] = useState({
+    name: '',
+    email: '',
+    address: '',
+    password: ''
+  });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    authAPI.getSetupStatus()
+      .then(response => setSetupRequired(Boolean(response.data?.data?.setupRequired)))
+      .catch(() => setSetupRequired(false));
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name] || errors.submit) {
+      setErrors(prev => ({ ...prev, [name]: undefined, submit: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const { valid, errors: fieldErrors } = validate(schemas.register, formData);
+    setErrors(fieldErrors);
+    return valid;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    setIsSubmitting(true);
+
+    try {
+      await authAPI.registerAdmin({ ...formData, setupToken: token });
+      navigate('/login', {
+        state: { message: 'Setup complete! Sign in with your new admin account.' }
+      });
+    } catch (error) {
+      console.error('Setup error:', error);
+      setErrors({
+        ...getFieldErrors(error),
+        submit: getErrorMessage(error, 'Setup failed. Please try again.')
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (setupRequired === null) {
+    return <LoadingSpinner message="Checking setup..." />;
+  }
+
+  if (!setupRequired || !token) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <div className="auth-header">
+            <h1>{setupRequired ? 'Invalid Link' : 'Setup Complete'}</h1>
+            <p>
+              {setupRequired
+                ? 'Open the setup link printed in the server log when it started.'
+                : 'This application has already been set up.'}
+            </p>
+          </div>
+          <div className="auth-footer">
+            <p>
+              <Link to="/login" className="auth-link">
+                Go to sign in
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Welcome</h1>
+          <p>Create the administrator account to finish setting up</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          {errors.submit && (
+            <div className="error-message">
+              <span className="error-icon">⚠️</span>
+              {errors.submit}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="name">Full Name</label>
+            <input
+              type="text"
+              id="name"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              className={`form-input ${errors.name ? 'error' : ''}`}
+              placeholder="Enter your full name (20-60 characters)"
+              disabled={isSubmitting}
+            />
+            <FieldErrors messages={errors.name} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="email">Email Address</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={formData.email}
+              onChange={handleChange}
+              className={`form-input ${errors.email ? 'error' : ''}`}
+              placeholder="Enter your email"
+              disabled={isSubmitting}
+            />
+            <FieldErrors messages={errors.email} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="address">Address</label>
+            <textarea
+              id="address"
+              name="address"
+              value={formData.address}
+              onChange={handleChange}
+              className={`form-input form-textarea ${errors.address ? 'error' : ''}`}
+              placeholder="Enter your address (max 400 characters)"
+              rows="3"
+              disabled={isSubmitting}
+            />
+            <FieldErrors messages={errors.address} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="password">Password</label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              className={`form-input ${errors.password ? 'error' : ''}`}
+              placeholder="Create a strong password"
+              disabled={isSubmitting}
+              autoComplete="new-password"
+            />
+            <FieldErrors messages={errors.password} />
+            <small className="form-hint">
+              8-16 characters with uppercase letter and special character
+            </small>
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Creating Admin...' : 'Create Admin Account'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Setup;
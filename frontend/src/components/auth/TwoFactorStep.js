@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { twoFactorAPI, getErrorMessage } from '../../services/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+import './Auth.css';
+
+// Second step of login, after the password was accepted.
+// 'verify': enter a code from the authenticator app, or a recovery code.
+// 'enrol': the user's role requires 2FA and they have not set it up yet, so they do that first.
+// onComplete receives the session; the recovery codes from enrolment are shown before handing it over,
+// because signing in navigates away from this page.
+const TwoFactorStep = ({ stage, challengeToken, onComplete, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrolment, setEnrolment] = useState(null);
+  const [enrolled, setEnrolled] = useState(null);
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (stage !== 'enrol') return;
+
+    twoFactorAPI.setup(challengeToken)
+      .then(response => setEnrolment(response.data.data))
+      .catch(error => setError(getErrorMessage(error, 'Failed to start two-factor setup')));
+  }, [stage, challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const value = code.trim();
+    if (!value) {
+      setError(useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the 6-digit code from your app');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      if (stage === 'enrol') {
+        const response = await twoFactorAPI.enable(value, challengeToken);
+        setEnrolled(response.data.data);
+      } else {
+        const response = await twoFactorAPI.challenge(
+          useRecoveryCode ? { challengeToken, recoveryCode: value } : { challengeToken, code: value }
+        );
+        onComplete(response.data.data);
+      }
+    } catch (error) {
+      setError(getErrorMessage(error, 'The code is incorrect or has expired'));
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(prev => !prev);
+    setCode('');
+    setError('');
+  };
+
+  if (enrolled) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <div className="auth-header">
+            <h1>Save Your Recovery Codes</h1>
+            <p>Each code signs you in once if you lose your authenticator app. They won't be shown again.</p>
+          </div>
+
+          <ul className="recovery-codes">
+            {enrolled.recoveryCodes.map(recoveryCode => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+
+          <button onClick={() => onComplete(enrolled)} className="btn btn-primary">
+            I've saved them, continue
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (stage === 'enrol' && !enrolment && !error) {
+    return <LoadingSpinner message="Preparing two-factor setup..." />;
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>{stage === 'enrol' ? 'Set Up Two-Factor' : 'Two-Factor Authentication'}</h1>
+          <p>
+            {stage === 'enrol'
+              ? 'Your account requires two-factor authentication. Scan this QR code with an authenticator app, then enter the code it shows.'
+              : useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+          </p>
+        </div>
+
+        {enrolment && (
+          <div className="two-factor-qr">
+            <img src={enrolment.qrCode} alt="QR code for your authenticator app" />
+            <p>
+              Can't scan it? Enter this key instead:
+              <code>{enrolment.secret}</code>
+            </p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          {error && (
+            <div className="error-message">
+              <span className="error-icon">⚠️</span>
+              {error}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="code">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+            <input
+              type="text"
+              id="code"
+              name="code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={`form-input ${error ? 'error' : ''}`}
+              placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              disabled={isSubmitting}
+              autoFocus
+            />
+          </div>
+
+          <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+            {isSubmitting ? 'Checking...' : stage === 'enrol' ? 'Turn On and Sign In' : 'Verify'}
+          </button>
+        </form>
+
+        <div className="auth-footer">
+          {stage === 'verify' && (
+            <p>
+              {useRecoveryCode ? 'Have your phone?' : 'Lost your authenticator app?'}{' '}
+              <button type="button" onClick={toggleRecoveryCode} className="auth-link link-button">
+                {useRecoveryCode ? 'Use an authentication code' : 'Use a recovery code'}
+              </button>
+            </p>
+          )}
+          <p>
+            <button type="button" onClick={onCancel} className="auth-link link-button">
+              Back to sign in
+            </button>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorStep;
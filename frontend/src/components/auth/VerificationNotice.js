@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { authAPI, getErrorMessage } from '../../services/api';
+
+// "Check your inbox" panel shared by Register and Login, with a button to send the link again
+const VerificationNotice = ({ email, children }) => {
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  const handleResend = async () => {
+    setIsSending(true);
+    setStatus('');
+    setError('');
+
+    try {
+      await authAPI.resendVerification(email);
+      setStatus('A new verification link is on its way.');
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to resend the verification email. Please try again.'));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="auth-form">
+      <div className="success-message">
+        We sent a verification link to {email}. Until you follow it you can browse stores, but not rate them.
+      </div>
+
+      {status && <p className="form-hint">{status}</p>}
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={handleResend}
+        className="btn btn-outline"
+        disabled={isSending}
+      >
+        {isSending ? 'Sending...' : 'Resend Verification Email'}
+      </button>
+
+      {children}
+    </div>
+  );
+};
+
+export default VerificationNotice;
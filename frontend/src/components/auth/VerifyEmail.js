@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI, profileAPI, getErrorMessage } from '../../services/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+import './Auth.css';
+
+// Landing page for the link in the verification email
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, updateUser } = useAuth();
+
+  const [verifying, setVerifying] = useState(Boolean(token));
+  const [error, setError] = useState(token ? '' : 'This verification link is missing its token.');
+  // True when the link confirmed a new address from the profile page rather than a new account
+  const [emailChanged, setEmailChanged] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+
+    authAPI.verifyEmail(token)
+      .then(response => {
+        setError('');
+        setEmailChanged(Boolean(response.data?.data?.emailChanged));
+      })
+      .catch(error => setError(getErrorMessage(error, 'Failed to verify your email. Please try again.')))
+      .finally(() => setVerifying(false));
+  }, [token]);
+
+  // A signed-in user who verified in this browser can rate straight away
+  useEffect(() => {
+    if (!verifying && !error && user && !user.email_verified_at) {
+      updateUser({ email_verified_at: new Date().toISOString() });
+    }
+  }, [verifying, error, user, updateUser]);
+
+  // Pick up the new address if the change was confirmed in a signed-in browser
+  useEffect(() => {
+    if (!emailChanged || !user) return;
+    profileAPI.get()
+      .then(response => updateUser({ email: response.data?.data?.email }))
+      .catch(() => {});
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [emailChanged]);
+
+  if (verifying) {
+    return <LoadingSpinner message="Verifying your email..." />;
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>{error ? 'Verification Failed' : emailChanged ? 'Email Changed' : 'Email Verified'}</h1>
+          <p>{error ? 'We could not confirm your email address' : 'Thanks for confirming your email address'}</p>
+        </div>
+
+        {error ? (
+          <div className="error-message">
+            <span className="error-icon">⚠️</span>
+            {error}
+          </div>
+        ) : emailChanged ? (
+          <div className="success-message">
+            Your new email address is confirmed. Use it to sign in from now on.
+          </div>
+        ) : (
+          <div className="success-message">
+            Your account is fully active. You can now rate stores.
+          </div>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link to={user ? '/' : '/login'} className="auth-link">
+              {user ? 'Continue to your dashboard' : 'Go to sign in'}
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
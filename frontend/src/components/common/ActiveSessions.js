@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI, getErrorMessage } from '../../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import './ActiveSessions.css';
+
+// A readable name for a session from its user agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return userAgent;
+  return [browser?.[0] || 'Browser', os && `on ${os[0]}`].filter(Boolean).join(' ');
+};
+
+// Every device the signed-in user is logged in on, whatever their role
+const ActiveSessions = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await authAPI.getSessions();
+      setSessions(response.data?.data || []);
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to load your sessions'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current && !window.confirm('This is the device you are using now. Sign out?')) return;
+
+    try {
+      setError('');
+      setMessage('');
+      await authAPI.revokeSession(session.id);
+      if (session.current) {
+        logout();
+        return;
+      }
+      setMessage(`Signed out ${describeDevice(session.user_agent)}.`);
+      fetchSessions();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to sign out that session'));
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+
+    try {
+      setError('');
+      setMessage('');
+      const response = await authAPI.revokeOtherSessions();
+      const revoked = response.data?.data?.revoked || 0;
+      setMessage(revoked === 1 ? 'Signed out of 1 other device.' : `Signed out of ${revoked} other devices.`);
+      fetchSessions();
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to sign out other devices'));
+    }
+  };
+
+  if (loading && sessions.length === 0) {
+    return <LoadingSpinner message="Loading your sessions..." />;
+  }
+
+  const hasOthers = sessions.some(session => !session.current);
+
+  return (
+    <div className="active-sessions">
+      <div className="active-sessions-header">
+        <div>
+          <h2>Where You're Signed In</h2>
+          <p>Sign out of any device you don't recognise, then change your password.</p>
+        </div>
+        {hasOthers && (
+          <button onClick={handleRevokeOthers} className="btn btn-outline">
+            Sign Out Other Devices
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="success-message">
+          {message}
+        </div>
+      )}
+
+      <ul className="session-list">
+        {sessions.map(session => (
+          <li key={session.id} className={`session-item ${session.current ? 'current' : ''}`}>
+            <div className="session-details">
+              <span className="session-device">
+                {describeDevice(session.user_agent)}
+                {session.current && <span className="session-current-badge">This device</span>}
+              </span>
+              <span className="session-meta">
+                {session.ip_address || 'Unknown IP'}
+                {' · '}
+                Last active {new Date(session.last_seen_at).toLocaleString()}
+                {' · '}
+                Signed in {new Date(session.created_at).toLocaleDateString()}
+              </span>
+            </div>
+            <button onClick={() => handleRevoke(session)} className="btn btn-outline btn-sm">
+              Sign Out
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import { publicAPI } from '../../services/api';
+import './CategoryChips.css';
+
+// Toggleable category filter. `selected` is an array of category slugs.
+const CategoryChips = ({ selected, onChange }) => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    publicAPI.getCategories()
+      .then(response => setCategories(response.data?.data || []))
+      .catch(error => console.error('Failed to fetch categories:', error));
+  }, []);
+
+  const toggle = (slug) => {
+    onChange(selected.includes(slug)
+      ? selected.filter(item => item !== slug)
+      : [...selected, slug]);
+  };
+
+  if (categories.length === 0) return null;
+
+  return (
+    <div className="category-chips">
+      <button
+        type="button"
+        onClick={() => onChange([])}
+        className={`category-chip ${selected.length === 0 ? 'active' : ''}`}
+      >
+        All
+      </button>
+      {categories.map(category => (
+        <button
+          key={category.id}
+          type="button"
+          onClick={() => toggle(category.slug)}
+          className={`category-chip ${selected.includes(category.slug) ? 'active' : ''}`}
+        >
+          {category.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export const CategoryTags = ({ categories }) => {
+  if (!categories || categories.length === 0) return null;
+
+  return (
+    <div className="category-tags">
+      {categories.map(category => (
+        <span key={category.id} className="category-tag">{category.name}</span>
+      ))}
+    </div>
+  );
+};
+
+export default CategoryChips;
@@ -0,0 +1,14 @@
+import React from 'react';
+
+// Renders the per-field messages produced by validate() from ratings-app-shared, one line each.
+// Also accepts the { errors } a 400 response carries, since the API uses the same format.
+const FieldErrors = ({ messages, className = 'error-text' }) => {
+  if (!messages || messages.length === 0) return null;
+
+  const list = Array.isArray(messages) ? messages : [messages];
+  return list.map(message => (
+    <span key={message} className={className}>{message}</span>
+  ));
+};
+
+export default FieldErrors;
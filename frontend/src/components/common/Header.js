@@ -1,9 +1,12 @@
 import React from 'react';
+import { Link, NavLink } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import NotificationBell from './NotificationBell';
+import { DASHBOARDS } from './dashboards';
 import './Header.css';
 
 const Header = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
 
   const handleLogout = () => {
     if (window.confirm('Are you sure you want to logout?')) {
@@ -39,6 +42,9 @@ const Header = () => {
 
   if (!user) return null;
 
+  // Only worth showing when extra roles open more than one area
+  const dashboards = DASHBOARDS.filter(dashboard => hasPermission(...dashboard.permissions));
+
   return (
     <header className="app-header">
       <div className="header-container">
@@ -48,17 +54,29 @@ const Header = () => {
               ⭐ RatingsApp
             </h1>
           </div>
+          {dashboards.length > 1 && (
+            <nav className="header-nav">
+              {dashboards.map(dashboard => (
+                <NavLink key={dashboard.path} to={dashboard.path} className="header-nav-link">
+                  {dashboard.label}
+                </NavLink>
+              ))}
+            </nav>
+          )}
         </div>
         
         <div className="header-right">
+          <NotificationBell />
           <div className="user-info">
             <div className="user-details">
               <span className="user-name">{user.name}</span>
               <span 
                 className="user-role"
                 style={{ color: getRoleColor(user.role) }}
+                title={user.roles?.length > 1 ? `Roles: ${user.roles.join(', ')}` : undefined}
               >
                 {getRoleDisplayName(user.role)}
+                {user.roles?.length > 1 && ` +${user.roles.length - 1}`}
               </span>
             </div>
             <div className="user-avatar">
@@ -66,6 +84,14 @@ const Header = () => {
             </div>
           </div>
           
+          <Link to="/profile" className="header-link" title="Your name, email and address">
+            Profile
+          </Link>
+          
+          <Link to="/sessions" className="header-link" title="Devices you are signed in on">
+            Devices
+          </Link>
+          
           <button 
             onClick={handleLogout}
             className="logout-btn"
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { notificationsAPI } from '../../services/api';
+import './NotificationBell.css';
+
+const POLL_INTERVAL_MS = 60000;
+
+const NotificationBell = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await notificationsAPI.getNotifications({ limit: 10 });
+      setNotifications(response.data?.data || []);
+      setUnreadCount(response.data?.meta?.unread_count || 0);
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleRead = async (notification) => {
+    if (notification.read_at) return;
+
+    try {
+      await notificationsAPI.markRead(notification.id);
+      fetchNotifications();
+    } catch (error) {
+      console.error('Failed to mark notification as read:', error);
+    }
+  };
+
+  const handleReadAll = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      fetchNotifications();
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
+  return (
+    <div className="notification-bell">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="bell-button"
+        title="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && <span className="bell-badge">{unreadCount > 9 ? '9+' : unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <span>Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={handleReadAll} className="mark-all-button">
+                Mark all read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="notification-empty">You're all caught up</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li
+                  key={notification.id}
+                  className={`notification-item ${notification.read_at ? '' : 'unread'}`}
+                  onClick={() => handleRead(notification)}
+                >
+                  <span className="notification-message">{notification.message}</span>
+                  <span className="notification-date">
+                    {new Date(notification.created_at).toLocaleString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { schemas, validate } from 'ratings-app-shared';
+import { useAuth } from '../../context/AuthContext';
+import { profileAPI, getErrorMessage, getFieldErrors } from '../../services/api';
+import FieldErrors from './FieldErrors';
+import LoadingSpinner from './LoadingSpinner';
+import './Profile.css';
+
+const PROFILE_FIELDS = ['name', 'email', 'address'];
+
+const formFrom = (profile) => ({ name: profile.name, email: profile.email, address: profile.address || '' });
+
+// The signed-in user's own details, whatever their role. Only changed fields are sent,
+// and a new email is held as pending until it is confirmed from that address.
+const Profile = () => {
+  const { user, updateUser } = useAuth();
+  const isUnverified = Boolean(user) && !user.email_verified_at;
+  const [profile, setProfile] = useState(null);
+  const [formData, setFormData] = useState({ name: '', email: '', address: '' });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchProfile();
+  }, []);
+
+  const fetchProfile = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await profileAPI.get();
+      setProfile(response.data?.data);
+      setFormData(formFrom(response.data?.data));
+    } catch (error) {
+      setError(getErrorMessage(error, 'Failed to load your profile'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    setFieldErrors(prev => ({ ...prev, [field]: undefined }));
+    setMessage('');
+  };
+
+  const saveChanges = async (changes) => {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      const response = await profileAPI.update(changes);
+      const updated = response.data?.data;
+      setProfile(updated);
+      setFormData(formFrom(updated));
+      updateUser({ name: updated.name, email: updated.email, address: updated.address });
+      setMessage(response.data?.message || 'Profile updated successfully');
+    } catch (error) {
+      setFieldErrors(getFieldErrors(error));
+      setError(getErrorMessage(error, 'Failed to update your profile'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const changes = Object.fromEntries(
+      PROFILE_FIELDS
+        .filter(field => formData[field].trim() !== (profile[field] || ''))
+        .map(field => [field, formData[field].trim()])
+    );
+
+    if (Object.keys(changes).length === 0) {
+      setMessage('Nothing to save.');
+      return;
+    }
+
+    const { valid, errors } = validate(schemas.profile, changes, { partial: true });
+    setFieldErrors(errors);
+    if (!valid) return;
+
+    await saveChanges(changes);
+  };
+
+  // Sending the current address again withdraws the pending change
+  const handleCancelEmailChange = () => saveChanges({ email: profile.email });
+
+  if (loading && !profile) {
+    return <LoadingSpinner message="Loading your profile..." />;
+  }
+
+  return (
+    <div className="profile-page">
+      <div className="profile-header">
+        <h2>Your Profile</h2>
+        <p>
+          Keep your details up to date. To change your password or sign out other devices, use
+          your dashboard or the <Link to="/sessions">Devices</Link> page.
+        </p>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="success-message">
+          {message}
+        </div>
+      )}
+
+      {profile?.pending_email && (
+        <div className="profile-pending-email">
+          <span>
+            Waiting for you to confirm <strong>{profile.pending_email}</strong>. Until you follow the link we
+            emailed there, you keep signing in with {profile.email}.
+          </span>
+          <div className="profile-pending-actions">
+            <button
+              type="button"
+              onClick={() => saveChanges({ email: profile.pending_email })}
+              className="btn btn-outline btn-sm"
+              disabled={saving}
+            >
+              Resend Link
+            </button>
+            <button type="button" onClick={handleCancelEmailChange} className="btn btn-text btn-sm" disabled={saving}>
+              Cancel Change
+            </button>
+          </div>
+        </div>
+      )}
+
+      {profile && (
+        <form onSubmit={handleSubmit} className="profile-form" noValidate>
+          {isUnverified && (
+            <p className="profile-hint">
+              Until your email address is verified you can only change the address itself, for example to fix a typo.
+            </p>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="profile-name">Name</label>
+            <input
+              id="profile-name"
+              type="text"
+              value={formData.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              className={`form-input ${fieldErrors.name ? 'error' : ''}`}
+              maxLength="60"
+              disabled={isUnverified}
+            />
+            <FieldErrors messages={fieldErrors.name} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="profile-email">Email</label>
+            <input
+              id="profile-email"
+              type="email"
+              value={formData.email}
+              onChange={(e) => handleChange('email', e.target.value)}
+              className={`form-input ${fieldErrors.email ? 'error' : ''}`}
+            />
+            <FieldErrors messages={fieldErrors.email} />
+            <span className="profile-hint">A new address must be confirmed before you can sign in with it.</span>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="profile-address">Address</label>
+            <textarea
+              id="profile-address"
+              value={formData.address}
+              onChange={(e) => handleChange('address', e.target.value)}
+              className={`form-input form-textarea ${fieldErrors.address ? 'error' : ''}`}
+              maxLength="400"
+              rows="3"
+              disabled={isUnverified}
+            />
+            <FieldErrors messages={fieldErrors.address} />
+          </div>
+
+          <div className="profile-meta">
+            Member since {new Date(profile.created_at).toLocaleDateString()}
+            {profile.roles?.length > 0 && ` · Roles: ${profile.roles.join(', ')}`}
+          </div>
+
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default Profile;
@@ -3,8 +3,9 @@ import { Navigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import LoadingSpinner from './LoadingSpinner';
 
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
-  const { user, loading } = useAuth();
+// allowedRoles checks the primary role; requiredPermissions passes when the user holds any one of them
+const ProtectedRoute = ({ children, allowedRoles = [], requiredPermissions = [] }) => {
+  const { user, loading, hasPermission } = useAuth();
 
   if (loading) {
     return <LoadingSpinner message="Checking permissions..." />;
@@ -18,6 +19,10 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
     return <Navigate to="/unauthorized" replace />;
   }
 
+  if (requiredPermissions.length > 0 && !hasPermission(...requiredPermissions)) {
+    return <Navigate to="/unauthorized" replace />;
+  }
+
   return children;
 };
 
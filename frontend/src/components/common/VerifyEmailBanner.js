@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI, getErrorMessage } from '../../services/api';
+import './VerifyEmailBanner.css';
+
+// Shown on every page while the signed-in user's email is unverified, since the API treats them as read-only
+const VerifyEmailBanner = () => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  if (!user || user.email_verified_at) return null;
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      await authAPI.resendVerification(user.email);
+      setStatus('A new verification link is on its way.');
+    } catch (error) {
+      setStatus(getErrorMessage(error, 'Failed to resend the verification email.'));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="verify-email-banner">
+      <span>
+        Verify your email address to rate stores. We sent a link to <strong>{user.email}</strong>.
+        {' '}Wrong address? <Link to="/profile">Change it</Link>.
+      </span>
+      {status ? (
+        <span className="verify-email-status">{status}</span>
+      ) : (
+        <button onClick={handleResend} className="btn btn-outline btn-sm" disabled={isSending}>
+          {isSending ? 'Sending...' : 'Resend Link'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,32 @@
+// The app's home areas, the primary role each is home to, and the permissions that open them (any one is enough).
+// Users with several roles can reach more than one; the header links between them.
+export const DASHBOARDS = [
+  {
+    role: 'user',
+    path: '/dashboard',
+    label: 'Rate Stores',
+    permissions: ['rating:write']
+  },
+  {
+    role: 'store_owner',
+    path: '/store-owner/dashboard',
+    label: 'My Stores',
+    permissions: ['store:edit:own']
+  },
+  {
+    role: 'admin',
+    path: '/admin/dashboard',
+    label: 'Admin',
+    permissions: ['user:manage', 'store:manage', 'category:manage', 'role:manage', 'audit:read', 'settings:manage']
+  }
+];
+
+export const permissionsFor = (path) => DASHBOARDS.find(dashboard => dashboard.path === path).permissions;
+
+// Where to land after signing in: the primary role's area when the user can open it, otherwise the first
+// area they can. Devices is open to everyone, so a user whose roles open nothing still has somewhere to go.
+export const homePathFor = (user, hasPermission) => {
+  const reachable = DASHBOARDS.filter(dashboard => hasPermission(...dashboard.permissions));
+  const home = reachable.find(dashboard => dashboard.role === user.role) || reachable[0];
+  return home ? home.path : '/sessions';
+};
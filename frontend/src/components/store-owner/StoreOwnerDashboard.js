@@ -1,13 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
-import { storeOwnerAPI, authAPI } from '../../services/api';
+import { schemas, validate } from 'ratings-app-shared';
+import { storeOwnerAPI, authAPI, photosAPI, assetUrl, getErrorMessage, getFieldErrors } from '../../services/api';
+import FieldErrors from '../common/FieldErrors';
 import './StoreOwnerDashboard.css';
 
 const StoreOwnerDashboard = () => {
   const { user } = useAuth();
   const [dashboardData, setDashboardData] = useState({
     stores: [],
-    raters: []
+    raters: [],
+    ratings: []
   });
   const [loading, setLoading] = useState(true);
   const [showPasswordModal, setShowPasswordModal] = useState(false);
@@ -17,7 +20,18 @@ const StoreOwnerDashboard = () => {
     confirmPassword: ''
   });
   const [passwordError, setPasswordError] = useState('');
+  const [passwordFieldErrors, setPasswordFieldErrors] = useState({});
   const [passwordSuccess, setPasswordSuccess] = useState('');
+  const [editingStore, setEditingStore] = useState(null);
+  const [storeForm, setStoreForm] = useState({ name: '', email: '', address: '' });
+  const [storeError, setStoreError] = useState('');
+  const [storeFieldErrors, setStoreFieldErrors] = useState({});
+  const [storeSaving, setStoreSaving] = useState(false);
+  const [storeNotice, setStoreNotice] = useState('');
+  const [replyDraft, setReplyDraft] = useState(null);
+  const [replyError, setReplyError] = useState('');
+  const [photoUploading, setPhotoUploading] = useState(null);
+  const [photoError, setPhotoError] = useState({});
 
   useEffect(() => {
     fetchDashboardData();
@@ -26,17 +40,22 @@ const StoreOwnerDashboard = () => {
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
-      const response = await storeOwnerAPI.getDashboard();
+      const [response, ratingsResponse] = await Promise.all([
+        storeOwnerAPI.getDashboard(),
+        storeOwnerAPI.getRatings({ limit: 20 })
+      ]);
       console.log('Store Owner Dashboard API data:', response.data);
       setDashboardData({
         stores: response.data?.data?.stores || [],
-        raters: response.data?.data?.raters || []
+        raters: response.data?.data?.raters || [],
+        ratings: ratingsResponse.data?.data || []
       });
     } catch (error) {
       console.error('Failed to fetch dashboard data:', error);
       setDashboardData({
         stores: [],
-        raters: []
+        raters: [],
+        ratings: []
       });
     } finally {
       setLoading(false);
@@ -48,30 +67,146 @@ const StoreOwnerDashboard = () => {
     setPasswordError('');
     setPasswordSuccess('');
 
-    if (passwordData.newPassword !== passwordData.confirmPassword) {
-      setPasswordError('New passwords do not match');
-      return;
-    }
+    const { valid, errors } = validate(schemas.changePassword, passwordData);
+    setPasswordFieldErrors(errors);
+    if (!valid) return;
 
-    const passwordRegex = /^(?=.*[A-Z])(?=.*[!@#$%^&*()_+\-=\[\]{};':"\\|,./<>?])(?=.{8,16}$)/;
-    if (!passwordRegex.test(passwordData.newPassword)) {
-      setPasswordError('Password must be 8-16 characters with at least one uppercase letter and one special character');
+    if (passwordData.newPassword !== passwordData.confirmPassword) {
+      setPasswordFieldErrors({ confirmPassword: ['New passwords do not match'] });
       return;
     }
 
     try {
-      await authAPI.updatePassword({
+      const response = await authAPI.updatePassword({
         currentPassword: passwordData.currentPassword,
         newPassword: passwordData.newPassword
       });
-      setPasswordSuccess('Password updated successfully!');
+      setPasswordSuccess(response.data?.message || 'Password updated successfully!');
       setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' });
       setTimeout(() => {
         setShowPasswordModal(false);
         setPasswordSuccess('');
       }, 2000);
     } catch (error) {
-      setPasswordError(error.response?.data?.error || 'Failed to update password');
+      setPasswordFieldErrors(getFieldErrors(error));
+      setPasswordError(getErrorMessage(error, 'Failed to update password'));
+    }
+  };
+
+  const openStoreEditor = (store) => {
+    const source = { ...store, ...(store.pending_change?.changes || {}) };
+    setStoreForm({ name: source.name, email: source.email, address: source.address });
+    setStoreError('');
+    setStoreFieldErrors({});
+    setEditingStore(store);
+  };
+
+  const handleStoreUpdate = async (e) => {
+    e.preventDefault();
+    setStoreError('');
+
+    const { valid, errors } = validate(schemas.store, storeForm);
+    setStoreFieldErrors(errors);
+    if (!valid) return;
+
+    const name = storeForm.name.trim();
+    const address = storeForm.address.trim();
+
+    try {
+      setStoreSaving(true);
+      const response = await storeOwnerAPI.updateStore(editingStore.id, {
+        name,
+        email: storeForm.email.trim(),
+        address
+      });
+      setStoreNotice(response.data?.message || 'Store updated successfully');
+      setEditingStore(null);
+      fetchDashboardData();
+    } catch (error) {
+      setStoreFieldErrors(getFieldErrors(error));
+      setStoreError(getErrorMessage(error, 'Failed to update store'));
+    } finally {
+      setStoreSaving(false);
+    }
+  };
+
+  const startReply = (rating) => {
+    setReplyError('');
+    setReplyDraft({ ratingId: rating.id, body: rating.reply || '', isEdit: !!rating.reply });
+  };
+
+  const submitReply = async (e) => {
+    e.preventDefault();
+    const { valid, errors } = validate(schemas.reply, replyDraft);
+    if (!valid) {
+      setReplyError(errors.body[0]);
+      return;
+    }
+    const body = replyDraft.body.trim();
+
+    try {
+      if (replyDraft.isEdit) {
+        await storeOwnerAPI.updateReply(replyDraft.ratingId, body);
+      } else {
+        await storeOwnerAPI.createReply(replyDraft.ratingId, body);
+      }
+      setReplyDraft(null);
+      fetchDashboardData();
+    } catch (error) {
+      setReplyError(getErrorMessage(error, 'Failed to save reply'));
+    }
+  };
+
+  const deleteReply = async (rating) => {
+    if (!window.confirm('Delete your reply to this review?')) return;
+
+    try {
+      await storeOwnerAPI.deleteReply(rating.id);
+      fetchDashboardData();
+    } catch (error) {
+      alert(getErrorMessage(error, 'Failed to delete reply'));
+    }
+  };
+
+  const uploadPhoto = async (store, file) => {
+    if (!file) return;
+
+    setPhotoError(prev => ({ ...prev, [store.id]: '' }));
+
+    if (!['image/jpeg', 'image/png', 'image/webp'].includes(file.type)) {
+      setPhotoError(prev => ({ ...prev, [store.id]: 'Choose a JPEG, PNG or WebP image' }));
+      return;
+    }
+    if (file.size > 5 * 1024 * 1024) {
+      setPhotoError(prev => ({ ...prev, [store.id]: 'Photo must be at most 5 MB' }));
+      return;
+    }
+
+    try {
+      setPhotoUploading(store.id);
+      await photosAPI.uploadPhoto(store.id, file);
+      fetchDashboardData();
+    } catch (error) {
+      setPhotoError(prev => ({
+        ...prev,
+        [store.id]: getErrorMessage(error, 'Failed to upload photo')
+      }));
+    } finally {
+      setPhotoUploading(null);
+    }
+  };
+
+  const deletePhoto = async (store, photo) => {
+    if (!window.confirm('Delete this photo?')) return;
+
+    try {
+      await photosAPI.deletePhoto(store.id, photo.id);
+      fetchDashboardData();
+    } catch (error) {
+      setPhotoError(prev => ({
+        ...prev,
+        [store.id]: getErrorMessage(error, 'Failed to delete photo')
+      }));
     }
   };
 
@@ -108,6 +243,9 @@ const StoreOwnerDashboard = () => {
         {/* Your Stores */}
         <div className="stores-section">
           <h2>Your Stores</h2>
+          {storeNotice && (
+            <div className="success-message" onClick={() => setStoreNotice('')}>{storeNotice}</div>
+          )}
           {dashboardData.stores?.length === 0 ? (
             <div className="no-stores">
               <h3>No Stores Assigned</h3>
@@ -117,6 +255,13 @@ const StoreOwnerDashboard = () => {
             <div className="stores-grid">
               {dashboardData.stores.map((store) => (
                 <div key={store.id} className="store-card owner-store">
+                  {store.photos?.length > 0 && (
+                    <img
+                      src={assetUrl(store.photos[0].url)}
+                      alt={store.name}
+                      className="store-photo"
+                    />
+                  )}
                   <div className="store-info">
                     <h3>{store.name}</h3>
                     <p className="store-address">📍 {store.address}</p>
@@ -135,6 +280,135 @@ const StoreOwnerDashboard = () => {
                       </p>
                     </div>
                   </div>
+                  {store.pending_change && (
+                    <div className="pending-change">
+                      <span className="pending-badge">Awaiting admin review</span>
+                      {Object.entries(store.pending_change.changes).map(([field, value]) => (
+                        <p key={field} className="pending-field">
+                          <strong>{field}:</strong> {value}
+                        </p>
+                      ))}
+                    </div>
+                  )}
+                  <div className="store-photos">
+                    {store.photos?.map(photo => (
+                      <div key={photo.id} className="photo-thumb">
+                        <img src={assetUrl(photo.thumbnail_url)} alt="" loading="lazy" />
+                        <button
+                          onClick={() => deletePhoto(store, photo)}
+                          className="photo-delete"
+                          title="Delete photo"
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ))}
+                    <label className={`photo-upload ${photoUploading === store.id ? 'uploading' : ''}`}>
+                      {photoUploading === store.id ? 'Uploading...' : '+ Add Photo'}
+                      <input
+                        type="file"
+                        accept="image/jpeg,image/png,image/webp"
+                        onChange={(e) => {
+                          uploadPhoto(store, e.target.files[0]);
+                          e.target.value = '';
+                        }}
+                        disabled={photoUploading === store.id}
+                        hidden
+                      />
+                    </label>
+                  </div>
+                  {photoError[store.id] && (
+                    <div className="error-message">{photoError[store.id]}</div>
+                  )}
+                  <div className="store-card-actions">
+                    <button
+                      onClick={() => openStoreEditor(store)}
+                      className="btn btn-outline"
+                    >
+                      Edit Store
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Recent Reviews */}
+        <div className="reviews-section">
+          <h2>Recent Reviews</h2>
+          {dashboardData.ratings?.length === 0 ? (
+            <div className="no-raters">
+              <h3>No Reviews Yet</h3>
+              <p>Ratings and written reviews from customers will appear here.</p>
+            </div>
+          ) : (
+            <div className="reviews-list">
+              {dashboardData.ratings.map((rating) => (
+                <div key={rating.id} className="review-card">
+                  <div className="review-header">
+                    <div>
+                      <span className="review-author">{rating.user_name}</span>
+                      <span className="review-store">on {rating.store_name}</span>
+                    </div>
+                    <span className="rating-stars">{'⭐'.repeat(rating.rating)}</span>
+                  </div>
+                  {rating.comment ? (
+                    <p className="review-text">{rating.comment}</p>
+                  ) : (
+                    <p className="review-text review-empty">No written review</p>
+                  )}
+                  <span className="review-date">
+                    {new Date(rating.updated_at || rating.created_at).toLocaleDateString()}
+                  </span>
+
+                  {replyDraft?.ratingId === rating.id ? (
+                    <form onSubmit={submitReply} className="reply-form">
+                      {replyError && <div className="error-message">{replyError}</div>}
+                      <textarea
+                        value={replyDraft.body}
+                        onChange={(e) => {
+                          setReplyDraft(prev => ({ ...prev, body: e.target.value }));
+                          setReplyError('');
+                        }}
+                        className="form-input"
+                        placeholder="Write a public reply..."
+                        rows="3"
+                        maxLength="1000"
+                      />
+                      <div className="reply-actions">
+                        <button type="submit" className="btn btn-primary btn-sm">
+                          {replyDraft.isEdit ? 'Save Reply' : 'Post Reply'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setReplyDraft(null)}
+                          className="btn btn-outline btn-sm"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  ) : rating.reply ? (
+                    <div className="owner-reply">
+                      <span className="owner-reply-label">Your reply</span>
+                      <p>{rating.reply}</p>
+                      <div className="reply-actions">
+                        <button onClick={() => startReply(rating)} className="btn btn-outline btn-sm">
+                          Edit
+                        </button>
+                        <button onClick={() => deleteReply(rating)} className="btn btn-outline btn-sm">
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="reply-actions">
+                      <button onClick={() => startReply(rating)} className="btn btn-outline btn-sm">
+                        Reply
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -174,6 +448,95 @@ const StoreOwnerDashboard = () => {
         </div>
       </div>
 
+      {/* Store Edit Modal */}
+      {editingStore && (
+        <div className="modal-overlay" onClick={() => setEditingStore(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Edit Store Profile</h3>
+              <button
+                onClick={() => setEditingStore(null)}
+                className="close-button"
+              >
+                ×
+              </button>
+            </div>
+
+            <form onSubmit={handleStoreUpdate} className="form">
+              {storeError && (
+                <div className="error-message">{storeError}</div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="storeName">Store Name</label>
+                <input
+                  type="text"
+                  id="storeName"
+                  value={storeForm.name}
+                  onChange={(e) => {
+                    setStoreForm(prev => ({ ...prev, name: e.target.value }));
+                    setStoreError('');
+                    setStoreFieldErrors(prev => ({ ...prev, name: undefined }));
+                  }}
+                  required
+                  maxLength="60"
+                  className={`form-input ${storeFieldErrors.name ? 'input-error' : ''}`}
+                />
+                <FieldErrors messages={storeFieldErrors.name} className="field-error" />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="storeEmail">Contact Email</label>
+                <input
+                  type="email"
+                  id="storeEmail"
+                  value={storeForm.email}
+                  onChange={(e) => {
+                    setStoreForm(prev => ({ ...prev, email: e.target.value }));
+                    setStoreError('');
+                    setStoreFieldErrors(prev => ({ ...prev, email: undefined }));
+                  }}
+                  required
+                  className={`form-input ${storeFieldErrors.email ? 'input-error' : ''}`}
+                />
+                <FieldErrors messages={storeFieldErrors.email} className="field-error" />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="storeAddress">Address</label>
+                <textarea
+                  id="storeAddress"
+                  value={storeForm.address}
+                  onChange={(e) => {
+                    setStoreForm(prev => ({ ...prev, address: e.target.value }));
+                    setStoreError('');
+                    setStoreFieldErrors(prev => ({ ...prev, address: undefined }));
+                  }}
+                  required
+                  rows="3"
+                  maxLength="400"
+                  className={`form-input ${storeFieldErrors.address ? 'input-error' : ''}`}
+                />
+                <FieldErrors messages={storeFieldErrors.address} className="field-error" />
+              </div>
+
+              <div className="modal-actions">
+                <button type="submit" className="btn btn-primary" disabled={storeSaving}>
+                  {storeSaving ? 'Saving...' : 'Save Changes'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setEditingStore(null)}
+                  className="btn btn-outline"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Password Update Modal */}
       {showPasswordModal && (
         <div className="modal-overlay" onClick={() => setShowPasswordModal(false)}>
@@ -205,10 +568,12 @@ const StoreOwnerDashboard = () => {
                   onChange={(e) => {
                     setPasswordData(prev => ({ ...prev, currentPassword: e.target.value }));
                     setPasswordError('');
+                    setPasswordFieldErrors(prev => ({ ...prev, currentPassword: undefined }));
                   }}
                   required
-                  className="form-input"
+                  className={`form-input ${passwordFieldErrors.currentPassword ? 'input-error' : ''}`}
                 />
+                <FieldErrors messages={passwordFieldErrors.currentPassword} className="field-error" />
               </div>
 
               <div className="form-group">
@@ -220,11 +585,13 @@ const StoreOwnerDashboard = () => {
                   onChange={(e) => {
                     setPasswordData(prev => ({ ...prev, newPassword: e.target.value }));
                     setPasswordError('');
+                    setPasswordFieldErrors(prev => ({ ...prev, newPassword: undefined }));
                   }}
                   required
                   placeholder="8-16 chars, uppercase & special character"
-                  className="form-input"
+                  className={`form-input ${passwordFieldErrors.newPassword ? 'input-error' : ''}`}
                 />
+                <FieldErrors messages={passwordFieldErrors.newPassword} className="field-error" />
               </div>
 
               <div className="form-group">
@@ -236,10 +603,12 @@ const StoreOwnerDashboard = () => {
                   onChange={(e) => {
                     setPasswordData(prev => ({ ...prev, confirmPassword: e.target.value }));
                     setPasswordError('');
+                    setPasswordFieldErrors(prev => ({ ...prev, confirmPassword: undefined }));
                   }}
                   required
-                  className="form-input"
+                  className={`form-input ${passwordFieldErrors.confirmPassword ? 'input-error' : ''}`}
                 />
+                <FieldErrors messages={passwordFieldErrors.confirmPassword} className="field-error" />
               </div>
 
               <div className="modal-actions">
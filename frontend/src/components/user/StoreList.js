@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { userAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { userAPI, publicAPI } from '../../services/api';
+import CategoryChips, { CategoryTags } from '../common/CategoryChips';
 import './StoreList.css';
 
 const StarRating = ({ rating, onRate, readonly = false }) => {
@@ -27,9 +29,11 @@ const StarRating = ({ rating, onRate, readonly = false }) => {
 };
 
 const StoreList = () => {
+  const { user } = useAuth();
   const [stores, setStores] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const [selectedCategories, setSelectedCategories] = useState([]);
   const [showRatingModal, setShowRatingModal] = useState(false);
   const [selectedStore, setSelectedStore] = useState(null);
   const [selectedRating, setSelectedRating] = useState(0);
@@ -38,27 +42,21 @@ const StoreList = () => {
 
   useEffect(() => {
     fetchStores();
-  }, []);
+  }, [selectedCategories]);
 
- const fetchStores = async () => {
+  const fetchStores = async () => {
   try {
     setLoading(true);
     console.log('Fetching stores...');
     
-    // Use direct fetch to your backend API endpoint
-    const url = searchTerm 
-      ? `http://localhost:5000/api/stores?search=${encodeURIComponent(searchTerm)}`
-      : 'http://localhost:5000/api/stores';
-    
-    const response = await fetch(url);
-    console.log(' Raw Response Status:', response.status);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+    // Public endpoint - includes user_rating only when a token is sent
+    const response = await publicAPI.getStores({
+      search: searchTerm || undefined,
+      category: selectedCategories.join(',') || undefined
+    });
     
     // Extract the nested data array
-    const storesArray = data.data || [];
+    const storesArray = response.data?.data || [];
     setStores(Array.isArray(storesArray) ? storesArray : []);
     
   } catch (error) {
@@ -159,6 +157,7 @@ const StoreList = () => {
             🔍 Search
           </button>
         </div>
+        <CategoryChips selected={selectedCategories} onChange={setSelectedCategories} />
       </div>
 
       {/* Loading */}
@@ -188,31 +187,34 @@ const StoreList = () => {
                 <div className="store-info">
                   <p className="store-address">📍 {store.address}</p>
                   <p className="store-email">📧 {store.email}</p>
+                  <CategoryTags categories={store.categories} />
                 </div>
 
-                <div className="rating-section">
-                  <div className="user-rating">
-                    <span className="rating-label">Your Rating:</span>
-                    {store.user_rating ? (
-                      <div className="current-rating">
-                        <StarRating rating={store.user_rating} readonly />
+                {user && (
+                  <div className="rating-section">
+                    <div className="user-rating">
+                      <span className="rating-label">Your Rating:</span>
+                      {store.user_rating ? (
+                        <div className="current-rating">
+                          <StarRating rating={store.user_rating} readonly />
+                          <button
+                            onClick={() => openRatingModal(store)}
+                            className="btn btn-sm btn-outline"
+                          >
+                            Update Rating
+                          </button>
+                        </div>
+                      ) : (
                         <button
                           onClick={() => openRatingModal(store)}
-                          className="btn btn-sm btn-outline"
+                          className="btn btn-sm btn-primary"
                         >
-                          Update Rating
+                          Rate Store
                         </button>
-                      </div>
-                    ) : (
-                      <button
-                        onClick={() => openRatingModal(store)}
-                        className="btn btn-sm btn-primary"
-                      >
-                        Rate Store
-                      </button>
-                    )}
+                      )}
+                    </div>
                   </div>
-                </div>
+                )}
               </div>
             ))
           )}
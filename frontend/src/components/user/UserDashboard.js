@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
-import { userAPI, authAPI } from '../../services/api';
+import { schemas, validate } from 'ratings-app-shared';
+import { userAPI, authAPI, assetUrl, getErrorMessage, getFieldErrors } from '../../services/api';
+import FieldErrors from '../common/FieldErrors';
+import CategoryChips, { CategoryTags } from '../common/CategoryChips';
 import './UserDashboard.css';
 
 const StarRating = ({ rating, onRate, readonly = false, size = 'medium' }) => {
@@ -40,18 +43,21 @@ const UserDashboard = () => {
     confirmPassword: ''
   });
   const [passwordError, setPasswordError] = useState('');
+  const [passwordFieldErrors, setPasswordFieldErrors] = useState({});
   const [passwordSuccess, setPasswordSuccess] = useState('');
 
   // Store management state
   const [stores, setStores] = useState([]);
   const [filteredStores, setFilteredStores] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
+  const [selectedCategories, setSelectedCategories] = useState([]);
   const [loadingStores, setLoadingStores] = useState(true);
 
   // Rating state
   const [ratingModal, setRatingModal] = useState(false);
   const [selectedStore, setSelectedStore] = useState(null);
   const [selectedRating, setSelectedRating] = useState(0);
+  const [reviewText, setReviewText] = useState('');
   const [submittingRating, setSubmittingRating] = useState(false);
 
   // Message state
@@ -62,10 +68,10 @@ const UserDashboard = () => {
   const [userRatings, setUserRatings] = useState([]);
   const [loadingRatings, setLoadingRatings] = useState(false);
 
-  // Fetch stores on component mount
+  // Fetch stores on mount and whenever the category filter changes
   useEffect(() => {
     fetchStores();
-  }, []);
+  }, [selectedCategories]);
 
   // Filter stores when search term changes
   useEffect(() => {
@@ -93,7 +99,10 @@ const UserDashboard = () => {
   const fetchStores = async () => {
     setLoadingStores(true);
     try {
-      const response = await userAPI.getStores({ search: searchTerm.trim() });
+      const response = await userAPI.getStores({
+        search: searchTerm.trim(),
+        category: selectedCategories.join(',') || undefined
+      });
       setStores(response.data?.data || []);
     } catch (error) {
       console.error('Failed to fetch stores:', error);
@@ -135,30 +144,29 @@ const UserDashboard = () => {
     setPasswordError('');
     setPasswordSuccess('');
 
-    if (passwordData.newPassword !== passwordData.confirmPassword) {
-      setPasswordError('New passwords do not match');
-      return;
-    }
+    const { valid, errors } = validate(schemas.changePassword, passwordData);
+    setPasswordFieldErrors(errors);
+    if (!valid) return;
 
-    const passwordRegex = /^(?=.*[A-Z])(?=.*[!@#$%^&*()_+\-=\[\]{};':"\\|,./<>?])(?=.{8,16}$)/;
-    if (!passwordRegex.test(passwordData.newPassword)) {
-      setPasswordError('Password must be 8-16 characters with at least one uppercase letter and one special character');
+    if (passwordData.newPassword !== passwordData.confirmPassword) {
+      setPasswordFieldErrors({ confirmPassword: ['New passwords do not match'] });
       return;
     }
 
     try {
-      await authAPI.updatePassword({
+      const response = await authAPI.updatePassword({
         currentPassword: passwordData.currentPassword,
         newPassword: passwordData.newPassword
       });
-      setPasswordSuccess('Password updated successfully!');
+      setPasswordSuccess(response.data?.message || 'Password updated successfully!');
       setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' });
       setTimeout(() => {
         setPasswordModal(false);
         setPasswordSuccess('');
       }, 2000);
     } catch (error) {
-      setPasswordError(error.response?.data?.error || 'Failed to update password');
+      setPasswordFieldErrors(getFieldErrors(error));
+      setPasswordError(getErrorMessage(error, 'Failed to update password'));
     }
   };
 
@@ -166,6 +174,7 @@ const UserDashboard = () => {
   const openRatingModal = (store) => {
     setSelectedStore(store);
     setSelectedRating(store.user_rating || 0);
+    setReviewText(store.user_comment || '');
     setRatingModal(true);
   };
 
@@ -173,6 +182,7 @@ const UserDashboard = () => {
   const closeRatingModal = () => {
     setSelectedStore(null);
     setSelectedRating(0);
+    setReviewText('');
     setRatingModal(false);
   };
 
@@ -187,16 +197,21 @@ const UserDashboard = () => {
     try {
       await userAPI.submitRating({
         store_id: selectedStore.id,
-        rating: selectedRating
+        rating: selectedRating,
+        comment: reviewText.trim()
       });
 
       // Update the store in the list
       setStores(prev => prev.map(store => 
         store.id === selectedStore.id 
-          ? { ...store, user_rating: selectedRating }
+          ? { ...store, user_rating: selectedRating, user_comment: reviewText.trim() || null }
           : store
       ));
 
+      if (activeTab === 'ratings') {
+        fetchUserRatings();
+      }
+
       showMessage('Rating submitted successfully!', 'success');
       closeRatingModal();
       
@@ -207,7 +222,7 @@ const UserDashboard = () => {
 
     } catch (error) {
       console.error('Rating submission error:', error);
-      showMessage('Failed to submit rating: ' + (error.response?.data?.message || error.message), 'error');
+      showMessage(getErrorMessage(error, 'Failed to submit rating'), 'error');
     } finally {
       setSubmittingRating(false);
     }
@@ -231,7 +246,7 @@ const UserDashboard = () => {
       // Update stores list
       setStores(prev => prev.map(store => 
         store.id === storeId 
-          ? { ...store, user_rating: undefined }
+          ? { ...store, user_rating: undefined, user_comment: null }
           : store
       ));
       
@@ -316,6 +331,8 @@ const UserDashboard = () => {
               </div>
             </form>
 
+            <CategoryChips selected={selectedCategories} onChange={setSelectedCategories} />
+
             {/* Store Results */}
             <div className="stores-container">
               {loadingStores ? (
@@ -328,14 +345,14 @@ const UserDashboard = () => {
                   <div className="empty-icon">🏪</div>
                   <h3>No stores found</h3>
                   <p>
-                    {searchTerm 
+                    {searchTerm || selectedCategories.length > 0
                       ? 'Try adjusting your search terms or browse all stores.' 
                       : 'No stores available at the moment.'
                     }
                   </p>
-                  {searchTerm && (
+                  {(searchTerm || selectedCategories.length > 0) && (
                     <button 
-                      onClick={() => {setSearchTerm(''); fetchStores();}}
+                      onClick={() => {setSearchTerm(''); setSelectedCategories([]);}}
                       className="btn btn-outline"
                     >
                       Show All Stores
@@ -346,6 +363,14 @@ const UserDashboard = () => {
                 <div className="stores-grid">
                   {filteredStores.map((store) => (
                     <div key={store.id} className="store-card">
+                      {store.photos?.length > 0 && (
+                        <img
+                          src={assetUrl(store.photos[0].thumbnail_url)}
+                          alt={store.name}
+                          className="store-photo"
+                          loading="lazy"
+                        />
+                      )}
                       <div className="store-header">
                         <h3 className="store-name">{store.name}</h3>
                         <div className="overall-rating">
@@ -367,6 +392,7 @@ const UserDashboard = () => {
                             <span className="info-text">{store.address}</span>
                           </div>
                         </div>
+                        <CategoryTags categories={store.categories} />
 
                         <div className="user-rating-section">
                           <div className="rating-header">
@@ -448,6 +474,15 @@ const UserDashboard = () => {
                     
                     <div className="rating-details">
                       <p className="store-address">📍 {rating.store_address}</p>
+                      {rating.comment && (
+                        <p className="review-text">"{rating.comment}"</p>
+                      )}
+                      {rating.reply && (
+                        <div className="owner-reply">
+                          <span className="owner-reply-label">Reply from the store owner</span>
+                          <p>{rating.reply}</p>
+                        </div>
+                      )}
                       <p className="rating-date">
                         Rated on {new Date(rating.created_at).toLocaleDateString()}
                         {rating.updated_at !== rating.created_at && 
@@ -463,6 +498,7 @@ const UserDashboard = () => {
                           name: rating.store_name,
                           address: rating.store_address,
                           user_rating: rating.rating,
+                          user_comment: rating.comment,
                           overall_rating: rating.store_overall_rating
                         })}
                         className="btn btn-outline btn-sm"
@@ -515,10 +551,12 @@ const UserDashboard = () => {
                   onChange={(e) => {
                     setPasswordData(prev => ({...prev, currentPassword: e.target.value}));
                     setPasswordError('');
+                    setPasswordFieldErrors(prev => ({...prev, currentPassword: undefined}));
                   }}
                   required
-                  className="form-input"
+                  className={`form-input ${passwordFieldErrors.currentPassword ? 'input-error' : ''}`}
                 />
+                <FieldErrors messages={passwordFieldErrors.currentPassword} className="field-error" />
               </div>
 
               <div className="form-group">
@@ -530,11 +568,13 @@ const UserDashboard = () => {
                   onChange={(e) => {
                     setPasswordData(prev => ({...prev, newPassword: e.target.value}));
                     setPasswordError('');
+                    setPasswordFieldErrors(prev => ({...prev, newPassword: undefined}));
                   }}
                   required
-                  className="form-input"
+                  className={`form-input ${passwordFieldErrors.newPassword ? 'input-error' : ''}`}
                   placeholder="8-16 chars, uppercase & special character"
                 />
+                <FieldErrors messages={passwordFieldErrors.newPassword} className="field-error" />
               </div>
 
               <div className="form-group">
@@ -546,10 +586,12 @@ const UserDashboard = () => {
                   onChange={(e) => {
                     setPasswordData(prev => ({...prev, confirmPassword: e.target.value}));
                     setPasswordError('');
+                    setPasswordFieldErrors(prev => ({...prev, confirmPassword: undefined}));
                   }}
                   required
-                  className="form-input"
+                  className={`form-input ${passwordFieldErrors.confirmPassword ? 'input-error' : ''}`}
                 />
+                <FieldErrors messages={passwordFieldErrors.confirmPassword} className="field-error" />
               </div>
 
               <div className="modal-actions">
@@ -617,6 +659,23 @@ const UserDashboard = () => {
                   </div>
                 )}
               </div>
+
+              <div className="review-input-section">
+                <label htmlFor="reviewText" className="rating-label">
+                  Your Review (optional):
+                </label>
+                <textarea
+                  id="reviewText"
+                  value={reviewText}
+                  onChange={(e) => setReviewText(e.target.value)}
+                  className="form-input review-textarea"
+                  placeholder="Tell others about your experience..."
+                  rows="4"
+                  maxLength="500"
+                  disabled={submittingRating}
+                />
+                <span className="review-char-count">{reviewText.length}/500</span>
+              </div>
             </div>
 
             <div className="modal-actions">
@@ -1,5 +1,5 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import { authAPI, getErrorMessage } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -14,6 +14,11 @@ const authReducer = (state, action) => {
         loading: false,
         error: null,
       };
+    case 'UPDATE_USER':
+      return {
+        ...state,
+        user: { ...state.user, ...action.payload },
+      };
     case 'LOGOUT':
       return {
         ...state,
@@ -60,48 +65,84 @@ export const AuthProvider = ({ children }) => {
     const user = localStorage.getItem('user');
     
     if (token && user) {
+      let parsedUser;
       try {
-        const parsedUser = JSON.parse(user);
-        dispatch({
-          type: 'LOGIN_SUCCESS',
-          payload: {
-            token,
-            user: parsedUser,
-          },
-        });
+        parsedUser = JSON.parse(user);
       } catch (error) {
         console.error('Error parsing stored user data:', error);
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
         dispatch({ type: 'SET_LOADING', payload: false });
+        return;
       }
+
+      // Roles and permissions may have changed since the user was stored, so ask the server.
+      // An expired session is cleared by the API client; a network error keeps the stored user.
+      authAPI.validate()
+        .then((response) => {
+          const freshUser = response.data?.data?.user || parsedUser;
+          localStorage.setItem('user', JSON.stringify(freshUser));
+          dispatch({
+            type: 'LOGIN_SUCCESS',
+            payload: { token: localStorage.getItem('token') || token, user: freshUser },
+          });
+        })
+        .catch((error) => {
+          if (error.response?.status === 401) {
+            dispatch({ type: 'LOGOUT' });
+            return;
+          }
+          dispatch({
+            type: 'LOGIN_SUCCESS',
+            payload: { token, user: parsedUser },
+          });
+        });
     } else {
       dispatch({ type: 'SET_LOADING', payload: false });
     }
   }, []);
 
+  // Store a session from /auth/login, the 2FA challenge or mid-login enrolment
+  const completeLogin = useCallback(({ token, refreshToken, user }) => {
+    if (!token || !refreshToken || !user) {
+      throw new Error('Invalid response from server');
+    }
+
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+
+    dispatch({
+      type: 'LOGIN_SUCCESS',
+      payload: { token, user },
+    });
+  }, []);
+
+  // Resolves to { success: true }, { success: false, error } or, when a second factor is needed,
+  // { success: false, twoFactor: { stage: 'verify' | 'enrol', challengeToken } }.
+  // The login form shows its own progress, so the app-wide loading state is left alone.
   const login = async (credentials) => {
     try {
-      dispatch({ type: 'SET_LOADING', payload: true });
       dispatch({ type: 'CLEAR_ERROR' });
       
       console.log('AuthContext: Attempting login...');
       const response = await authAPI.login(credentials);
       console.log('AuthContext: Login API response:', response.data);
       
-      const { token, user } = response.data;
-      
-      if (!token || !user) {
-        throw new Error('Invalid response from server');
+      const data = response.data.data || {};
+
+      if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+        return {
+          success: false,
+          twoFactor: {
+            stage: data.twoFactorRequired ? 'verify' : 'enrol',
+            challengeToken: data.challengeToken
+          }
+        };
       }
       
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      
-      dispatch({
-        type: 'LOGIN_SUCCESS',
-        payload: { token, user },
-      });
+      completeLogin(data);
       
       return { success: true };
     } catch (error) {
@@ -110,9 +151,7 @@ export const AuthProvider = ({ children }) => {
       let errorMessage = 'Login failed. Please try again.';
       
       if (error.response) {
-        errorMessage = error.response.data?.message || 
-                      error.response.data?.error || 
-                      'Invalid email or password';
+        errorMessage = getErrorMessage(error, 'Invalid email or password');
       } else if (error.message) {
         errorMessage = error.message;
       }
@@ -131,18 +170,42 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: 'SET_LOADING', payload: false });
       return { success: true };
     } catch (error) {
-      const message = error.response?.data?.error || 'Registration failed';
+      const message = getErrorMessage(error, 'Registration failed');
       dispatch({ type: 'SET_ERROR', payload: message });
       return { success: false, error: message };
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     dispatch({ type: 'LOGOUT' });
+
+    // Revoke the refresh token server-side; the local session is already gone either way
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken);
+      } catch (error) {
+        console.error('AuthContext: Server logout failed:', error);
+      }
+    }
   };
 
+  // Merge changes into the signed-in user, e.g. after verifying their email
+  const updateUser = useCallback((changes) => {
+    const stored = JSON.parse(localStorage.getItem('user') || '{}');
+    localStorage.setItem('user', JSON.stringify({ ...stored, ...changes }));
+    dispatch({ type: 'UPDATE_USER', payload: changes });
+  }, []);
+
+  // True when any of the user's roles grants one of the given permissions
+  const hasPermission = useCallback((...permissions) => {
+    const granted = state.user?.permissions || [];
+    return permissions.some(permission => granted.includes(permission));
+  }, [state.user]);
+
   const clearError = () => {
     dispatch({ type: 'CLEAR_ERROR' });
   };
@@ -152,8 +215,11 @@ export const AuthProvider = ({ children }) => {
       value={{
         ...state,
         login,
+        completeLogin,
         register,
         logout,
+        updateUser,
+        hasPermission,
         clearError,
       }}
     >
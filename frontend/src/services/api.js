@@ -1,6 +1,22 @@
 import axios from 'axios';
 
-const API_BASE_URL = 'http://localhost:5000/api';
+const API_ORIGIN = 'http://localhost:5000';
+const API_BASE_URL = `${API_ORIGIN}/api/v1`;
+
+// Uploaded files are served by the backend outside /api, e.g. /uploads/stores/1/abc.jpg
+export const assetUrl = (path) => {
+  if (!path || !path.startsWith('/')) return path;
+  return API_ORIGIN + path;
+};
+
+// Error responses share one envelope: { success: false, error: { code, message, details? } }
+export const getErrorMessage = (error, fallback) => error?.response?.data?.error?.message || fallback;
+
+// Per-field messages from a VALIDATION_FAILED response, e.g. { email: ['Email is required'] }
+export const getFieldErrors = (error) => {
+  const apiError = error?.response?.data?.error;
+  return apiError?.code === 'VALIDATION_FAILED' ? apiError.details || {} : {};
+};
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -31,6 +47,41 @@ api.interceptors.request.use(
   }
 );
 
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  if (!window.location.pathname.includes('/login')) {
+    window.location.href = '/login';
+  }
+};
+
+// Single in-flight refresh shared by every request that hits a 401 at the same time
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }, { timeout: 15000 })
+      : Promise.reject(new Error('No refresh token available'))
+    )
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken, user } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        if (user) {
+          localStorage.setItem('user', JSON.stringify(user));
+        }
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Handle token expiration and responses
 api.interceptors.response.use(
   (response) => {
@@ -41,7 +92,7 @@ api.interceptors.response.use(
     });
     return response;
   },
-  (error) => {
+  async (error) => {
     console.error('API Response Error:', {
       status: error.response?.status,
       data: error.response?.data,
@@ -49,13 +100,32 @@ api.interceptors.response.use(
       message: error.message
     });
     
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      if (!window.location.pathname.includes('/login')) {
-        window.location.href = '/login';
+    const originalRequest = error.config;
+    // Sign-in endpoints answer 401 for bad credentials, not an expired access token. The account
+    // endpoints under /auth (sessions, 2FA settings, password) are ordinary signed-in requests.
+    const isAuthRequest = /^\/auth\/(?!sessions|password|validate|2fa(?!\/challenge))/.test(originalRequest?.url || '');
+    
+    // Expired access token: refresh once and replay the original request
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRequest) {
+      originalRequest._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        console.error('Token refresh failed:', refreshError);
+        clearSession();
+        return Promise.reject(error);
       }
     }
+    
+    // A 403 (missing permission, unverified email, 2FA policy...) refuses one action; the session itself is fine.
+    // Permissions the user gained or lost are picked up when the app next loads (see AuthContext).
+    // Suspended and banned accounts are the exception: nothing they do will work.
+    const accountBlocked = ['ACCOUNT_SUSPENDED', 'ACCOUNT_BANNED'].includes(error.response?.data?.error?.code);
+    if ((error.response?.status === 401 || accountBlocked) && !isAuthRequest) {
+      clearSession();
+    }
     return Promise.reject(error);
   }
 );
@@ -64,7 +134,29 @@ api.interceptors.response.use(
 export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
   register: (userData) => api.post('/auth/register', userData),
+  getSetupStatus: () => api.get('/auth/setup-status'),
+  registerAdmin: (adminData) => api.post('/auth/register-admin', adminData),
+  refresh: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (resetData) => api.post('/auth/reset-password', resetData),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: (email) => api.post('/auth/resend-verification', { email }),
+  validate: () => api.get('/auth/validate'),
   updatePassword: (passwordData) => api.put('/auth/password', passwordData),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+};
+
+// Two-factor authentication. challengeToken is only passed when enrolling part-way through login.
+export const twoFactorAPI = {
+  getStatus: () => api.get('/auth/2fa'),
+  challenge: (challengeData) => api.post('/auth/2fa/challenge', challengeData),
+  setup: (challengeToken) => api.post('/auth/2fa/setup', { challengeToken }),
+  enable: (code, challengeToken) => api.post('/auth/2fa/enable', { code, challengeToken }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  disable: (code) => api.delete('/auth/2fa', { data: { code } }),
 };
 
 // Admin API
@@ -73,9 +165,36 @@ export const adminAPI = {
   getUsers: (params) => api.get('/admin/users', { params }),
   getUserById: (id) => api.get(`/admin/users/${id}`),
   createUser: (userData) => api.post('/admin/users', userData),
+  updateUser: (id, userData) => api.put(`/admin/users/${id}`, userData),
+  deleteUser: (id, params) => api.delete(`/admin/users/${id}`, { params }),
+  getUserDeletionImpact: (id) => api.get(`/admin/users/${id}/deletion-impact`),
   getStores: (params) => api.get('/admin/stores', { params }),
   getStoreById: (id) => api.get(`/admin/stores/${id}`),
   createStore: (storeData) => api.post('/admin/stores', storeData),
+  updateStore: (id, storeData) => api.put(`/admin/stores/${id}`, storeData),
+  deleteStore: (id) => api.delete(`/admin/stores/${id}`),
+  assignUnassignedStores: (assignment) => api.post('/admin/stores/assign-unassigned', assignment),
+  getStoreChangeRequests: (params) => api.get('/admin/store-change-requests', { params }),
+  reviewStoreChangeRequest: (id, decision, note) => api.post(`/admin/store-change-requests/${id}/${decision}`, { note }),
+  getCategories: () => api.get('/admin/categories'),
+  createCategory: (categoryData) => api.post('/admin/categories', categoryData),
+  updateCategory: (id, categoryData) => api.put(`/admin/categories/${id}`, categoryData),
+  deleteCategory: (id) => api.delete(`/admin/categories/${id}`),
+  getTwoFactorPolicy: () => api.get('/admin/two-factor-policy'),
+  updateTwoFactorPolicy: (requiredRoles) => api.put('/admin/two-factor-policy', { requiredRoles }),
+  resetUserTwoFactor: (id) => api.delete(`/admin/users/${id}/two-factor`),
+  revokeUserSessions: (id) => api.delete(`/admin/users/${id}/sessions`),
+  getLockouts: () => api.get('/admin/lockouts'),
+  clearLockout: (email) => api.delete(`/admin/lockouts/${encodeURIComponent(email)}`),
+  getAuditLog: (params) => api.get('/admin/audit-log', { params }),
+  getRoles: () => api.get('/admin/roles'),
+  createRole: (roleData) => api.post('/admin/roles', roleData),
+  updateRole: (id, roleData) => api.put(`/admin/roles/${id}`, roleData),
+  deleteRole: (id) => api.delete(`/admin/roles/${id}`),
+  // storeAction is only needed when the change stops the user managing stores they still own
+  updateUserRoles: (id, roles, storeAction) => api.put(`/admin/users/${id}/roles`, { roles, store_action: storeAction }),
+  // { status, reason, until, hide_ratings }; see PUT /admin/users/:id/status
+  updateUserStatus: (id, statusData) => api.put(`/admin/users/${id}/status`, statusData),
 };
 
 // User API
@@ -91,11 +210,44 @@ export const storeOwnerAPI = {
   getDashboard: () => api.get('/store-owner/dashboard'),
   getRatings: (params) => api.get('/store-owner/ratings', { params }),
   getStoreDetails: (id) => api.get(`/store-owner/stores/${id}`),
+  updateStore: (id, storeData) => api.put(`/store-owner/stores/${id}`, storeData),
+  createReply: (ratingId, body) => api.post(`/store-owner/ratings/${ratingId}/reply`, { body }),
+  updateReply: (ratingId, body) => api.put(`/store-owner/ratings/${ratingId}/reply`, { body }),
+  deleteReply: (ratingId) => api.delete(`/store-owner/ratings/${ratingId}/reply`),
+};
+
+// Store photos API (admins, or the store's owner, can upload and delete)
+export const photosAPI = {
+  getPhotos: (storeId) => api.get(`/stores/${storeId}/photos`),
+  uploadPhoto: (storeId, file) => {
+    const formData = new FormData();
+    formData.append('photo', file);
+    return api.post(`/stores/${storeId}/photos`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000
+    });
+  },
+  deletePhoto: (storeId, photoId) => api.delete(`/stores/${storeId}/photos/${photoId}`),
+};
+
+// Notifications API (any signed-in role)
+export const notificationsAPI = {
+  getNotifications: (params) => api.get('/notifications', { params }),
+  markRead: (id) => api.post(`/notifications/${id}/read`),
+  markAllRead: () => api.post('/notifications/read-all'),
+};
+
+// Profile API (any signed-in role). A changed email stays pending until confirmed from the new address.
+export const profileAPI = {
+  get: () => api.get('/users/me'),
+  update: (profileData) => api.patch('/users/me', profileData),
 };
 
 // Public API (for unauthenticated access)
 export const publicAPI = {
   getStores: (params) => api.get('/stores', { params }),
+  getCategories: () => api.get('/categories'),
+  getRatings: () => api.get('/ratings'),
   submitRating: (ratingData) => api.post('/ratings', ratingData),
 };
 
@@ -0,0 +1,280 @@
+// Declarative validation rules shared by the API (backend/middleware/validate.js) and the React forms.
+//
+// A schema maps field names to rule objects. validate() checks every field and returns
+// { valid, errors } where errors maps each failing field to an array of messages, e.g.
+// { password: ['Password must include an uppercase letter'] }, so a form can highlight every bad field.
+//
+// Supported rules: label, optional, type ('string' | 'integer'), trim, minLength, maxLength,
+// pattern + patternMessage, checks ([{ pattern, message }]), oneOf, min, max.
+// Plain CommonJS with no dependencies so Node and the CRA bundle can both load it.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PASSWORD_SPECIAL_PATTERN = /[!@#$%^&*()_+\-=[\]{};':"\\|,./<>?]/;
+
+// Built-in roles. Every account has one of these as its primary role, which picks its home dashboard;
+// admins can grant further roles, including ones they define, on top of it.
+const ROLES = ['user', 'admin', 'store_owner'];
+
+// Everything the API checks for. Roles are bundles of these, kept in the database;
+// the admin role always holds all of them.
+const PERMISSIONS = {
+  'rating:write': 'Rate and review stores',
+  'store:edit:own': 'Manage the stores they own: details, photos and their dashboard',
+  'rating:reply:own': 'Reply to ratings of the stores they own',
+  'store:manage': 'Create, edit, assign and delete any store, and review store change requests',
+  'category:manage': 'Create, rename and delete categories',
+  'user:manage': 'Create, edit and delete users, sign them out, reset their 2FA and clear lockouts',
+  'role:manage': 'Edit roles and grant them to users',
+  'audit:read': 'Read the audit log',
+  'settings:manage': 'Change security settings such as the 2FA policy, and see legacy API usage'
+};
+
+// Suspended accounts get back in once their suspension ends; banned ones only when an admin lifts the ban
+const ACCOUNT_STATUSES = ['active', 'suspended', 'banned'];
+
+const fields = {
+  name: { label: 'Name', type: 'string', trim: true, minLength: 20, maxLength: 60 },
+  storeName: { label: 'Store name', type: 'string', trim: true, minLength: 20, maxLength: 60 },
+  email: {
+    label: 'Email',
+    type: 'string',
+    trim: true,
+    maxLength: 255,
+    pattern: EMAIL_PATTERN,
+    patternMessage: 'Please provide a valid email address'
+  },
+  password: {
+    label: 'Password',
+    type: 'string',
+    minLength: 8,
+    maxLength: 16,
+    checks: [
+      { pattern: /[A-Z]/, message: 'Password must include an uppercase letter' },
+      { pattern: PASSWORD_SPECIAL_PATTERN, message: 'Password must include a special character' }
+    ]
+  },
+  address: { label: 'Address', type: 'string', trim: true, minLength: 5, maxLength: 400 },
+  role: { label: 'Role', oneOf: ROLES },
+  rating: { label: 'Rating', type: 'integer', min: 1, max: 5 },
+  comment: { label: 'Comment', type: 'string', optional: true, maxLength: 500 },
+  replyBody: { label: 'Reply', type: 'string', trim: true, maxLength: 1000 },
+  totpCode: {
+    label: 'Authentication code',
+    type: 'string',
+    trim: true,
+    pattern: /^\d{6}$/,
+    patternMessage: 'Enter the 6-digit code from your authenticator app'
+  },
+  roleName: {
+    label: 'Role name',
+    type: 'string',
+    trim: true,
+    minLength: 2,
+    maxLength: 32,
+    pattern: /^[a-z][a-z0-9_]*$/,
+    patternMessage: 'Role name must start with a letter and use only lowercase letters, numbers and underscores'
+  },
+  roleLabel: { label: 'Display name', type: 'string', trim: true, minLength: 2, maxLength: 60 },
+  roleDescription: { label: 'Description', type: 'string', trim: true, optional: true, maxLength: 255 },
+  accountStatus: { label: 'Status', oneOf: ACCOUNT_STATUSES },
+  statusReason: { label: 'Reason', type: 'string', trim: true, optional: true, minLength: 3, maxLength: 255 },
+  categoryName: {
+    label: 'Category name',
+    type: 'string',
+    trim: true,
+    minLength: 2,
+    maxLength: 50,
+    pattern: /[a-z0-9]/i,
+    patternMessage: 'Category name must contain letters or numbers'
+  }
+};
+
+// New passwords keep the password rules but read better with their own label
+const newPassword = {
+  ...fields.password,
+  label: 'New password',
+  checks: [
+    { pattern: /[A-Z]/, message: 'New password must include an uppercase letter' },
+    { pattern: PASSWORD_SPECIAL_PATTERN, message: 'New password must include a special character' }
+  ]
+};
+
+const schemas = {
+  register: {
+    name: fields.name,
+    email: fields.email,
+    password: fields.password,
+    address: fields.address
+  },
+  login: {
+    email: fields.email,
+    // Only presence is checked; older accounts may predate the current password rules
+    password: { label: 'Password', type: 'string' }
+  },
+  forgotPassword: {
+    email: fields.email
+  },
+  resetPassword: {
+    token: { label: 'Reset token', type: 'string' },
+    newPassword
+  },
+  verifyEmail: {
+    token: { label: 'Verification token', type: 'string' }
+  },
+  resendVerification: {
+    email: fields.email
+  },
+  twoFactorCode: {
+    code: fields.totpCode
+  },
+  // The second login step takes either an authenticator code or a recovery code
+  twoFactorChallenge: {
+    challengeToken: { label: 'Challenge token', type: 'string' },
+    code: { ...fields.totpCode, optional: true },
+    recoveryCode: { label: 'Recovery code', type: 'string', trim: true, optional: true, maxLength: 32 }
+  },
+  changePassword: {
+    currentPassword: { label: 'Current password', type: 'string' },
+    newPassword
+  },
+  user: {
+    name: fields.name,
+    email: fields.email,
+    password: fields.password,
+    address: fields.address,
+    role: fields.role
+  },
+  // A user's own details; a new email only takes effect once confirmed from that address
+  profile: {
+    name: fields.name,
+    email: fields.email,
+    address: fields.address
+  },
+  store: {
+    name: fields.storeName,
+    email: fields.email,
+    address: fields.address
+  },
+  rating: {
+    store_id: { label: 'Store ID', type: 'integer', min: 1 },
+    rating: fields.rating,
+    comment: fields.comment
+  },
+  reply: {
+    body: fields.replyBody
+  },
+  category: {
+    name: fields.categoryName
+  },
+  // The name is fixed once created; updates take label and description only
+  role: {
+    name: fields.roleName,
+    label: fields.roleLabel,
+    description: fields.roleDescription
+  },
+  // A reason is required to suspend or ban, and an end date to suspend; the API checks both
+  accountStatus: {
+    status: fields.accountStatus,
+    reason: fields.statusReason
+  }
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const lengthMessage = (label, { minLength, maxLength }) => {
+  if (minLength !== undefined && maxLength !== undefined) {
+    return `${label} must be ${minLength}-${maxLength} characters long`;
+  }
+  if (maxLength !== undefined) {
+    return `${label} cannot exceed ${maxLength} characters`;
+  }
+  return `${label} must be at least ${minLength} characters long`;
+};
+
+const rangeMessage = (label, { min, max }) => {
+  if (min !== undefined && max !== undefined) {
+    return `${label} must be an integer between ${min} and ${max}`;
+  }
+  if (min === 1) {
+    return `${label} must be a positive integer`;
+  }
+  return min !== undefined ? `${label} must be an integer of at least ${min}` : `${label} must be an integer of at most ${max}`;
+};
+
+// Returns the list of messages for one value; an empty list means the value is valid
+const checkField = (rule, value) => {
+  const label = rule.label || 'Value';
+
+  if (rule.type === 'string' && !isEmpty(value) && typeof value !== 'string') {
+    return [`${label} must be text`];
+  }
+
+  const text = typeof value === 'string' && rule.trim ? value.trim() : value;
+  if (isEmpty(text)) {
+    return rule.optional ? [] : [`${label} is required`];
+  }
+
+  const messages = [];
+
+  if (rule.type === 'integer') {
+    const number = Number(text);
+    const outOfRange = (rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max);
+    if (!Number.isInteger(number) || outOfRange) {
+      messages.push(rangeMessage(label, rule));
+    }
+  }
+
+  if (rule.minLength !== undefined || rule.maxLength !== undefined) {
+    const tooShort = rule.minLength !== undefined && text.length < rule.minLength;
+    const tooLong = rule.maxLength !== undefined && text.length > rule.maxLength;
+    if (tooShort || tooLong) {
+      messages.push(lengthMessage(label, rule));
+    }
+  }
+
+  if (rule.pattern && !rule.pattern.test(text)) {
+    messages.push(rule.patternMessage || `${label} is not valid`);
+  }
+
+  (rule.checks || []).forEach(check => {
+    if (!check.pattern.test(text)) {
+      messages.push(check.message);
+    }
+  });
+
+  if (rule.oneOf && !rule.oneOf.includes(text)) {
+    messages.push(`${label} must be one of: ${rule.oneOf.join(', ')}`);
+  }
+
+  return messages;
+};
+
+// With { partial: true } fields that are absent from data are skipped, which suits PATCH-style updates
+const validate = (schema, data = {}, { partial = false } = {}) => {
+  const errors = {};
+
+  Object.keys(schema).forEach(field => {
+    const value = data[field];
+    if (partial && value === undefined) return;
+
+    const messages = checkField(schema[field], value);
+    if (messages.length > 0) {
+      errors[field] = messages;
+    }
+  });
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+// Convenience for single values, e.g. isValid(fields.email, input)
+const isValid = (rule, value) => checkField(rule, value).length === 0;
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ACCOUNT_STATUSES,
+  fields,
+  schemas,
+  validate,
+  isValid
+};